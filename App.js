@@ -1,14 +1,21 @@
-import React, {useEffect, useState} from 'react';
+import React from 'react';
+import {View, Text, StyleSheet, Modal} from 'react-native';
 import {NavigationContainer} from '@react-navigation/native';
 import {createBottomTabNavigator} from '@react-navigation/bottom-tabs';
 import {createStackNavigator} from '@react-navigation/stack';
 import {SafeAreaProvider} from 'react-native-safe-area-context';
 import {Provider as PaperProvider} from 'react-native-paper';
 import {MaterialIcons} from '@expo/vector-icons';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import {environmentService} from './src/services/EnvironmentService';
+import {SessionProvider} from './src/context/SessionContext';
+import {useSession} from './src/hooks/useSession';
+import {usePermissions} from './src/hooks/usePermissions';
 
 // Import screens
+import SplashScreen from './src/screens/SplashScreen';
 import LoginScreen from './src/screens/LoginScreen';
+import ForgotPasswordScreen from './src/screens/ForgotPasswordScreen';
+import ReauthScreen from './src/screens/ReauthScreen';
 import DashboardScreen from './src/screens/DashboardScreen';
 import QRScannerScreen from './src/screens/QRScannerScreen';
 import InventoryScreen from './src/screens/InventoryScreen';
@@ -17,6 +24,14 @@ import ReportsScreen from './src/screens/ReportsScreen';
 import FittingDetailsScreen from './src/screens/FittingDetailsScreen';
 import AIAnalysisScreen from './src/screens/AIAnalysisScreen';
 import OfflineScreen from './src/screens/OfflineScreen';
+import LabelGeneratorScreen from './src/screens/LabelGeneratorScreen';
+import CodeImportScreen from './src/screens/CodeImportScreen';
+import ReconciliationScreen from './src/screens/ReconciliationScreen';
+import ManualLookupScreen from './src/screens/ManualLookupScreen';
+import RetagScreen from './src/screens/RetagScreen';
+import ScanSessionsScreen from './src/screens/ScanSessionsScreen';
+import AuditLogScreen from './src/screens/AuditLogScreen';
+import ChangePasswordScreen from './src/screens/ChangePasswordScreen';
 
 const Tab = createBottomTabNavigator();
 const Stack = createStackNavigator();
@@ -32,6 +47,8 @@ const theme = {
 };
 
 function MainTabs() {
+  const {can} = usePermissions();
+
   return (
     <Tab.Navigator
       screenOptions={({route}) => ({
@@ -71,69 +88,141 @@ function MainTabs() {
       <Tab.Screen name="Dashboard" component={DashboardScreen} />
       <Tab.Screen name="Scanner" component={QRScannerScreen} />
       <Tab.Screen name="Inventory" component={InventoryScreen} />
-      <Tab.Screen name="Inspection" component={InspectionScreen} />
-      <Tab.Screen name="Reports" component={ReportsScreen} />
+      {can('canInspect') && (
+        <Tab.Screen name="Inspection" component={InspectionScreen} />
+      )}
+      {can('canGenerateReports') && (
+        <Tab.Screen name="Reports" component={ReportsScreen} />
+      )}
     </Tab.Navigator>
   );
 }
 
-const App = () => {
-  const [isAuthenticated, setIsAuthenticated] = useState(false);
-  const [isLoading, setIsLoading] = useState(true);
-
-  useEffect(() => {
-    checkAuthStatus();
-  }, []);
-
-  const checkAuthStatus = async () => {
-    try {
-      const token = await AsyncStorage.getItem('authToken');
-      if (token) {
-        setIsAuthenticated(true);
-      }
-    } catch (error) {
-      console.error('Auth check error:', error);
-    } finally {
-      setIsLoading(false);
-    }
-  };
+// Picks the stack from the session: login when signed out, the app when
+// signed in, and the app under a sign-in prompt when the session expired
+const RootNavigator = () => {
+  const {status, isAuthenticated} = useSession();
 
-  if (isLoading) {
-    return null; // Show splash screen
+  if (status === 'restoring') {
+    return <SplashScreen />;
   }
 
+  return (
+    <>
+      <NavigationContainer>
+        <Stack.Navigator screenOptions={{headerShown: false}}>
+          {!isAuthenticated ? (
+            <>
+              <Stack.Screen name="Login" component={LoginScreen} />
+              <Stack.Screen 
+                name="ForgotPassword" 
+                component={ForgotPasswordScreen}
+                options={{headerShown: true, title: 'Forgot Password'}}
+              />
+            </>
+          ) : (
+            <>
+              <Stack.Screen name="MainTabs" component={MainTabs} />
+              <Stack.Screen 
+                name="FittingDetails" 
+                component={FittingDetailsScreen}
+                options={{headerShown: true, title: 'Fitting Details'}}
+              />
+              <Stack.Screen 
+                name="AIAnalysis" 
+                component={AIAnalysisScreen}
+                options={{headerShown: true, title: 'AI Analysis'}}
+              />
+              <Stack.Screen 
+                name="Offline" 
+                component={OfflineScreen}
+                options={{headerShown: true, title: 'Offline Mode'}}
+              />
+              <Stack.Screen 
+                name="LabelGenerator" 
+                component={LabelGeneratorScreen}
+                options={{headerShown: true, title: 'Issue QR Labels'}}
+              />
+              <Stack.Screen 
+                name="CodeImport" 
+                component={CodeImportScreen}
+                options={{headerShown: true, title: 'Import Codes'}}
+              />
+              <Stack.Screen 
+                name="Reconciliation" 
+                component={ReconciliationScreen}
+                options={{headerShown: true, title: 'Consignment Reconciliation'}}
+              />
+              <Stack.Screen 
+                name="ManualLookup" 
+                component={ManualLookupScreen}
+                options={{headerShown: true, title: 'Manual Lookup'}}
+              />
+              <Stack.Screen 
+                name="Retag" 
+                component={RetagScreen}
+                options={{headerShown: true, title: 'Re-tag Fitting'}}
+              />
+              <Stack.Screen 
+                name="ScanSessions" 
+                component={ScanSessionsScreen}
+                options={{headerShown: true, title: 'Scan Sessions'}}
+              />
+              <Stack.Screen 
+                name="AuditLog" 
+                component={AuditLogScreen}
+                options={{headerShown: true, title: 'Audit Log'}}
+              />
+              <Stack.Screen 
+                name="ChangePassword" 
+                component={ChangePasswordScreen}
+                options={{headerShown: true, title: 'Change Password'}}
+              />
+            </>
+          )}
+        </Stack.Navigator>
+      </NavigationContainer>
+      <Modal visible={status === 'expired'} transparent animationType="fade" onRequestClose={() => {}}>
+        {status === 'expired' && <ReauthScreen />}
+      </Modal>
+    </>
+  );
+};
+
+const App = () => {
   return (
     <PaperProvider theme={theme}>
       <SafeAreaProvider>
-        <NavigationContainer>
-          <Stack.Navigator screenOptions={{headerShown: false}}>
-            {!isAuthenticated ? (
-              <Stack.Screen name="Login" component={LoginScreen} />
-            ) : (
-              <>
-                <Stack.Screen name="MainTabs" component={MainTabs} />
-                <Stack.Screen 
-                  name="FittingDetails" 
-                  component={FittingDetailsScreen}
-                  options={{headerShown: true, title: 'Fitting Details'}}
-                />
-                <Stack.Screen 
-                  name="AIAnalysis" 
-                  component={AIAnalysisScreen}
-                  options={{headerShown: true, title: 'AI Analysis'}}
-                />
-                <Stack.Screen 
-                  name="Offline" 
-                  component={OfflineScreen}
-                  options={{headerShown: true, title: 'Offline Mode'}}
-                />
-              </>
-            )}
-          </Stack.Navigator>
-        </NavigationContainer>
+        <SessionProvider>
+          <RootNavigator />
+        </SessionProvider>
+        {/* Demo builds may show generated data; never let it pass for live */}
+        {environmentService.isDemo() && (
+          <View pointerEvents="none" style={styles.demoBadge}>
+            <Text style={styles.demoBadgeText}>DEMO DATA</Text>
+          </View>
+        )}
       </SafeAreaProvider>
     </PaperProvider>
   );
 };
 
+const styles = StyleSheet.create({
+  demoBadge: {
+    position: 'absolute',
+    top: 40,
+    right: 10,
+    backgroundColor: '#FF9800',
+    borderRadius: 4,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    elevation: 5,
+  },
+  demoBadgeText: {
+    color: '#FFFFFF',
+    fontSize: 11,
+    fontWeight: 'bold',
+  },
+});
+
 export default App;
\ No newline at end of file
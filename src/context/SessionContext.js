@@ -0,0 +1,150 @@
+import React, {createContext, useCallback, useEffect, useMemo, useState} from 'react';
+import {AppState} from 'react-native';
+import {masterDataService} from '../services/MasterDataService';
+import {httpClient} from '../services/HttpClient';
+import {secureStorageService} from '../services/SecureStorageService';
+import {authService} from '../services/AuthService';
+import {offlineAuthService} from '../services/OfflineAuthService';
+
+const OFFLINE_RECHECK_INTERVAL_MS = 2 * 60 * 1000;
+
+export const SessionContext = createContext(null);
+
+// Session states:
+//   restoring - reading the stored session at launch (splash screen)
+//   signedOut - nobody signed in (login screen)
+//   signedIn  - the app
+//   expired   - the token could not be renewed; the app stays mounted under
+//               a sign-in prompt for the same user so open drafts survive
+const signedOutState = {status: 'signedOut', user: null, permissions: {}};
+
+// Owns who is signed in for the whole app. Login, logout, switching user,
+// remote wipe and token expiry all end up here, and the navigator picks its
+// stack from the status.
+export const SessionProvider = ({children}) => {
+  const [session, setSession] = useState({...signedOutState, status: 'restoring'});
+
+  const showUser = useCallback(user => {
+    setSession({
+      status: 'signedIn',
+      user,
+      permissions: authService.resolvePermissions(user),
+    });
+  }, []);
+
+  const reloadUser = useCallback(async () => {
+    const user = await authService.getCurrentUser();
+    if (user) {
+      showUser(user);
+    }
+  }, [showUser]);
+
+  // Runs from a timer and app-state events, where nothing else would catch
+  // a failure
+  const recheckOfflineSession = useCallback(async () => {
+    try {
+      const result = await offlineAuthService.recheck();
+      if (result.status === 'restored') {
+        await reloadUser();
+      }
+    } catch (error) {
+      console.error('Offline session recheck error:', error);
+    }
+  }, [reloadUser]);
+
+  useEffect(() => {
+    restoreSession();
+  }, []);
+
+  const restoreSession = async () => {
+    try {
+      // Plaintext stores from earlier versions are encrypted before any
+      // service reads them
+      await secureStorageService.initialize();
+
+      // Vendors, prices and GTINs must be available before the first scan
+      await masterDataService.load();
+
+      const wipe = await authService.checkRemoteWipe();
+      if (!wipe.wiped) {
+        await offlineAuthService.recheck();
+      }
+
+      const token = wipe.wiped ? null : await secureStorageService.getItem('authToken');
+      const user = token ? await authService.getCurrentUser() : null;
+      if (user) {
+        showUser(user);
+        return;
+      }
+    } catch (error) {
+      console.error('Session restore error:', error);
+    }
+    setSession(signedOutState);
+  };
+
+  // The token could not be renewed. The user is asked to sign in again
+  // rather than sent to the login screen, which would drop unsaved forms.
+  useEffect(() => {
+    return httpClient.onSessionExpired(() => {
+      setSession(prev => (prev.user ? {...prev, status: 'expired'} : signedOutState));
+    });
+  }, []);
+
+  // Logout, switch user and remote wipe all close the active profile
+  useEffect(() => {
+    return secureStorageService.onProfileChange(profileId => {
+      if (!profileId) {
+        setSession(signedOutState);
+      }
+    });
+  }, []);
+
+  // A lost device may sit in the background for days, so pending wipes are
+  // also checked whenever the app comes back to the foreground
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', async state => {
+      if (state !== 'active') {
+        return;
+      }
+      try {
+        const wipe = await authService.checkRemoteWipe();
+        if (!wipe.wiped) {
+          await recheckOfflineSession();
+        }
+      } catch (error) {
+        console.error('Foreground session check error:', error);
+      }
+    });
+    return () => subscription.remove();
+  }, [recheckOfflineSession]);
+
+  // Offline sessions are confirmed with the server as soon as there is signal
+  useEffect(() => {
+    if (session.status !== 'signedIn') {
+      return undefined;
+    }
+    const timer = setInterval(recheckOfflineSession, OFFLINE_RECHECK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [session.status, recheckOfflineSession]);
+
+  const signIn = useCallback(async (token, user) => {
+    await authService.saveSession(token, user);
+    showUser(user);
+  }, [showUser]);
+
+  const value = useMemo(() => ({
+    ...session,
+    isAuthenticated: session.status === 'signedIn' || session.status === 'expired',
+    can: permission => session.permissions[permission] === true,
+    signIn,
+    signOut: () => authService.logout(),
+    switchUser: () => authService.switchUser(),
+    reloadUser,
+  }), [session, signIn, reloadUser]);
+
+  return (
+    <SessionContext.Provider value={value}>
+      {children}
+    </SessionContext.Provider>
+  );
+};
@@ -0,0 +1,9 @@
+import {useSession} from './useSession';
+
+// Permission flags for the logged-in user. They follow the session, so a
+// different user signing in sees their own actions straight away; with
+// nobody signed in every check is false.
+export const usePermissions = () => {
+  const {can, permissions} = useSession();
+  return {can, permissions};
+};
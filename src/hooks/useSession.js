@@ -0,0 +1,11 @@
+import {useContext} from 'react';
+import {SessionContext} from '../context/SessionContext';
+
+// The signed-in user, their permissions and the sign-in/out actions
+export const useSession = () => {
+  const session = useContext(SessionContext);
+  if (!session) {
+    throw new Error('useSession must be used inside a SessionProvider');
+  }
+  return session;
+};
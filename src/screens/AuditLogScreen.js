@@ -0,0 +1,268 @@
+import React, {useState, useEffect} from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  Alert,
+  RefreshControl,
+} from 'react-native';
+import {
+  Card,
+  Title,
+  Paragraph,
+  Button,
+  Chip,
+  Divider,
+} from 'react-native-paper';
+import RNFS from 'react-native-fs';
+import {auditLogService} from '../services/AuditLogService';
+import {usePermissions} from '../hooks/usePermissions';
+import {shareFiles} from '../utils/share';
+
+const EVENT_FILTERS = [
+  {type: null, label: 'All'},
+  {type: 'login', label: 'Logins'},
+  {type: 'login_failed', label: 'Failed'},
+  {type: 'logout', label: 'Logouts'},
+  {type: 'token_refresh', label: 'Refreshes'},
+  {type: 'password_change', label: 'Passwords'},
+  {type: 'access_denied', label: 'Denied'},
+];
+
+const EVENT_COLORS = {
+  login_failed: '#F44336',
+  access_denied: '#F44336',
+  token_refresh_failed: '#FF9800',
+  password_change_failed: '#FF9800',
+  offline_access_revoked: '#FF9800',
+  remote_wipe: '#F44336',
+};
+
+const PAGE_SIZE = 100;
+
+const AuditLogScreen = () => {
+  const [entries, setEntries] = useState([]);
+  const [status, setStatus] = useState(null);
+  const [integrity, setIntegrity] = useState(null);
+  const [filter, setFilter] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const {can} = usePermissions();
+
+  useEffect(() => {
+    loadEntries();
+  }, [filter]);
+
+  const loadEntries = async () => {
+    setRefreshing(true);
+    try {
+      setEntries(await auditLogService.getEntries({type: filter, limit: PAGE_SIZE}));
+      setStatus(await auditLogService.getStatus());
+      setIntegrity(await auditLogService.verify());
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  // The whole log is exported so rotation can free the space it took
+  const exportLog = async (format) => {
+    setExporting(true);
+    try {
+      const result = await auditLogService.exportEntries(format);
+      if (!result.success) {
+        Alert.alert('Export Failed', result.error);
+        return;
+      }
+
+      const path = `${await auditLogService.getExportDirectory()}/${result.filename}`;
+      await RNFS.writeFile(path, result.data, 'utf8');
+
+      // Until the export has left through the share sheet, rotation must
+      // not drop the entries it holds
+      const shared = await shareFiles({
+        url: `file://${path}`,
+        type: format === 'json' ? 'application/json' : 'text/csv',
+        title: 'Audit Log',
+      });
+      if (shared) {
+        await auditLogService.markExported(result.throughSequence);
+        loadEntries();
+      }
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const formatTime = (timestamp) => new Date(timestamp).toLocaleString('en-IN');
+
+  const describeEntry = (entry) => {
+    if (entry.type === 'access_denied') {
+      return `${entry.permission}${entry.action ? ` (${entry.action})` : ''}`;
+    }
+    if (entry.details && entry.details.reason) {
+      return entry.details.reason;
+    }
+    return entry.details && entry.details.method ? entry.details.method : '';
+  };
+
+  if (!can('canViewAuditLog')) {
+    return (
+      <View style={styles.container}>
+        <Text style={styles.noDataText}>Only administrators can view the audit log</Text>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView
+      style={styles.container}
+      refreshControl={<RefreshControl refreshing={refreshing} onRefresh={loadEntries} />}>
+      <Card style={styles.card}>
+        <Card.Content>
+          <Title>Device Audit Trail</Title>
+          {status && (
+            <Paragraph>
+              {status.total} entries on this device, {status.unexported} not yet exported
+            </Paragraph>
+          )}
+          {integrity && (
+            <Text style={[styles.integrityText, !integrity.valid && styles.integrityBroken]}>
+              {integrity.valid
+                ? 'Log is complete and unaltered'
+                : `Log has been altered at entry ${integrity.brokenAt}`}
+            </Text>
+          )}
+
+          {can('canExportData') && (
+            <View style={styles.buttonRow}>
+              <Button
+                mode="outlined"
+                icon="file-export"
+                onPress={() => exportLog('csv')}
+                disabled={exporting || !status || status.total === 0}
+                style={styles.actionButton}>
+                Export CSV
+              </Button>
+              <Button
+                mode="outlined"
+                icon="code-json"
+                onPress={() => exportLog('json')}
+                disabled={exporting || !status || status.total === 0}
+                style={styles.actionButton}>
+                Export JSON
+              </Button>
+            </View>
+          )}
+        </Card.Content>
+      </Card>
+
+      <Card style={styles.card}>
+        <Card.Content>
+          <View style={styles.chipRow}>
+            {EVENT_FILTERS.map(option => (
+              <Chip
+                key={option.label}
+                selected={filter === option.type}
+                onPress={() => setFilter(option.type)}
+                style={styles.chip}>
+                {option.label}
+              </Chip>
+            ))}
+          </View>
+
+          {entries.length === 0 && (
+            <Text style={styles.noDataText}>No events recorded</Text>
+          )}
+          {entries.map((entry, index) => (
+            <View key={entry.id} style={styles.entryItem}>
+              <View style={styles.entryHeader}>
+                <Text style={[styles.entryType, {color: EVENT_COLORS[entry.type] || '#333'}]}>
+                  {entry.type.replace(/_/g, ' ')}
+                </Text>
+                <Text style={styles.entryDetail}>{formatTime(entry.timestamp)}</Text>
+              </View>
+              <Text style={styles.entryDetail}>
+                {entry.userId || 'Unknown user'}
+                {entry.role ? ` · ${entry.role}` : ''}
+                {entry.deviceId ? ` · ${entry.deviceId}` : ''}
+                {entry.appVersion ? ` · v${entry.appVersion}` : ''}
+              </Text>
+              {describeEntry(entry) !== '' && (
+                <Text style={styles.entryDetail}>{describeEntry(entry)}</Text>
+              )}
+              {index < entries.length - 1 && <Divider style={styles.divider} />}
+            </View>
+          ))}
+        </Card.Content>
+      </Card>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F5',
+  },
+  card: {
+    margin: 15,
+    elevation: 3,
+  },
+  integrityText: {
+    fontSize: 13,
+    color: '#4CAF50',
+    marginTop: 6,
+  },
+  integrityBroken: {
+    color: '#F44336',
+    fontWeight: '600',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 6,
+  },
+  chip: {
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  entryItem: {
+    marginVertical: 6,
+  },
+  entryHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  entryType: {
+    fontSize: 14,
+    fontWeight: '600',
+    textTransform: 'capitalize',
+  },
+  entryDetail: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  divider: {
+    marginTop: 10,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 12,
+  },
+  actionButton: {
+    flex: 1,
+    marginHorizontal: 5,
+  },
+  noDataText: {
+    textAlign: 'center',
+    color: '#666',
+    fontStyle: 'italic',
+    marginVertical: 20,
+  },
+});
+
+export default AuditLogScreen;
@@ -0,0 +1,160 @@
+import React, {useState} from 'react';
+import {View, Text, ScrollView, StyleSheet, Alert} from 'react-native';
+import {Card, Title, Paragraph, TextInput, Button, HelperText} from 'react-native-paper';
+import {MaterialIcons} from '@expo/vector-icons';
+import {authService} from '../services/AuthService';
+import {offlineAuthService} from '../services/OfflineAuthService';
+import {useSession} from '../hooks/useSession';
+
+const ChangePasswordScreen = ({navigation}) => {
+  const {user} = useSession();
+  const [formData, setFormData] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: '',
+  });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({...prev, [field]: value}));
+    if (fieldErrors[field]) {
+      setFieldErrors(prev => ({...prev, [field]: ''}));
+    }
+  };
+
+  // The rules are shown as the new password is typed
+  const unmetRules = formData.newPassword
+    ? authService.checkPasswordPolicy(formData.newPassword, user.employeeId)
+    : null;
+
+  const handleSubmit = async () => {
+    setError('');
+    const errors = await authService.validateNewPassword(
+      user.employeeId,
+      formData.newPassword,
+      formData.confirmPassword,
+      formData.currentPassword,
+    );
+    if (!formData.currentPassword) {
+      errors.currentPassword = 'Current password is required';
+    }
+    if (Object.keys(errors).length > 0) {
+      setFieldErrors(errors);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const result = await authService.changePassword(formData.currentPassword, formData.newPassword);
+      if (!result.success) {
+        setFieldErrors(result.fieldErrors || {});
+        setError(result.error || '');
+        return;
+      }
+
+      await offlineAuthService.updatePassword(user.employeeId, formData.newPassword);
+      Alert.alert('Password Changed', result.message || 'Use your new password the next time you sign in.', [
+        {text: 'OK', onPress: () => navigation.goBack()},
+      ]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderField = (field, label, icon) => (
+    <>
+      <TextInput
+        label={label}
+        value={formData[field]}
+        onChangeText={(value) => handleInputChange(field, value)}
+        mode="outlined"
+        secureTextEntry
+        error={!!fieldErrors[field]}
+        disabled={saving}
+        left={<TextInput.Icon icon={icon} />}
+      />
+      <HelperText type="error" visible={!!fieldErrors[field]}>
+        {fieldErrors[field]}
+      </HelperText>
+    </>
+  );
+
+  return (
+    <ScrollView style={styles.container}>
+      <Card style={styles.card}>
+        <Card.Content>
+          <Title>Change Password</Title>
+          <Paragraph>Signed in as {user.name || user.employeeId}</Paragraph>
+
+          {!!error && <Text style={styles.errorText}>{error}</Text>}
+
+          {renderField('currentPassword', 'Current Password', 'lock')}
+          {renderField('newPassword', 'New Password', 'lock-reset')}
+
+          {unmetRules && (
+            <View style={styles.rules}>
+              {unmetRules.length === 0 ? (
+                <View style={styles.ruleRow}>
+                  <MaterialIcons name="check-circle" size={16} color="#4CAF50" />
+                  <Text style={styles.ruleText}>Meets the password policy</Text>
+                </View>
+              ) : unmetRules.map(rule => (
+                <View key={rule} style={styles.ruleRow}>
+                  <MaterialIcons name="radio-button-unchecked" size={16} color="#FF9800" />
+                  <Text style={styles.ruleText}>{rule}</Text>
+                </View>
+              ))}
+            </View>
+          )}
+
+          {renderField('confirmPassword', 'Confirm New Password', 'lock-check')}
+
+          <Button
+            mode="contained"
+            icon="content-save"
+            onPress={handleSubmit}
+            loading={saving}
+            disabled={saving}
+            style={styles.button}>
+            Change Password
+          </Button>
+        </Card.Content>
+      </Card>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F5',
+  },
+  card: {
+    margin: 15,
+    elevation: 3,
+  },
+  errorText: {
+    color: '#F44336',
+    marginVertical: 8,
+  },
+  rules: {
+    marginBottom: 10,
+  },
+  ruleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: 2,
+  },
+  ruleText: {
+    fontSize: 13,
+    color: '#666',
+    marginLeft: 6,
+  },
+  button: {
+    marginTop: 10,
+  },
+});
+
+export default ChangePasswordScreen;
@@ -0,0 +1,240 @@
+import React, {useState} from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  Alert,
+  TouchableOpacity,
+} from 'react-native';
+import {
+  Card,
+  Title,
+  Paragraph,
+  Button,
+  TextInput,
+  Chip,
+  ActivityIndicator,
+  Divider,
+} from 'react-native-paper';
+import {MaterialIcons} from '@expo/vector-icons';
+import {codeImportService} from '../services/CodeImportService';
+import {usePermissions} from '../hooks/usePermissions';
+
+const CodeImportScreen = ({navigation}) => {
+  const [files, setFiles] = useState([]);
+  const [pageText, setPageText] = useState('');
+  const [results, setResults] = useState(null);
+  const [processing, setProcessing] = useState(false);
+  const {can} = usePermissions();
+
+  const hasPdf = files.some(file => codeImportService.isPdf(file));
+
+  const pickFiles = async () => {
+    const picked = await codeImportService.pickFiles();
+    if (picked.success) {
+      setFiles(picked.files);
+      setResults(null);
+    } else if (!picked.cancelled) {
+      Alert.alert('Error', picked.error);
+    }
+  };
+
+  const decodeFiles = async () => {
+    const pages = codeImportService.parsePageList(pageText);
+    if (pages === null) {
+      Alert.alert('Invalid Pages', 'Enter page numbers like 1, 3-5 or leave blank for all pages');
+      return;
+    }
+
+    setProcessing(true);
+    try {
+      const result = await codeImportService.importCodes(files, {pages});
+      setResults(result);
+    } catch (error) {
+      console.error('Code import error:', error);
+      Alert.alert('Error', 'Unable to decode the selected files. Please try again.');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const openResult = (result) => {
+    navigation.navigate('FittingDetails', {
+      fittingData: result.fittingData,
+      qrCode: result.rawCode,
+    });
+  };
+
+  const getStatusIcon = (status) => {
+    switch (status) {
+      case 'decoded': return {name: 'check-circle', color: '#4CAF50'};
+      case 'invalid': return {name: 'error', color: '#F44336'};
+      default: return {name: 'help', color: '#FF9800'};
+    }
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <Card style={styles.card}>
+        <Card.Content>
+          <Title>Import From Photo or PDF</Title>
+          <Paragraph>
+            Decode QR, PDF417 and DataMatrix codes from saved tag photos or vendor delivery documents.
+          </Paragraph>
+
+          <Button
+            mode="outlined"
+            icon="file-image"
+            onPress={pickFiles}
+            disabled={processing}
+            style={styles.button}>
+            Choose Files
+          </Button>
+
+          {files.map((file, index) => (
+            <Chip key={`${file.uri}_${index}`} icon={codeImportService.isPdf(file) ? 'file-pdf-box' : 'image'} style={styles.fileChip}>
+              {file.name}
+            </Chip>
+          ))}
+
+          {hasPdf && (
+            <TextInput
+              label="PDF pages (e.g. 1, 3-5)"
+              value={pageText}
+              onChangeText={setPageText}
+              placeholder="All pages"
+              style={styles.input}
+            />
+          )}
+
+          <Button
+            mode="contained"
+            icon="qrcode-scan"
+            onPress={decodeFiles}
+            disabled={files.length === 0 || processing || !can('canScan')}
+            loading={processing}
+            style={styles.button}>
+            Decode Codes
+          </Button>
+        </Card.Content>
+      </Card>
+
+      {processing && <ActivityIndicator animating={true} style={styles.loader} />}
+
+      {results && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>Results</Title>
+            <View style={styles.summaryRow}>
+              <Chip icon="check-circle" style={styles.summaryChip}>Decoded {results.decoded}</Chip>
+              <Chip icon="alert-circle" style={styles.summaryChip}>Failed {results.failed}</Chip>
+            </View>
+
+            {results.results.length === 0 && (
+              <Text style={styles.noDataText}>No pages were scanned</Text>
+            )}
+
+            {results.results.map((result, index) => {
+              const icon = getStatusIcon(result.status);
+              const row = (
+                <View style={styles.resultItem}>
+                  <MaterialIcons name={icon.name} size={22} color={icon.color} />
+                  <View style={styles.resultInfo}>
+                    <Text style={styles.resultCode} numberOfLines={1}>
+                      {result.fittingData ? result.fittingData.qrCode : result.rawCode || 'No code found'}
+                    </Text>
+                    <Text style={styles.resultSource}>
+                      {result.source}{result.symbology ? ` · ${result.symbology}` : ''}
+                    </Text>
+                    {result.fittingData && (
+                      <Text style={styles.resultDetail}>{result.fittingData.type}</Text>
+                    )}
+                    {result.error && <Text style={styles.resultError}>{result.error}</Text>}
+                  </View>
+                  {result.status === 'decoded' && (
+                    <MaterialIcons name="chevron-right" size={22} color="#666" />
+                  )}
+                </View>
+              );
+
+              return (
+                <View key={`${result.source}_${index}`}>
+                  {result.status === 'decoded' ? (
+                    <TouchableOpacity onPress={() => openResult(result)}>{row}</TouchableOpacity>
+                  ) : row}
+                  {index < results.results.length - 1 && <Divider />}
+                </View>
+              );
+            })}
+          </Card.Content>
+        </Card>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F5',
+  },
+  card: {
+    margin: 15,
+    elevation: 3,
+  },
+  button: {
+    marginTop: 12,
+  },
+  fileChip: {
+    marginTop: 8,
+    alignSelf: 'flex-start',
+  },
+  input: {
+    marginTop: 12,
+  },
+  loader: {
+    marginVertical: 10,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    marginVertical: 8,
+  },
+  summaryChip: {
+    marginRight: 8,
+  },
+  resultItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+  },
+  resultInfo: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  resultCode: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  resultSource: {
+    fontSize: 12,
+    color: '#666',
+  },
+  resultDetail: {
+    fontSize: 13,
+    color: '#1976D2',
+  },
+  resultError: {
+    fontSize: 13,
+    color: '#C62828',
+  },
+  noDataText: {
+    textAlign: 'center',
+    color: '#666',
+    fontStyle: 'italic',
+    marginVertical: 20,
+  },
+});
+
+export default CodeImportScreen;
@@ -6,11 +6,18 @@ import {
   StyleSheet,
   RefreshControl,
   Dimensions,
+  Alert,
 } from 'react-native';
 import {Card, Title, Paragraph, Button, Chip} from 'react-native-paper';
 import {BarChart, PieChart} from 'react-native-chart-kit';
 import {MaterialIcons} from '@expo/vector-icons';
 import {dashboardService} from '../services/DashboardService';
+import {TAG_CHECK_SCOPE} from '../services/CloneDetectionService';
+import {authService} from '../services/AuthService';
+import {trackingService} from '../services/TrackingService';
+import {inspectionService} from '../services/InspectionService';
+import {usePermissions} from '../hooks/usePermissions';
+import {useSession} from '../hooks/useSession';
 
 const screenWidth = Dimensions.get('window').width;
 
@@ -18,6 +25,9 @@ const DashboardScreen = ({navigation}) => {
   const [dashboardData, setDashboardData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
+  const [syncingForLogout, setSyncingForLogout] = useState(false);
+  const {can} = usePermissions();
+  const {user, signOut, switchUser} = useSession();
 
   useEffect(() => {
     loadDashboardData();
@@ -40,6 +50,37 @@ const DashboardScreen = ({navigation}) => {
     loadDashboardData();
   };
 
+  // Logging out removes this user's records from the tablet, unless some
+  // have not been synced yet; those stay until the user signs in and syncs.
+  // Pending work is sent first, so only what the server did not take stays.
+  const logout = async () => {
+    setSyncingForLogout(true);
+    await Promise.all([
+      trackingService.syncPendingEntries(),
+      inspectionService.syncPendingInspections(),
+    ]);
+    const unsynced = await authService.countUnsyncedWork();
+    setSyncingForLogout(false);
+    Alert.alert(
+      'Log Out',
+      unsynced === 0
+        ? 'Your local records will be removed from this device. Use Switch User to keep them for your next shift.'
+        : `${unsynced === null ? 'Some' : unsynced} of your records have not been synced. They will stay encrypted on this device until you sign in again and sync them.`,
+      [
+        {text: 'Cancel', style: 'cancel'},
+        {text: 'Log Out', style: 'destructive', onPress: signOut},
+      ]
+    );
+  };
+
+  const getSeverityColor = (severity) => {
+    switch (severity) {
+      case 'High': return '#F44336';
+      case 'Medium': return '#FF9800';
+      default: return '#9E9E9E';
+    }
+  };
+
   const chartConfig = {
     backgroundColor: '#ffffff',
     backgroundGradientFrom: '#ffffff',
@@ -133,12 +174,30 @@ const DashboardScreen = ({navigation}) => {
               icon="qr-code-scanner">
               Scan QR
             </Button>
+            {can('canInspect') && (
+              <Button 
+                mode="outlined" 
+                onPress={() => navigation.navigate('Inspection')}
+                style={styles.actionButton}
+                icon="fact-check">
+                Inspect
+              </Button>
+            )}
+          </View>
+          <View style={styles.buttonRow}>
             <Button 
               mode="outlined" 
-              onPress={() => navigation.navigate('Inspection')}
+              onPress={() => navigation.navigate('ScanSessions')}
               style={styles.actionButton}
-              icon="fact-check">
-              Inspect
+              icon="history">
+              Scan Sessions
+            </Button>
+            <Button 
+              mode="outlined" 
+              onPress={() => navigation.navigate('ManualLookup')}
+              style={styles.actionButton}
+              icon="keyboard">
+              Manual Lookup
             </Button>
           </View>
         </Card.Content>
@@ -176,6 +235,36 @@ const DashboardScreen = ({navigation}) => {
         </Card.Content>
       </Card>
 
+      {/* Alerts */}
+      {dashboardData && dashboardData.alerts && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>Alerts</Title>
+            {dashboardData.alerts
+              .filter(alert => alert.status !== 'Resolved')
+              .map(alert => (
+                <View key={alert.id} style={styles.alertItem}>
+                  <MaterialIcons
+                    name={alert.type === 'Tag Integrity' ? 'content-copy' : 'warning'}
+                    size={20}
+                    color={getSeverityColor(alert.severity)}
+                  />
+                  <View style={styles.alertContent}>
+                    <Text style={styles.alertTitle}>{alert.title}</Text>
+                    <Text style={styles.activityText}>{alert.description}</Text>
+                    {alert.type === 'Tag Integrity' && (
+                      <Text style={styles.timeText}>{TAG_CHECK_SCOPE}</Text>
+                    )}
+                  </View>
+                  <Chip mode="outlined" style={styles.chip}>
+                    {alert.status}
+                  </Chip>
+                </View>
+              ))}
+          </Card.Content>
+        </Card>
+      )}
+
       {/* Recent Activities */}
       <Card style={styles.card}>
         <Card.Content>
@@ -224,6 +313,48 @@ const DashboardScreen = ({navigation}) => {
           </View>
         </Card.Content>
       </Card>
+
+      {/* Signed-in User */}
+      <Card style={styles.card}>
+        <Card.Content>
+          <Title>Signed in as</Title>
+          <Paragraph>
+            {user ? `${user.name} (${user.employeeId})` : '-'}
+          </Paragraph>
+          <View style={styles.buttonRow}>
+            <Button
+              mode="outlined"
+              icon="account-switch"
+              onPress={switchUser}
+              style={styles.actionButton}>
+              Switch User
+            </Button>
+            <Button
+              mode="outlined"
+              icon="logout"
+              onPress={logout}
+              loading={syncingForLogout}
+              disabled={syncingForLogout}
+              style={styles.actionButton}>
+              Log Out
+            </Button>
+          </View>
+          <Button
+            mode="text"
+            icon="lock-reset"
+            onPress={() => navigation.navigate('ChangePassword')}>
+            Change Password
+          </Button>
+          {can('canViewAuditLog') && (
+            <Button
+              mode="text"
+              icon="shield-search"
+              onPress={() => navigation.navigate('AuditLog')}>
+              Audit Log
+            </Button>
+          )}
+        </Card.Content>
+      </Card>
     </ScrollView>
   );
 };
@@ -304,6 +435,20 @@ const styles = StyleSheet.create({
     marginBottom: 5,
     alignSelf: 'flex-start',
   },
+  alertItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  alertContent: {
+    flex: 1,
+    marginHorizontal: 10,
+  },
+  alertTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
   activityText: {
     fontSize: 14,
     color: '#333',
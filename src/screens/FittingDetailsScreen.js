@@ -19,16 +19,32 @@ import {
 import {MaterialIcons} from '@expo/vector-icons';
 import {aiService} from '../services/AIService';
 import {inspectionService} from '../services/InspectionService';
+import {cloneDetectionService, TAG_CHECK_SCOPE} from '../services/CloneDetectionService';
+import {usePermissions} from '../hooks/usePermissions';
 
 const FittingDetailsScreen = ({route, navigation}) => {
   const {fittingData, qrCode} = route.params;
+  const isOffline = fittingData.dataSource === 'offline';
+  const notAvailable = isOffline ? 'Not available offline' : '-';
   const [aiAnalysis, setAiAnalysis] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [tagAlerts, setTagAlerts] = useState([]);
+  const {can} = usePermissions();
 
   useEffect(() => {
     performAIAnalysis();
+    checkTagIntegrity();
   }, []);
 
+  const checkTagIntegrity = async () => {
+    setTagAlerts(await cloneDetectionService.checkFitting(fittingData.qrCode));
+  };
+
+  const acknowledgeTagAlert = async (alertId) => {
+    await cloneDetectionService.updateAlertStatus(alertId, 'Acknowledged');
+    checkTagIntegrity();
+  };
+
   const performAIAnalysis = async () => {
     setLoading(true);
     try {
@@ -36,6 +52,7 @@ const FittingDetailsScreen = ({route, navigation}) => {
       setAiAnalysis(analysis);
     } catch (error) {
       console.error('AI analysis error:', error);
+      Alert.alert('AI Analysis', 'The analysis service could not be reached. Please try again when online.');
     } finally {
       setLoading(false);
     }
@@ -86,13 +103,24 @@ const FittingDetailsScreen = ({route, navigation}) => {
               <Title>{fittingData.type}</Title>
               <Paragraph>QR Code: {qrCode}</Paragraph>
               <View style={styles.chipRow}>
-                <Chip 
-                  icon="grade" 
-                  mode="flat"
-                  style={[styles.gradeChip, {backgroundColor: getQualityColor(fittingData.qualityGrade)}]}
-                  textStyle={{color: '#FFFFFF'}}>
-                  Grade {fittingData.qualityGrade}
-                </Chip>
+                {fittingData.qualityGrade && (
+                  <Chip 
+                    icon="grade" 
+                    mode="flat"
+                    style={[styles.gradeChip, {backgroundColor: getQualityColor(fittingData.qualityGrade)}]}
+                    textStyle={{color: '#FFFFFF'}}>
+                    Grade {fittingData.qualityGrade}
+                  </Chip>
+                )}
+                {isOffline && (
+                  <Chip 
+                    icon="cloud-off-outline" 
+                    mode="flat"
+                    style={styles.offlineChip}
+                    textStyle={{color: '#FFFFFF'}}>
+                    Offline · Master data v{fittingData.masterDataVersion}
+                  </Chip>
+                )}
                 {aiAnalysis && (
                   <Chip 
                     icon="psychology" 
@@ -108,6 +136,53 @@ const FittingDetailsScreen = ({route, navigation}) => {
         </Card.Content>
       </Card>
 
+      {/* Tag Integrity Alerts */}
+      {tagAlerts.length > 0 && (
+        <Card style={[styles.card, styles.alertCard]}>
+          <Card.Content>
+            <Title style={styles.alertTitle}>Tag Integrity Alerts</Title>
+            <Text style={styles.inspector}>{TAG_CHECK_SCOPE}</Text>
+            {tagAlerts.map(alert => (
+              <View key={alert.id} style={styles.alertItem}>
+                <Text style={styles.alertHeading}>{alert.title} ({alert.severity})</Text>
+                <Text style={styles.remarks}>{alert.description}</Text>
+                {alert.status === 'Active' && can('canResolveAlerts') ? (
+                  <Button mode="text" compact onPress={() => acknowledgeTagAlert(alert.id)}>
+                    Acknowledge
+                  </Button>
+                ) : (
+                  <Text style={styles.inspector}>{alert.status}</Text>
+                )}
+              </View>
+            ))}
+          </Card.Content>
+        </Card>
+      )}
+
+      {/* Re-tag History */}
+      {fittingData.tagChain && fittingData.tagChain.length > 1 && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>Tag History</Title>
+            {fittingData.replacedBy && (
+              <Text style={styles.replacedText}>
+                This tag has been retired. The fitting now carries {fittingData.replacedBy}.
+              </Text>
+            )}
+            {fittingData.retagHistory.map((alias, index) => (
+              <View key={alias.id} style={styles.inspectionItem}>
+                <Text style={styles.inspectionDate}>
+                  {new Date(alias.retaggedAt).toLocaleDateString('en-IN')} · {alias.reason.replace('_', ' ')}
+                </Text>
+                <Text style={styles.remarks}>{alias.oldCode} → {alias.newCode}</Text>
+                {alias.notes ? <Text style={styles.inspector}>{alias.notes}</Text> : null}
+                {index < fittingData.retagHistory.length - 1 && <Divider style={styles.divider} />}
+              </View>
+            ))}
+          </Card.Content>
+        </Card>
+      )}
+
       {/* Basic Information */}
       <Card style={styles.card}>
         <Card.Content>
@@ -119,7 +194,7 @@ const FittingDetailsScreen = ({route, navigation}) => {
             </DataTable.Row>
             <DataTable.Row>
               <DataTable.Cell>Vendor</DataTable.Cell>
-              <DataTable.Cell>{fittingData.vendorName}</DataTable.Cell>
+              <DataTable.Cell>{fittingData.vendorName || `${fittingData.vendorCode} (not in master data)`}</DataTable.Cell>
             </DataTable.Row>
             <DataTable.Row>
               <DataTable.Cell>Manufacture Date</DataTable.Cell>
@@ -127,15 +202,17 @@ const FittingDetailsScreen = ({route, navigation}) => {
             </DataTable.Row>
             <DataTable.Row>
               <DataTable.Cell>Warranty Period</DataTable.Cell>
-              <DataTable.Cell>{fittingData.warrantyPeriod}</DataTable.Cell>
+              <DataTable.Cell>{fittingData.warrantyPeriod || notAvailable}</DataTable.Cell>
             </DataTable.Row>
             <DataTable.Row>
               <DataTable.Cell>Location</DataTable.Cell>
-              <DataTable.Cell>{fittingData.location}</DataTable.Cell>
+              <DataTable.Cell>{fittingData.location || notAvailable}</DataTable.Cell>
             </DataTable.Row>
             <DataTable.Row>
               <DataTable.Cell>Quantity</DataTable.Cell>
-              <DataTable.Cell>{fittingData.quantity?.toLocaleString()} units</DataTable.Cell>
+              <DataTable.Cell>
+                {fittingData.quantity != null ? `${fittingData.quantity.toLocaleString()} units` : notAvailable}
+              </DataTable.Cell>
             </DataTable.Row>
             <DataTable.Row>
               <DataTable.Cell>Unit Price</DataTable.Cell>
@@ -293,13 +370,15 @@ const FittingDetailsScreen = ({route, navigation}) => {
         <Card.Content>
           <Title>Actions</Title>
           <View style={styles.buttonRow}>
-            <Button 
-              mode="contained" 
-              onPress={handleInspection}
-              style={styles.actionButton}
-              icon="fact-check">
-              New Inspection
-            </Button>
+            {can('canInspect') && (
+              <Button 
+                mode="contained" 
+                onPress={handleInspection}
+                style={styles.actionButton}
+                icon="fact-check">
+                New Inspection
+              </Button>
+            )}
             <Button 
               mode="outlined" 
               onPress={openUDMPortal}
@@ -326,6 +405,17 @@ const FittingDetailsScreen = ({route, navigation}) => {
               Share Report
             </Button>
           </View>
+          {!fittingData.replacedBy && can('canRetag') && (
+            <View style={styles.buttonRow}>
+              <Button 
+                mode="outlined" 
+                onPress={() => navigation.navigate('Retag', {fittingData})}
+                style={styles.actionButton}
+                icon="tag-arrow-right">
+                Re-tag Fitting
+              </Button>
+            </View>
+          )}
         </Card.Content>
       </Card>
 
@@ -370,6 +460,22 @@ const styles = StyleSheet.create({
     margin: 15,
     elevation: 3,
   },
+  alertCard: {
+    borderLeftWidth: 4,
+    borderLeftColor: '#F44336',
+  },
+  alertTitle: {
+    color: '#C62828',
+  },
+  alertItem: {
+    marginTop: 8,
+  },
+  alertHeading: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 3,
+  },
   qrHeader: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -391,6 +497,11 @@ const styles = StyleSheet.create({
     marginTop: 8,
     marginRight: 8,
   },
+  offlineChip: {
+    marginTop: 8,
+    marginRight: 8,
+    backgroundColor: '#607D8B',
+  },
   aiSummary: {
     marginTop: 10,
   },
@@ -463,6 +574,11 @@ const styles = StyleSheet.create({
     color: '#333',
     fontStyle: 'italic',
   },
+  replacedText: {
+    fontSize: 14,
+    color: '#C62828',
+    marginBottom: 8,
+  },
   divider: {
     marginTop: 10,
   },
@@ -0,0 +1,308 @@
+import React, {useState} from 'react';
+import {View, Text, ScrollView, StyleSheet} from 'react-native';
+import {Card, Title, Paragraph, TextInput, Button, HelperText} from 'react-native-paper';
+import {MaterialIcons} from '@expo/vector-icons';
+import {authService} from '../services/AuthService';
+import {offlineAuthService} from '../services/OfflineAuthService';
+
+// Request a code, enter it, then choose the new password
+const ForgotPasswordScreen = ({navigation, route}) => {
+  const [step, setStep] = useState('request');
+  const [formData, setFormData] = useState({
+    employeeId: (route.params && route.params.employeeId) || '',
+    otp: '',
+    newPassword: '',
+    confirmPassword: '',
+  });
+  const [reset, setReset] = useState({requestId: null, destination: null, resetToken: null});
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({...prev, [field]: value}));
+    if (fieldErrors[field]) {
+      setFieldErrors(prev => ({...prev, [field]: ''}));
+    }
+  };
+
+  const showResult = (result) => {
+    setFieldErrors(result.fieldErrors || {});
+    setError(result.error || '');
+  };
+
+  const run = async (action) => {
+    setLoading(true);
+    setError('');
+    setNotice('');
+    try {
+      await action();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRequestCode = () => {
+    const employeeId = formData.employeeId.trim().toUpperCase();
+    if (!employeeId) {
+      setFieldErrors({employeeId: 'Employee ID is required'});
+      return;
+    }
+
+    run(async () => {
+      const result = await authService.requestPasswordReset(employeeId);
+      if (!result.success) {
+        showResult(result);
+        return;
+      }
+
+      setFormData(prev => ({...prev, employeeId, otp: ''}));
+      setReset({requestId: result.requestId, destination: result.destination, resetToken: null});
+      setFieldErrors({});
+      if (step === 'verify') {
+        setNotice('A new code has been sent');
+      }
+      setStep('verify');
+    });
+  };
+
+  const handleVerifyCode = () => {
+    if (!/^\d{6}$/.test(formData.otp)) {
+      setFieldErrors({otp: 'Enter the 6-digit code'});
+      return;
+    }
+
+    run(async () => {
+      const result = await authService.verifyPasswordResetOtp(formData.employeeId, reset.requestId, formData.otp);
+      if (!result.success) {
+        showResult(result);
+        return;
+      }
+
+      setReset(prev => ({...prev, resetToken: result.resetToken}));
+      setFieldErrors({});
+      setStep('reset');
+    });
+  };
+
+  const handleResetPassword = () => {
+    run(async () => {
+      const errors = await authService.validateNewPassword(
+        formData.employeeId,
+        formData.newPassword,
+        formData.confirmPassword,
+      );
+      if (Object.keys(errors).length > 0) {
+        setFieldErrors(errors);
+        return;
+      }
+
+      const result = await authService.completePasswordReset(
+        formData.employeeId,
+        reset.resetToken,
+        formData.newPassword,
+      );
+      if (!result.success) {
+        showResult(result);
+        // An expired reset token means starting again from a new code
+        if (result.fieldErrors && result.fieldErrors.otp) {
+          setStep('verify');
+        }
+        return;
+      }
+
+      await offlineAuthService.updatePassword(formData.employeeId, formData.newPassword);
+      setFormData(prev => ({...prev, otp: '', newPassword: '', confirmPassword: ''}));
+      setStep('done');
+    });
+  };
+
+  const renderField = (field, label, icon, props = {}) => (
+    <>
+      <TextInput
+        label={label}
+        value={formData[field]}
+        onChangeText={(value) => handleInputChange(field, value)}
+        mode="outlined"
+        error={!!fieldErrors[field]}
+        disabled={loading}
+        left={<TextInput.Icon icon={icon} />}
+        {...props}
+      />
+      <HelperText type="error" visible={!!fieldErrors[field]}>
+        {fieldErrors[field]}
+      </HelperText>
+    </>
+  );
+
+  const unmetRules = step === 'reset' && formData.newPassword
+    ? authService.checkPasswordPolicy(formData.newPassword, formData.employeeId)
+    : null;
+
+  if (step === 'done') {
+    return (
+      <ScrollView style={styles.container}>
+        <Card style={styles.card}>
+          <Card.Content style={styles.doneContent}>
+            <MaterialIcons name="check-circle" size={64} color="#4CAF50" />
+            <Title>Password Reset</Title>
+            <Paragraph style={styles.centerText}>
+              The password for {formData.employeeId} has been changed. Sign in with your new password.
+            </Paragraph>
+            <Button mode="contained" onPress={() => navigation.goBack()} style={styles.button}>
+              Back to Sign In
+            </Button>
+          </Card.Content>
+        </Card>
+      </ScrollView>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container}>
+      <Card style={styles.card}>
+        <Card.Content>
+          {step === 'request' && (
+            <>
+              <Title>Forgot Password</Title>
+              <Paragraph>
+                Enter your employee ID. A one-time code will be sent to the mobile number on your record.
+              </Paragraph>
+              {!!error && <Text style={styles.errorText}>{error}</Text>}
+              {renderField('employeeId', 'Employee ID', 'account', {autoCapitalize: 'characters'})}
+              <Button
+                mode="contained"
+                icon="message-text"
+                onPress={handleRequestCode}
+                loading={loading}
+                disabled={loading}
+                style={styles.button}>
+                Send Code
+              </Button>
+            </>
+          )}
+
+          {step === 'verify' && (
+            <>
+              <Title>Enter Code</Title>
+              <Paragraph>
+                {reset.destination
+                  ? `Enter the 6-digit code sent to ${reset.destination}.`
+                  : 'Enter the 6-digit code sent to your registered mobile number.'}
+              </Paragraph>
+              {!!notice && <Text style={styles.noticeText}>{notice}</Text>}
+              {!!error && <Text style={styles.errorText}>{error}</Text>}
+              {renderField('otp', 'One-Time Code', 'dialpad', {keyboardType: 'number-pad', maxLength: 6})}
+              <Button
+                mode="contained"
+                onPress={handleVerifyCode}
+                loading={loading}
+                disabled={loading}
+                style={styles.button}>
+                Verify Code
+              </Button>
+              <View style={styles.linkRow}>
+                <Button mode="text" onPress={handleRequestCode} disabled={loading}>
+                  Resend Code
+                </Button>
+                <Button
+                  mode="text"
+                  onPress={() => {
+                    setStep('request');
+                    setFieldErrors({});
+                    setError('');
+                  }}
+                  disabled={loading}>
+                  Change Employee ID
+                </Button>
+              </View>
+            </>
+          )}
+
+          {step === 'reset' && (
+            <>
+              <Title>New Password</Title>
+              <Paragraph>Choose a new password for {formData.employeeId}.</Paragraph>
+              {!!error && <Text style={styles.errorText}>{error}</Text>}
+              {renderField('newPassword', 'New Password', 'lock-reset', {secureTextEntry: true})}
+              {unmetRules && (
+                <View style={styles.rules}>
+                  {unmetRules.length === 0 ? (
+                    <View style={styles.ruleRow}>
+                      <MaterialIcons name="check-circle" size={16} color="#4CAF50" />
+                      <Text style={styles.ruleText}>Meets the password policy</Text>
+                    </View>
+                  ) : unmetRules.map(rule => (
+                    <View key={rule} style={styles.ruleRow}>
+                      <MaterialIcons name="radio-button-unchecked" size={16} color="#FF9800" />
+                      <Text style={styles.ruleText}>{rule}</Text>
+                    </View>
+                  ))}
+                </View>
+              )}
+              {renderField('confirmPassword', 'Confirm New Password', 'lock-check', {secureTextEntry: true})}
+              <Button
+                mode="contained"
+                icon="content-save"
+                onPress={handleResetPassword}
+                loading={loading}
+                disabled={loading}
+                style={styles.button}>
+                Reset Password
+              </Button>
+            </>
+          )}
+        </Card.Content>
+      </Card>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F5',
+  },
+  card: {
+    margin: 15,
+    elevation: 3,
+  },
+  doneContent: {
+    alignItems: 'center',
+  },
+  centerText: {
+    textAlign: 'center',
+  },
+  errorText: {
+    color: '#F44336',
+    marginVertical: 8,
+  },
+  noticeText: {
+    color: '#4CAF50',
+    marginVertical: 8,
+  },
+  rules: {
+    marginBottom: 10,
+  },
+  ruleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: 2,
+  },
+  ruleText: {
+    fontSize: 13,
+    color: '#666',
+    marginLeft: 6,
+  },
+  button: {
+    marginTop: 10,
+  },
+  linkRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 5,
+  },
+});
+
+export default ForgotPasswordScreen;
@@ -17,55 +17,108 @@ import {
   Checkbox,
   Chip,
   Divider,
+  HelperText,
 } from 'react-native-paper';
 import {MaterialIcons} from '@expo/vector-icons';
 import {inspectionService} from '../services/InspectionService';
+import {qrService} from '../services/QRService';
+import {toleranceService} from '../services/ToleranceService';
+import {locationService} from '../services/LocationService';
+import {fittingTypeRegistry} from '../services/FittingTypeRegistry';
+import {qrCodec} from '../services/QRCodec';
+import {usePermissions} from '../hooks/usePermissions';
 
-const InspectionScreen = ({route, navigation}) => {
-  const {fittingData} = route.params || {};
-  const [inspectionForm, setInspectionForm] = useState({
-    qrCode: fittingData?.qrCode || '',
-    inspectorName: '',
-    inspectionType: 'routine',
-    visualCheck: {
-      cracks: false,
-      corrosion: false,
-      deformation: false,
-      surfaceDamage: false,
-    },
-    dimensionalCheck: {
-      length: '',
-      width: '',
-      height: '',
-      tolerance: 'within',
-    },
-    materialCheck: {
-      hardness: '',
-      tensileStrength: 'pass',
-      chemicalComposition: 'pass',
-    },
-    functionalCheck: {
-      fitment: 'good',
-      performance: 'satisfactory',
-    },
+const TOLERANCE_COLORS = {
+  within: '#4CAF50',
+  marginal: '#FF9800',
+  outside: '#F44336',
+};
+
+// The fitting type a QR code was issued for, when it can be read
+const typeCodeFor = (qrCode) => {
+  const decoded = qrCodec.decode(qrCode);
+  return decoded.valid ? decoded.fields.typeCode : null;
+};
+
+const createInitialForm = (qrCode = '', inspectorName = '', inspectionType = 'routine', fittingType = null) => {
+  const typeCode = typeCodeFor(qrCode) || fittingType;
+  const template = inspectionService.buildFormTemplate(typeCode, inspectionType);
+  return {
+    qrCode,
+    inspectorName,
+    inspectionType,
+    fittingType: typeCode,
+    ...inspectionService.createFormValues(template),
     overallGrade: 'A',
     remarks: '',
     recommendations: [],
     photos: [],
-  });
+  };
+};
+
+const InspectionScreen = ({route, navigation}) => {
+  const {fittingData, batchQueue = []} = route.params || {};
+  const {can} = usePermissions();
+  const [inspectionForm, setInspectionForm] = useState(createInitialForm(fittingData?.qrCode));
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [specifications, setSpecifications] = useState({});
 
   const [loading, setLoading] = useState(false);
+  const [locationStamp, setLocationStamp] = useState(null);
+  const [locating, setLocating] = useState(false);
+
+  useEffect(() => {
+    refreshLocation();
+  }, [fittingData]);
 
   useEffect(() => {
     if (fittingData) {
-      setInspectionForm(prev => ({
-        ...prev,
-        qrCode: fittingData.qrCode,
-      }));
+      // Start each fitting (including the next one in a batch) on a clean form
+      setInspectionForm(prev => createInitialForm(
+        fittingData.qrCode,
+        prev.inspectorName,
+        prev.inspectionType,
+        prev.fittingType,
+      ));
+      setFieldErrors({});
     }
   }, [fittingData]);
 
+  const template = inspectionService.buildFormTemplate(inspectionForm.fittingType, inspectionForm.inspectionType);
+  // Tolerance status follows the readings, so it is derived on every change
+  const evaluatedForm = inspectionService.withToleranceStatus(inspectionForm, template, specifications);
+
+  useEffect(() => {
+    if (!template.fittingType) {
+      setSpecifications({});
+      return;
+    }
+    qrService.getSpecifications(template.fittingType).then(setSpecifications);
+  }, [template.fittingType]);
+
+  // Switching fitting type or inspection type swaps the sections and fields
+  useEffect(() => {
+    setInspectionForm(prev => ({...prev, ...inspectionService.createFormValues(template, prev)}));
+    setFieldErrors({});
+  }, [inspectionForm.fittingType, inspectionForm.inspectionType]);
+
+  const refreshLocation = async () => {
+    setLocating(true);
+    try {
+      setLocationStamp(await locationService.getStamp());
+    } finally {
+      setLocating(false);
+    }
+  };
+
   const handleInputChange = (section, field, value) => {
+    if (field === 'qrCode') {
+      const typeCode = typeCodeFor(value);
+      if (typeCode) {
+        setInspectionForm(prev => ({...prev, fittingType: typeCode}));
+      }
+    }
+
     if (section) {
       setInspectionForm(prev => ({
         ...prev,
@@ -82,14 +135,12 @@ const InspectionScreen = ({route, navigation}) => {
     }
   };
 
-  const handleVisualCheckChange = (defect, checked) => {
-    setInspectionForm(prev => ({
-      ...prev,
-      visualCheck: {
-        ...prev.visualCheck,
-        [defect]: checked,
-      },
-    }));
+  const handleFieldChange = (section, field, value) => {
+    handleInputChange(section.dataKey, field.key, value);
+    const errorKey = `${section.id}.${field.key}`;
+    if (fieldErrors[errorKey]) {
+      setFieldErrors(prev => ({...prev, [errorKey]: null}));
+    }
   };
 
   const addRecommendation = (recommendation) => {
@@ -115,15 +166,34 @@ const InspectionScreen = ({route, navigation}) => {
     try {
       setLoading(true);
       
-      // Validate required fields
-      if (!inspectionForm.inspectorName || !inspectionForm.qrCode) {
-        Alert.alert('Error', 'Please fill in all required fields');
+      // Same checks the service makes, shown against each field
+      const validation = inspectionService.validateInspectionData(evaluatedForm);
+      if (!validation.valid) {
+        setFieldErrors(validation.fieldErrors);
+        Alert.alert('Check the Form', validation.errors.join('\n'));
         return;
       }
 
-      const result = await inspectionService.submitInspection(inspectionForm);
+      const result = await inspectionService.submitInspection({
+        ...evaluatedForm,
+        geo: locationStamp,
+      });
       
-      if (result.success) {
+      if (result.success && batchQueue.length > 0) {
+        Alert.alert(
+          'Inspection Submitted',
+          `${batchQueue.length} fittings remaining in this batch.`,
+          [
+            {
+              text: 'Next Fitting',
+              onPress: () => navigation.setParams({
+                fittingData: batchQueue[0],
+                batchQueue: batchQueue.slice(1),
+              }),
+            },
+          ]
+        );
+      } else if (result.success) {
         Alert.alert(
           'Inspection Submitted',
           'Inspection report has been successfully submitted.',
@@ -135,7 +205,8 @@ const InspectionScreen = ({route, navigation}) => {
           ]
         );
       } else {
-        Alert.alert('Error', 'Failed to submit inspection. Please try again.');
+        setFieldErrors(result.fieldErrors || {});
+        Alert.alert('Error', result.error || 'Failed to submit inspection. Please try again.');
       }
     } catch (error) {
       console.error('Inspection submission error:', error);
@@ -145,25 +216,92 @@ const InspectionScreen = ({route, navigation}) => {
     }
   };
 
-  const calculateGrade = () => {
-    const visualIssues = Object.values(inspectionForm.visualCheck).filter(v => v).length;
-    const dimensionalPass = inspectionForm.dimensionalCheck.tolerance === 'within';
-    const materialPass = inspectionForm.materialCheck.tensileStrength === 'pass' && 
-                        inspectionForm.materialCheck.chemicalComposition === 'pass';
-    
-    if (visualIssues === 0 && dimensionalPass && materialPass) {
-      return 'A';
-    } else if (visualIssues <= 1 && (dimensionalPass || materialPass)) {
-      return 'B';
-    } else {
-      return 'C';
-    }
-  };
-
   useEffect(() => {
-    const grade = calculateGrade();
+    const grade = inspectionService.calculateGrade(evaluatedForm);
     setInspectionForm(prev => ({...prev, overallGrade: grade}));
-  }, [inspectionForm.visualCheck, inspectionForm.dimensionalCheck, inspectionForm.materialCheck]);
+  }, [inspectionForm.visualCheck, inspectionForm.dimensionalCheck, inspectionForm.materialCheck, specifications]);
+
+  const renderField = (section, field) => {
+    const values = evaluatedForm[section.dataKey] || {};
+    if (!inspectionService.isFieldVisible(field, values)) {
+      return null;
+    }
+
+    const value = values[field.key];
+    const error = fieldErrors[`${section.id}.${field.key}`];
+    const label = `${field.label}${field.unit ? ` (${field.unit})` : ''}${field.required ? ' *' : ''}`;
+
+    if (field.type === 'boolean') {
+      return (
+        <View key={field.key} style={styles.checkboxRow}>
+          <Checkbox
+            status={value ? 'checked' : 'unchecked'}
+            onPress={() => handleFieldChange(section, field, !value)}
+          />
+          <Text style={styles.checkboxLabel}>{field.label}</Text>
+        </View>
+      );
+    }
+
+    if (field.computed) {
+      const option = field.options.find(item => item.value === value);
+      return (
+        <View key={field.key} style={styles.computedRow}>
+          <Text style={styles.gradeLabel}>{field.label}:</Text>
+          <Chip
+            style={{backgroundColor: TOLERANCE_COLORS[value] || '#9E9E9E'}}
+            textStyle={{color: '#FFFFFF'}}>
+            {option ? option.label : 'Not measured'}
+          </Chip>
+        </View>
+      );
+    }
+
+    if (field.type === 'choice') {
+      return (
+        <View key={field.key}>
+          <Text style={styles.sectionTitle}>{label}</Text>
+          <RadioButton.Group
+            onValueChange={(choice) => handleFieldChange(section, field, choice)}
+            value={value}>
+            {field.options.map(option => (
+              <View key={option.value} style={styles.radioOption}>
+                <RadioButton value={option.value} />
+                <Text>{option.label}</Text>
+              </View>
+            ))}
+          </RadioButton.Group>
+          {!!error && <HelperText type="error">{error}</HelperText>}
+        </View>
+      );
+    }
+
+    const hasRange = field.type === 'number' && (field.min !== undefined || field.max !== undefined);
+    const tolerance = evaluatedForm.toleranceResults[`${section.id}.${field.key}`];
+    return (
+      <View key={field.key}>
+        <TextInput
+          label={label}
+          value={String(value ?? '')}
+          onChangeText={(text) => handleFieldChange(section, field, text)}
+          keyboardType={field.type === 'number' ? 'numeric' : 'default'}
+          multiline={field.type === 'text'}
+          error={!!error}
+          style={styles.input}
+        />
+        {(!!error || hasRange) && (
+          <HelperText type={error ? 'error' : 'info'}>
+            {error || `Allowed: ${inspectionService.describeRange(field)}`}
+          </HelperText>
+        )}
+        {tolerance && (
+          <Text style={[styles.toleranceText, {color: TOLERANCE_COLORS[tolerance.status]}]}>
+            {tolerance.status.toUpperCase()}: {toleranceService.describe(tolerance)}
+          </Text>
+        )}
+      </View>
+    );
+  };
 
   return (
     <ScrollView style={styles.container}>
@@ -177,6 +315,29 @@ const InspectionScreen = ({route, navigation}) => {
               <Text style={styles.qrCode}>QR: {fittingData.qrCode}</Text>
             </View>
           )}
+          <View style={styles.locationRow}>
+            <MaterialIcons
+              name={locationStamp && !locationStamp.flagged ? 'my-location' : 'location-disabled'}
+              size={18}
+              color={locationStamp && !locationStamp.flagged ? '#4CAF50' : '#FF9800'}
+            />
+            <Text style={styles.locationText}>
+              {locating
+                ? 'Getting GPS fix...'
+                : locationService.describeStamp(locationStamp) || 'No GPS fix'}
+              {locationStamp && locationStamp.accuracy != null && !locating
+                ? ` (±${Math.round(locationStamp.accuracy)} m)`
+                : ''}
+            </Text>
+            <Button compact mode="text" onPress={refreshLocation} disabled={locating}>
+              Refresh
+            </Button>
+          </View>
+          {locationStamp && locationStamp.flagged && !locating && (
+            <Text style={styles.locationWarning}>
+              No good GPS fix ({locationStamp.flags.join(', ')}). The inspection will be flagged for location review.
+            </Text>
+          )}
         </Card.Content>
       </Card>
 
@@ -191,6 +352,14 @@ const InspectionScreen = ({route, navigation}) => {
             style={styles.input}
             right={<TextInput.Icon icon="qr-code-scanner" onPress={() => navigation.navigate('Scanner')} />}
           />
+          <Button
+            mode="text"
+            icon="keyboard"
+            compact
+            onPress={() => navigation.navigate('ManualLookup', {initialInput: inspectionForm.qrCode})}
+            style={styles.manualLookupButton}>
+            Tag damaged? Look it up manually
+          </Button>
           <TextInput
             label="Inspector Name *"
             value={inspectionForm.inspectorName}
@@ -198,6 +367,20 @@ const InspectionScreen = ({route, navigation}) => {
             style={styles.input}
           />
           
+          <Text style={styles.sectionTitle}>Fitting Type</Text>
+          <View style={styles.typeChips}>
+            {fittingTypeRegistry.getAll().map(type => (
+              <Chip
+                key={type.code}
+                selected={inspectionForm.fittingType === type.code}
+                onPress={() => handleInputChange(null, 'fittingType', type.code)}
+                disabled={!!typeCodeFor(inspectionForm.qrCode)}
+                style={styles.typeChip}>
+                {type.name}
+              </Chip>
+            ))}
+          </View>
+
           <Text style={styles.sectionTitle}>Inspection Type</Text>
           <RadioButton.Group
             onValueChange={(value) => handleInputChange(null, 'inspectionType', value)}
@@ -215,97 +398,33 @@ const InspectionScreen = ({route, navigation}) => {
               <Text>Emergency Inspection</Text>
             </View>
           </RadioButton.Group>
-        </Card.Content>
-      </Card>
-
-      {/* Visual Inspection */}
-      <Card style={styles.card}>
-        <Card.Content>
-          <Title>Visual Inspection</Title>
-          <Text style={styles.sectionDescription}>Check for visible defects:</Text>
-          
-          {Object.entries(inspectionForm.visualCheck).map(([defect, checked]) => (
-            <View key={defect} style={styles.checkboxRow}>
-              <Checkbox
-                status={checked ? 'checked' : 'unchecked'}
-                onPress={() => handleVisualCheckChange(defect, !checked)}
-              />
-              <Text style={styles.checkboxLabel}>
-                {defect.charAt(0).toUpperCase() + defect.slice(1)}
-              </Text>
+          <Text style={styles.sectionDescription}>
+            {template.description} ({template.frequency})
+          </Text>
+          {template.focusAreas.length > 0 && (
+            <View style={styles.typeChips}>
+              {template.focusAreas.map(area => (
+                <Chip key={area} icon="eye" style={styles.typeChip}>
+                  {area}
+                </Chip>
+              ))}
             </View>
-          ))}
+          )}
         </Card.Content>
       </Card>
 
-      {/* Dimensional Check */}
-      <Card style={styles.card}>
-        <Card.Content>
-          <Title>Dimensional Check</Title>
-          <View style={styles.dimensionalInputs}>
-            <TextInput
-              label="Length (mm)"
-              value={inspectionForm.dimensionalCheck.length}
-              onChangeText={(value) => handleInputChange('dimensionalCheck', 'length', value)}
-              keyboardType="numeric"
-              style={[styles.input, styles.dimensionalInput]}
-            />
-            <TextInput
-              label="Width (mm)"
-              value={inspectionForm.dimensionalCheck.width}
-              onChangeText={(value) => handleInputChange('dimensionalCheck', 'width', value)}
-              keyboardType="numeric"
-              style={[styles.input, styles.dimensionalInput]}
-            />
-          </View>
-          
-          <Text style={styles.sectionTitle}>Tolerance Check</Text>
-          <RadioButton.Group
-            onValueChange={(value) => handleInputChange('dimensionalCheck', 'tolerance', value)}
-            value={inspectionForm.dimensionalCheck.tolerance}>
-            <View style={styles.radioOption}>
-              <RadioButton value="within" />
-              <Text>Within Tolerance</Text>
-            </View>
-            <View style={styles.radioOption}>
-              <RadioButton value="marginal" />
-              <Text>Marginal</Text>
-            </View>
-            <View style={styles.radioOption}>
-              <RadioButton value="outside" />
-              <Text>Outside Tolerance</Text>
-            </View>
-          </RadioButton.Group>
-        </Card.Content>
-      </Card>
-
-      {/* Material Check */}
-      <Card style={styles.card}>
-        <Card.Content>
-          <Title>Material Properties</Title>
-          <TextInput
-            label="Hardness (HRC)"
-            value={inspectionForm.materialCheck.hardness}
-            onChangeText={(value) => handleInputChange('materialCheck', 'hardness', value)}
-            keyboardType="numeric"
-            style={styles.input}
-          />
-          
-          <Text style={styles.sectionTitle}>Tensile Strength</Text>
-          <RadioButton.Group
-            onValueChange={(value) => handleInputChange('materialCheck', 'tensileStrength', value)}
-            value={inspectionForm.materialCheck.tensileStrength}>
-            <View style={styles.radioOption}>
-              <RadioButton value="pass" />
-              <Text>Pass</Text>
-            </View>
-            <View style={styles.radioOption}>
-              <RadioButton value="fail" />
-              <Text>Fail</Text>
-            </View>
-          </RadioButton.Group>
-        </Card.Content>
-      </Card>
+      {/* Checks from the template for this fitting and inspection type */}
+      {template.sections.map(section => (
+        <Card key={section.id} style={styles.card}>
+          <Card.Content>
+            <Title>{section.title}</Title>
+            {!!section.description && (
+              <Text style={styles.sectionDescription}>{section.description}</Text>
+            )}
+            {section.fields.map(field => renderField(section, field))}
+          </Card.Content>
+        </Card>
+      ))}
 
       {/* Overall Assessment */}
       <Card style={styles.card}>
@@ -386,15 +505,17 @@ const InspectionScreen = ({route, navigation}) => {
       </Card>
 
       {/* Submit Button */}
-      <Button
-        mode="contained"
-        onPress={submitInspection}
-        loading={loading}
-        disabled={loading}
-        style={styles.submitButton}
-        icon="send">
-        Submit Inspection Report
-      </Button>
+      {can('canInspect') && (
+        <Button
+          mode="contained"
+          onPress={submitInspection}
+          loading={loading}
+          disabled={loading}
+          style={styles.submitButton}
+          icon="send">
+          Submit Inspection Report
+        </Button>
+      )}
     </ScrollView>
   );
 };
@@ -418,6 +539,21 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#1976D2',
   },
+  locationRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  locationText: {
+    flex: 1,
+    marginLeft: 6,
+    fontSize: 14,
+    color: '#333',
+  },
+  locationWarning: {
+    fontSize: 12,
+    color: '#E65100',
+  },
   qrCode: {
     fontSize: 14,
     color: '#666',
@@ -425,6 +561,10 @@ const styles = StyleSheet.create({
   input: {
     marginVertical: 8,
   },
+  manualLookupButton: {
+    alignSelf: 'flex-start',
+    marginBottom: 8,
+  },
   sectionTitle: {
     fontSize: 16,
     fontWeight: '600',
@@ -451,13 +591,22 @@ const styles = StyleSheet.create({
     fontSize: 16,
     marginLeft: 8,
   },
-  dimensionalInputs: {
+  computedRow: {
     flexDirection: 'row',
-    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginVertical: 10,
   },
-  dimensionalInput: {
-    flex: 1,
-    marginHorizontal: 5,
+  toleranceText: {
+    fontSize: 12,
+    marginHorizontal: 12,
+    marginBottom: 5,
+  },
+  typeChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  typeChip: {
+    margin: 4,
   },
   gradeContainer: {
     flexDirection: 'row',
@@ -18,15 +18,21 @@ import {
 } from 'react-native-paper';
 import {MaterialIcons} from '@expo/vector-icons';
 import {inventoryService} from '../services/InventoryService';
+import {fittingTypeRegistry} from '../services/FittingTypeRegistry';
+import {usePermissions} from '../hooks/usePermissions';
 
 const InventoryScreen = ({navigation}) => {
+  const {can} = usePermissions();
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedFilter, setSelectedFilter] = useState('All');
   const [inventoryData, setInventoryData] = useState([]);
   const [loading, setLoading] = useState(true);
   const [sortBy, setSortBy] = useState('date');
 
-  const filters = ['All', 'Rail Clips', 'Liners', 'Rail Pads', 'Sleepers'];
+  const filters = [
+    {label: 'All', value: 'All'},
+    ...fittingTypeRegistry.getAll().map(entry => ({label: entry.pluralName, value: entry.name})),
+  ];
 
   useEffect(() => {
     loadInventoryData();
@@ -135,12 +141,12 @@ const InventoryScreen = ({navigation}) => {
           style={styles.filterContainer}>
           {filters.map((filter) => (
             <Chip
-              key={filter}
-              selected={selectedFilter === filter}
-              onPress={() => setSelectedFilter(filter)}
+              key={filter.value}
+              selected={selectedFilter === filter.value}
+              onPress={() => setSelectedFilter(filter.value)}
               style={styles.filterChip}
-              mode={selectedFilter === filter ? 'flat' : 'outlined'}>
-              {filter}
+              mode={selectedFilter === filter.value ? 'flat' : 'outlined'}>
+              {filter.label}
             </Chip>
           ))}
         </ScrollView>
@@ -149,7 +155,18 @@ const InventoryScreen = ({navigation}) => {
       {/* Summary Stats */}
       <Card style={styles.summaryCard}>
         <Card.Content>
-          <Title>Inventory Summary</Title>
+          <View style={styles.summaryHeader}>
+            <Title>Inventory Summary</Title>
+            {can('canIssueLabels') && (
+              <Button
+                mode="outlined"
+                compact
+                onPress={() => navigation.navigate('LabelGenerator')}
+                icon="qrcode-plus">
+                Issue Labels
+              </Button>
+            )}
+          </View>
           <View style={styles.summaryRow}>
             <View style={styles.summaryItem}>
               <Icon name="inventory-2" size={24} color="#1976D2" />
@@ -239,6 +256,11 @@ const styles = StyleSheet.create({
     margin: 15,
     elevation: 3,
   },
+  summaryHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
   summaryRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
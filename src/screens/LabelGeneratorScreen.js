@@ -0,0 +1,265 @@
+import React, {useState} from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  Alert,
+  Dimensions,
+} from 'react-native';
+import {
+  Card,
+  Title,
+  Button,
+  TextInput,
+  Chip,
+  HelperText,
+} from 'react-native-paper';
+import {SvgXml} from 'react-native-svg';
+import {labelService} from '../services/LabelService';
+import {fittingTypeRegistry} from '../services/FittingTypeRegistry';
+import {shareFiles} from '../utils/share';
+
+const screenWidth = Dimensions.get('window').width;
+
+const getToday = () => {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${now.getFullYear()}${month}${day}`;
+};
+
+const LabelGeneratorScreen = ({navigation}) => {
+  const [lotData, setLotData] = useState({
+    typeCode: 'RC',
+    lotNumber: '',
+    manufactureDate: getToday(),
+    vendorCode: '',
+    quantity: '24',
+  });
+  const [layoutId, setLayoutId] = useState('A4-3x8');
+  const [sheets, setSheets] = useState([]);
+  const [range, setRange] = useState(null);
+  const [pageIndex, setPageIndex] = useState(0);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const layouts = labelService.getSheetLayouts();
+  const fittingTypes = fittingTypeRegistry.getAll();
+
+  const handleInputChange = (field, value) => {
+    setLotData(prev => ({...prev, [field]: value}));
+    setError('');
+  };
+
+  const generateLabels = async () => {
+    setLoading(true);
+    try {
+      const result = await labelService.generateLotLabels(lotData);
+
+      if (!result.success) {
+        setError(result.error);
+        return;
+      }
+
+      setSheets(labelService.buildSheets(result.labels, layoutId));
+      setRange(result.range);
+      setPageIndex(0);
+    } catch (err) {
+      console.error('Label generation error:', err);
+      setError('Failed to generate labels');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const shareSheets = async () => {
+    const result = await labelService.saveSheets(sheets, lotData);
+
+    if (!result.success) {
+      Alert.alert('Error', result.error);
+      return;
+    }
+
+    await shareFiles({
+      urls: result.paths.map(path => `file://${path}`),
+      type: 'image/svg+xml',
+      title: 'QR Label Sheets',
+    });
+  };
+
+  const previewWidth = screenWidth - 60;
+  const previewHeight = previewWidth * 297 / 210;
+
+  return (
+    <ScrollView style={styles.container}>
+      <Card style={styles.card}>
+        <Card.Content>
+          <Title>New Lot</Title>
+
+          <Text style={styles.sectionTitle}>Fitting Type</Text>
+          <View style={styles.chipRow}>
+            {fittingTypes.map(({code, name}) => (
+              <Chip
+                key={code}
+                selected={lotData.typeCode === code}
+                onPress={() => handleInputChange('typeCode', code)}
+                mode={lotData.typeCode === code ? 'flat' : 'outlined'}
+                style={styles.chip}>
+                {name}
+              </Chip>
+            ))}
+          </View>
+
+          <TextInput
+            label="Lot Number *"
+            value={lotData.lotNumber}
+            onChangeText={(value) => handleInputChange('lotNumber', value)}
+            autoCapitalize="characters"
+            style={styles.input}
+          />
+          <TextInput
+            label="Manufacture Date (YYYYMMDD) *"
+            value={lotData.manufactureDate}
+            onChangeText={(value) => handleInputChange('manufactureDate', value)}
+            keyboardType="numeric"
+            style={styles.input}
+          />
+          <TextInput
+            label="Vendor Code *"
+            value={lotData.vendorCode}
+            onChangeText={(value) => handleInputChange('vendorCode', value)}
+            placeholder="e.g., VND001"
+            autoCapitalize="characters"
+            style={styles.input}
+          />
+          <TextInput
+            label="Number of Labels *"
+            value={lotData.quantity}
+            onChangeText={(value) => handleInputChange('quantity', value)}
+            keyboardType="numeric"
+            style={styles.input}
+          />
+
+          <Text style={styles.sectionTitle}>Sticker Sheet</Text>
+          <View style={styles.chipRow}>
+            {Object.entries(layouts).map(([id, layout]) => (
+              <Chip
+                key={id}
+                selected={layoutId === id}
+                onPress={() => setLayoutId(id)}
+                mode={layoutId === id ? 'flat' : 'outlined'}
+                style={styles.chip}>
+                {layout.name}
+              </Chip>
+            ))}
+          </View>
+
+          <HelperText type="error" visible={!!error}>
+            {error}
+          </HelperText>
+
+          <Button
+            mode="contained"
+            onPress={generateLabels}
+            loading={loading}
+            disabled={loading}
+            icon="qrcode"
+            style={styles.button}>
+            Reserve Serials & Generate
+          </Button>
+        </Card.Content>
+      </Card>
+
+      {sheets.length > 0 && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>Label Sheets</Title>
+            <Text style={styles.rangeText}>
+              Serials {String(range.from).padStart(5, '0')} to {String(range.to).padStart(5, '0')} reserved
+            </Text>
+
+            <View style={styles.preview}>
+              <SvgXml xml={sheets[pageIndex]} width={previewWidth} height={previewHeight} />
+            </View>
+
+            <View style={styles.pager}>
+              <Button
+                mode="text"
+                disabled={pageIndex === 0}
+                onPress={() => setPageIndex(pageIndex - 1)}>
+                Previous
+              </Button>
+              <Text>Page {pageIndex + 1} of {sheets.length}</Text>
+              <Button
+                mode="text"
+                disabled={pageIndex === sheets.length - 1}
+                onPress={() => setPageIndex(pageIndex + 1)}>
+                Next
+              </Button>
+            </View>
+
+            <Button
+              mode="contained"
+              onPress={shareSheets}
+              icon="printer"
+              style={styles.button}>
+              Save / Print Sheets
+            </Button>
+          </Card.Content>
+        </Card>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F5',
+  },
+  card: {
+    margin: 15,
+    elevation: 3,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 15,
+    marginBottom: 10,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  input: {
+    marginVertical: 8,
+  },
+  button: {
+    marginTop: 10,
+  },
+  rangeText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 10,
+  },
+  preview: {
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    backgroundColor: '#FFFFFF',
+  },
+  pager: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+});
+
+export default LabelGeneratorScreen;
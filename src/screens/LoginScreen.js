@@ -16,18 +16,50 @@ import {
   Checkbox,
   HelperText,
   ActivityIndicator,
+  Dialog,
+  Chip,
 } from 'react-native-paper';
+import {Camera} from 'expo-camera';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import {authService} from '../services/AuthService';
+import {offlineAuthService} from '../services/OfflineAuthService';
+import {secureStorageService} from '../services/SecureStorageService';
+import {environmentService} from '../services/EnvironmentService';
+import {useSession} from '../hooks/useSession';
+
+const demoCredentials = environmentService.getDemoCredentials();
 
 const LoginScreen = ({navigation}) => {
   const [formData, setFormData] = useState({
     employeeId: '',
     password: '',
+    pin: '',
     rememberMe: false,
   });
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
+  const [unlockMethod, setUnlockMethod] = useState('password');
+  const [offlineStatus, setOfflineStatus] = useState(null);
+  const [pinSetup, setPinSetup] = useState({visible: false, pin: '', error: '', session: null});
+  const [profiles, setProfiles] = useState([]);
+  const [idCard, setIdCard] = useState(null);
+  const [scanningCard, setScanningCard] = useState(false);
+  const {signIn} = useSession();
+
+  // Whether this employee can sign in offline, and with a PIN
+  React.useEffect(() => {
+    if (!/^IR\d{6}$/.test(formData.employeeId)) {
+      setOfflineStatus(null);
+      setUnlockMethod('password');
+      return;
+    }
+    offlineAuthService.getStatus(formData.employeeId).then(status => {
+      setOfflineStatus(status);
+      if (!status.hasPin) {
+        setUnlockMethod('password');
+      }
+    });
+  }, [formData.employeeId]);
 
   const handleInputChange = (field, value) => {
     setFormData(prev => ({...prev, [field]: value}));
@@ -46,7 +78,11 @@ const LoginScreen = ({navigation}) => {
       newErrors.employeeId = 'Employee ID must be in format IR123456';
     }
 
-    if (!formData.password) {
+    if (unlockMethod === 'pin') {
+      if (!/^\d{4,6}$/.test(formData.pin)) {
+        newErrors.pin = 'PIN must be 4 to 6 digits';
+      }
+    } else if (!formData.password) {
       newErrors.password = 'Password is required';
     } else if (formData.password.length < 6) {
       newErrors.password = 'Password must be at least 6 characters';
@@ -64,22 +100,32 @@ const LoginScreen = ({navigation}) => {
     setLoading(true);
 
     try {
+      if (unlockMethod === 'pin') {
+        const unlocked = await offlineAuthService.unlock(formData.employeeId, formData.pin, 'pin');
+        await completeOfflineLogin(unlocked);
+        return;
+      }
+
       const result = await authService.login({
         employeeId: formData.employeeId,
         password: formData.password,
       });
 
       if (result.success) {
-        // Store auth token
-        await AsyncStorage.setItem('authToken', result.token);
-        await AsyncStorage.setItem('userProfile', JSON.stringify(result.user));
-        
-        if (formData.rememberMe) {
-          await AsyncStorage.setItem('rememberedEmployeeId', formData.employeeId);
-        }
+        await rememberEmployeeId();
+
+        // Keep a verifier so the next sign-in can happen without signal
+        await offlineAuthService.enroll(formData.employeeId, formData.password, result.user, result.token);
 
-        // Navigate to main app
-        navigation.replace('MainTabs');
+        // Signing in swaps this screen for the app, so the PIN offer comes first
+        if (offlineStatus && offlineStatus.hasPin) {
+          await signIn(result.token, result.user);
+        } else {
+          setPinSetup({visible: true, pin: '', error: '', session: result});
+        }
+      } else if (result.offline) {
+        const unlocked = await offlineAuthService.unlock(formData.employeeId, formData.password, 'password');
+        await completeOfflineLogin(unlocked);
       } else {
         Alert.alert('Login Failed', result.error || 'Invalid credentials');
       }
@@ -91,17 +137,52 @@ const LoginScreen = ({navigation}) => {
     }
   };
 
-  const handleForgotPassword = () => {
+  const rememberEmployeeId = async () => {
+    if (formData.rememberMe) {
+      await AsyncStorage.setItem('rememberedEmployeeId', formData.employeeId);
+    }
+  };
+
+  const completeOfflineLogin = async (result) => {
+    if (!result.success) {
+      Alert.alert('Offline Sign-In Failed', result.error);
+      setOfflineStatus(await offlineAuthService.getStatus(formData.employeeId));
+      return;
+    }
+
+    await rememberEmployeeId();
+
     Alert.alert(
-      'Forgot Password',
-      'Please contact your system administrator to reset your password.',
-      [
-        {text: 'Contact IT Support', onPress: () => {}},
-        {text: 'Cancel', style: 'cancel'},
-      ]
+      'Signed In Offline',
+      `There is no network connection. You can work on this device until ${new Date(result.expiresAt).toLocaleString('en-IN')}; your session will be confirmed with the server once the network is back.`,
+      [{text: 'OK', onPress: () => signIn(result.token, result.user)}],
+      {cancelable: false},
     );
   };
 
+  const savePin = async () => {
+    const result = await offlineAuthService.setPin(formData.employeeId, pinSetup.pin);
+    if (!result.success) {
+      setPinSetup(prev => ({...prev, error: result.error}));
+      return;
+    }
+    await finishPinSetup();
+  };
+
+  const skipPinSetup = async () => {
+    await finishPinSetup();
+  };
+
+  const finishPinSetup = async () => {
+    const {session} = pinSetup;
+    setPinSetup({visible: false, pin: '', error: '', session: null});
+    await signIn(session.token, session.user);
+  };
+
+  const handleForgotPassword = () => {
+    navigation.navigate('ForgotPassword', {employeeId: formData.employeeId});
+  };
+
   const loadRememberedCredentials = async () => {
     try {
       const rememberedId = await AsyncStorage.getItem('rememberedEmployeeId');
@@ -119,8 +200,54 @@ const LoginScreen = ({navigation}) => {
 
   React.useEffect(() => {
     loadRememberedCredentials();
+    secureStorageService.listProfiles().then(setProfiles);
   }, []);
 
+  // Picking a user who already works on this tablet, or scanning their ID
+  // card, goes straight to their PIN
+  const fillEmployeeId = async (employeeId) => {
+    handleInputChange('employeeId', employeeId);
+    const status = await offlineAuthService.getStatus(employeeId);
+    if (status.hasPin && !status.expired) {
+      setUnlockMethod('pin');
+    }
+  };
+
+  const selectProfile = async (profile) => {
+    await fillEmployeeId(profile.employeeId);
+  };
+
+  const startCardScan = async () => {
+    const {status} = await Camera.requestCameraPermissionsAsync();
+    if (status !== 'granted') {
+      Alert.alert('Camera Permission', 'Camera access is needed to scan your ID card.');
+      return;
+    }
+    setScanningCard(true);
+  };
+
+  const onCardScanned = async (scanResult) => {
+    setScanningCard(false);
+    setLoading(true);
+    try {
+      const result = await authService.verifyIdCard(scanResult.data);
+      if (!result.success) {
+        Alert.alert('ID Card Rejected', result.error);
+        return;
+      }
+      // The employee ID now comes from the card and cannot be edited
+      setIdCard({cardId: result.cardId});
+      await fillEmployeeId(result.employeeId);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const clearIdCard = () => {
+    setIdCard(null);
+    handleInputChange('employeeId', '');
+  };
+
   return (
     <KeyboardAvoidingView 
       style={styles.container}
@@ -145,6 +272,22 @@ const LoginScreen = ({navigation}) => {
             Enter your credentials to access the system
           </Text>
 
+          {profiles.length > 0 && (
+            <View style={styles.profileRow}>
+              {profiles.map(profile => (
+                <Chip
+                  key={profile.employeeId}
+                  icon="account"
+                  selected={formData.employeeId === profile.employeeId}
+                  onPress={() => selectProfile(profile)}
+                  disabled={loading || !!idCard}
+                  style={styles.profileChip}>
+                  {profile.name || profile.employeeId}
+                </Chip>
+              ))}
+            </View>
+          )}
+
           <TextInput
             label="Employee ID"
             value={formData.employeeId}
@@ -153,29 +296,95 @@ const LoginScreen = ({navigation}) => {
             style={styles.input}
             placeholder="e.g., IR123456"
             error={!!errors.employeeId}
-            disabled={loading}
+            disabled={loading || !!idCard}
             autoCapitalize="characters"
             left={<TextInput.Icon icon="badge" />}
+            right={idCard
+              ? <TextInput.Icon icon="close" onPress={clearIdCard} />
+              : <TextInput.Icon icon="card-account-details-outline" onPress={startCardScan} />}
           />
-          <HelperText type="error" visible={!!errors.employeeId}>
-            {errors.employeeId}
+          <HelperText type={idCard ? 'info' : 'error'} visible={!!idCard || !!errors.employeeId}>
+            {idCard ? `From ID card ${idCard.cardId}` : errors.employeeId}
           </HelperText>
 
-          <TextInput
-            label="Password"
-            value={formData.password}
-            onChangeText={(value) => handleInputChange('password', value)}
-            mode="outlined"
-            style={styles.input}
-            placeholder="Enter your password"
-            secureTextEntry
-            error={!!errors.password}
-            disabled={loading}
-            left={<TextInput.Icon icon="lock" />}
-          />
-          <HelperText type="error" visible={!!errors.password}>
-            {errors.password}
-          </HelperText>
+          {scanningCard ? (
+            <View style={styles.cameraContainer}>
+              <Camera
+                style={styles.camera}
+                onBarCodeScanned={onCardScanned}
+                barCodeScannerSettings={{
+                  barCodeTypes: ['qr'],
+                }}
+              />
+              <Button mode="text" onPress={() => setScanningCard(false)}>
+                Cancel Scan
+              </Button>
+            </View>
+          ) : !idCard && (
+            <Button
+              mode="outlined"
+              icon="card-account-details"
+              onPress={startCardScan}
+              disabled={loading}
+              style={styles.scanCardButton}>
+              Scan ID Card
+            </Button>
+          )}
+
+          {unlockMethod === 'pin' ? (
+            <>
+              <TextInput
+                label="Device PIN"
+                value={formData.pin}
+                onChangeText={(value) => handleInputChange('pin', value)}
+                mode="outlined"
+                style={styles.input}
+                placeholder="4 to 6 digits"
+                keyboardType="number-pad"
+                maxLength={6}
+                secureTextEntry
+                error={!!errors.pin}
+                disabled={loading}
+                left={<TextInput.Icon icon="dialpad" />}
+              />
+              <HelperText type="error" visible={!!errors.pin}>
+                {errors.pin}
+              </HelperText>
+            </>
+          ) : (
+            <>
+              <TextInput
+                label="Password"
+                value={formData.password}
+                onChangeText={(value) => handleInputChange('password', value)}
+                mode="outlined"
+                style={styles.input}
+                placeholder="Enter your password"
+                secureTextEntry
+                error={!!errors.password}
+                disabled={loading}
+                left={<TextInput.Icon icon="lock" />}
+              />
+              <HelperText type="error" visible={!!errors.password}>
+                {errors.password}
+              </HelperText>
+            </>
+          )}
+
+          {offlineStatus && offlineStatus.hasPin && !offlineStatus.expired && (
+            <Button
+              mode="text"
+              compact
+              onPress={() => setUnlockMethod(unlockMethod === 'pin' ? 'password' : 'pin')}
+              disabled={loading}>
+              {unlockMethod === 'pin' ? 'Use password instead' : 'Unlock with PIN'}
+            </Button>
+          )}
+          {offlineStatus && offlineStatus.lockedUntil && (
+            <Text style={styles.offlineNote}>
+              Offline sign-in locked until {new Date(offlineStatus.lockedUntil).toLocaleTimeString('en-IN')}
+            </Text>
+          )}
 
           <View style={styles.checkboxContainer}>
             <Checkbox
@@ -214,26 +423,55 @@ const LoginScreen = ({navigation}) => {
       </View>
 
       {/* Demo Credentials Helper */}
-      <Card style={styles.demoCard}>
-        <Card.Content>
-          <Text style={styles.demoTitle}>Demo Credentials:</Text>
-          <Text style={styles.demoText}>Employee ID: IR123456</Text>
-          <Text style={styles.demoText}>Password: demo123</Text>
-          <Button
+      {demoCredentials && (
+        <Card style={styles.demoCard}>
+          <Card.Content>
+            <Text style={styles.demoTitle}>Demo Credentials:</Text>
+            <Text style={styles.demoText}>Employee ID: {demoCredentials.employeeId}</Text>
+            <Text style={styles.demoText}>Password: {demoCredentials.password}</Text>
+            <Button
+              mode="outlined"
+              onPress={() => {
+                setFormData({
+                  employeeId: demoCredentials.employeeId,
+                  password: demoCredentials.password,
+                  pin: '',
+                  rememberMe: false,
+                });
+              }}
+              style={styles.demoButton}
+              compact>
+              Use Demo Credentials
+            </Button>
+          </Card.Content>
+        </Card>
+      )}
+
+      <Dialog visible={pinSetup.visible} onDismiss={skipPinSetup}>
+        <Dialog.Title>Set Up Offline PIN</Dialog.Title>
+        <Dialog.Content>
+          <Text>
+            Use a 4 to 6 digit PIN to sign in on this device when there is no network.
+          </Text>
+          <TextInput
+            label="PIN"
+            value={pinSetup.pin}
+            onChangeText={(value) => setPinSetup(prev => ({...prev, pin: value, error: ''}))}
             mode="outlined"
-            onPress={() => {
-              setFormData({
-                employeeId: 'IR123456',
-                password: 'demo123',
-                rememberMe: false,
-              });
-            }}
-            style={styles.demoButton}
-            compact>
-            Use Demo Credentials
-          </Button>
-        </Card.Content>
-      </Card>
+            keyboardType="number-pad"
+            maxLength={6}
+            secureTextEntry
+            style={styles.input}
+          />
+          <HelperText type="error" visible={!!pinSetup.error}>
+            {pinSetup.error}
+          </HelperText>
+        </Dialog.Content>
+        <Dialog.Actions>
+          <Button onPress={skipPinSetup}>Skip</Button>
+          <Button onPress={savePin}>Save PIN</Button>
+        </Dialog.Actions>
+      </Dialog>
     </KeyboardAvoidingView>
   );
 };
@@ -300,6 +538,26 @@ const styles = StyleSheet.create({
   input: {
     marginBottom: 5,
   },
+  cameraContainer: {
+    marginBottom: 10,
+  },
+  camera: {
+    height: 220,
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+  scanCardButton: {
+    marginBottom: 10,
+  },
+  profileRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 10,
+  },
+  profileChip: {
+    marginRight: 6,
+    marginBottom: 6,
+  },
   checkboxContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -320,6 +578,12 @@ const styles = StyleSheet.create({
   forgotButton: {
     marginTop: 10,
   },
+  offlineNote: {
+    fontSize: 12,
+    color: '#F44336',
+    textAlign: 'center',
+    marginTop: 5,
+  },
   footer: {
     alignItems: 'center',
     paddingBottom: 20,
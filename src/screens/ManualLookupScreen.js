@@ -0,0 +1,233 @@
+import React, {useState} from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  Alert,
+  TouchableOpacity,
+} from 'react-native';
+import {
+  Card,
+  Title,
+  Paragraph,
+  Button,
+  TextInput,
+  Chip,
+  Divider,
+} from 'react-native-paper';
+import {MaterialIcons} from '@expo/vector-icons';
+import {manualLookupService} from '../services/ManualLookupService';
+import {authService} from '../services/AuthService';
+
+const SEGMENT_LABELS = {
+  typeCode: 'Type',
+  lotNumber: 'Lot',
+  vendorCode: 'Vendor',
+  serialNumber: 'Serial',
+};
+
+const ManualLookupScreen = ({route, navigation}) => {
+  const [input, setInput] = useState(route.params?.initialInput || '');
+  const [results, setResults] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [confirming, setConfirming] = useState(false);
+
+  const search = async () => {
+    setSearching(true);
+    setSelected(null);
+    try {
+      const result = await manualLookupService.search(input);
+      if (result.success) {
+        setResults(result);
+      } else {
+        Alert.alert('Lookup', result.error);
+      }
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const confirmCandidate = async () => {
+    setConfirming(true);
+    try {
+      const user = await authService.getCurrentUser();
+      const parsed = await manualLookupService.confirmCandidate(
+        selected,
+        input,
+        user ? user.employeeId : null,
+      );
+
+      if (!parsed.success) {
+        Alert.alert('Error', parsed.error);
+        return;
+      }
+
+      navigation.navigate('FittingDetails', {
+        fittingData: parsed.data,
+        qrCode: parsed.data.qrCode,
+      });
+    } finally {
+      setConfirming(false);
+    }
+  };
+
+  const formatSources = (sources) => sources
+    .map(source => source === 'history' ? 'scan history' : source)
+    .join(', ');
+
+  return (
+    <ScrollView style={styles.container}>
+      <Card style={styles.card}>
+        <Card.Content>
+          <Title>Identify Damaged Tag</Title>
+          <Paragraph>
+            Type the characters you can read from the tag. Use ? for characters that are missing or unclear.
+          </Paragraph>
+
+          <TextInput
+            label="Readable characters"
+            value={input}
+            onChangeText={setInput}
+            autoCapitalize="characters"
+            autoCorrect={false}
+            placeholder="e.g. RC-LOT12??-2024"
+            style={styles.input}
+          />
+
+          <Button
+            mode="contained"
+            icon="magnify"
+            onPress={search}
+            disabled={searching}
+            loading={searching}
+            style={styles.button}>
+            Find Candidates
+          </Button>
+        </Card.Content>
+      </Card>
+
+      {results && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>Likely Matches</Title>
+            <Text style={styles.searchedText}>
+              {results.candidates.length} of {results.searched} known tags
+            </Text>
+
+            {results.candidates.length === 0 && (
+              <Text style={styles.noDataText}>
+                No close match in local inventory or scan history
+              </Text>
+            )}
+
+            {results.candidates.map((candidate, index) => (
+              <View key={candidate.qrCode}>
+                <TouchableOpacity onPress={() => setSelected(candidate)}>
+                  <View style={[
+                    styles.candidateItem,
+                    selected && selected.qrCode === candidate.qrCode && styles.candidateSelected,
+                  ]}>
+                    <MaterialIcons
+                      name={selected && selected.qrCode === candidate.qrCode ? 'radio-button-checked' : 'radio-button-unchecked'}
+                      size={22}
+                      color="#1976D2"
+                    />
+                    <View style={styles.candidateInfo}>
+                      <Text style={styles.candidateCode}>{candidate.qrCode}</Text>
+                      <Text style={styles.candidateDetail}>
+                        {candidate.distance === 0 ? 'Exact match' : `${candidate.distance} character${candidate.distance === 1 ? '' : 's'} different`}
+                        {' · '}{formatSources(candidate.sources)}
+                      </Text>
+                      {candidate.location && (
+                        <Text style={styles.candidateDetail}>Last known at {candidate.location}</Text>
+                      )}
+                      <View style={styles.segmentRow}>
+                        {candidate.matchedSegments.map(segment => (
+                          <Chip key={segment} compact style={styles.segmentChip}>
+                            {SEGMENT_LABELS[segment]} match
+                          </Chip>
+                        ))}
+                      </View>
+                    </View>
+                  </View>
+                </TouchableOpacity>
+                {index < results.candidates.length - 1 && <Divider />}
+              </View>
+            ))}
+
+            <Button
+              mode="contained"
+              icon="check"
+              onPress={confirmCandidate}
+              disabled={!selected || confirming}
+              loading={confirming}
+              style={styles.button}>
+              Confirm & Open Details
+            </Button>
+          </Card.Content>
+        </Card>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F5',
+  },
+  card: {
+    margin: 15,
+    elevation: 3,
+  },
+  input: {
+    marginTop: 12,
+  },
+  button: {
+    marginTop: 12,
+  },
+  searchedText: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 8,
+  },
+  candidateItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+  },
+  candidateSelected: {
+    backgroundColor: '#E3F2FD',
+  },
+  candidateInfo: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  candidateCode: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  candidateDetail: {
+    fontSize: 12,
+    color: '#666',
+  },
+  segmentRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  segmentChip: {
+    marginRight: 4,
+    marginTop: 4,
+  },
+  noDataText: {
+    textAlign: 'center',
+    color: '#666',
+    fontStyle: 'italic',
+    marginVertical: 20,
+  },
+});
+
+export default ManualLookupScreen;
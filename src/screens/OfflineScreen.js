@@ -19,6 +19,8 @@ import {
 import {MaterialIcons} from '@expo/vector-icons';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { qrService } from '../services/QRService';
+import { masterDataService } from '../services/MasterDataService';
+import { secureStorageService } from '../services/SecureStorageService';
 
 const { width } = Dimensions.get('window');
 
@@ -32,10 +34,12 @@ const OfflineScreen = ({ navigation }) => {
   });
   const [lastSync, setLastSync] = useState(null);
   const [networkStatus, setNetworkStatus] = useState(false);
+  const [masterData, setMasterData] = useState(null);
 
   useEffect(() => {
     checkOfflineStatus();
     loadOfflineData();
+    loadMasterDataStatus();
     checkNetworkStatus();
     
     // Check network status periodically
@@ -55,11 +59,19 @@ const OfflineScreen = ({ navigation }) => {
     }
   };
 
+  const loadMasterDataStatus = async () => {
+    try {
+      setMasterData(await masterDataService.getStatus());
+    } catch (error) {
+      console.error('Error loading master data status:', error);
+    }
+  };
+
   const loadOfflineData = async () => {
     try {
       const [scans, inspections] = await Promise.all([
-        AsyncStorage.getItem('offline_scans'),
-        AsyncStorage.getItem('offline_inspections'),
+        secureStorageService.getItem('offline_scans'),
+        secureStorageService.getItem('offline_inspections'),
       ]);
 
       const scanData = scans ? JSON.parse(scans) : [];
@@ -120,10 +132,16 @@ const OfflineScreen = ({ navigation }) => {
     setSyncStatus('syncing');
 
     try {
+      // Refresh vendors, specifications and prices for offline lookups
+      const masterDataResult = await masterDataService.pullDelta();
+      if (masterDataResult.success) {
+        await loadMasterDataStatus();
+      }
+
       // Load offline data
       const [scans, inspections] = await Promise.all([
-        AsyncStorage.getItem('offline_scans'),
-        AsyncStorage.getItem('offline_inspections'),
+        secureStorageService.getItem('offline_scans'),
+        secureStorageService.getItem('offline_inspections'),
       ]);
 
       const scanData = scans ? JSON.parse(scans) : [];
@@ -160,8 +178,8 @@ const OfflineScreen = ({ navigation }) => {
       // Clear synced data
       if (syncedScans === scanData.length && syncedInspections === inspectionData.length) {
         await Promise.all([
-          AsyncStorage.removeItem('offline_scans'),
-          AsyncStorage.removeItem('offline_inspections'),
+          secureStorageService.removeItem('offline_scans'),
+          secureStorageService.removeItem('offline_inspections'),
         ]);
         
         setOfflineData({
@@ -203,8 +221,8 @@ const OfflineScreen = ({ navigation }) => {
           onPress: async () => {
             try {
               await Promise.all([
-                AsyncStorage.removeItem('offline_scans'),
-                AsyncStorage.removeItem('offline_inspections'),
+                secureStorageService.removeItem('offline_scans'),
+                secureStorageService.removeItem('offline_inspections'),
               ]);
               
               setOfflineData({
@@ -226,8 +244,8 @@ const OfflineScreen = ({ navigation }) => {
   const exportOfflineData = async () => {
     try {
       const [scans, inspections] = await Promise.all([
-        AsyncStorage.getItem('offline_scans'),
-        AsyncStorage.getItem('offline_inspections'),
+        secureStorageService.getItem('offline_scans'),
+        secureStorageService.getItem('offline_inspections'),
       ]);
 
       const exportData = {
@@ -394,6 +412,12 @@ const OfflineScreen = ({ navigation }) => {
       <Card style={styles.card}>
         <Card.Content>
           <Title>Available Offline</Title>
+          {masterData && (
+            <Paragraph>
+              Master data v{masterData.version} ({masterData.vendorCount} vendors, {masterData.typeCount} fitting types)
+              {masterData.source === 'bundle' ? ' - bundled with the app' : ` - updated ${new Date(masterData.updatedAt).toLocaleDateString()}`}
+            </Paragraph>
+          )}
           <View style={styles.featureList}>
             <View style={styles.feature}>
               <Icon name="qr-code-scanner" size={20} color="#4CAF50" />
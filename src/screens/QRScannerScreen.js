@@ -9,18 +9,74 @@ import {
   Platform,
 } from 'react-native';
 import {Camera} from 'expo-camera';
-import {Button, Card, ActivityIndicator} from 'react-native-paper';
+import {
+  Button,
+  Card,
+  ActivityIndicator,
+  Chip,
+  Dialog,
+  Portal,
+  TextInput,
+} from 'react-native-paper';
 import {MaterialIcons} from '@expo/vector-icons';
+import RNFS from 'react-native-fs';
 import {qrService} from '../services/QRService';
 import {trackingService} from '../services/TrackingService';
+import {batchScanService} from '../services/BatchScanService';
+import {authService} from '../services/AuthService';
+import {secureStorageService} from '../services/SecureStorageService';
+import {fittingTypeRegistry} from '../services/FittingTypeRegistry';
+import {usePermissions} from '../hooks/usePermissions';
+import {shareFiles} from '../utils/share';
+
+const BULK_ACTIONS = [
+  {action: 'move', label: 'Move', icon: 'truck-delivery', permission: 'canMoveFittings'},
+  {action: 'receive', label: 'Receive', icon: 'package-down', permission: 'canReceiveStock'},
+  {action: 'install', label: 'Install', icon: 'hammer-wrench', permission: 'canMoveFittings'},
+  {action: 'inspect', label: 'Inspect', icon: 'clipboard-check', permission: 'canInspect'},
+  {action: 'reconcile', label: 'Reconcile', icon: 'clipboard-list', permission: 'canReconcile'},
+  {action: 'export', label: 'Export', icon: 'file-export', permission: 'canExportData'},
+];
+
+const VIBRATION_PATTERNS = {
+  good: 100,
+  invalid: [0, 100, 100, 100],
+  duplicate: 40,
+};
 
 const QRScannerScreen = ({navigation}) => {
+  const {can} = usePermissions();
   const [scanning, setScanning] = useState(true);
   const [flashOn, setFlashOn] = useState(false);
   const [processing, setProcessing] = useState(false);
   const [lastScanned, setLastScanned] = useState(null);
+  const [hasPermission, setHasPermission] = useState(null);
+  const [batchMode, setBatchMode] = useState(false);
+  const [tray, setTray] = useState(batchScanService.getTray());
+  const [actionDialogVisible, setActionDialogVisible] = useState(false);
+  const [bulkLocation, setBulkLocation] = useState('');
+  const [bulkProcessing, setBulkProcessing] = useState(false);
+
+  useEffect(() => {
+    requestCameraPermission();
+  }, []);
+
+  const requestCameraPermission = async () => {
+    try {
+      const {status} = await Camera.requestCameraPermissionsAsync();
+      setHasPermission(status === 'granted');
+    } catch (error) {
+      console.error('Camera permission error:', error);
+      setHasPermission(false);
+    }
+  };
 
   const onBarCodeRead = async (scanResult) => {
+    if (batchMode) {
+      await handleBatchScan(scanResult.data);
+      return;
+    }
+
     if (!scanning || processing) return;
     
     setScanning(false);
@@ -33,12 +89,17 @@ const QRScannerScreen = ({navigation}) => {
       console.log('QR Code scanned:', qrData);
       
       // Parse QR code data
+      const decodeStarted = Date.now();
       const fittingData = await qrService.parseQRCode(qrData);
+
+      // Log scan activity against the current scan session
+      await trackingService.logScanActivity(fittingData.success ? fittingData.data : null, {
+        rawCode: qrData,
+        decodeMs: Date.now() - decodeStarted,
+        error: fittingData.success ? null : fittingData.error,
+      });
       
       if (fittingData.success) {
-        // Log scan activity
-        await trackingService.logScanActivity(fittingData.data);
-        
         // Navigate to fitting details
         navigation.navigate('FittingDetails', {
           fittingData: fittingData.data,
@@ -47,9 +108,10 @@ const QRScannerScreen = ({navigation}) => {
       } else {
         Alert.alert(
           'Invalid QR Code',
-          'This QR code is not recognized as a valid track fitting code.',
+          `This QR code is not recognized as a valid track fitting code.\n\n${fittingData.error}`,
           [
             {text: 'Try Again', onPress: () => setScanning(true)},
+            {text: 'Enter Manually', onPress: () => navigation.navigate('ManualLookup')},
             {text: 'Cancel', style: 'cancel'},
           ]
         );
@@ -69,6 +131,129 @@ const QRScannerScreen = ({navigation}) => {
     }
   };
 
+  const handleBatchScan = async (qrData) => {
+    try {
+      const result = await batchScanService.addScan(qrData);
+      if (result.status === 'ignored') {
+        return;
+      }
+
+      Vibration.vibrate(VIBRATION_PATTERNS[result.status]);
+      setTray(result.tray);
+    } catch (error) {
+      console.error('Batch scan error:', error);
+    }
+  };
+
+  const toggleBatchMode = () => {
+    if (!batchMode) {
+      setTray(batchScanService.startSession());
+      setBatchMode(true);
+      setScanning(true);
+      return;
+    }
+
+    if (tray.total === 0) {
+      batchScanService.endSession();
+      setBatchMode(false);
+      return;
+    }
+
+    Alert.alert(
+      'Discard Batch',
+      `${tray.total} scanned codes have not been processed. Discard them?`,
+      [
+        {text: 'Keep Scanning', style: 'cancel'},
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: () => {
+            batchScanService.endSession();
+            setTray(batchScanService.getTray());
+            setBatchMode(false);
+          },
+        },
+      ]
+    );
+  };
+
+  const finishBatch = () => {
+    if (tray.good.length === 0) {
+      Alert.alert('Nothing to Process', 'Scan at least one valid code first.');
+      return;
+    }
+    setActionDialogVisible(true);
+  };
+
+  const completeBatch = () => {
+    batchScanService.endSession();
+    setTray(batchScanService.getTray());
+    setBatchMode(false);
+    setActionDialogVisible(false);
+    setBulkLocation('');
+  };
+
+  const runBulkAction = async (action) => {
+    setBulkProcessing(true);
+    try {
+      const user = await authService.getCurrentUser();
+      const result = await batchScanService.applyBulkAction(action, {
+        toLocation: bulkLocation,
+        location: bulkLocation,
+        userId: user ? user.employeeId : null,
+      });
+
+      if (!result.success) {
+        Alert.alert('Bulk Action Failed', result.error);
+        return;
+      }
+
+      if (action === 'inspect') {
+        completeBatch();
+        navigation.navigate('Inspection', {
+          fittingData: result.queue[0],
+          batchQueue: result.queue.slice(1),
+        });
+        return;
+      }
+
+      if (action === 'reconcile') {
+        completeBatch();
+        navigation.navigate('Reconciliation', {
+          items: result.items,
+          batchId: result.batchId,
+        });
+        return;
+      }
+
+      if (action === 'export') {
+        const path = `${await secureStorageService.getUserDirectory()}/${result.filename}`;
+        await RNFS.writeFile(path, result.data, 'utf8');
+        completeBatch();
+        await shareFiles({url: `file://${path}`, type: 'text/csv', title: 'Batch Scan Export'});
+        return;
+      }
+
+      completeBatch();
+      Alert.alert('Batch Processed', `${result.processed} fittings processed.`);
+    } catch (error) {
+      console.error('Bulk action error:', error);
+      Alert.alert('Error', 'Unable to process the batch. Please try again.');
+    } finally {
+      setBulkProcessing(false);
+    }
+  };
+
+  const getTrayStatusIcon = (item) => {
+    if (item.status === 'invalid') {
+      return {name: 'error', color: '#F44336'};
+    }
+    if (item.seenCount > 1) {
+      return {name: 'repeat', color: '#FF9800'};
+    }
+    return {name: 'check-circle', color: '#4CAF50'};
+  };
+
   const toggleFlash = () => {
     setFlashOn(!flashOn);
   };
@@ -78,6 +263,15 @@ const QRScannerScreen = ({navigation}) => {
     setProcessing(false);
   };
 
+  if (!can('canScan')) {
+    return (
+      <View style={styles.permissionContainer}>
+        <MaterialIcons name="block" size={64} color="#ccc" />
+        <Text style={styles.permissionText}>Your role does not include scanning fitting tags</Text>
+      </View>
+    );
+  }
+
   if (hasPermission === null) {
     return (
       <View style={styles.loadingContainer}>
@@ -90,7 +284,7 @@ const QRScannerScreen = ({navigation}) => {
   if (hasPermission === false) {
     return (
       <View style={styles.permissionContainer}>
-        <Icon name="camera-alt" size={64} color="#ccc" />
+        <MaterialIcons name="camera-alt" size={64} color="#ccc" />
         <Text style={styles.permissionText}>Camera permission is required to scan QR codes</Text>
         <Button mode="contained" onPress={requestCameraPermission}>
           Grant Permission
@@ -103,10 +297,10 @@ const QRScannerScreen = ({navigation}) => {
     <View style={styles.container}>
       <Camera
         style={styles.camera}
-        onBarCodeScanned={scanning ? onBarCodeScanned : undefined}
+        onBarCodeScanned={scanning || batchMode ? onBarCodeRead : undefined}
         flashMode={flashOn ? Camera.Constants.FlashMode.torch : Camera.Constants.FlashMode.off}
         barCodeScannerSettings={{
-          barCodeTypes: ['qr', 'pdf417'],
+          barCodeTypes: ['qr', 'pdf417', 'datamatrix'],
         }}>
         
         {/* Scanning overlay */}
@@ -124,9 +318,11 @@ const QRScannerScreen = ({navigation}) => {
           <Card style={styles.instructionsCard}>
             <Card.Content>
               <Text style={styles.instructionsText}>
-                {processing 
-                  ? 'Processing QR Code...' 
-                  : 'Position the QR code within the frame to scan'
+                {batchMode
+                  ? `Batch mode: ${tray.total} codes scanned`
+                  : processing 
+                    ? 'Processing QR Code...' 
+                    : 'Position the QR code within the frame to scan'
                 }
               </Text>
               {processing && <ActivityIndicator animating={true} />}
@@ -137,7 +333,7 @@ const QRScannerScreen = ({navigation}) => {
         {/* Controls */}
         <View style={styles.controlsContainer}>
           <TouchableOpacity style={styles.controlButton} onPress={toggleFlash}>
-            <Icon 
+            <MaterialIcons 
               name={flashOn ? 'flash-off' : 'flash-on'} 
               size={30} 
               color="#FFFFFF" 
@@ -145,32 +341,134 @@ const QRScannerScreen = ({navigation}) => {
             <Text style={styles.controlText}>Flash</Text>
           </TouchableOpacity>
 
+          <TouchableOpacity
+            style={[styles.controlButton, batchMode && styles.controlButtonActive]}
+            onPress={toggleBatchMode}>
+            <MaterialIcons name="playlist-add-check" size={30} color="#FFFFFF" />
+            <Text style={styles.controlText}>Batch</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.controlButton}
+            onPress={() => navigation.navigate('CodeImport')}>
+            <MaterialIcons name="photo-library" size={30} color="#FFFFFF" />
+            <Text style={styles.controlText}>Import</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.controlButton}
+            onPress={() => navigation.navigate('ManualLookup')}>
+            <MaterialIcons name="keyboard" size={30} color="#FFFFFF" />
+            <Text style={styles.controlText}>Manual</Text>
+          </TouchableOpacity>
+
           <TouchableOpacity 
             style={styles.controlButton} 
             onPress={() => navigation.navigate('Offline')}>
-            <Icon name="cloud-off" size={30} color="#FFFFFF" />
+            <MaterialIcons name="cloud-off" size={30} color="#FFFFFF" />
             <Text style={styles.controlText}>Offline</Text>
           </TouchableOpacity>
 
           <TouchableOpacity 
             style={styles.controlButton} 
             onPress={() => navigation.navigate('Inventory')}>
-            <Icon name="inventory" size={30} color="#FFFFFF" />
+            <MaterialIcons name="inventory" size={30} color="#FFFFFF" />
             <Text style={styles.controlText}>Inventory</Text>
           </TouchableOpacity>
         </View>
       </Camera>
 
-      {/* Sample QR Formats Info */}
-      <Card style={styles.infoCard}>
-        <Card.Content>
-          <Text style={styles.infoTitle}>Supported QR Code Formats:</Text>
-          <Text style={styles.infoText}>• Rail Clips: RC-[LOT]-[DATE]-[VENDOR]</Text>
-          <Text style={styles.infoText}>• Liners: LN-[LOT]-[DATE]-[VENDOR]</Text>
-          <Text style={styles.infoText}>• Rail Pads: RP-[LOT]-[DATE]-[VENDOR]</Text>
-          <Text style={styles.infoText}>• Sleepers: SL-[LOT]-[DATE]-[VENDOR]</Text>
-        </Card.Content>
-      </Card>
+      {batchMode ? (
+        /* Batch tray */
+        <Card style={styles.trayCard}>
+          <Card.Content>
+            <View style={styles.trayCounts}>
+              <Chip icon="check-circle" style={styles.trayChip}>Good {tray.good.length}</Chip>
+              <Chip icon="alert-circle" style={styles.trayChip}>Invalid {tray.invalid.length}</Chip>
+              <Chip icon="repeat" style={styles.trayChip}>Seen Again {tray.duplicates.length}</Chip>
+            </View>
+            {[...tray.good, ...tray.invalid]
+              .sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt))
+              .slice(0, 4)
+              .map(item => {
+                const icon = getTrayStatusIcon(item);
+                return (
+                  <View key={item.key} style={styles.trayItem}>
+                    <MaterialIcons name={icon.name} size={18} color={icon.color} />
+                    <Text style={styles.trayItemText} numberOfLines={1}>
+                      {item.fittingData ? item.fittingData.qrCode : item.rawCode}
+                      {item.seenCount > 1 ? ` (x${item.seenCount})` : ''}
+                    </Text>
+                  </View>
+                );
+              })}
+            <Button
+              mode="contained"
+              onPress={finishBatch}
+              icon="check-all"
+              style={styles.trayButton}>
+              Finish Batch
+            </Button>
+          </Card.Content>
+        </Card>
+      ) : (
+        /* Sample QR Formats Info */
+        <Card style={styles.infoCard}>
+          <Card.Content>
+            <Text style={styles.infoTitle}>Supported QR Code Formats:</Text>
+            {fittingTypeRegistry.getAll().map(entry => (
+              <Text key={entry.code} style={styles.infoText}>
+                • {entry.pluralName}: {entry.code}-[LOT]-[DATE]-[VENDOR]-[SERIAL]
+              </Text>
+            ))}
+            <Text style={styles.infoText}>
+              • Vendor GS1 labels (QR, PDF417, DataMatrix): (01) GTIN (10) Lot (11) Date (21) Serial
+            </Text>
+          </Card.Content>
+        </Card>
+      )}
+
+      {/* Bulk action picker */}
+      <Portal>
+        <Dialog
+          visible={actionDialogVisible}
+          onDismiss={() => !bulkProcessing && setActionDialogVisible(false)}>
+          <Dialog.Title>Process {tray.good.length} Fittings</Dialog.Title>
+          <Dialog.Content>
+            {tray.invalid.length > 0 && (
+              <Text style={styles.dialogNote}>
+                {tray.invalid.length} invalid codes will be skipped.
+              </Text>
+            )}
+            <TextInput
+              label="Location (for Move / Receive)"
+              value={bulkLocation}
+              onChangeText={setBulkLocation}
+              mode="outlined"
+              disabled={bulkProcessing}
+            />
+            <View style={styles.bulkActions}>
+              {BULK_ACTIONS.filter(({permission}) => can(permission)).map(({action, label, icon}) => (
+                <Button
+                  key={action}
+                  mode="outlined"
+                  icon={icon}
+                  onPress={() => runBulkAction(action)}
+                  disabled={bulkProcessing}
+                  style={styles.bulkActionButton}>
+                  {label}
+                </Button>
+              ))}
+            </View>
+            {bulkProcessing && <ActivityIndicator animating={true} />}
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setActionDialogVisible(false)} disabled={bulkProcessing}>
+              Cancel
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
     </View>
   );
 };
@@ -263,6 +561,9 @@ const styles = StyleSheet.create({
     borderRadius: 50,
     padding: 15,
   },
+  controlButtonActive: {
+    backgroundColor: 'rgba(25, 118, 210, 0.9)',
+  },
   controlText: {
     color: '#FFFFFF',
     fontSize: 12,
@@ -283,6 +584,46 @@ const styles = StyleSheet.create({
     color: '#333',
     marginBottom: 4,
   },
+  trayCard: {
+    margin: 15,
+    backgroundColor: '#FFFFFF',
+  },
+  trayCounts: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  trayChip: {
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  trayItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  trayItemText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 13,
+    color: '#333',
+  },
+  trayButton: {
+    marginTop: 10,
+  },
+  dialogNote: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 10,
+  },
+  bulkActions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 10,
+  },
+  bulkActionButton: {
+    margin: 4,
+  },
   loadingContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -0,0 +1,159 @@
+import React, {useState, useEffect} from 'react';
+import {View, Text, StyleSheet, KeyboardAvoidingView, Platform} from 'react-native';
+import {Card, Title, TextInput, Button, HelperText} from 'react-native-paper';
+import {authService} from '../services/AuthService';
+import {offlineAuthService} from '../services/OfflineAuthService';
+import {useSession} from '../hooks/useSession';
+
+// Shown over the app when the session ends while the user is working. The
+// screens underneath stay mounted, so a half-filled inspection is still
+// there once the same user has signed in again.
+const ReauthScreen = () => {
+  const {user, signIn, switchUser} = useSession();
+  const [secret, setSecret] = useState('');
+  const [unlockMethod, setUnlockMethod] = useState('password');
+  const [offlineStatus, setOfflineStatus] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    offlineAuthService.getStatus(user.employeeId)
+      .then(setOfflineStatus)
+      .catch(error => console.error('Offline status load error:', error));
+  }, [user.employeeId]);
+
+  const handleSignIn = async () => {
+    if (!secret) {
+      setError(unlockMethod === 'pin' ? 'PIN is required' : 'Password is required');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    try {
+      let result;
+      if (unlockMethod === 'pin') {
+        result = await offlineAuthService.unlock(user.employeeId, secret, 'pin');
+      } else {
+        result = await authService.login({employeeId: user.employeeId, password: secret});
+        if (result.success) {
+          await offlineAuthService.enroll(user.employeeId, secret, result.user, result.token);
+        } else if (result.offline) {
+          result = await offlineAuthService.unlock(user.employeeId, secret, 'password');
+        }
+      }
+
+      if (!result.success) {
+        setError(result.error || 'Sign-in failed');
+        setOfflineStatus(await offlineAuthService.getStatus(user.employeeId));
+        return;
+      }
+
+      setSecret('');
+      await signIn(result.token, result.user);
+    } catch (err) {
+      console.error('Re-authentication error:', err);
+      setError('Sign-in failed. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const canUsePin = offlineStatus && offlineStatus.hasPin && !offlineStatus.expired;
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}>
+      <Card style={styles.card}>
+        <Card.Content>
+          <Title style={styles.title}>Session Expired</Title>
+          <Text style={styles.subtitle}>
+            Sign in again as {user.name || user.employeeId} to carry on. Unsaved work on this
+            device has been kept.
+          </Text>
+
+          <TextInput
+            label={unlockMethod === 'pin' ? 'Device PIN' : 'Password'}
+            value={secret}
+            onChangeText={value => {
+              setSecret(value);
+              setError('');
+            }}
+            mode="outlined"
+            secureTextEntry
+            keyboardType={unlockMethod === 'pin' ? 'number-pad' : 'default'}
+            maxLength={unlockMethod === 'pin' ? 6 : undefined}
+            error={!!error}
+            disabled={loading}
+            left={<TextInput.Icon icon={unlockMethod === 'pin' ? 'dialpad' : 'lock'} />}
+          />
+          <HelperText type="error" visible={!!error}>
+            {error}
+          </HelperText>
+
+          {canUsePin && (
+            <Button
+              mode="text"
+              compact
+              onPress={() => {
+                setUnlockMethod(unlockMethod === 'pin' ? 'password' : 'pin');
+                setSecret('');
+                setError('');
+              }}
+              disabled={loading}>
+              {unlockMethod === 'pin' ? 'Use password instead' : 'Unlock with PIN'}
+            </Button>
+          )}
+
+          <Button
+            mode="contained"
+            onPress={handleSignIn}
+            loading={loading}
+            disabled={loading}
+            style={styles.button}>
+            Sign In
+          </Button>
+          <View style={styles.switchRow}>
+            <Button mode="text" onPress={switchUser} disabled={loading}>
+              Sign in as someone else
+            </Button>
+          </View>
+        </Card.Content>
+      </Card>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    paddingHorizontal: 20,
+  },
+  card: {
+    elevation: 8,
+    borderRadius: 12,
+  },
+  title: {
+    color: '#1976D2',
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: 15,
+  },
+  button: {
+    marginTop: 10,
+    borderRadius: 8,
+  },
+  switchRow: {
+    alignItems: 'center',
+    marginTop: 5,
+  },
+});
+
+export default ReauthScreen;
@@ -0,0 +1,348 @@
+import React, {useState} from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import {
+  Card,
+  Title,
+  Paragraph,
+  Button,
+  TextInput,
+  Chip,
+  DataTable,
+} from 'react-native-paper';
+import RNFS from 'react-native-fs';
+import {reconciliationService, RECONCILIATION_CATEGORIES} from '../services/ReconciliationService';
+import {reportsService} from '../services/ReportsService';
+import {inventoryService} from '../services/InventoryService';
+import {authService} from '../services/AuthService';
+import {secureStorageService} from '../services/SecureStorageService';
+import {usePermissions} from '../hooks/usePermissions';
+import {shareFiles} from '../utils/share';
+
+const CATEGORY_LABELS = {
+  [RECONCILIATION_CATEGORIES.MATCHED]: 'Matched',
+  [RECONCILIATION_CATEGORIES.SHORTAGE]: 'Shortage',
+  [RECONCILIATION_CATEGORIES.EXCESS]: 'Excess',
+  [RECONCILIATION_CATEGORIES.MISMATCHED_LOT]: 'Wrong Lot',
+};
+
+const ReconciliationScreen = ({route, navigation}) => {
+  const {items = [], batchId = null} = route.params || {};
+  const {can} = usePermissions();
+  const [challan, setChallan] = useState(null);
+  const [importErrors, setImportErrors] = useState([]);
+  const [consignmentId, setConsignmentId] = useState('');
+  const [report, setReport] = useState(null);
+  const [location, setLocation] = useState('');
+  const [receipt, setReceipt] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const applyChallan = (result) => {
+    if (result.success) {
+      setChallan(result.challan);
+      setImportErrors(result.errors);
+      setReport(null);
+      setReceipt(null);
+    } else if (!result.cancelled) {
+      Alert.alert('Challan Not Loaded', result.error);
+    }
+  };
+
+  const importChallan = async () => {
+    setLoading(true);
+    try {
+      applyChallan(await reconciliationService.pickChallanFile());
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchConsignment = async () => {
+    if (!consignmentId.trim()) {
+      Alert.alert('Error', 'Enter the consignment ID from UDM');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      applyChallan(await reconciliationService.fetchConsignment(consignmentId.trim()));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runReconciliation = async () => {
+    setLoading(true);
+    try {
+      const result = await reconciliationService.reconcile(challan, items);
+      if (result.success) {
+        setReport(result.report);
+      } else {
+        Alert.alert('Error', result.error);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const exportReport = async () => {
+    const result = await reportsService.exportReport(report.id, 'csv');
+    if (!result.success) {
+      Alert.alert('Export Failed', result.error);
+      return;
+    }
+
+    const path = `${await secureStorageService.getUserDirectory()}/${result.filename}`;
+    await RNFS.writeFile(path, result.data, 'utf8');
+    await shareFiles({url: `file://${path}`, type: 'text/csv', title: report.title});
+  };
+
+  const receiveAndAttach = async () => {
+    if (!location.trim()) {
+      Alert.alert('Error', 'Enter the receiving location');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const user = await authService.getCurrentUser();
+      const received = await inventoryService.receiveItems(items, {
+        location: location.trim(),
+        userId: user ? user.employeeId : null,
+        batchId,
+      });
+      if (!received.success) {
+        Alert.alert('Error', received.error);
+        return;
+      }
+
+      const attached = await inventoryService.attachReconciliation(received.receipt.id, report);
+      if (!attached.success) {
+        Alert.alert('Error', attached.error);
+        return;
+      }
+
+      setReceipt(attached.receipt);
+      Alert.alert('Consignment Received', `${items.length} fittings received with reconciliation ${report.summary.status === 'clean' ? '(no discrepancies)' : '(discrepancies recorded)'}.`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getCategoryColor = (category) => {
+    switch (category) {
+      case RECONCILIATION_CATEGORIES.MATCHED: return '#4CAF50';
+      case RECONCILIATION_CATEGORIES.SHORTAGE: return '#F44336';
+      case RECONCILIATION_CATEGORIES.EXCESS: return '#FF9800';
+      default: return '#9C27B0';
+    }
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <Card style={styles.card}>
+        <Card.Content>
+          <Title>Expected Consignment</Title>
+          <Paragraph>{items.length} scanned fittings to check against the delivery challan.</Paragraph>
+
+          <Button
+            mode="outlined"
+            icon="file-upload"
+            onPress={importChallan}
+            disabled={loading}
+            style={styles.button}>
+            Import Challan (CSV/JSON)
+          </Button>
+
+          <TextInput
+            label="UDM Consignment ID"
+            value={consignmentId}
+            onChangeText={setConsignmentId}
+            style={styles.input}
+          />
+          <Button
+            mode="outlined"
+            icon="cloud-download"
+            onPress={fetchConsignment}
+            disabled={loading}
+            style={styles.button}>
+            Fetch from UDM
+          </Button>
+
+          {challan && (
+            <View style={styles.challanInfo}>
+              <Text style={styles.challanTitle}>Challan {challan.challanNumber}</Text>
+              <Text style={styles.challanDetail}>
+                {challan.lots.length} lots · {challan.lots.reduce((total, lot) => total + lot.quantity, 0)} fittings
+                {challan.vendorCode ? ` · ${challan.vendorCode}` : ''}
+                {challan.poNumber ? ` · PO ${challan.poNumber}` : ''}
+              </Text>
+              {importErrors.map(error => (
+                <Text key={error.row} style={styles.errorText}>Row {error.row}: {error.message}</Text>
+              ))}
+            </View>
+          )}
+
+          <Button
+            mode="contained"
+            icon="clipboard-check"
+            onPress={runReconciliation}
+            disabled={!challan || loading}
+            loading={loading}
+            style={styles.button}>
+            Reconcile
+          </Button>
+        </Card.Content>
+      </Card>
+
+      {report && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>Reconciliation Report</Title>
+            <View style={styles.summaryRow}>
+              <Chip style={styles.summaryChip}>Expected {report.summary.expected}</Chip>
+              <Chip style={styles.summaryChip}>Scanned {report.summary.scanned}</Chip>
+              <Chip style={styles.summaryChip}>Matched {report.summary.matched}</Chip>
+              <Chip style={styles.summaryChip}>Shortage {report.summary.shortage}</Chip>
+              <Chip style={styles.summaryChip}>Excess {report.summary.excess}</Chip>
+              <Chip style={styles.summaryChip}>Wrong Lot {report.summary.mismatchedLot}</Chip>
+            </View>
+
+            <DataTable>
+              <DataTable.Header>
+                <DataTable.Title>Result</DataTable.Title>
+                <DataTable.Title>Lot</DataTable.Title>
+                <DataTable.Title numeric>Exp.</DataTable.Title>
+                <DataTable.Title numeric>Scan.</DataTable.Title>
+              </DataTable.Header>
+
+              {report.data.map((row, index) => (
+                <View key={`${row.category}_${row.lotNumber}_${row.qrCode}_${index}`}>
+                  <DataTable.Row>
+                    <DataTable.Cell>
+                      <Text style={{color: getCategoryColor(row.category)}}>{CATEGORY_LABELS[row.category]}</Text>
+                    </DataTable.Cell>
+                    <DataTable.Cell>{row.typeCode}-{row.lotNumber}</DataTable.Cell>
+                    <DataTable.Cell numeric>{row.expected}</DataTable.Cell>
+                    <DataTable.Cell numeric>{row.scanned}</DataTable.Cell>
+                  </DataTable.Row>
+                  {(row.qrCode || row.note) ? (
+                    <Text style={styles.rowNote}>{[row.qrCode, row.note].filter(Boolean).join(' · ')}</Text>
+                  ) : null}
+                </View>
+              ))}
+            </DataTable>
+
+            {can('canExportData') && (
+              <Button
+                mode="outlined"
+                icon="file-export"
+                onPress={exportReport}
+                style={styles.button}>
+                Export CSV
+              </Button>
+            )}
+          </Card.Content>
+        </Card>
+      )}
+
+      {report && can('canReceiveStock') && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>Receive Consignment</Title>
+            {receipt ? (
+              <Paragraph>
+                Receipt {receipt.id} recorded at {receipt.location} with report {report.id} attached.
+              </Paragraph>
+            ) : (
+              <>
+                <TextInput
+                  label="Receiving Location"
+                  value={location}
+                  onChangeText={setLocation}
+                  style={styles.input}
+                />
+                <Button
+                  mode="contained"
+                  icon="package-down"
+                  onPress={receiveAndAttach}
+                  disabled={loading}
+                  style={styles.button}>
+                  Receive & Attach Report
+                </Button>
+              </>
+            )}
+            {receipt && (
+              <Button
+                mode="outlined"
+                onPress={() => navigation.navigate('Inventory')}
+                style={styles.button}>
+                View Inventory
+              </Button>
+            )}
+          </Card.Content>
+        </Card>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F5',
+  },
+  card: {
+    margin: 15,
+    elevation: 3,
+  },
+  button: {
+    marginTop: 12,
+  },
+  input: {
+    marginTop: 12,
+  },
+  challanInfo: {
+    marginTop: 15,
+    padding: 10,
+    backgroundColor: '#E3F2FD',
+    borderRadius: 8,
+  },
+  challanTitle: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#1976D2',
+  },
+  challanDetail: {
+    fontSize: 13,
+    color: '#333',
+    marginTop: 2,
+  },
+  errorText: {
+    fontSize: 12,
+    color: '#C62828',
+    marginTop: 4,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginVertical: 8,
+  },
+  summaryChip: {
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  rowNote: {
+    fontSize: 12,
+    color: '#666',
+    paddingHorizontal: 16,
+    paddingBottom: 6,
+  },
+});
+
+export default ReconciliationScreen;
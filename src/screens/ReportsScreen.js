@@ -18,11 +18,13 @@ import {
 import {LineChart, BarChart, PieChart} from 'react-native-chart-kit';
 import {MaterialIcons} from '@expo/vector-icons';
 import {reportsService} from '../services/ReportsService';
+import {usePermissions} from '../hooks/usePermissions';
 
 const screenWidth = Dimensions.get('window').width;
 
 const ReportsScreen = ({navigation}) => {
   const [selectedPeriod, setSelectedPeriod] = useState('month');
+  const {can} = usePermissions();
   const [reportType, setReportType] = useState('quality');
   const [searchQuery, setSearchQuery] = useState('');
   const [reportsData, setReportsData] = useState(null);
@@ -345,75 +347,87 @@ const ReportsScreen = ({navigation}) => {
         </Card.Content>
       </Card>
 
-      {/* Filters */}
-      <Card style={styles.card}>
-        <Card.Content>
-          <Text style={styles.filterTitle}>Report Type</Text>
-          <ScrollView horizontal showsHorizontalScrollIndicator={false}>
-            <View style={styles.chipContainer}>
-              {reportTypes.map((type) => (
-                <Chip
-                  key={type}
-                  selected={reportType === type}
-                  onPress={() => setReportType(type)}
-                  style={styles.chip}
-                  mode={reportType === type ? 'flat' : 'outlined'}>
-                  {type.charAt(0).toUpperCase() + type.slice(1)}
-                </Chip>
-              ))}
-            </View>
-          </ScrollView>
+      {can('canGenerateReports') ? (
+        <>
+          {/* Filters */}
+          <Card style={styles.card}>
+            <Card.Content>
+              <Text style={styles.filterTitle}>Report Type</Text>
+              <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                <View style={styles.chipContainer}>
+                  {reportTypes.map((type) => (
+                    <Chip
+                      key={type}
+                      selected={reportType === type}
+                      onPress={() => setReportType(type)}
+                      style={styles.chip}
+                      mode={reportType === type ? 'flat' : 'outlined'}>
+                      {type.charAt(0).toUpperCase() + type.slice(1)}
+                    </Chip>
+                  ))}
+                </View>
+              </ScrollView>
 
-          <Text style={styles.filterTitle}>Time Period</Text>
-          <ScrollView horizontal showsHorizontalScrollIndicator={false}>
-            <View style={styles.chipContainer}>
-              {periods.map((period) => (
-                <Chip
-                  key={period}
-                  selected={selectedPeriod === period}
-                  onPress={() => setSelectedPeriod(period)}
-                  style={styles.chip}
-                  mode={selectedPeriod === period ? 'flat' : 'outlined'}>
-                  {period.charAt(0).toUpperCase() + period.slice(1)}
-                </Chip>
-              ))}
-            </View>
-          </ScrollView>
-        </Card.Content>
-      </Card>
+              <Text style={styles.filterTitle}>Time Period</Text>
+              <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                <View style={styles.chipContainer}>
+                  {periods.map((period) => (
+                    <Chip
+                      key={period}
+                      selected={selectedPeriod === period}
+                      onPress={() => setSelectedPeriod(period)}
+                      style={styles.chip}
+                      mode={selectedPeriod === period ? 'flat' : 'outlined'}>
+                      {period.charAt(0).toUpperCase() + period.slice(1)}
+                    </Chip>
+                  ))}
+                </View>
+              </ScrollView>
+            </Card.Content>
+          </Card>
 
-      {/* Report Content */}
-      {renderReportContent()}
+          {/* Report Content */}
+          {renderReportContent()}
+        </>
+      ) : (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Text style={styles.noAccessText}>Your role does not include generating reports.</Text>
+          </Card.Content>
+        </Card>
+      )}
 
       {/* Export Options */}
-      <Card style={styles.card}>
-        <Card.Content>
-          <Title>Export Options</Title>
-          <View style={styles.exportButtons}>
-            <Button 
-              mode="outlined" 
-              onPress={() => {}}
-              icon="download"
-              style={styles.exportButton}>
-              PDF Report
-            </Button>
-            <Button 
-              mode="outlined" 
-              onPress={() => {}}
-              icon="table-chart"
-              style={styles.exportButton}>
-              Excel Export
-            </Button>
-            <Button 
-              mode="contained" 
-              onPress={() => {}}
-              icon="share"
-              style={styles.exportButton}>
-              Share Report
-            </Button>
-          </View>
-        </Card.Content>
-      </Card>
+      {can('canGenerateReports') && can('canExportData') && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>Export Options</Title>
+            <View style={styles.exportButtons}>
+              <Button 
+                mode="outlined" 
+                onPress={() => {}}
+                icon="download"
+                style={styles.exportButton}>
+                PDF Report
+              </Button>
+              <Button 
+                mode="outlined" 
+                onPress={() => {}}
+                icon="table-chart"
+                style={styles.exportButton}>
+                Excel Export
+              </Button>
+              <Button 
+                mode="contained" 
+                onPress={() => {}}
+                icon="share"
+                style={styles.exportButton}>
+                Share Report
+              </Button>
+            </View>
+          </Card.Content>
+        </Card>
+      )}
     </ScrollView>
   );
 };
@@ -437,6 +451,10 @@ const styles = StyleSheet.create({
     margin: 15,
     elevation: 3,
   },
+  noAccessText: {
+    fontSize: 14,
+    color: '#666',
+  },
   filterTitle: {
     fontSize: 16,
     fontWeight: '600',
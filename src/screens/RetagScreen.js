@@ -0,0 +1,207 @@
+import React, {useState} from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import {Camera} from 'expo-camera';
+import {
+  Card,
+  Title,
+  Paragraph,
+  Button,
+  TextInput,
+  RadioButton,
+} from 'react-native-paper';
+import {qrService} from '../services/QRService';
+import {trackingService} from '../services/TrackingService';
+import {authService} from '../services/AuthService';
+import {RETAG_REASONS} from '../services/TagAliasService';
+
+const REASON_LABELS = {
+  damaged: 'Damaged beyond use',
+  faded: 'Faded / worn',
+  missing: 'Missing (fell off)',
+  unreadable: 'Will not scan',
+  wrongly_issued: 'Wrong tag issued',
+};
+
+const RetagScreen = ({route, navigation}) => {
+  const {fittingData} = route.params || {};
+  const [oldCode, setOldCode] = useState(fittingData ? fittingData.qrCode : '');
+  const [newCode, setNewCode] = useState('');
+  const [reason, setReason] = useState('damaged');
+  const [notes, setNotes] = useState('');
+  const [scanning, setScanning] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const startScan = async () => {
+    const {status} = await Camera.requestCameraPermissionsAsync();
+    if (status !== 'granted') {
+      Alert.alert('Camera Permission', 'Camera access is needed to scan the new tag.');
+      return;
+    }
+    setScanning(true);
+  };
+
+  const onNewTagScanned = (scanResult) => {
+    setScanning(false);
+    setNewCode(scanResult.data);
+  };
+
+  const saveRetag = async () => {
+    if (!oldCode.trim() || !newCode.trim()) {
+      Alert.alert('Error', 'Both the old and the new tag are required');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const user = await authService.getCurrentUser();
+      const result = await trackingService.trackRetag({
+        oldCode: oldCode.trim(),
+        newCode: newCode.trim(),
+        reason,
+        notes,
+        userId: user ? user.employeeId : null,
+      });
+
+      if (!result.success) {
+        Alert.alert('Re-tag Failed', result.error);
+        return;
+      }
+
+      const parsed = await qrService.parseQRCode(result.alias.newCode);
+      Alert.alert(
+        'Fitting Re-tagged',
+        `${result.alias.oldCode} has been retired. History now continues under ${result.alias.newCode}.`,
+        [
+          {
+            text: 'OK',
+            onPress: () => {
+              if (parsed.success) {
+                navigation.replace('FittingDetails', {
+                  fittingData: parsed.data,
+                  qrCode: parsed.data.qrCode,
+                });
+              } else {
+                navigation.goBack();
+              }
+            },
+          },
+        ],
+      );
+    } catch (error) {
+      console.error('Re-tag error:', error);
+      Alert.alert('Error', 'Unable to save the re-tag. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <Card style={styles.card}>
+        <Card.Content>
+          <Title>Re-tag Fitting</Title>
+          <Paragraph>
+            Fix a new sticker to the fitting and link it to the old tag so its inspections and movements carry over.
+          </Paragraph>
+
+          <TextInput
+            label="Old Tag *"
+            value={oldCode}
+            onChangeText={setOldCode}
+            autoCapitalize="characters"
+            style={styles.input}
+            right={<TextInput.Icon icon="magnify" onPress={() => navigation.navigate('ManualLookup', {initialInput: oldCode})} />}
+          />
+
+          <TextInput
+            label="New Tag *"
+            value={newCode}
+            onChangeText={setNewCode}
+            autoCapitalize="characters"
+            style={styles.input}
+            right={<TextInput.Icon icon="qrcode-scan" onPress={startScan} />}
+          />
+
+          {scanning && (
+            <View style={styles.cameraContainer}>
+              <Camera
+                style={styles.camera}
+                onBarCodeScanned={onNewTagScanned}
+                barCodeScannerSettings={{
+                  barCodeTypes: ['qr', 'pdf417', 'datamatrix'],
+                }}
+              />
+              <Button mode="text" onPress={() => setScanning(false)}>
+                Cancel Scan
+              </Button>
+            </View>
+          )}
+
+          <Text style={styles.sectionTitle}>Reason</Text>
+          <RadioButton.Group onValueChange={setReason} value={reason}>
+            {RETAG_REASONS.map(item => (
+              <RadioButton.Item key={item} label={REASON_LABELS[item]} value={item} />
+            ))}
+          </RadioButton.Group>
+
+          <TextInput
+            label="Notes"
+            value={notes}
+            onChangeText={setNotes}
+            multiline
+            style={styles.input}
+          />
+
+          <Button
+            mode="contained"
+            icon="tag-arrow-right"
+            onPress={saveRetag}
+            disabled={saving}
+            loading={saving}
+            style={styles.button}>
+            Save Re-tag
+          </Button>
+        </Card.Content>
+      </Card>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F5',
+  },
+  card: {
+    margin: 15,
+    elevation: 3,
+  },
+  input: {
+    marginTop: 12,
+  },
+  button: {
+    marginTop: 12,
+  },
+  cameraContainer: {
+    marginTop: 12,
+  },
+  camera: {
+    height: 250,
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginTop: 15,
+    color: '#333',
+  },
+});
+
+export default RetagScreen;
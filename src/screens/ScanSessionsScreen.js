@@ -0,0 +1,220 @@
+import React, {useState, useEffect} from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  Alert,
+  RefreshControl,
+} from 'react-native';
+import {
+  Card,
+  Title,
+  Paragraph,
+  Button,
+  Chip,
+  Divider,
+} from 'react-native-paper';
+import RNFS from 'react-native-fs';
+import {scanSessionService} from '../services/ScanSessionService';
+import {secureStorageService} from '../services/SecureStorageService';
+import {usePermissions} from '../hooks/usePermissions';
+import {shareFiles} from '../utils/share';
+
+const ScanSessionsScreen = () => {
+  const [sessions, setSessions] = useState([]);
+  const [refreshing, setRefreshing] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const {can} = usePermissions();
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const loadSessions = async () => {
+    setRefreshing(true);
+    try {
+      setSessions(await scanSessionService.listSessions());
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const startSession = async () => {
+    await scanSessionService.startSession();
+    loadSessions();
+  };
+
+  const endSession = async () => {
+    await scanSessionService.endSession();
+    loadSessions();
+  };
+
+  const exportSessions = async (format) => {
+    setExporting(true);
+    try {
+      const result = await scanSessionService.exportSessions(format);
+      if (!result.success) {
+        Alert.alert('Export Failed', result.error);
+        return;
+      }
+
+      const path = `${await secureStorageService.getUserDirectory()}/${result.filename}`;
+      await RNFS.writeFile(path, result.data, 'utf8');
+      await shareFiles({
+        url: `file://${path}`,
+        type: format === 'json' ? 'application/json' : 'text/csv',
+        title: 'Scan Sessions',
+      });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const formatTime = (timestamp) => new Date(timestamp).toLocaleString('en-IN');
+
+  const activeSession = sessions.find(session => session.active);
+  const pastSessions = sessions.filter(session => !session.active);
+
+  const renderSession = (session) => (
+    <View>
+      <Text style={styles.sessionTitle}>
+        {session.operatorName || session.operatorId || 'Unknown operator'} · {session.sectionId || 'No section'}
+      </Text>
+      <Text style={styles.sessionDetail}>
+        {formatTime(session.startedAt)}
+        {session.endedAt ? ` - ${formatTime(session.endedAt)}` : ''} ({session.durationMinutes} min)
+      </Text>
+      <Text style={styles.sessionDetail}>
+        {session.device.platform} {session.device.version}
+        {session.coverage ? ` · km ${session.coverage}` : ''}
+        {session.averageDecodeMs !== null ? ` · ${session.averageDecodeMs} ms avg decode` : ''}
+      </Text>
+      <View style={styles.chipRow}>
+        <Chip compact style={styles.chip}>{session.scanCount} scans</Chip>
+        <Chip compact style={styles.chip}>{session.uniqueFittings} fittings</Chip>
+        <Chip compact style={styles.chip}>{session.outcomes.invalid} invalid</Chip>
+        <Chip compact style={styles.chip}>{session.outcomes.duplicate} repeats</Chip>
+      </View>
+    </View>
+  );
+
+  return (
+    <ScrollView
+      style={styles.container}
+      refreshControl={<RefreshControl refreshing={refreshing} onRefresh={loadSessions} />}>
+      <Card style={styles.card}>
+        <Card.Content>
+          <Title>Current Session</Title>
+          {activeSession ? (
+            <>
+              {renderSession(activeSession)}
+              <Button mode="outlined" icon="stop" onPress={endSession} style={styles.button}>
+                End Session
+              </Button>
+            </>
+          ) : (
+            <>
+              <Paragraph>No session is open. One starts automatically with the next scan.</Paragraph>
+              <Button mode="contained" icon="play" onPress={startSession} style={styles.button}>
+                Start Session
+              </Button>
+            </>
+          )}
+        </Card.Content>
+      </Card>
+
+      <Card style={styles.card}>
+        <Card.Content>
+          <Title>Past Sessions</Title>
+          {pastSessions.length === 0 && (
+            <Text style={styles.noDataText}>No completed sessions yet</Text>
+          )}
+          {pastSessions.map((session, index) => (
+            <View key={session.id} style={styles.sessionItem}>
+              {renderSession(session)}
+              {index < pastSessions.length - 1 && <Divider style={styles.divider} />}
+            </View>
+          ))}
+
+          {can('canExportData') && (
+            <View style={styles.buttonRow}>
+              <Button
+                mode="outlined"
+                icon="file-export"
+                onPress={() => exportSessions('csv')}
+                disabled={exporting || sessions.length === 0}
+                style={styles.actionButton}>
+                Export CSV
+              </Button>
+              <Button
+                mode="outlined"
+                icon="code-json"
+                onPress={() => exportSessions('json')}
+                disabled={exporting || sessions.length === 0}
+                style={styles.actionButton}>
+                Export JSON
+              </Button>
+            </View>
+          )}
+        </Card.Content>
+      </Card>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F5',
+  },
+  card: {
+    margin: 15,
+    elevation: 3,
+  },
+  button: {
+    marginTop: 12,
+  },
+  sessionItem: {
+    marginVertical: 6,
+  },
+  sessionTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  sessionDetail: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 6,
+  },
+  chip: {
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  divider: {
+    marginTop: 10,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 12,
+  },
+  actionButton: {
+    flex: 1,
+    marginHorizontal: 5,
+  },
+  noDataText: {
+    textAlign: 'center',
+    color: '#666',
+    fontStyle: 'italic',
+    marginVertical: 20,
+  },
+});
+
+export default ScanSessionsScreen;
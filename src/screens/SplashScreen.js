@@ -0,0 +1,56 @@
+import React from 'react';
+import {View, Text, StyleSheet} from 'react-native';
+import {ActivityIndicator} from 'react-native-paper';
+
+// Shown while the stored session, master data and pending device commands
+// are checked at launch
+const SplashScreen = () => {
+  return (
+    <View style={styles.container}>
+      <View style={styles.logoPlaceholder}>
+        <Text style={styles.logoText}>IR</Text>
+      </View>
+      <Text style={styles.titleText}>Indian Railways</Text>
+      <Text style={styles.subtitleText}>Track Fittings Management System</Text>
+      <ActivityIndicator color="#FFFFFF" style={styles.spinner} />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#1976D2',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  logoPlaceholder: {
+    width: 80,
+    height: 80,
+    borderRadius: 40,
+    backgroundColor: '#FFFFFF',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  logoText: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: '#1976D2',
+  },
+  titleText: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+  },
+  subtitleText: {
+    fontSize: 16,
+    color: '#BBDEFB',
+    marginTop: 5,
+  },
+  spinner: {
+    marginTop: 30,
+  },
+});
+
+export default SplashScreen;
@@ -1,23 +1,68 @@
-import axios from 'axios';
+import {httpClient} from './HttpClient';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import {fittingTypeRegistry} from './FittingTypeRegistry';
+import {qrCodec} from './QRCodec';
+import {qrService} from './QRService';
+import {inspectionService} from './InspectionService';
+import {tagAliasService} from './TagAliasService';
+import {environmentService} from './EnvironmentService';
 
 class AIService {
   constructor() {
-    this.aiEndpoint = 'https://api.railway-ai.gov.in/v1/analyze';
+    this.aiEndpoint = environmentService.getEndpoint('ai');
   }
 
   async analyzeFitting(fittingData) {
+    const lifecycleData = await this.withLifecycle(fittingData);
     try {
       // Simulate AI analysis with realistic data
-      const analysis = await this.performAnalysis(fittingData);
+      const analysis = await this.performAnalysis(lifecycleData);
       return analysis;
     } catch (error) {
       console.error('AI analysis error:', error);
-      // Return mock analysis for demo
-      return this.getMockAnalysis(fittingData);
+      // Demo builds show an estimate from local data; elsewhere the caller
+      // reports that the analysis is unavailable
+      if (environmentService.allowsMockFallback()) {
+        return this.getMockAnalysis(lifecycleData);
+      }
+      throw error;
     }
   }
 
+  // A re-tagged fitting is analysed over its whole life: age runs from the
+  // original sticker and inspections under retired stickers are included
+  async withLifecycle(fittingData) {
+    try {
+      const lineage = await tagAliasService.getLineage(fittingData.qrCode);
+      if (lineage.chain.length < 2) {
+        return fittingData;
+      }
+
+      let inspectionHistory = fittingData.inspectionHistory || [];
+      // Offline details are built from local history, which already follows the chain
+      if (fittingData.dataSource !== 'offline') {
+        for (const code of lineage.chain.filter(item => item !== fittingData.qrCode)) {
+          const retired = await inspectionService.getHistorySummary(code, {followAliases: false});
+          inspectionHistory = [...inspectionHistory, ...retired];
+        }
+      }
+
+      return {
+        ...fittingData,
+        supplyDate: qrService.formatDate(qrCodec.decode(lineage.original).fields.manufactureDate),
+        inspectionHistory,
+      };
+    } catch (error) {
+      console.warn('Lifecycle lookup error:', error);
+      return fittingData;
+    }
+  }
+
+  async performAnalysis(fittingData) {
+    const response = await httpClient.post(this.aiEndpoint, {fittingData});
+    return response.data;
+  }
+
   getMockAnalysis(fittingData) {
     const baseScore = this.calculateBaseScore(fittingData);
     const riskFactors = this.identifyRiskFactors(fittingData);
@@ -147,13 +192,7 @@ class AIService {
   }
 
   getBaseLifeExpectancy(typeCode) {
-    const lifespans = {
-      RC: 2555, // 7 years in days
-      LN: 3650, // 10 years in days
-      RP: 1825, // 5 years in days
-      SL: 10950, // 30 years in days
-    };
-    return lifespans[typeCode] || 2555;
+    return fittingTypeRegistry.getDesignLifeDays(typeCode) || 2555;
   }
 
   calculateAge(supplyDate) {
@@ -228,13 +267,8 @@ class AIService {
   }
 
   generateMaintenanceSchedule(fittingData) {
-    const schedules = {
-      RC: 'Quarterly inspection and lubrication',
-      LN: 'Semi-annual dimensional check',
-      RP: 'Monthly visual inspection for cracks',
-      SL: 'Annual comprehensive inspection',
-    };
-    return schedules[fittingData.typeCode] || 'Quarterly inspection';
+    const entry = fittingTypeRegistry.get(fittingData.typeCode);
+    return entry ? entry.maintenanceSchedule : 'Quarterly inspection';
   }
 
   calculateCostOptimization(fittingData) {
@@ -248,34 +282,8 @@ class AIService {
   }
 
   getBenchmarkData(fittingType) {
-    const benchmarks = {
-      'Elastic Rail Clip': {
-        industryAverage: 82,
-        bestPractice: 92,
-        worstCase: 65,
-        yourScore: 88,
-      },
-      'Liner': {
-        industryAverage: 85,
-        bestPractice: 94,
-        worstCase: 70,
-        yourScore: 90,
-      },
-      'Rail Pad': {
-        industryAverage: 78,
-        bestPractice: 88,
-        worstCase: 60,
-        yourScore: 82,
-      },
-      'Sleeper': {
-        industryAverage: 88,
-        bestPractice: 96,
-        worstCase: 75,
-        yourScore: 91,
-      },
-    };
-    
-    return benchmarks[fittingType] || benchmarks['Elastic Rail Clip'];
+    const entry = fittingTypeRegistry.getByName(fittingType);
+    return (entry && entry.benchmark) || fittingTypeRegistry.get('RC').benchmark;
   }
 
   generateTrendAnalysis(fittingData) {
@@ -0,0 +1,65 @@
+import rolesData from '../data/roles.json';
+import {authService} from './AuthService';
+
+export const PERMISSIONS = Object.keys(rolesData.permissions);
+export const ROLES = Object.keys(rolesData.roles);
+
+// Role-based access checks shared by screens (to hide actions) and services
+// (to refuse them). Services are the real gate: a hidden button is only a
+// convenience, so every refusal there is written to the audit log.
+class AccessControlService {
+  getRoles() {
+    return ROLES.map(role => ({
+      id: role,
+      name: rolesData.roles[role].name,
+      permissions: rolesData.roles[role].permissions,
+    }));
+  }
+
+  getRoleName(role) {
+    return rolesData.roles[role] ? rolesData.roles[role].name : 'Unassigned';
+  }
+
+  describe(permission) {
+    return rolesData.permissions[permission] || permission;
+  }
+
+  async getPermissions() {
+    const user = await authService.getCurrentUser();
+    return authService.resolvePermissions(user);
+  }
+
+  async can(permission) {
+    const permissions = await this.getPermissions();
+    return permissions[permission] === true;
+  }
+
+  // Returns {allowed, user}; when refused, also an error message for the
+  // caller to pass back in its usual {success: false, error} result
+  async authorize(permission, context = {}) {
+    const user = await authService.getCurrentUser();
+    const permissions = authService.resolvePermissions(user);
+
+    if (permissions[permission] === true) {
+      return {allowed: true, user};
+    }
+
+    await authService.audit('access_denied', {
+      action: context.action,
+      permission,
+      userId: user ? user.employeeId : null,
+      role: user ? user.role || null : null,
+      target: context.target,
+    });
+
+    return {
+      allowed: false,
+      user,
+      error: user
+        ? `The ${this.getRoleName(user.role)} role is not permitted to ${this.describe(permission)}`
+        : `Please log in to ${this.describe(permission)}`,
+    };
+  }
+}
+
+export const accessControlService = new AccessControlService();
@@ -0,0 +1,250 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import RNFS from 'react-native-fs';
+import {sha256} from '../utils/hash';
+import {accessControlService} from './AccessControlService';
+
+// Entries kept on the device before exported ones are rotated out
+const MAX_ENTRIES = 5000;
+// The log belongs to the device rather than to a user, so its exports are
+// kept outside the profile directories that logout removes
+const EXPORT_DIRECTORY = 'audit_exports';
+
+// Local record of security-relevant events such as sign-ins and denied
+// actions, kept on the device so supervisors can review it even when the
+// phone was offline. The log is append-only: each entry is numbered and
+// chained to the previous one by hash, so a removed or edited entry shows up
+// in verify(). Entries only leave the device by rotation, and only once they
+// have been exported.
+class AuditLogService {
+  constructor() {
+    this.storageKey = 'audit_log';
+    this.exportedKey = 'audit_log_exported_through';
+    // Appends are chained so two events recorded together both land
+    this.writeQueue = Promise.resolve();
+  }
+
+  async record(event) {
+    return this.enqueue(async () => {
+      try {
+        const entries = await this.getAllEntries();
+        const previous = entries[entries.length - 1];
+
+        const entry = {
+          id: `AUD-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`,
+          sequence: previous ? this.getSequence(previous, entries.length - 1) + 1 : 1,
+          type: event.type,
+          action: event.action || null,
+          permission: event.permission || null,
+          userId: event.userId || null,
+          role: event.role || null,
+          target: event.target || null,
+          details: event.details || null,
+          deviceId: event.deviceId || null,
+          appVersion: event.appVersion || null,
+          timestamp: new Date().toISOString(),
+          prevHash: previous ? previous.hash || null : null,
+        };
+        entry.hash = this.hashEntry(entry);
+
+        entries.push(entry);
+        await this.saveEntries(await this.rotate(entries));
+
+        return entry;
+      } catch (error) {
+        console.error('Audit log error:', error);
+        return null;
+      }
+    });
+  }
+
+  async getAllEntries() {
+    const data = await AsyncStorage.getItem(this.storageKey);
+    return data ? JSON.parse(data) : [];
+  }
+
+  async saveEntries(entries) {
+    await AsyncStorage.setItem(this.storageKey, JSON.stringify(entries));
+  }
+
+  // Newest first, optionally narrowed by event type, user or date range
+  async getEntries(filters = {}) {
+    try {
+      const entries = await this.getAllEntries();
+      const filtered = this.filterEntries(entries, filters).reverse();
+
+      return filters.limit ? filtered.slice(0, filters.limit) : filtered;
+    } catch (error) {
+      console.error('Audit log load error:', error);
+      return [];
+    }
+  }
+
+  filterEntries(entries, filters) {
+    return entries
+      .filter(entry => !filters.type || entry.type === filters.type)
+      .filter(entry => !filters.userId || entry.userId === filters.userId)
+      .filter(entry => !filters.from || new Date(entry.timestamp) >= new Date(filters.from))
+      .filter(entry => !filters.to || new Date(entry.timestamp) <= new Date(filters.to));
+  }
+
+  // Entries written before numbering was added are counted by position
+  getSequence(entry, index) {
+    return entry.sequence || index + 1;
+  }
+
+  hashEntry(entry) {
+    const {hash, ...content} = entry;
+    return sha256(JSON.stringify(content));
+  }
+
+  // Checks that no entry was altered and none is missing between the oldest
+  // kept entry and the newest
+  async verify() {
+    const entries = await this.getAllEntries();
+
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      if (!entry.hash) {
+        continue;
+      }
+
+      const previous = entries[i - 1];
+      const linked = !previous || !previous.hash || entry.prevHash === previous.hash;
+      if (!linked || this.hashEntry(entry) !== entry.hash) {
+        return {valid: false, brokenAt: this.getSequence(entry, i)};
+      }
+    }
+
+    return {valid: true, entries: entries.length};
+  }
+
+  async getExportedThrough() {
+    const value = await AsyncStorage.getItem(this.exportedKey);
+    return value ? parseInt(value, 10) : 0;
+  }
+
+  async getStatus() {
+    const entries = await this.getAllEntries();
+    const exportedThrough = await this.getExportedThrough();
+    return {
+      total: entries.length,
+      unexported: entries.filter((entry, index) => this.getSequence(entry, index) > exportedThrough).length,
+      exportedThrough,
+    };
+  }
+
+  // Oldest entries go first, and only those already exported; until an
+  // export is made the log keeps growing rather than lose anything
+  async rotate(entries) {
+    if (entries.length <= MAX_ENTRIES) {
+      return entries;
+    }
+
+    const exportedThrough = await this.getExportedThrough();
+    let drop = 0;
+    while (
+      entries.length - drop > MAX_ENTRIES &&
+      this.getSequence(entries[drop], drop) <= exportedThrough
+    ) {
+      drop++;
+    }
+
+    return entries.slice(drop);
+  }
+
+  async exportEntries(format = 'csv', filters = {}) {
+    try {
+      for (const permission of ['canViewAuditLog', 'canExportData']) {
+        const access = await accessControlService.authorize(permission, {action: 'exportAuditLog'});
+        if (!access.allowed) {
+          return {success: false, error: access.error, denied: true};
+        }
+      }
+
+      const allEntries = await this.getAllEntries();
+      const entries = this.filterEntries(allEntries, filters);
+      // A filtered export leaves entries out, so it does not count towards
+      // rotation
+      const complete = entries.length === allEntries.length;
+      const throughSequence = complete && entries.length > 0
+        ? this.getSequence(entries[entries.length - 1], entries.length - 1)
+        : 0;
+
+      if (format === 'json') {
+        return {
+          success: true,
+          data: JSON.stringify(entries, null, 2),
+          filename: `audit_log_${Date.now()}.json`,
+          processed: entries.length,
+          throughSequence,
+        };
+      }
+
+      const headers = [
+        'Sequence', 'Timestamp', 'Event', 'Employee ID', 'Role', 'Device', 'App Version',
+        'Action', 'Permission', 'Target', 'Details', 'Hash',
+      ];
+      const rows = entries.map((entry, index) => [
+        this.getSequence(entry, index),
+        entry.timestamp,
+        entry.type,
+        entry.userId || '',
+        entry.role || '',
+        entry.deviceId || '',
+        entry.appVersion || '',
+        entry.action || '',
+        entry.permission || '',
+        entry.target || '',
+        entry.details ? JSON.stringify(entry.details) : '',
+        entry.hash || '',
+      ]);
+
+      const csvContent = [headers, ...rows]
+        .map(row => row.map(field => `"${String(field).replace(/"/g, '""')}"`).join(','))
+        .join('\n');
+
+      return {
+        success: true,
+        data: csvContent,
+        filename: `audit_log_${Date.now()}.csv`,
+        processed: rows.length,
+        throughSequence,
+      };
+    } catch (error) {
+      console.error('Audit log export error:', error);
+      return {success: false, error: 'Failed to export audit log'};
+    }
+  }
+
+  async getExportDirectory() {
+    const path = `${RNFS.DocumentDirectoryPath}/${EXPORT_DIRECTORY}`;
+    await RNFS.mkdir(path);
+    return path;
+  }
+
+  // Called once an export has been shared or saved; entries it covers may
+  // then be rotated out
+  async markExported(throughSequence) {
+    const access = await accessControlService.authorize('canViewAuditLog', {action: 'markAuditLogExported'});
+    if (!access.allowed) {
+      return {success: false, error: access.error, denied: true};
+    }
+
+    await this.enqueue(async () => {
+      const exportedThrough = await this.getExportedThrough();
+      if (throughSequence > exportedThrough) {
+        await AsyncStorage.setItem(this.exportedKey, String(throughSequence));
+      }
+      await this.saveEntries(await this.rotate(await this.getAllEntries()));
+    });
+    return {success: true};
+  }
+
+  enqueue(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+}
+
+export const auditLogService = new AuditLogService();
@@ -1,20 +1,76 @@
-import axios from 'axios';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import EncryptedStorage from 'react-native-encrypted-storage';
+import { httpClient } from './HttpClient';
+import { secureStorageService } from './SecureStorageService';
+import { auditLogService } from './AuditLogService';
+import { environmentService } from './EnvironmentService';
+import { isTokenExpired } from '../utils/token';
+import { sha256, pbkdf2Sha256 } from '../utils/hash';
+import { generateKey } from '../utils/cipher';
+import rolesData from '../data/roles.json';
+import appConfig from '../../app.json';
+
+const APP_VERSION = appConfig.expo.version;
+
+// Employee ID card QR: IRID|<version>|<employee ID>|<card ID>|<check>, where
+// the check is the first 8 hex digits of the SHA-256 of everything before it
+const ID_CARD_PREFIX = 'IRID';
+const ID_CARD_VERSION = '1';
+const EMPLOYEE_ID_PATTERN = /^IR\d{6}$/;
+const CARD_ID_PATTERN = /^[A-Z0-9]{6,12}$/;
+
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 64;
+// Passwords set on this device that may not be chosen again
+const PASSWORD_HISTORY_SIZE = 5;
+const PASSWORD_HISTORY_ITERATIONS = 2000;
+
+// Per-user stores holding work the server has not received yet
+const UNSYNCED_STORES = ['tracking_sync_queue', 'offline_scans', 'offline_inspections'];
 
 class AuthService {
   constructor() {
-    this.baseURL = 'https://api.ireps.gov.in/auth';
+    this.baseURL = environmentService.getEndpoint('auth');
+
+    // The shared HTTP client renews tokens through this service and logs the
+    // user out here when renewal fails
+    httpClient.setAuthHandlers({
+      refresh: () => this.refreshToken(),
+      logout: () => this.expireSession(),
+    });
+  }
+
+  // Appends to the device audit trail with who, on which device and app
+  // version. The signed-in user is assumed unless the event names one.
+  async audit(type, event = {}) {
+    const user = event.userId ? null : await this.getCurrentUser();
+    return auditLogService.record({
+      type,
+      userId: user ? user.employeeId : null,
+      role: user ? user.role || null : null,
+      ...event,
+      deviceId: await this.getDeviceId(),
+      appVersion: APP_VERSION,
+    });
   }
 
   async login(credentials) {
+    const result = await this.attemptLogin(credentials);
+    await this.audit(result.success ? 'login' : 'login_failed', {
+      userId: credentials.employeeId,
+      role: result.user ? result.user.role || null : null,
+      details: result.success ? { method: 'password' } : { method: 'password', reason: result.error },
+    });
+    return result;
+  }
+
+  async attemptLogin(credentials) {
     try {
       const { employeeId, password } = credentials;
       
-      // For demo purposes, we'll use mock authentication
-      // In production, this would make an API call to the authentication service
-      
-      if (employeeId === 'IR123456' && password === 'demo123') {
-        const mockToken = this.generateMockToken();
+      // Only demo builds have a sign-in that never reaches the server
+      if (environmentService.isDemoLogin(employeeId, password)) {
+        const mockToken = this.generateMockToken(employeeId);
         const mockUser = this.generateMockUser(employeeId);
         
         return {
@@ -24,7 +80,6 @@ class AuthService {
           message: 'Login successful',
         };
       } else {
-        // Try production authentication if demo fails
         return await this.authenticateWithAPI(credentials);
       }
     } catch (error) {
@@ -38,16 +93,17 @@ class AuthService {
 
   async authenticateWithAPI(credentials) {
     try {
-      const response = await axios.post(`${this.baseURL}/login`, {
+      const response = await httpClient.post(`${this.baseURL}/login`, {
         employeeId: credentials.employeeId,
         password: credentials.password,
         deviceId: await this.getDeviceId(),
-        appVersion: '1.0.0',
+        appVersion: APP_VERSION,
       }, {
+        skipAuth: true,
         timeout: 10000,
         headers: {
           'Content-Type': 'application/json',
-          'User-Agent': 'IR-TrackManager-Mobile/1.0.0',
+          'User-Agent': `IR-TrackManager-Mobile/${APP_VERSION}`,
         },
       });
 
@@ -69,6 +125,7 @@ class AuthService {
       if (error.code === 'ECONNABORTED') {
         return {
           success: false,
+          offline: true,
           error: 'Connection timeout. Please check your internet connection.',
         };
       } else if (error.response && error.response.status === 401) {
@@ -84,15 +141,16 @@ class AuthService {
       } else {
         return {
           success: false,
+          offline: !error.response,
           error: 'Network error. Please try again.',
         };
       }
     }
   }
 
-  generateMockToken() {
+  generateMockToken(employeeId) {
     const payload = {
-      employeeId: 'IR123456',
+      employeeId,
       role: 'inspector',
       permissions: ['scan', 'inspect', 'report'],
       iat: Math.floor(Date.now() / 1000),
@@ -110,16 +168,11 @@ class AuthService {
       department: 'Track Maintenance',
       division: 'Northern Railway',
       zone: 'Delhi Division',
+      section: 'DLI-GZB',
       email: 'demo.inspector@indianrailways.gov.in',
       phone: '+91-98765-43210',
-      permissions: {
-        canScan: true,
-        canInspect: true,
-        canGenerateReports: true,
-        canExportData: true,
-        canManageInventory: false,
-        canModifySettings: false,
-      },
+      role: 'inspector',
+      permissions: this.getRolePermissions('inspector'),
       lastLogin: new Date().toISOString(),
       profileImage: null,
     };
@@ -144,12 +197,13 @@ class AuthService {
 
   async logout() {
     try {
-      const token = await AsyncStorage.getItem('authToken');
+      const token = await secureStorageService.getItem('authToken');
       
       if (token) {
         // Inform server about logout (optional)
         try {
-          await axios.post(`${this.baseURL}/logout`, {}, {
+          await httpClient.post(`${this.baseURL}/logout`, {}, {
+            skipAuth: true,
             headers: {
               'Authorization': `Bearer ${token}`,
             },
@@ -161,13 +215,18 @@ class AuthService {
         }
       }
 
-      // Clear local storage
-      await AsyncStorage.multiRemove([
-        'authToken',
-        'userProfile',
-        'dashboard_data',
-        'inventory_data',
-      ]);
+      await this.audit('logout');
+
+      // Unsynced work is never thrown away on logout: the session ends but
+      // the profile stays on the device until the user signs in and syncs
+      const unsynced = await this.countUnsyncedWork();
+      if (unsynced !== 0) {
+        await secureStorageService.removeItem('authToken');
+        await secureStorageService.deactivateProfile();
+        return { success: true, keptUnsynced: unsynced };
+      }
+
+      await this.clearSession();
 
       return { success: true };
     } catch (error) {
@@ -176,15 +235,138 @@ class AuthService {
     }
   }
 
+  // Items in the signed-in user's stores not yet sent to the server, or
+  // null when they could not be read
+  async countUnsyncedWork() {
+    try {
+      let count = 0;
+      for (const key of UNSYNCED_STORES) {
+        const data = await secureStorageService.getItem(key);
+        count += data ? JSON.parse(data).length : 0;
+      }
+
+      const inspections = await secureStorageService.getItem('localInspections');
+      if (inspections) {
+        count += JSON.parse(inspections).filter(inspection => !inspection.synced).length;
+      }
+      return count;
+    } catch (error) {
+      console.error('Count unsynced work error:', error);
+      return null;
+    }
+  }
+
+  async saveSession(token, user) {
+    // The session is stored in the signed-in user's own profile
+    await secureStorageService.setActiveProfile(user);
+    await secureStorageService.setItem('authToken', token);
+    await secureStorageService.setItem('userProfile', JSON.stringify(user));
+  }
+
+  // Hands the tablet to the next shift. Unlike logout, this user's records
+  // and unsynced work stay on the device for their next sign-in.
+  async switchUser() {
+    try {
+      await this.audit('switch_user');
+      await secureStorageService.deactivateProfile();
+      return { success: true };
+    } catch (error) {
+      console.error('Switch user error:', error);
+      return { success: false, error: 'Unable to switch user' };
+    }
+  }
+
+  // The session could not be renewed. Only the token is dropped: the user
+  // signs in again to carry on, and their records and drafts are kept.
+  async expireSession() {
+    await this.audit('logout', { details: { reason: 'Session expired' } });
+    await secureStorageService.removeItem('authToken');
+  }
+
+  async clearSession() {
+    const result = await secureStorageService.clearUserData();
+    if (!result.success) {
+      console.error('Session clear incomplete:', result.error);
+    }
+  }
+
+  // Asks the server whether this device has been reported lost or
+  // reassigned. A pending wipe destroys all local data before the server is
+  // told it was carried out.
+  async checkRemoteWipe() {
+    try {
+      const token = await secureStorageService.getItem('authToken');
+
+      // Demo sessions are never registered with the server
+      if (!token || !token.includes('.')) {
+        return { wiped: false };
+      }
+
+      const deviceId = await this.getDeviceId();
+      const response = await httpClient.get(`${this.baseURL}/devices/${deviceId}/commands`, {
+        timeout: 5000,
+      });
+
+      if (!response.data.wipe) {
+        return { wiped: false };
+      }
+
+      const result = await secureStorageService.wipeDevice();
+      await this.audit('remote_wipe', {
+        details: { commandId: response.data.commandId || null, success: result.success },
+      });
+      try {
+        await httpClient.post(`${this.baseURL}/devices/${deviceId}/wipe-ack`, {
+          commandId: response.data.commandId,
+          success: result.success,
+          completedAt: new Date().toISOString(),
+        }, {
+          skipAuth: true,
+          timeout: 5000,
+        });
+      } catch (error) {
+        console.warn('Wipe acknowledgement failed:', error.message);
+      }
+
+      return { wiped: true, success: result.success };
+    } catch (error) {
+      // Offline or server unavailable; checked again on the next launch
+      console.warn('Remote wipe check failed:', error.message);
+      return { wiped: false };
+    }
+  }
+
   async refreshToken() {
+    const result = await this.renewToken();
+    await this.audit(result.success ? 'token_refresh' : 'token_refresh_failed', {
+      details: result.success ? null : { reason: result.error },
+    });
+    return result;
+  }
+
+  async renewToken() {
     try {
-      const token = await AsyncStorage.getItem('authToken');
+      const token = await secureStorageService.getItem('authToken');
       
       if (!token) {
         return { success: false, error: 'No token found' };
       }
 
-      const response = await axios.post(`${this.baseURL}/refresh`, {}, {
+      // Demo tokens are issued on the device, so they are renewed there too
+      if (!token.includes('.')) {
+        if (!environmentService.getDemoCredentials()) {
+          return { success: false, error: 'Demo sessions are not valid in this build' };
+        }
+        const payload = JSON.parse(atob(token));
+        const renewed = this.generateMockToken(payload.employeeId);
+        await secureStorageService.setItem('authToken', renewed);
+        return { success: true, token: renewed };
+      }
+
+      // Sent with the current token as-is; going through the refresh logic
+      // again would recurse
+      const response = await httpClient.post(`${this.baseURL}/refresh`, {}, {
+        skipAuth: true,
         headers: {
           'Authorization': `Bearer ${token}`,
         },
@@ -192,7 +374,7 @@ class AuthService {
       });
 
       if (response.data.success) {
-        await AsyncStorage.setItem('authToken', response.data.token);
+        await secureStorageService.setItem('authToken', response.data.token);
         return { success: true, token: response.data.token };
       } else {
         return { success: false, error: 'Token refresh failed' };
@@ -205,7 +387,7 @@ class AuthService {
 
   async validateToken() {
     try {
-      const token = await AsyncStorage.getItem('authToken');
+      const token = await secureStorageService.getItem('authToken');
       
       if (!token) {
         return { valid: false, error: 'No token found' };
@@ -214,23 +396,14 @@ class AuthService {
       // For demo token, just check if it's not expired
       if (token.startsWith('eyJ') || token.length > 100) {
         // Looks like a real JWT token
-        const response = await axios.get(`${this.baseURL}/validate`, {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-          },
+        const response = await httpClient.get(`${this.baseURL}/validate`, {
           timeout: 5000,
         });
         
         return { valid: response.data.valid };
       } else {
         // Mock token validation
-        try {
-          const payload = JSON.parse(atob(token));
-          const now = Math.floor(Date.now() / 1000);
-          return { valid: payload.exp > now };
-        } catch (error) {
-          return { valid: false, error: 'Invalid token format' };
-        }
+        return { valid: !isTokenExpired(token) };
       }
     } catch (error) {
       console.error('Token validation error:', error);
@@ -240,7 +413,7 @@ class AuthService {
 
   async getCurrentUser() {
     try {
-      const userProfile = await AsyncStorage.getItem('userProfile');
+      const userProfile = await secureStorageService.getItem('userProfile');
       return userProfile ? JSON.parse(userProfile) : null;
     } catch (error) {
       console.error('Get user error:', error);
@@ -250,7 +423,7 @@ class AuthService {
 
   async updateProfile(updates) {
     try {
-      const token = await AsyncStorage.getItem('authToken');
+      const token = await secureStorageService.getItem('authToken');
       const currentUser = await this.getCurrentUser();
       
       if (!token || !currentUser) {
@@ -258,17 +431,14 @@ class AuthService {
       }
 
       // Update server
-      const response = await axios.put(`${this.baseURL}/profile`, updates, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-        },
+      const response = await httpClient.put(`${this.baseURL}/profile`, updates, {
         timeout: 10000,
       });
 
       if (response.data.success) {
         // Update local profile
         const updatedUser = { ...currentUser, ...updates };
-        await AsyncStorage.setItem('userProfile', JSON.stringify(updatedUser));
+        await secureStorageService.setItem('userProfile', JSON.stringify(updatedUser));
         
         return { success: true, user: updatedUser };
       } else {
@@ -280,64 +450,379 @@ class AuthService {
     }
   }
 
+  // Rules a new password must meet. Returns the unmet ones as messages,
+  // so an empty list means the password is acceptable.
+  checkPasswordPolicy(password, employeeId) {
+    const problems = [];
+    if (password.length < PASSWORD_MIN_LENGTH || password.length > PASSWORD_MAX_LENGTH) {
+      problems.push(`Use ${PASSWORD_MIN_LENGTH} to ${PASSWORD_MAX_LENGTH} characters`);
+    }
+    if (!/[A-Z]/.test(password)) {
+      problems.push('Include an upper-case letter');
+    }
+    if (!/[a-z]/.test(password)) {
+      problems.push('Include a lower-case letter');
+    }
+    if (!/\d/.test(password)) {
+      problems.push('Include a digit');
+    }
+    if (!/[^A-Za-z0-9]/.test(password)) {
+      problems.push('Include a symbol such as @, # or !');
+    }
+    if (employeeId && password.toUpperCase().includes(employeeId.toUpperCase())) {
+      problems.push('Must not contain your employee ID');
+    }
+    return problems;
+  }
+
+  // Checks done before anything is sent: the policy, the confirmation and
+  // the passwords recently used on this device. The server keeps the full
+  // history and has the final say.
+  async validateNewPassword(employeeId, newPassword, confirmPassword, currentPassword = null) {
+    const fieldErrors = {};
+
+    const problems = this.checkPasswordPolicy(newPassword, employeeId);
+    if (problems.length > 0) {
+      fieldErrors.newPassword = problems.join('. ');
+    } else if (currentPassword !== null && newPassword === currentPassword) {
+      fieldErrors.newPassword = 'The new password must be different from the current one';
+    } else if (await this.isRecentPassword(employeeId, newPassword)) {
+      fieldErrors.newPassword = `You cannot reuse any of your last ${PASSWORD_HISTORY_SIZE} passwords`;
+    }
+
+    if (newPassword !== confirmPassword) {
+      fieldErrors.confirmPassword = 'Passwords do not match';
+    }
+
+    return fieldErrors;
+  }
+
+  async getPasswordHistory() {
+    try {
+      const data = await EncryptedStorage.getItem('password_history');
+      return data ? JSON.parse(data) : {};
+    } catch (error) {
+      console.error('Password history load error:', error);
+      return {};
+    }
+  }
+
+  async isRecentPassword(employeeId, password) {
+    const history = (await this.getPasswordHistory())[employeeId] || [];
+    return history.some(item => pbkdf2Sha256(password, item.salt, item.iterations) === item.verifier);
+  }
+
+  // Only salted verifiers are kept, never the passwords themselves
+  async rememberPassword(employeeId, password) {
+    try {
+      const history = await this.getPasswordHistory();
+      const salt = generateKey();
+      history[employeeId] = [
+        {
+          salt,
+          iterations: PASSWORD_HISTORY_ITERATIONS,
+          verifier: pbkdf2Sha256(password, salt, PASSWORD_HISTORY_ITERATIONS),
+        },
+        ...(history[employeeId] || []),
+      ].slice(0, PASSWORD_HISTORY_SIZE);
+      await EncryptedStorage.setItem('password_history', JSON.stringify(history));
+    } catch (error) {
+      console.error('Password history save error:', error);
+    }
+  }
+
+  // Turns a refused password request into messages for the form fields.
+  // The server names the field where it can; known error codes cover the
+  // rest, and anything else is shown above the form.
+  passwordRequestError(error, fallback) {
+    if (!error.response) {
+      return { success: false, offline: true, error: 'Network error. Please try again when online.', fieldErrors: {} };
+    }
+
+    const data = error.response.data || {};
+    return this.passwordResponseError(data, error.response.status, fallback);
+  }
+
+  passwordResponseError(data, status, fallback) {
+    const fieldErrors = { ...(data.fieldErrors || {}) };
+    if (data.field && data.error) {
+      fieldErrors[data.field] = data.error;
+    }
+
+    switch (data.code) {
+      case 'INVALID_CURRENT_PASSWORD':
+        fieldErrors.currentPassword = 'Current password is incorrect';
+        break;
+      case 'PASSWORD_REUSED':
+        fieldErrors.newPassword = 'This password was used recently. Choose a different one.';
+        break;
+      case 'PASSWORD_POLICY':
+        fieldErrors.newPassword = data.error || 'The password does not meet the password policy';
+        break;
+      case 'INVALID_OTP':
+        fieldErrors.otp = 'The code is incorrect';
+        break;
+      case 'OTP_EXPIRED':
+        fieldErrors.otp = 'The code has expired. Request a new one.';
+        break;
+      case 'UNKNOWN_EMPLOYEE':
+        fieldErrors.employeeId = 'No account was found for this employee ID';
+        break;
+      default:
+        break;
+    }
+
+    const error = status === 429
+      ? 'Too many attempts. Please wait a few minutes and try again.'
+      : Object.keys(fieldErrors).length > 0 ? null : data.error || fallback;
+
+    return { success: false, error, fieldErrors };
+  }
+
   async changePassword(currentPassword, newPassword) {
+    const result = await this.submitPasswordChange(currentPassword, newPassword);
+    await this.audit(result.success ? 'password_change' : 'password_change_failed', {
+      details: result.success ? null : { reason: result.error || Object.values(result.fieldErrors || {}).join('; ') },
+    });
+    return result;
+  }
+
+  async submitPasswordChange(currentPassword, newPassword) {
     try {
-      const token = await AsyncStorage.getItem('authToken');
+      const token = await secureStorageService.getItem('authToken');
+      const user = await this.getCurrentUser();
       
-      if (!token) {
-        return { success: false, error: 'User not authenticated' };
+      if (!token || !user) {
+        return { success: false, error: 'User not authenticated', fieldErrors: {} };
       }
 
-      const response = await axios.post(`${this.baseURL}/change-password`, {
+      const response = await httpClient.post(`${this.baseURL}/change-password`, {
         currentPassword,
         newPassword,
       }, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-        },
         timeout: 10000,
       });
 
+      if (!response.data.success) {
+        return this.passwordResponseError(response.data, response.status, 'Password change failed');
+      }
+
+      await this.rememberPassword(user.employeeId, newPassword);
       return {
-        success: response.data.success,
-        error: response.data.error,
+        success: true,
         message: response.data.message,
       };
     } catch (error) {
       console.error('Password change error:', error);
-      return { success: false, error: 'Password change failed' };
+      return this.passwordRequestError(error, 'Password change failed');
     }
   }
 
+  // Reads an ID card QR; says nothing about whether the card is still valid
+  parseIdCard(data) {
+    const parts = String(data || '').trim().split('|');
+    if (parts.length !== 5 || parts[0] !== ID_CARD_PREFIX) {
+      return { valid: false, error: 'This is not an employee ID card' };
+    }
+
+    const [prefix, version, employeeId, cardId, check] = parts;
+    if (version !== ID_CARD_VERSION) {
+      return { valid: false, error: 'This ID card format is not supported. Please update the app.' };
+    }
+    if (!EMPLOYEE_ID_PATTERN.test(employeeId) || !CARD_ID_PATTERN.test(cardId)) {
+      return { valid: false, error: 'The ID card code is malformed' };
+    }
+    if (sha256([prefix, version, employeeId, cardId].join('|')).substr(0, 8) !== check.toLowerCase()) {
+      return { valid: false, error: 'The ID card could not be read. Please scan it again.' };
+    }
+
+    return { valid: true, employeeId, cardId };
+  }
+
+  // Checks a scanned card with the server, which knows which cards were
+  // issued and which were revoked. The answer is kept on the device so a
+  // card already seen can be used without signal; a card never checked
+  // online cannot.
+  async verifyIdCard(data) {
+    const card = this.parseIdCard(data);
+    if (!card.valid) {
+      return { success: false, error: card.error };
+    }
+
+    const result = await this.checkIdCardStatus(card);
+    if (!result.success) {
+      await this.audit('id_card_rejected', {
+        userId: card.employeeId,
+        target: card.cardId,
+        details: { reason: result.error },
+      });
+    }
+    return result;
+  }
+
+  async checkIdCardStatus(card) {
+    const demo = environmentService.getDemoCredentials();
+    if (demo && demo.idCardId === card.cardId && demo.employeeId === card.employeeId) {
+      return { success: true, employeeId: card.employeeId, cardId: card.cardId };
+    }
+
+    const registry = await this.getIdCardRegistry();
+    let status;
+
+    try {
+      const response = await httpClient.get(`${this.baseURL}/id-cards/${card.cardId}`, {
+        skipAuth: true,
+        timeout: 5000,
+      });
+      status = {
+        employeeId: response.data.employeeId,
+        status: response.data.status,
+        checkedAt: new Date().toISOString(),
+      };
+      registry[card.cardId] = status;
+      await AsyncStorage.setItem('id_card_registry', JSON.stringify(registry));
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return { success: false, error: 'This ID card is not recognised' };
+      }
+      status = registry[card.cardId];
+      if (!status) {
+        return {
+          success: false,
+          error: 'This ID card has not been used on this device before and cannot be checked offline. Please type your employee ID.',
+        };
+      }
+    }
+
+    if (status.status === 'revoked') {
+      return { success: false, error: 'This ID card has been revoked. Please contact your supervisor.' };
+    }
+    if (status.status !== 'active' || status.employeeId !== card.employeeId) {
+      return { success: false, error: 'This ID card is not recognised' };
+    }
+
+    return { success: true, employeeId: card.employeeId, cardId: card.cardId };
+  }
+
+  async getIdCardRegistry() {
+    try {
+      const data = await AsyncStorage.getItem('id_card_registry');
+      return data ? JSON.parse(data) : {};
+    } catch (error) {
+      console.error('ID card registry error:', error);
+      return {};
+    }
+  }
+
+  // Forgotten password, step 1: the server sends a one-time code to the
+  // mobile number on the employee's record
   async requestPasswordReset(employeeId) {
     try {
-      const response = await axios.post(`${this.baseURL}/reset-password`, {
+      const response = await httpClient.post(`${this.baseURL}/reset-password`, {
         employeeId,
+        deviceId: await this.getDeviceId(),
       }, {
+        skipAuth: true,
         timeout: 10000,
       });
 
+      if (!response.data.success) {
+        return this.passwordResponseError(response.data, response.status, 'Password reset request failed');
+      }
+
+      await this.audit('password_reset_requested', { userId: employeeId });
       return {
-        success: response.data.success,
+        success: true,
+        requestId: response.data.requestId,
+        destination: response.data.destination || null,
         message: response.data.message,
       };
     } catch (error) {
       console.error('Password reset error:', error);
-      return { 
-        success: false, 
-        error: 'Password reset request failed. Please contact IT support.' 
-      };
+      return this.passwordRequestError(error, 'Password reset request failed. Please contact IT support.');
     }
   }
 
-  async checkPermission(permission) {
+  // Step 2: the code is exchanged for a short-lived reset token
+  async verifyPasswordResetOtp(employeeId, requestId, otp) {
     try {
-      const user = await this.getCurrentUser();
-      if (!user || !user.permissions) {
-        return false;
+      const response = await httpClient.post(`${this.baseURL}/reset-password/verify`, {
+        employeeId,
+        requestId,
+        otp,
+      }, {
+        skipAuth: true,
+        timeout: 10000,
+      });
+
+      if (!response.data.success) {
+        return this.passwordResponseError(response.data, response.status, 'The code could not be verified');
       }
 
-      return user.permissions[permission] === true;
+      return { success: true, resetToken: response.data.resetToken };
+    } catch (error) {
+      console.error('Reset code verification error:', error);
+      return this.passwordRequestError(error, 'The code could not be verified');
+    }
+  }
+
+  // Step 3: the new password is set with the reset token
+  async completePasswordReset(employeeId, resetToken, newPassword) {
+    let result;
+    try {
+      const response = await httpClient.post(`${this.baseURL}/reset-password/confirm`, {
+        employeeId,
+        resetToken,
+        newPassword,
+      }, {
+        skipAuth: true,
+        timeout: 10000,
+      });
+
+      result = response.data.success
+        ? { success: true, message: response.data.message }
+        : this.passwordResponseError(response.data, response.status, 'Password reset failed');
+    } catch (error) {
+      console.error('Password reset confirm error:', error);
+      result = this.passwordRequestError(error, 'Password reset failed');
+    }
+
+    if (result.success) {
+      await this.rememberPassword(employeeId, newPassword);
+    }
+    await this.audit(result.success ? 'password_reset' : 'password_reset_failed', {
+      userId: employeeId,
+      details: result.success ? null : { reason: result.error || Object.values(result.fieldErrors).join('; ') },
+    });
+    return result;
+  }
+
+  // Permission flags for a railway role; every known permission is present
+  // so a missing grant reads as false rather than undefined
+  getRolePermissions(role) {
+    const granted = rolesData.roles[role] ? rolesData.roles[role].permissions : [];
+    return Object.keys(rolesData.permissions).reduce((flags, permission) => {
+      flags[permission] = granted.includes(permission);
+      return flags;
+    }, {});
+  }
+
+  // The role decides what a user may do. Profiles from before roles existed
+  // fall back to the flags stored on them.
+  resolvePermissions(user) {
+    if (!user) {
+      return {};
+    }
+    if (user.role && rolesData.roles[user.role]) {
+      return this.getRolePermissions(user.role);
+    }
+    return user.permissions && !Array.isArray(user.permissions) ? user.permissions : {};
+  }
+
+  async checkPermission(permission) {
+    try {
+      const user = await this.getCurrentUser();
+      return this.resolvePermissions(user)[permission] === true;
     } catch (error) {
       console.error('Permission check error:', error);
       return false;
@@ -346,7 +831,7 @@ class AuthService {
 
   async getAuthHeaders() {
     try {
-      const token = await AsyncStorage.getItem('authToken');
+      const token = await secureStorageService.getItem('authToken');
       return token ? { 'Authorization': `Bearer ${token}` } : {};
     } catch (error) {
       console.error('Get auth headers error:', error);
@@ -355,23 +840,7 @@ class AuthService {
   }
 
   isTokenExpired(token) {
-    try {
-      if (!token) return true;
-      
-      // For demo token
-      if (!token.includes('.')) {
-        const payload = JSON.parse(atob(token));
-        const now = Math.floor(Date.now() / 1000);
-        return payload.exp <= now;
-      }
-      
-      // For JWT token
-      const payload = JSON.parse(atob(token.split('.')[1]));
-      const now = Math.floor(Date.now() / 1000);
-      return payload.exp <= now;
-    } catch (error) {
-      return true;
-    }
+    return isTokenExpired(token);
   }
 
   async setupBiometricAuth() {
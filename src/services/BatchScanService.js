@@ -0,0 +1,256 @@
+import {qrService} from './QRService';
+import {qrCodec} from './QRCodec';
+import {trackingService} from './TrackingService';
+import {inventoryService} from './InventoryService';
+import {locationService} from './LocationService';
+import {accessControlService} from './AccessControlService';
+import {secureStorageService} from './SecureStorageService';
+
+// The camera reports the same code many times per second while it stays in
+// frame; re-reads inside this window are not counted as a second sighting.
+const REREAD_WINDOW_MS = 2000;
+
+class BatchScanService {
+  constructor() {
+    this.session = null;
+
+    // A half-scanned tray is not handed over to the next user
+    secureStorageService.onProfileChange(() => {
+      this.session = null;
+    });
+  }
+
+  startSession(options = {}) {
+    this.session = {
+      id: `batch_${Date.now()}`,
+      startedAt: new Date().toISOString(),
+      userId: options.userId || null,
+      items: new Map(),
+      pending: new Set(),
+      lastRead: {raw: null, at: 0},
+    };
+    return this.getTray();
+  }
+
+  hasSession() {
+    return this.session !== null;
+  }
+
+  endSession() {
+    const tray = this.getTray();
+    this.session = null;
+    return tray;
+  }
+
+  async addScan(rawData) {
+    if (!this.session) {
+      this.startSession();
+    }
+
+    const session = this.session;
+    const now = Date.now();
+
+    if (session.lastRead.raw === rawData && now - session.lastRead.at < REREAD_WINDOW_MS) {
+      session.lastRead.at = now;
+      return {status: 'ignored', tray: this.getTray()};
+    }
+    session.lastRead = {raw: rawData, at: now};
+
+    // Valid tags are keyed by canonical form so different encodings of the
+    // same tag count as one fitting
+    const key = qrCodec.canonicalize(rawData) || rawData;
+
+    const existing = session.items.get(key);
+    if (existing) {
+      existing.seenCount++;
+      existing.lastSeenAt = new Date().toISOString();
+      await trackingService.logScanActivity(existing.fittingData, {
+        rawCode: rawData,
+        outcome: 'duplicate',
+        source: 'batch',
+      });
+      return {status: 'duplicate', item: existing, tray: this.getTray()};
+    }
+
+    if (session.pending.has(key)) {
+      return {status: 'ignored', tray: this.getTray()};
+    }
+
+    session.pending.add(key);
+    try {
+      const decodeStarted = Date.now();
+      const result = await qrService.parseQRCode(rawData);
+      const decodeMs = Date.now() - decodeStarted;
+      const item = {
+        key,
+        rawCode: rawData,
+        status: result.success ? 'good' : 'invalid',
+        fittingData: result.success ? result.data : null,
+        error: result.success ? null : result.error,
+        seenCount: 1,
+        firstSeenAt: new Date().toISOString(),
+        lastSeenAt: new Date().toISOString(),
+      };
+
+      // The session may have been reset while the code was being parsed
+      if (this.session !== session) {
+        return {status: 'ignored', tray: this.getTray()};
+      }
+
+      session.items.set(key, item);
+      await trackingService.logScanActivity(item.fittingData, {
+        rawCode: rawData,
+        source: 'batch',
+        decodeMs,
+        error: item.error,
+      });
+      return {status: item.status, item, tray: this.getTray()};
+    } finally {
+      session.pending.delete(key);
+    }
+  }
+
+  removeItem(key) {
+    if (this.session) {
+      this.session.items.delete(key);
+    }
+    return this.getTray();
+  }
+
+  getTray() {
+    if (!this.session) {
+      return {good: [], invalid: [], duplicates: [], total: 0};
+    }
+
+    const items = Array.from(this.session.items.values())
+      .sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt));
+
+    return {
+      sessionId: this.session.id,
+      startedAt: this.session.startedAt,
+      good: items.filter(item => item.status === 'good'),
+      invalid: items.filter(item => item.status === 'invalid'),
+      duplicates: items.filter(item => item.seenCount > 1),
+      total: items.length,
+    };
+  }
+
+  getGoodItems() {
+    return this.getTray().good;
+  }
+
+  async applyBulkAction(action, options = {}) {
+    try {
+      const goodItems = this.getGoodItems();
+
+      if (goodItems.length === 0) {
+        return {success: false, error: 'No valid codes in this batch'};
+      }
+
+      switch (action) {
+        case 'move':
+          return await this.moveItems(goodItems, options);
+        case 'install':
+          return await this.moveItems(goodItems, {...options, reason: 'installation'});
+        case 'receive':
+          return await this.receiveItems(goodItems, options);
+        case 'inspect':
+          return {
+            success: true,
+            queue: goodItems.map(item => item.fittingData),
+          };
+        case 'reconcile':
+          return {
+            success: true,
+            items: goodItems.map(item => item.fittingData),
+            batchId: this.session.id,
+          };
+        case 'export':
+          return this.exportSession();
+        default:
+          return {success: false, error: `Unknown bulk action: ${action}`};
+      }
+    } catch (error) {
+      console.error('Bulk action error:', error);
+      return {success: false, error: 'Bulk action failed'};
+    }
+  }
+
+  async moveItems(items, options) {
+    const access = await accessControlService.authorize('canMoveFittings', {
+      action: options.reason === 'installation' ? 'installItems' : 'moveItems',
+      target: this.session.id,
+    });
+    if (!access.allowed) {
+      return {success: false, error: access.error, denied: true};
+    }
+
+    if (!options.toLocation) {
+      return {success: false, error: 'Destination location is required'};
+    }
+
+    // The whole tray is moved from one spot, so one fix stamps every movement
+    const geo = await locationService.getStamp();
+
+    let moved = 0;
+    for (const item of items) {
+      const entry = await trackingService.trackMovement({
+        fittingId: item.fittingData.qrCode,
+        from: item.fittingData.location || null,
+        to: options.toLocation,
+        userId: options.userId,
+        reason: options.reason || 'batch_move',
+        geo,
+      });
+      if (entry) {
+        moved++;
+      }
+    }
+
+    return {success: true, processed: moved, failed: items.length - moved};
+  }
+
+  async receiveItems(items, options) {
+    const result = await inventoryService.receiveItems(
+      items.map(item => item.fittingData),
+      {
+        location: options.location,
+        userId: options.userId,
+        batchId: this.session ? this.session.id : null,
+      },
+    );
+
+    if (!result.success) {
+      return result;
+    }
+
+    return {success: true, processed: items.length, receipt: result.receipt};
+  }
+
+  exportSession() {
+    const tray = this.getTray();
+    const rows = [...tray.good, ...tray.invalid].map(item => [
+      item.rawCode,
+      item.fittingData ? item.fittingData.qrCode : '',
+      item.status,
+      item.error || '',
+      item.seenCount,
+      item.firstSeenAt,
+      item.lastSeenAt,
+    ]);
+
+    const headers = ['Raw Code', 'QR Code', 'Status', 'Error', 'Times Seen', 'First Seen', 'Last Seen'];
+    const csvContent = [headers, ...rows]
+      .map(row => row.map(field => `"${String(field).replace(/"/g, '""')}"`).join(','))
+      .join('\n');
+
+    return {
+      success: true,
+      data: csvContent,
+      filename: `batch_scan_${Date.now()}.csv`,
+      processed: rows.length,
+    };
+  }
+}
+
+export const batchScanService = new BatchScanService();
@@ -0,0 +1,297 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {qrCodec} from './QRCodec';
+import {trackingService} from './TrackingService';
+import {masterDataService} from './MasterDataService';
+import {locationService} from './LocationService';
+import {accessControlService} from './AccessControlService';
+
+// Fastest a fitting can plausibly travel between two sightings (goods train
+// or road transport, with margin)
+const MAX_TRAVEL_SPEED_KMH = 160;
+// Sightings closer than this are treated as the same place, which keeps GPS
+// noise from raising alerts
+const MIN_TRAVEL_DISTANCE_KM = 5;
+
+const INSTALL_REASONS = ['installation'];
+const REMOVAL_REASONS = ['removal', 'replacement'];
+
+// Tracking entries from other devices are never downloaded, so every check
+// compares only the sightings recorded on this one, by whoever was signed
+// in. Screens show this next to the results so a clean check is not read as
+// a network-wide one.
+export const TAG_CHECK_SCOPE = 'Checked against scans recorded on this device only';
+
+export const TAG_ALERT_RULES = {
+  IMPOSSIBLE_TRAVEL: 'impossible_travel',
+  MULTIPLE_INSTALLATIONS: 'multiple_installations',
+  SERIAL_OUT_OF_RANGE: 'serial_out_of_range',
+};
+
+// Alerts belong to the device like the sightings they come from, so the
+// next shift sees what the last one raised
+class CloneDetectionService {
+  constructor() {
+    this.alertsKey = 'tag_integrity_alerts';
+    this.writeQueue = Promise.resolve();
+  }
+
+  // Checks one fitting's tracking history and stores any new alerts
+  async checkFitting(qrCode) {
+    try {
+      const canonical = qrCodec.canonicalize(qrCode) || qrCode;
+      const entries = await trackingService.getSightings();
+      const history = entries.filter(entry => this.getFittingKey(entry) === canonical);
+
+      const found = await this.evaluate(canonical, history);
+      await this.storeAlerts(found);
+
+      return await this.getAlerts({fittingId: canonical});
+    } catch (error) {
+      console.error('Tag check error:', error);
+      return [];
+    }
+  }
+
+  // Checks every fitting in the tracking history
+  async checkAll() {
+    try {
+      const entries = await trackingService.getSightings();
+      const byFitting = new Map();
+
+      entries.forEach(entry => {
+        const key = this.getFittingKey(entry);
+        if (!key) {
+          return;
+        }
+        if (!byFitting.has(key)) {
+          byFitting.set(key, []);
+        }
+        byFitting.get(key).push(entry);
+      });
+
+      const found = [];
+      for (const [fittingId, history] of byFitting) {
+        found.push(...await this.evaluate(fittingId, history));
+      }
+
+      const added = await this.storeAlerts(found);
+      return {success: true, checked: byFitting.size, newAlerts: added};
+    } catch (error) {
+      console.error('Tag check error:', error);
+      return {success: false, error: 'Tag integrity check failed'};
+    }
+  }
+
+  async evaluate(fittingId, history) {
+    const sorted = [...history].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    return [
+      ...this.findImpossibleTravel(fittingId, sorted),
+      ...this.findMultipleInstallations(fittingId, sorted),
+      ...await this.findSerialOutOfRange(fittingId),
+    ];
+  }
+
+  findImpossibleTravel(fittingId, sorted) {
+    const sightings = sorted.filter(entry =>
+      entry.geo && entry.geo.latitude != null && entry.geo.longitude != null,
+    );
+    const alerts = [];
+
+    for (let i = 1; i < sightings.length; i++) {
+      const previous = sightings[i - 1];
+      const current = sightings[i];
+
+      // Give the benefit of the doubt for the reported accuracy of both fixes
+      const uncertainty = ((previous.geo.accuracy || 0) + (current.geo.accuracy || 0)) / 1000;
+      const distanceKm = locationService.distanceMeters(previous.geo, current.geo) / 1000 - uncertainty;
+      const hours = (new Date(current.timestamp) - new Date(previous.timestamp)) / (60 * 60 * 1000);
+
+      if (distanceKm < MIN_TRAVEL_DISTANCE_KM) {
+        continue;
+      }
+
+      const speed = hours > 0 ? distanceKm / hours : Infinity;
+      if (speed > MAX_TRAVEL_SPEED_KMH) {
+        alerts.push(this.buildAlert(fittingId, TAG_ALERT_RULES.IMPOSSIBLE_TRAVEL, {
+          severity: 'High',
+          title: 'Possible Cloned Tag',
+          description: `${fittingId} seen ${Math.round(distanceKm)} km apart within ${this.formatDuration(hours)}`,
+          evidence: [previous.id, current.id],
+        }));
+      }
+    }
+
+    return alerts;
+  }
+
+  findMultipleInstallations(fittingId, sorted) {
+    const alerts = [];
+    let installed = null;
+
+    sorted.forEach(entry => {
+      if (entry.status !== 'moved') {
+        return;
+      }
+
+      if (REMOVAL_REASONS.includes(entry.reason)) {
+        installed = null;
+        return;
+      }
+
+      if (!INSTALL_REASONS.includes(entry.reason)) {
+        return;
+      }
+
+      const place = entry.toLocation || locationService.describeStamp(entry.geo);
+      if (installed && installed.place !== place) {
+        alerts.push(this.buildAlert(fittingId, TAG_ALERT_RULES.MULTIPLE_INSTALLATIONS, {
+          severity: 'High',
+          title: 'Tag Installed in Two Places',
+          description: `${fittingId} installed at ${place} while still recorded at ${installed.place}`,
+          evidence: [installed.entryId, entry.id],
+        }));
+      }
+
+      installed = {place, entryId: entry.id};
+    });
+
+    return alerts;
+  }
+
+  async findSerialOutOfRange(fittingId) {
+    const decoded = qrCodec.decode(fittingId);
+    if (!decoded.valid) {
+      return [];
+    }
+
+    const {vendorCode, typeCode, serialNumber} = decoded.fields;
+    const vendor = await masterDataService.getVendor(vendorCode);
+
+    // Nothing to compare against until the vendor's issue ranges are known
+    if (!vendor || !vendor.serialRanges || vendor.serialRanges.length === 0) {
+      return [];
+    }
+
+    const serial = parseInt(serialNumber, 10);
+    const inRange = vendor.serialRanges.some(range =>
+      (!range.typeCode || range.typeCode === typeCode) &&
+      serial >= range.from &&
+      serial <= range.to,
+    );
+
+    if (inRange) {
+      return [];
+    }
+
+    return [this.buildAlert(fittingId, TAG_ALERT_RULES.SERIAL_OUT_OF_RANGE, {
+      severity: 'Medium',
+      title: 'Serial Outside Issued Range',
+      description: `Serial ${serialNumber} was never issued to ${vendor.name} (${vendorCode})`,
+      evidence: [],
+    })];
+  }
+
+  buildAlert(fittingId, rule, details) {
+    return {
+      id: `tag_${rule}_${fittingId}_${details.evidence.join('_')}`,
+      type: 'Tag Integrity',
+      rule,
+      fittingId,
+      severity: details.severity,
+      title: details.title,
+      description: details.description,
+      evidence: details.evidence,
+      timestamp: new Date().toISOString(),
+      affectedItems: 1,
+      status: 'Active',
+      assignedTo: 'Track Maintenance',
+    };
+  }
+
+  async storeAlerts(alerts) {
+    return this.enqueue(async () => {
+      const existing = await this.getStoredAlerts();
+      const known = new Set(existing.map(alert => alert.id));
+      const added = alerts.filter(alert => !known.has(alert.id));
+
+      if (added.length > 0) {
+        await AsyncStorage.setItem(this.alertsKey, JSON.stringify([...existing, ...added]));
+      }
+
+      return added.length;
+    });
+  }
+
+  async getStoredAlerts() {
+    try {
+      const data = await AsyncStorage.getItem(this.alertsKey);
+      return data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error('Get tag alerts error:', error);
+      return [];
+    }
+  }
+
+  async getAlerts(options = {}) {
+    const {fittingId = null, includeResolved = false} = options;
+    const alerts = await this.getStoredAlerts();
+
+    return alerts
+      .filter(alert => !fittingId || alert.fittingId === fittingId)
+      .filter(alert => includeResolved || alert.status !== 'Resolved')
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  async updateAlertStatus(alertId, status) {
+    try {
+      const access = await accessControlService.authorize('canResolveAlerts', {
+        action: 'updateAlertStatus',
+        target: alertId,
+      });
+      if (!access.allowed) {
+        return {success: false, error: access.error, denied: true};
+      }
+
+      return await this.enqueue(async () => {
+        const alerts = await this.getStoredAlerts();
+        const alert = alerts.find(item => item.id === alertId);
+
+        if (!alert) {
+          return {success: false, error: 'Alert not found'};
+        }
+
+        alert.status = status;
+        alert.updatedAt = new Date().toISOString();
+        await AsyncStorage.setItem(this.alertsKey, JSON.stringify(alerts));
+
+        return {success: true, alert};
+      });
+    } catch (error) {
+      console.error('Update tag alert error:', error);
+      return {success: false, error: 'Failed to update alert'};
+    }
+  }
+
+  getFittingKey(entry) {
+    if (!entry.fittingId) {
+      return null;
+    }
+    return qrCodec.canonicalize(entry.fittingId) || entry.fittingId;
+  }
+
+  formatDuration(hours) {
+    if (hours < 1) {
+      return `${Math.max(1, Math.round(hours * 60))} min`;
+    }
+    return `${hours.toFixed(1)} h`;
+  }
+
+  enqueue(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+}
+
+export const cloneDetectionService = new CloneDetectionService();
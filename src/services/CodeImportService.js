@@ -0,0 +1,152 @@
+import DocumentPicker from 'react-native-document-picker';
+import PdfThumbnail from 'react-native-pdf-thumbnail';
+import {scanFromURLAsync} from 'expo-camera';
+import {qrService} from './QRService';
+import {trackingService} from './TrackingService';
+
+const BARCODE_TYPES = ['qr', 'pdf417', 'datamatrix'];
+
+class CodeImportService {
+  async pickFiles() {
+    try {
+      const files = await DocumentPicker.pick({
+        type: [DocumentPicker.types.images, DocumentPicker.types.pdf],
+        allowMultiSelection: true,
+        copyTo: 'cachesDirectory',
+      });
+      return {success: true, files};
+    } catch (error) {
+      if (DocumentPicker.isCancel(error)) {
+        return {success: false, cancelled: true};
+      }
+      console.error('Document picker error:', error);
+      return {success: false, error: 'Unable to open the selected file'};
+    }
+  }
+
+  isPdf(file) {
+    return file.type === 'application/pdf' || /\.pdf$/i.test(file.name || '');
+  }
+
+  // Every image to scan for a file: the photo itself, or one rendered image
+  // per PDF page. `pages` limits a PDF to the given 1-based page numbers.
+  async getPageImages(file, pages = null) {
+    const uri = file.fileCopyUri || file.uri;
+
+    if (!this.isPdf(file)) {
+      return [{uri, label: file.name || 'Photo'}];
+    }
+
+    const rendered = pages && pages.length > 0
+      ? await Promise.all(pages.map(page => PdfThumbnail.generate(uri, page - 1, 100)))
+      : await PdfThumbnail.generateAllPages(uri, 100);
+
+    return rendered.map((image, index) => ({
+      uri: image.uri,
+      label: `${file.name || 'PDF'} p.${pages && pages.length > 0 ? pages[index] : index + 1}`,
+    }));
+  }
+
+  // Decodes all codes in the chosen files and runs each one through the same
+  // parsing flow as a live scan. Pages where nothing could be decoded are
+  // reported as failures alongside codes that decoded but are not valid tags.
+  async importCodes(files, options = {}) {
+    const results = [];
+    const seen = new Set();
+
+    for (const file of files) {
+      let images;
+      try {
+        images = await this.getPageImages(file, options.pages);
+      } catch (error) {
+        console.error('Page render error:', error);
+        results.push(this.failure(file.name || 'File', null, 'Could not open this file'));
+        continue;
+      }
+
+      for (const image of images) {
+        let codes;
+        try {
+          codes = await scanFromURLAsync(image.uri, BARCODE_TYPES);
+        } catch (error) {
+          console.warn('Code decode error:', image.label, error);
+          codes = [];
+        }
+
+        if (!codes || codes.length === 0) {
+          results.push(this.failure(image.label, null, 'No QR, PDF417 or DataMatrix code could be decoded'));
+          continue;
+        }
+
+        for (const code of codes) {
+          // The same tag often appears on several pages of a delivery document
+          if (seen.has(code.data)) {
+            continue;
+          }
+          seen.add(code.data);
+
+          const decodeStarted = Date.now();
+          const parsed = await qrService.parseQRCode(code.data);
+          await trackingService.logScanActivity(parsed.success ? parsed.data : null, {
+            rawCode: code.data,
+            source: 'import',
+            decodeMs: Date.now() - decodeStarted,
+            error: parsed.success ? null : parsed.error,
+          });
+
+          results.push({
+            source: image.label,
+            rawCode: code.data,
+            symbology: code.type,
+            status: parsed.success ? 'decoded' : 'invalid',
+            fittingData: parsed.success ? parsed.data : null,
+            error: parsed.success ? null : parsed.error,
+          });
+        }
+      }
+    }
+
+    return {
+      success: true,
+      results,
+      decoded: results.filter(result => result.status === 'decoded').length,
+      failed: results.filter(result => result.status !== 'decoded').length,
+    };
+  }
+
+  failure(source, rawCode, error) {
+    return {
+      source,
+      rawCode,
+      symbology: null,
+      status: 'unreadable',
+      fittingData: null,
+      error,
+    };
+  }
+
+  // Parses "1, 3-5" into [1, 3, 4, 5]; an empty string means every page
+  parsePageList(text) {
+    const pages = [];
+    const parts = String(text || '').split(',').map(part => part.trim()).filter(Boolean);
+
+    for (const part of parts) {
+      const match = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+      if (!match) {
+        return null;
+      }
+      const from = parseInt(match[1], 10);
+      const to = match[2] ? parseInt(match[2], 10) : from;
+      if (from < 1 || to < from) {
+        return null;
+      }
+      for (let page = from; page <= to; page++) {
+        pages.push(page);
+      }
+    }
+
+    return pages;
+  }
+}
+
+export const codeImportService = new CodeImportService();
@@ -1,5 +1,7 @@
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import {qrService} from './QRService';
+import {fittingTypeRegistry} from './FittingTypeRegistry';
+import {cloneDetectionService} from './CloneDetectionService';
+import {secureStorageService} from './SecureStorageService';
 
 class DashboardService {
   constructor() {
@@ -31,7 +33,7 @@ class DashboardService {
 
   async getCachedData() {
     try {
-      const cached = await AsyncStorage.getItem(this.cacheKey);
+      const cached = await secureStorageService.getItem(this.cacheKey);
       if (cached) {
         const {data, timestamp} = JSON.parse(cached);
         if (Date.now() - timestamp < this.cacheExpiry) {
@@ -51,7 +53,7 @@ class DashboardService {
         data,
         timestamp: Date.now(),
       };
-      await AsyncStorage.setItem(this.cacheKey, JSON.stringify(cacheObject));
+      await secureStorageService.setItem(this.cacheKey, JSON.stringify(cacheObject));
     } catch (error) {
       console.error('Cache storage error:', error);
     }
@@ -257,7 +259,7 @@ class DashboardService {
   }
 
   getRandomType() {
-    const types = ['RC', 'LN', 'RP', 'SL'];
+    const types = fittingTypeRegistry.getCodes();
     return types[Math.floor(Math.random() * types.length)];
   }
 
@@ -277,7 +279,12 @@ class DashboardService {
   }
 
   async getSystemAlerts() {
+    // Cloned or duplicate tags found in the local scan history
+    await cloneDetectionService.checkAll();
+    const tagAlerts = await cloneDetectionService.getAlerts();
+
     return [
+      ...tagAlerts,
       {
         id: 'alert_1',
         type: 'Quality',
@@ -422,7 +429,7 @@ class DashboardService {
 
   async clearCache() {
     try {
-      await AsyncStorage.removeItem(this.cacheKey);
+      await secureStorageService.removeItem(this.cacheKey);
     } catch (error) {
       console.error('Cache clear error:', error);
     }
@@ -0,0 +1,59 @@
+import environments from '../data/environments.json';
+import appConfig from '../../app.json';
+
+const DEFAULT_ENVIRONMENT = 'production';
+
+// The build's environment profile: which servers it talks to, whether
+// services may fill in generated data when a server cannot be reached, and
+// the demo sign-in. Set at build time with EXPO_PUBLIC_APP_ENV or
+// `expo.extra.environment` in app.json; an unknown name falls back to
+// production so a misconfigured build never runs on made-up data. Builds are
+// production unless made with the start:demo or build:android:demo script.
+class EnvironmentService {
+  constructor() {
+    const requested = process.env.EXPO_PUBLIC_APP_ENV ||
+      (appConfig.expo.extra && appConfig.expo.extra.environment);
+
+    if (requested && !environments[requested]) {
+      console.warn(`Unknown environment "${requested}", using ${DEFAULT_ENVIRONMENT}`);
+    }
+
+    this.id = environments[requested] ? requested : DEFAULT_ENVIRONMENT;
+    this.profile = environments[this.id];
+  }
+
+  getName() {
+    return this.profile.name;
+  }
+
+  isDemo() {
+    return this.id === 'demo';
+  }
+
+  getEndpoint(service) {
+    const endpoint = this.profile.endpoints[service];
+    if (!endpoint) {
+      throw new Error(`No ${service} endpoint configured for ${this.profile.name}`);
+    }
+    return endpoint;
+  }
+
+  // Whether a service may return generated sample data in place of a
+  // failed request
+  allowsMockFallback() {
+    return this.profile.allowMockFallback === true;
+  }
+
+  getDemoCredentials() {
+    return this.profile.demoCredentials || null;
+  }
+
+  isDemoLogin(employeeId, password) {
+    const credentials = this.getDemoCredentials();
+    return !!credentials &&
+      employeeId === credentials.employeeId &&
+      password === credentials.password;
+  }
+}
+
+export const environmentService = new EnvironmentService();
@@ -0,0 +1,246 @@
+// Single source of truth for track fitting types. Every service reads type
+// names, specifications, prices, design life, stock levels and inspection
+// templates from here; adding a new type only needs a new entry below.
+const DEFAULT_FITTING_TYPES = [
+  {
+    code: 'RC',
+    name: 'Elastic Rail Clip',
+    pluralName: 'Rail Clips',
+    specifications: {
+      material: 'Spring Steel',
+      grade: 'Grade 60',
+      tensileStrength: '1800-2000 MPa',
+      hardness: '52-58 HRC',
+      coating: 'Zinc Plated',
+    },
+    unitPrice: 45.50,
+    designLifeDays: 2555, // 7 years
+    minimumStock: 1000,
+    maintenanceSchedule: 'Quarterly inspection and lubrication',
+    benchmark: {industryAverage: 82, bestPractice: 92, worstCase: 65, yourScore: 88},
+    inspectionTemplate: {
+      checks: ['visual', 'dimensional', 'material', 'functional'],
+      frequency: 'Quarterly',
+      focusAreas: ['Toe load', 'Clip seating', 'Corrosion at heel'],
+    },
+  },
+  {
+    code: 'LN',
+    name: 'Liner',
+    pluralName: 'Liners',
+    specifications: {
+      material: 'Cast Iron',
+      grade: 'Grade 250',
+      dimensions: '165x135x13 mm',
+      weight: '0.8 kg',
+      finish: 'Shot Blasted',
+    },
+    unitPrice: 32.25,
+    designLifeDays: 3650, // 10 years
+    minimumStock: 500,
+    maintenanceSchedule: 'Semi-annual dimensional check',
+    benchmark: {industryAverage: 85, bestPractice: 94, worstCase: 70, yourScore: 90},
+    inspectionTemplate: {
+      checks: ['visual', 'dimensional'],
+      frequency: 'Semi-annual',
+      focusAreas: ['Wear on bearing face', 'Cracks'],
+    },
+  },
+  {
+    code: 'RP',
+    name: 'Rail Pad',
+    pluralName: 'Rail Pads',
+    specifications: {
+      material: 'EPDM Rubber',
+      hardness: '70±5 Shore A',
+      dimensions: '165x135x6 mm',
+      density: '1.4 g/cm³',
+      temperature: '-40°C to +70°C',
+    },
+    unitPrice: 28.75,
+    designLifeDays: 1825, // 5 years
+    minimumStock: 750,
+    maintenanceSchedule: 'Monthly visual inspection for cracks',
+    benchmark: {industryAverage: 78, bestPractice: 88, worstCase: 60, yourScore: 82},
+    inspectionTemplate: {
+      checks: ['visual', 'dimensional', 'material'],
+      frequency: 'Monthly',
+      focusAreas: ['Rubber cracking', 'Pad displacement', 'Thickness loss'],
+    },
+  },
+  {
+    code: 'SL',
+    name: 'Sleeper',
+    pluralName: 'Sleepers',
+    specifications: {
+      material: 'Concrete',
+      grade: 'M40',
+      dimensions: '2600x240x200 mm',
+      weight: '280 kg',
+      reinforcement: 'PSC',
+    },
+    unitPrice: 1450.00,
+    designLifeDays: 10950, // 30 years
+    minimumStock: 100,
+    maintenanceSchedule: 'Annual comprehensive inspection',
+    benchmark: {industryAverage: 88, bestPractice: 96, worstCase: 75, yourScore: 91},
+    inspectionTemplate: {
+      checks: ['visual', 'dimensional', 'functional'],
+      frequency: 'Annually',
+      focusAreas: ['Rail seat abrasion', 'Cracks at centre', 'Insert condition'],
+    },
+  },
+  {
+    code: 'GL',
+    name: 'GFN Liner',
+    pluralName: 'GFN Liners',
+    specifications: {
+      material: 'Glass Filled Nylon 66',
+      glassContent: '30±2 %',
+      dimensions: '135x43x11 mm',
+      weight: '0.1 kg',
+      temperature: '-30°C to +80°C',
+    },
+    unitPrice: 18.40,
+    designLifeDays: 2190, // 6 years
+    minimumStock: 1000,
+    maintenanceSchedule: 'Half-yearly check for cracking and wear',
+    benchmark: {industryAverage: 80, bestPractice: 90, worstCase: 62, yourScore: 84},
+    inspectionTemplate: {
+      checks: ['visual', 'dimensional'],
+      frequency: 'Semi-annual',
+      focusAreas: ['Cracking', 'Wear at clip contact'],
+    },
+  },
+  {
+    code: 'FP',
+    name: 'Fish Plate',
+    pluralName: 'Fish Plates',
+    specifications: {
+      material: 'Medium Manganese Steel',
+      grade: 'IRS T-1',
+      dimensions: '610x120x25 mm',
+      weight: '18 kg',
+      boltHoles: '4 x 26 mm',
+    },
+    unitPrice: 860.00,
+    designLifeDays: 7300, // 20 years
+    minimumStock: 200,
+    maintenanceSchedule: 'Quarterly check of bolts and joint gap',
+    benchmark: {industryAverage: 84, bestPractice: 93, worstCase: 68, yourScore: 87},
+    inspectionTemplate: {
+      checks: ['visual', 'dimensional', 'functional'],
+      frequency: 'Quarterly',
+      focusAreas: ['Cracks at bolt holes', 'Bolt tightness', 'Joint gap'],
+    },
+  },
+  {
+    code: 'SE',
+    name: 'Switch Expansion Joint',
+    pluralName: 'SEJs',
+    specifications: {
+      material: 'Rail Steel',
+      grade: '880 Grade',
+      gapRange: '40-190 mm',
+      length: '6500 mm',
+      railSection: '60 kg',
+    },
+    unitPrice: 185000.00,
+    designLifeDays: 5475, // 15 years
+    minimumStock: 5,
+    maintenanceSchedule: 'Monthly gap and lubrication check',
+    benchmark: {industryAverage: 86, bestPractice: 95, worstCase: 70, yourScore: 89},
+    inspectionTemplate: {
+      checks: ['visual', 'dimensional', 'material', 'functional'],
+      frequency: 'Monthly',
+      focusAreas: ['Expansion gap', 'Tongue rail wear', 'Lubrication'],
+    },
+  },
+];
+
+const REQUIRED_FIELDS = [
+  'code',
+  'name',
+  'specifications',
+  'unitPrice',
+  'designLifeDays',
+  'minimumStock',
+  'inspectionTemplate',
+];
+
+class FittingTypeRegistry {
+  constructor() {
+    this.types = new Map();
+    DEFAULT_FITTING_TYPES.forEach(entry => this.register(entry));
+  }
+
+  register(entry) {
+    const missing = REQUIRED_FIELDS.filter(field => entry[field] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Fitting type ${entry.code || '?'} is missing: ${missing.join(', ')}`);
+    }
+
+    if (!/^[A-Z]{2}$/.test(entry.code)) {
+      throw new Error(`Fitting type code must be two capital letters: ${entry.code}`);
+    }
+
+    this.types.set(entry.code, {
+      pluralName: entry.name,
+      maintenanceSchedule: 'Quarterly inspection',
+      benchmark: null,
+      ...entry,
+    });
+  }
+
+  getAll() {
+    return Array.from(this.types.values());
+  }
+
+  getCodes() {
+    return Array.from(this.types.keys());
+  }
+
+  get(code) {
+    return this.types.get(code) || null;
+  }
+
+  getByName(name) {
+    return this.getAll().find(entry => entry.name === name) || null;
+  }
+
+  isValidCode(code) {
+    return this.types.has(code);
+  }
+
+  getName(code) {
+    const entry = this.get(code);
+    return entry ? entry.name : 'Unknown';
+  }
+
+  getSpecifications(code) {
+    const entry = this.get(code);
+    return entry ? {...entry.specifications} : {};
+  }
+
+  getUnitPrice(code) {
+    const entry = this.get(code);
+    return entry ? entry.unitPrice : 0;
+  }
+
+  getDesignLifeDays(code) {
+    const entry = this.get(code);
+    return entry ? entry.designLifeDays : null;
+  }
+
+  getMinimumStock(code) {
+    const entry = this.get(code);
+    return entry ? entry.minimumStock : null;
+  }
+
+  getInspectionTemplate(code) {
+    const entry = this.get(code);
+    return entry ? entry.inspectionTemplate : null;
+  }
+}
+
+export const fittingTypeRegistry = new FittingTypeRegistry();
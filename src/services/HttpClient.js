@@ -0,0 +1,144 @@
+import axios from 'axios';
+import {getTokenExpiry, isOfflineToken} from '../utils/token';
+import {secureStorageService} from './SecureStorageService';
+
+// Tokens are refreshed this long before they expire so a request started
+// just before expiry does not reach the server with a dead token
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Shared client for UDM, TMS and other authenticated APIs. It attaches the
+// stored token, refreshes it before expiry, retries a request once after a
+// 401 and ends the session when the token cannot be refreshed. Requests that
+// must not carry a token (login, password reset) pass `skipAuth: true`.
+class HttpClient {
+  constructor() {
+    this.client = axios.create({
+      timeout: 15000,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+    });
+    this.handlers = {refresh: null, logout: null};
+    this.refreshing = null;
+    this.sessionListeners = new Set();
+
+    this.client.interceptors.request.use(config => this.authorize(config));
+    this.client.interceptors.response.use(
+      response => response,
+      error => this.handleError(error),
+    );
+  }
+
+  // AuthService owns refresh and logout; registering them here keeps this
+  // module free of a dependency on it
+  setAuthHandlers(handlers) {
+    this.handlers = {...this.handlers, ...handlers};
+  }
+
+  // Called when the session could not be renewed and the token was dropped
+  onSessionExpired(listener) {
+    this.sessionListeners.add(listener);
+    return () => this.sessionListeners.delete(listener);
+  }
+
+  get(url, config = {}) {
+    return this.client.get(url, config);
+  }
+
+  post(url, data, config = {}) {
+    return this.client.post(url, data, config);
+  }
+
+  put(url, data, config = {}) {
+    return this.client.put(url, data, config);
+  }
+
+  delete(url, config = {}) {
+    return this.client.delete(url, config);
+  }
+
+  async authorize(config) {
+    if (config.skipAuth) {
+      return config;
+    }
+
+    let token = await secureStorageService.getItem('authToken');
+
+    // An offline session has nothing the server would accept; it is swapped
+    // for a real token once the session has been re-checked
+    if (isOfflineToken(token)) {
+      return config;
+    }
+
+    const expiry = getTokenExpiry(token);
+    if (token && expiry !== null && expiry - REFRESH_MARGIN_MS <= Date.now()) {
+      token = await this.refresh();
+    }
+
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+  }
+
+  async handleError(error) {
+    const config = error.config;
+    const unauthorized = error.response && error.response.status === 401;
+
+    // Only a request that was sent with a token can be rescued by refreshing it
+    if (!unauthorized || !config || config.skipAuth || config.retriedAfterRefresh || !config.headers.Authorization) {
+      throw error;
+    }
+
+    const token = await this.refresh();
+    if (!token) {
+      throw error;
+    }
+
+    config.retriedAfterRefresh = true;
+    config.headers.Authorization = `Bearer ${token}`;
+    return this.client.request(config);
+  }
+
+  // Concurrent requests that all find the token expired share one refresh
+  async refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.runRefresh().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  async runRefresh() {
+    const result = this.handlers.refresh
+      ? await this.handlers.refresh()
+      : {success: false};
+
+    if (result.success) {
+      return result.token;
+    }
+
+    await this.expireSession();
+    return null;
+  }
+
+  async expireSession() {
+    try {
+      if (this.handlers.logout) {
+        await this.handlers.logout();
+      }
+    } catch (error) {
+      console.error('Session expiry logout error:', error);
+    }
+    this.notifySessionExpired();
+  }
+
+  // Returns the user to the login screen without logging out, for sessions
+  // that ended while local data still needs to be kept
+  notifySessionExpired() {
+    this.sessionListeners.forEach(listener => listener());
+  }
+}
+
+export const httpClient = new HttpClient();
@@ -1,22 +1,50 @@
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import axios from 'axios';
+import {httpClient} from './HttpClient';
+import {qrCodec} from './QRCodec';
+import {fittingTypeRegistry} from './FittingTypeRegistry';
+import {locationService} from './LocationService';
+import {trackingService} from './TrackingService';
+import {tagAliasService} from './TagAliasService';
+import {accessControlService} from './AccessControlService';
+import {secureStorageService} from './SecureStorageService';
+import {environmentService} from './EnvironmentService';
+import {masterDataService} from './MasterDataService';
+import {toleranceService} from './ToleranceService';
+import inspectionTemplates from '../data/inspectionTemplates.json';
 
 class InspectionService {
   constructor() {
-    this.baseURL = 'https://api.ireps.gov.in/v1/inspections';
-    this.tmsBaseURL = 'https://api.irecept.gov.in/v1/inspections';
+    this.baseURL = `${environmentService.getEndpoint('udm')}/inspections`;
+    this.tmsBaseURL = `${environmentService.getEndpoint('tms')}/inspections`;
+    // Inspections are saved while a sync may be running, so every
+    // read-modify-write of the stored list is chained to keep one from
+    // overwriting another
+    this.writeQueue = Promise.resolve();
   }
 
   async submitInspection(inspectionData) {
     try {
+      const access = await accessControlService.authorize('canInspect', {
+        action: 'submitInspection',
+        target: inspectionData.qrCode,
+      });
+      if (!access.allowed) {
+        return { success: false, error: access.error, denied: true };
+      }
+
       // Validate inspection data
-      const validation = this.validateInspectionData(inspectionData);
+      const evaluatedData = await this.applyToleranceEvaluation(inspectionData);
+      const validation = this.validateInspectionData(evaluatedData);
       if (!validation.valid) {
-        return { success: false, error: validation.errors.join(', ') };
+        return { success: false, error: validation.errors.join(', '), fieldErrors: validation.fieldErrors };
       }
 
+      const checkedData = this.applyTemplate(evaluatedData, validation.template);
+
+      // Stamp where the inspection was carried out
+      const geo = checkedData.geo || await locationService.getStamp();
+
       // Prepare inspection payload
-      const payload = this.prepareInspectionPayload(inspectionData);
+      const payload = this.prepareInspectionPayload(checkedData, geo);
 
       // Submit to UDM portal
       const udmResult = await this.submitToUDM(payload);
@@ -24,16 +52,30 @@ class InspectionService {
       // Submit to TMS portal
       const tmsResult = await this.submitToTMS(payload);
 
-      // Store locally for offline access
-      await this.storeInspectionLocally(payload);
+      // Store locally for offline access; one the portals refused is sent
+      // again by the next sync
+      await this.storeInspectionLocally({...payload, synced: udmResult.success || tmsResult.success});
+
+      await trackingService.trackInspection({
+        id: payload.inspectionId,
+        fittingId: payload.qrCode,
+        location: payload.location,
+        geo,
+        inspector: payload.inspectorName,
+        condition: payload.overallAssessment.grade,
+        notes: payload.remarks,
+        type: payload.inspectionType,
+        photos: payload.photos,
+      });
 
       // Generate inspection report
-      const reportId = await this.generateInspectionReport(inspectionData);
+      const reportId = await this.generateInspectionReport(checkedData, validation.template);
 
       return {
         success: true,
         inspectionId: payload.inspectionId,
         reportId: reportId,
+        locationFlagged: geo.flagged,
         udmStatus: udmResult.success,
         tmsStatus: tmsResult.success,
         message: 'Inspection submitted successfully',
@@ -44,8 +86,11 @@ class InspectionService {
     }
   }
 
+  // Basic details are checked here; everything else comes from the same
+  // template the inspection form was built from
   validateInspectionData(data) {
     const errors = [];
+    const fieldErrors = {};
 
     if (!data.qrCode) {
       errors.push('QR Code is required');
@@ -57,47 +102,181 @@ class InspectionService {
 
     if (!data.inspectionType) {
       errors.push('Inspection type is required');
+    } else if (!inspectionTemplates.inspectionTypes[data.inspectionType]) {
+      errors.push(`Unknown inspection type: ${data.inspectionType}`);
     }
 
     // Validate QR code format
-    if (data.qrCode && !this.isValidQRCode(data.qrCode)) {
-      errors.push('Invalid QR code format');
+    let qrTypeCode = null;
+    if (data.qrCode) {
+      const decoded = qrCodec.decode(data.qrCode);
+      if (!decoded.valid) {
+        errors.push(...decoded.errors.map(error => error.message));
+      } else {
+        qrTypeCode = decoded.fields.typeCode;
+      }
+    }
+
+    if (data.fittingType && qrTypeCode && data.fittingType !== qrTypeCode) {
+      errors.push(
+        `QR code is for ${fittingTypeRegistry.getName(qrTypeCode)}, but ${fittingTypeRegistry.getName(data.fittingType)} was selected`,
+      );
+    }
+
+    const template = this.buildFormTemplate(data.fittingType || qrTypeCode, data.inspectionType);
+    template.sections.forEach(section => {
+      const values = data[section.dataKey] || {};
+      section.fields
+        .filter(field => this.isFieldVisible(field, values))
+        .forEach(field => {
+          const problem = this.validateField(field, values[field.key]);
+          if (problem) {
+            fieldErrors[`${section.id}.${field.key}`] = problem;
+            errors.push(`${field.label}: ${problem}`);
+          }
+        });
+    });
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      fieldErrors,
+      template,
+    };
+  }
+
+  validateField(field, value) {
+    const empty = value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+    if (empty) {
+      return field.required ? 'Required' : null;
     }
 
-    // Validate dimensional data if provided
-    if (data.dimensionalCheck) {
-      if (data.dimensionalCheck.length && isNaN(data.dimensionalCheck.length)) {
-        errors.push('Invalid length measurement');
+    if (field.type === 'number') {
+      const number = Number(value);
+      if (isNaN(number)) {
+        return 'Enter a number';
+      }
+      const tooLow = field.min !== undefined && number < field.min;
+      const tooHigh = field.max !== undefined && number > field.max;
+      if (tooLow || tooHigh) {
+        return `Must be ${this.describeRange(field)}`;
       }
-      if (data.dimensionalCheck.width && isNaN(data.dimensionalCheck.width)) {
-        errors.push('Invalid width measurement');
+    } else if (field.type === 'choice') {
+      if (!field.options.some(option => option.value === value)) {
+        return 'Choose one of the options';
       }
+    } else if (field.type === 'boolean' && typeof value !== 'boolean') {
+      return 'Must be yes or no';
+    }
+
+    return null;
+  }
+
+  describeRange(field) {
+    const unit = field.unit ? ` ${field.unit}` : '';
+    if (field.min !== undefined && field.max !== undefined) {
+      return `between ${field.min} and ${field.max}${unit}`;
     }
+    if (field.min !== undefined) {
+      return `at least ${field.min}${unit}`;
+    }
+    return `at most ${field.max}${unit}`;
+  }
+
+  isFieldVisible(field, values = {}) {
+    const condition = field.visibleWhen;
+    if (!condition) {
+      return true;
+    }
+
+    const value = values[condition.field];
+    return condition.in ? condition.in.includes(value) : value === condition.equals;
+  }
+
+  // Every check section, empty, so data for an inspection never carries a
+  // section its template does not cover
+  createEmptySections() {
+    return Object.values(inspectionTemplates.sections).reduce((sections, section) => ({
+      ...sections,
+      [section.dataKey]: {},
+    }), {});
+  }
+
+  // Form values for a template, keeping whatever was already entered in
+  // fields the template still has
+  createFormValues(template, previous = {}) {
+    const values = this.createEmptySections();
+    template.sections.forEach(section => {
+      const existing = previous[section.dataKey] || {};
+      section.fields.forEach(field => {
+        if (existing[field.key] !== undefined) {
+          values[section.dataKey][field.key] = existing[field.key];
+        } else if (field.default !== undefined) {
+          values[section.dataKey][field.key] = field.default;
+        } else {
+          values[section.dataKey][field.key] = field.type === 'boolean' ? false : '';
+        }
+      });
+    });
+    return values;
+  }
+
+  // Only the fields the template shows are recorded
+  applyTemplate(data, template) {
+    const result = {...data, fittingType: template.fittingType, ...this.createEmptySections()};
+    template.sections.forEach(section => {
+      const values = data[section.dataKey] || {};
+      section.fields
+        .filter(field => this.isFieldVisible(field, values) && values[field.key] !== undefined)
+        .forEach(field => {
+          result[section.dataKey][field.key] = values[field.key];
+        });
+    });
+    return result;
+  }
 
-    // Validate material data
-    if (data.materialCheck && data.materialCheck.hardness && isNaN(data.materialCheck.hardness)) {
-      errors.push('Invalid hardness value');
+  resolveFittingType(data) {
+    if (data.fittingType) {
+      return data.fittingType;
     }
+    const decoded = qrCodec.decode(data.qrCode);
+    return decoded.valid ? decoded.fields.typeCode : null;
+  }
 
+  // The tolerance status is worked out from the readings and the fitting's
+  // specification, never picked by hand. It covers every reading that has
+  // limits, hardness included, and is what grading, scoring and risk use.
+  async applyToleranceEvaluation(data) {
+    const template = this.buildFormTemplate(this.resolveFittingType(data), data.inspectionType);
+    const specifications = template.fittingType
+      ? await masterDataService.getSpecifications(template.fittingType)
+      : {};
+    return this.withToleranceStatus(data, template, specifications);
+  }
+
+  withToleranceStatus(data, template, specifications) {
+    const evaluation = toleranceService.evaluateForm(data, template, specifications);
     return {
-      valid: errors.length === 0,
-      errors,
+      ...data,
+      dimensionalCheck: {...(data.dimensionalCheck || {}), tolerance: evaluation.status || ''},
+      toleranceResults: evaluation.results,
     };
   }
 
   isValidQRCode(qrCode) {
-    const pattern = /^(RC|LN|RP|SL)-\w+-\d{8}-VND\d{3}-\d{5}$/;
-    return pattern.test(qrCode);
+    return qrCodec.isValid(qrCode);
   }
 
-  prepareInspectionPayload(data) {
+  prepareInspectionPayload(data, geo = null) {
     return {
       inspectionId: this.generateInspectionId(),
       qrCode: data.qrCode,
+      fittingType: data.fittingType,
       inspectorName: data.inspectorName,
       inspectionType: data.inspectionType,
       timestamp: new Date().toISOString(),
-      location: data.location || 'Unknown',
+      location: data.location || locationService.describeStamp(geo),
+      geo,
       visualInspection: {
         cracks: data.visualCheck.cracks || false,
         corrosion: data.visualCheck.corrosion || false,
@@ -109,7 +288,8 @@ class InspectionService {
         length: parseFloat(data.dimensionalCheck.length) || null,
         width: parseFloat(data.dimensionalCheck.width) || null,
         height: parseFloat(data.dimensionalCheck.height) || null,
-        toleranceStatus: data.dimensionalCheck.tolerance,
+        toleranceStatus: data.dimensionalCheck.tolerance || null,
+        toleranceResults: data.toleranceResults || {},
         accuracy: this.calculateDimensionalAccuracy(data.dimensionalCheck),
       },
       materialProperties: {
@@ -132,6 +312,13 @@ class InspectionService {
       remarks: data.remarks || '',
       recommendations: data.recommendations || [],
       photos: data.photos || [],
+      // Every recorded field, including those particular to the fitting type
+      checklist: {
+        visual: data.visualCheck,
+        dimensional: data.dimensionalCheck,
+        material: data.materialCheck,
+        functional: data.functionalCheck,
+      },
       inspectorSignature: this.generateInspectorSignature(data.inspectorName),
       qualityScore: this.calculateQualityScore(data),
     };
@@ -143,8 +330,26 @@ class InspectionService {
     return `INS-${timestamp}-${random}`;
   }
 
+  // Visual checks are yes/no defect flags; measurements recorded alongside
+  // them are not defects in themselves
+  countVisualDefects(visualCheck) {
+    return Object.values(visualCheck).filter(value => value === true).length;
+  }
+
+  // A check the inspection's template does not cover, or readings that were
+  // not taken, count as passed rather than being held against the fitting
+  isDimensionalPass(data) {
+    const tolerance = data.dimensionalCheck.tolerance;
+    return !tolerance || tolerance === 'within';
+  }
+
+  isMaterialPass(data) {
+    const tensileStrength = data.materialCheck.tensileStrength;
+    return !tensileStrength || tensileStrength === 'pass';
+  }
+
   calculateVisualCondition(visualCheck) {
-    const defects = Object.values(visualCheck).filter(v => v).length;
+    const defects = this.countVisualDefects(visualCheck);
     if (defects === 0) return 'Excellent';
     if (defects <= 1) return 'Good';
     if (defects <= 2) return 'Fair';
@@ -152,12 +357,16 @@ class InspectionService {
   }
 
   calculateDimensionalAccuracy(dimensionalCheck) {
+    if (!dimensionalCheck.tolerance) return null;
     if (dimensionalCheck.tolerance === 'within') return 'High';
     if (dimensionalCheck.tolerance === 'marginal') return 'Medium';
     return 'Low';
   }
 
   determineMaterialGrade(materialCheck) {
+    if (!materialCheck.tensileStrength && !materialCheck.chemicalComposition) {
+      return null;
+    }
     if (materialCheck.tensileStrength === 'pass' && materialCheck.chemicalComposition === 'pass') {
       return 'A';
     } else if (materialCheck.tensileStrength === 'pass' || materialCheck.chemicalComposition === 'pass') {
@@ -167,6 +376,9 @@ class InspectionService {
   }
 
   assessOperationalStatus(functionalCheck) {
+    if (!functionalCheck.fitment && !functionalCheck.performance) {
+      return null;
+    }
     if (functionalCheck.fitment === 'good' && functionalCheck.performance === 'satisfactory') {
       return 'Operational';
     } else if (functionalCheck.fitment === 'fair' || functionalCheck.performance === 'acceptable') {
@@ -176,26 +388,42 @@ class InspectionService {
   }
 
   determinePassStatus(data) {
-    const visualDefects = Object.values(data.visualCheck).filter(v => v).length;
-    const dimensionalPass = data.dimensionalCheck.tolerance === 'within';
-    const materialPass = data.materialCheck.tensileStrength === 'pass';
+    const visualDefects = this.countVisualDefects(data.visualCheck);
+    const dimensionalPass = this.isDimensionalPass(data);
+    const materialPass = this.isMaterialPass(data);
     
     return visualDefects === 0 && dimensionalPass && materialPass;
   }
 
+  // A marginal reading is inside the limits, so only one outside them makes
+  // the dimensional check a high risk
   assessRiskLevel(data) {
-    const visualDefects = Object.values(data.visualCheck).filter(v => v).length;
-    const dimensionalPass = data.dimensionalCheck.tolerance === 'within';
-    const materialPass = data.materialCheck.tensileStrength === 'pass';
+    const visualDefects = this.countVisualDefects(data.visualCheck);
+    const tolerance = data.dimensionalCheck.tolerance;
+    const materialPass = this.isMaterialPass(data);
     
-    if (visualDefects > 2 || !dimensionalPass || !materialPass) {
+    if (visualDefects > 2 || tolerance === 'outside' || !materialPass) {
       return 'High';
-    } else if (visualDefects > 0 || data.dimensionalCheck.tolerance === 'marginal') {
+    } else if (visualDefects > 0 || tolerance === 'marginal') {
       return 'Medium';
     }
     return 'Low';
   }
 
+  calculateGrade(data) {
+    const visualIssues = this.countVisualDefects(data.visualCheck);
+    const dimensionalPass = this.isDimensionalPass(data);
+    const chemicalComposition = data.materialCheck.chemicalComposition;
+    const materialPass = this.isMaterialPass(data) && (!chemicalComposition || chemicalComposition === 'pass');
+
+    if (visualIssues === 0 && dimensionalPass && materialPass) {
+      return 'A';
+    } else if (visualIssues <= 1 && (dimensionalPass || materialPass)) {
+      return 'B';
+    }
+    return 'C';
+  }
+
   calculateNextInspectionDate(data) {
     const now = new Date();
     let monthsToAdd = 6; // Default 6 months
@@ -228,7 +456,7 @@ class InspectionService {
     let score = 100;
 
     // Visual inspection impact
-    const visualDefects = Object.values(data.visualCheck).filter(v => v).length;
+    const visualDefects = this.countVisualDefects(data.visualCheck);
     score -= visualDefects * 10;
 
     // Dimensional check impact
@@ -258,13 +486,7 @@ class InspectionService {
 
   async submitToUDM(payload) {
     try {
-      const token = await AsyncStorage.getItem('authToken');
-      
-      const response = await axios.post(`${this.baseURL}/submit`, payload, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
+      const response = await httpClient.post(`${this.baseURL}/submit`, payload, {
         timeout: 10000,
       });
 
@@ -277,13 +499,7 @@ class InspectionService {
 
   async submitToTMS(payload) {
     try {
-      const token = await AsyncStorage.getItem('authToken');
-      
-      const response = await axios.post(`${this.tmsBaseURL}/submit`, payload, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
+      const response = await httpClient.post(`${this.tmsBaseURL}/submit`, payload, {
         timeout: 10000,
       });
 
@@ -296,17 +512,19 @@ class InspectionService {
 
   async storeInspectionLocally(payload) {
     try {
-      const existingInspections = await AsyncStorage.getItem('localInspections');
-      const inspections = existingInspections ? JSON.parse(existingInspections) : [];
-      
-      inspections.push(payload);
-      
-      // Keep only last 100 inspections
-      if (inspections.length > 100) {
-        inspections.splice(0, inspections.length - 100);
-      }
-      
-      await AsyncStorage.setItem('localInspections', JSON.stringify(inspections));
+      await this.enqueue(async () => {
+        const existingInspections = await secureStorageService.getItem('localInspections');
+        const inspections = existingInspections ? JSON.parse(existingInspections) : [];
+        
+        inspections.push(payload);
+        
+        // Keep only last 100 inspections
+        if (inspections.length > 100) {
+          inspections.splice(0, inspections.length - 100);
+        }
+        
+        await secureStorageService.setItem('localInspections', JSON.stringify(inspections));
+      });
     } catch (error) {
       console.error('Local storage error:', error);
     }
@@ -314,7 +532,7 @@ class InspectionService {
 
   async getLocalInspections() {
     try {
-      const data = await AsyncStorage.getItem('localInspections');
+      const data = await secureStorageService.getItem('localInspections');
       return data ? JSON.parse(data) : [];
     } catch (error) {
       console.error('Local retrieval error:', error);
@@ -322,7 +540,7 @@ class InspectionService {
     }
   }
 
-  async generateInspectionReport(inspectionData) {
+  async generateInspectionReport(inspectionData, template) {
     try {
       const reportId = `RPT-${Date.now()}`;
       
@@ -335,7 +553,7 @@ class InspectionService {
         summary: this.generateReportSummary(inspectionData),
         recommendations: inspectionData.recommendations,
         nextActions: this.generateNextActions(inspectionData),
-        complianceStatus: this.checkCompliance(inspectionData),
+        complianceStatus: this.checkCompliance(inspectionData, template),
       };
 
       // Store report locally
@@ -366,15 +584,20 @@ class InspectionService {
     const findings = [];
     
     const visualDefects = Object.entries(data.visualCheck)
-      .filter(([key, value]) => value)
+      .filter(([key, value]) => value === true)
       .map(([key, value]) => key);
     
     if (visualDefects.length > 0) {
       findings.push(`Visual defects found: ${visualDefects.join(', ')}`);
     }
     
-    if (data.dimensionalCheck.tolerance !== 'within') {
+    if (!this.isDimensionalPass(data)) {
       findings.push(`Dimensional tolerance: ${data.dimensionalCheck.tolerance}`);
+      Object.entries(data.toleranceResults || {})
+        .filter(([key, result]) => result.status !== 'within')
+        .forEach(([key, result]) => {
+          findings.push(`${key} ${result.status}: ${toleranceService.describe(result)}`);
+        });
     }
     
     if (data.materialCheck.tensileStrength === 'fail') {
@@ -419,20 +642,22 @@ class InspectionService {
     return actions;
   }
 
-  checkCompliance(data) {
-    const requirements = {
-      visualInspection: 'Required',
-      dimensionalCheck: 'Required',
-      materialTest: 'Required',
-      documentation: 'Complete',
-    };
-    
-    const compliance = {
-      visualInspection: Object.values(data.visualCheck).some(v => v !== undefined),
-      dimensionalCheck: data.dimensionalCheck.tolerance !== undefined,
-      materialTest: data.materialCheck.tensileStrength !== undefined,
-      documentation: data.inspectorName && data.qrCode,
-    };
+  // Each check the template requires is compliant once all of its fields
+  // hold acceptable values
+  checkCompliance(data, template) {
+    const requirements = {};
+    const compliance = {};
+
+    template.sections.forEach(section => {
+      const values = data[section.dataKey];
+      requirements[section.id] = 'Required';
+      compliance[section.id] = section.fields
+        .filter(field => this.isFieldVisible(field, values))
+        .every(field => !this.validateField(field, values[field.key]));
+    });
+
+    requirements.documentation = 'Complete';
+    compliance.documentation = !!(data.inspectorName && data.qrCode);
     
     const overallCompliance = Object.values(compliance).every(c => c);
     
@@ -445,7 +670,7 @@ class InspectionService {
 
   async storeReportLocally(report) {
     try {
-      const existingReports = await AsyncStorage.getItem('inspectionReports');
+      const existingReports = await secureStorageService.getItem('inspectionReports');
       const reports = existingReports ? JSON.parse(existingReports) : [];
       
       reports.push(report);
@@ -455,16 +680,23 @@ class InspectionService {
         reports.splice(0, reports.length - 50);
       }
       
-      await AsyncStorage.setItem('inspectionReports', JSON.stringify(reports));
+      await secureStorageService.setItem('inspectionReports', JSON.stringify(reports));
     } catch (error) {
       console.error('Report storage error:', error);
     }
   }
 
-  async getInspectionHistory(qrCode) {
+  // Follows re-tags unless `followAliases` is false, so a fitting keeps the
+  // inspections recorded against its earlier stickers
+  async getInspectionHistory(qrCode, options = {}) {
     try {
+      const codes = options.followAliases === false
+        ? [qrCode]
+        : await tagAliasService.getChain(qrCode);
       const localInspections = await this.getLocalInspections();
-      const history = localInspections.filter(inspection => inspection.qrCode === qrCode);
+      const history = localInspections.filter(inspection =>
+        codes.includes(qrCodec.canonicalize(inspection.qrCode) || inspection.qrCode),
+      );
       
       return history.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
     } catch (error) {
@@ -473,26 +705,88 @@ class InspectionService {
     }
   }
 
+  // Local inspections in the shape fitting details use for inspectionHistory
+  async getHistorySummary(qrCode, options = {}) {
+    const inspections = await this.getInspectionHistory(qrCode, options);
+    return inspections.map(inspection => ({
+      date: new Date(inspection.timestamp).toLocaleDateString('en-IN'),
+      type: inspection.inspectionType,
+      inspector: inspection.inspectorName,
+      result: inspection.overallAssessment.passStatus ? 'Passed' : 'Failed',
+      grade: inspection.overallAssessment.grade,
+      remarks: inspection.remarks,
+      qrCode: inspection.qrCode,
+    }));
+  }
+
   async getInspectionTemplates() {
+    return inspectionTemplates.inspectionTypes;
+  }
+
+  async getInspectionTemplate(typeCode, inspectionType = 'routine') {
+    return this.buildFormTemplate(typeCode, inspectionType);
+  }
+
+  // The inspection form for a fitting type and inspection type. The screen
+  // renders it and validateInspectionData checks against it, so both always
+  // agree on what is asked for and what is required.
+  buildFormTemplate(typeCode, inspectionType = 'routine') {
+    const templates = inspectionTemplates.inspectionTypes;
+    const templateType = templates[inspectionType] ? inspectionType : 'routine';
+    const {requiredFields, ...base} = templates[templateType];
+    const typeTemplate = fittingTypeRegistry.getInspectionTemplate(typeCode);
+
+    // Detailed inspections cover every check the type defines; routine and
+    // emergency inspections keep their own scope, limited to checks that
+    // apply to this type
+    let requiredChecks = base.requiredChecks;
+    if (typeTemplate) {
+      requiredChecks = templateType === 'detailed'
+        ? typeTemplate.checks
+        : base.requiredChecks.filter(check => typeTemplate.checks.includes(check));
+    }
+
+    const typeFields = inspectionTemplates.fittingTypes[typeCode] || {};
+    const sections = requiredChecks
+      .filter(check => inspectionTemplates.sections[check])
+      .map(check => {
+        const section = inspectionTemplates.sections[check];
+        const fields = section.fields.map(field => ({...field}));
+
+        // A type's entries adjust a shared field with the same key or add
+        // a field of their own
+        (typeFields[check] || []).forEach(entry => {
+          const existing = fields.find(field => field.key === entry.key);
+          if (existing) {
+            Object.assign(existing, entry);
+          } else {
+            fields.push({...entry});
+          }
+        });
+
+        fields.forEach(field => {
+          if (requiredFields.includes(`${check}.${field.key}`)) {
+            field.required = true;
+          }
+        });
+
+        return {
+          id: check,
+          title: section.title,
+          description: section.description || null,
+          dataKey: section.dataKey,
+          fields,
+        };
+      });
+
     return {
-      routine: {
-        name: 'Routine Inspection',
-        description: 'Standard periodic inspection',
-        requiredChecks: ['visual', 'dimensional'],
-        frequency: 'Quarterly',
-      },
-      detailed: {
-        name: 'Detailed Inspection',
-        description: 'Comprehensive inspection with material testing',
-        requiredChecks: ['visual', 'dimensional', 'material', 'functional'],
-        frequency: 'Annually',
-      },
-      emergency: {
-        name: 'Emergency Inspection',
-        description: 'Immediate inspection due to safety concerns',
-        requiredChecks: ['visual', 'functional'],
-        frequency: 'As needed',
-      },
+      ...base,
+      inspectionType: templateType,
+      fittingType: typeTemplate ? typeCode : null,
+      requiredChecks,
+      frequency: typeTemplate && templateType === 'routine' ? typeTemplate.frequency : base.frequency,
+      focusAreas: typeTemplate ? typeTemplate.focusAreas || [] : [],
+      sections,
     };
   }
 
@@ -501,7 +795,7 @@ class InspectionService {
       const localInspections = await this.getLocalInspections();
       const pendingSync = localInspections.filter(inspection => !inspection.synced);
       
-      let successCount = 0;
+      const syncedIds = new Set();
       let failCount = 0;
       
       for (const inspection of pendingSync) {
@@ -509,19 +803,28 @@ class InspectionService {
         const tmsResult = await this.submitToTMS(inspection);
         
         if (udmResult.success || tmsResult.success) {
-          inspection.synced = true;
-          successCount++;
+          syncedIds.add(inspection.inspectionId);
         } else {
           failCount++;
         }
       }
       
-      // Update local storage
-      await AsyncStorage.setItem('localInspections', JSON.stringify(localInspections));
+      // Flag the sent inspections in the stored list as it is now, which
+      // may hold inspections saved while this sync was running
+      await this.enqueue(async () => {
+        const data = await secureStorageService.getItem('localInspections');
+        const inspections = data ? JSON.parse(data) : [];
+        inspections.forEach(inspection => {
+          if (syncedIds.has(inspection.inspectionId)) {
+            inspection.synced = true;
+          }
+        });
+        await secureStorageService.setItem('localInspections', JSON.stringify(inspections));
+      });
       
       return {
         success: true,
-        synced: successCount,
+        synced: syncedIds.size,
         failed: failCount,
         total: pendingSync.length,
       };
@@ -530,6 +833,12 @@ class InspectionService {
       return { success: false, error: error.message };
     }
   }
+
+  enqueue(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
 }
 
 export const inspectionService = new InspectionService();
\ No newline at end of file
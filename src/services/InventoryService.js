@@ -1,18 +1,24 @@
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import {qrService} from './QRService';
+import {qrCodec} from './QRCodec';
+import {tagAliasService} from './TagAliasService';
+import {fittingTypeRegistry} from './FittingTypeRegistry';
+import {accessControlService} from './AccessControlService';
+import {secureStorageService} from './SecureStorageService';
+import {httpClient} from './HttpClient';
+import {environmentService} from './EnvironmentService';
 
 class InventoryService {
   constructor() {
+    this.baseURL = environmentService.getEndpoint('udm'); // UDM Portal API
     this.cacheKey = 'inventory_data';
     this.cacheExpiry = 10 * 60 * 1000; // 10 minutes
+    this.receiptsKey = 'inventory_receipts';
   }
 
   async getInventory(params = {}) {
     try {
       const { filter = 'All', sortBy = 'date', search = '' } = params;
       
-      // Get mock inventory data
-      let inventoryData = await this.getMockInventoryData();
+      let inventoryData = await this.loadInventory();
       
       // Apply filters
       if (filter !== 'All') {
@@ -21,11 +27,19 @@ class InventoryService {
       
       // Apply search
       if (search) {
-        inventoryData = inventoryData.filter(item =>
-          item.qrCode.toLowerCase().includes(search.toLowerCase()) ||
-          item.lotNumber.toLowerCase().includes(search.toLowerCase()) ||
-          item.vendorName.toLowerCase().includes(search.toLowerCase())
-        );
+        const canonical = qrCodec.canonicalize(search);
+        if (canonical) {
+          // A complete tag was entered or scanned, match it exactly in any
+          // format, including earlier or later stickers on the same fitting
+          const chain = await tagAliasService.getChain(canonical);
+          inventoryData = inventoryData.filter(item => this.matchesCanonicalCode(item, chain));
+        } else {
+          inventoryData = inventoryData.filter(item =>
+            item.qrCode.toLowerCase().includes(search.toLowerCase()) ||
+            item.lotNumber.toLowerCase().includes(search.toLowerCase()) ||
+            item.vendorName.toLowerCase().includes(search.toLowerCase())
+          );
+        }
       }
       
       // Apply sorting
@@ -38,9 +52,45 @@ class InventoryService {
     }
   }
 
+  // Depot stock comes from the UDM portal and is cached for use offline.
+  // Only demo builds make up stock when neither is available.
+  async loadInventory() {
+    const cached = await this.getCachedInventory();
+    if (cached && Date.now() - cached.timestamp < this.cacheExpiry) {
+      return cached.data;
+    }
+
+    try {
+      const response = await httpClient.get(`${this.baseURL}/inventory`);
+      await secureStorageService.setItem(this.cacheKey, JSON.stringify({
+        data: response.data,
+        timestamp: Date.now(),
+      }));
+      return response.data;
+    } catch (error) {
+      console.warn('UDM inventory error:', error);
+      if (cached) {
+        return cached.data;
+      }
+      if (environmentService.allowsMockFallback()) {
+        return this.getMockInventoryData();
+      }
+      throw error;
+    }
+  }
+
+  async getCachedInventory() {
+    try {
+      const cached = await secureStorageService.getItem(this.cacheKey);
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      console.error('Inventory cache error:', error);
+      return null;
+    }
+  }
+
   async getMockInventoryData() {
-    const fittingTypes = ['Elastic Rail Clip', 'Liner', 'Rail Pad', 'Sleeper'];
-    const typeCodes = ['RC', 'LN', 'RP', 'SL'];
+    const fittingTypes = fittingTypeRegistry.getAll();
     const statuses = ['Good', 'Warning', 'Critical'];
     const vendors = [
       'Bharat Steel Industries',
@@ -61,9 +111,9 @@ class InventoryService {
     const inventory = [];
     
     for (let i = 0; i < 50; i++) {
-      const typeIndex = Math.floor(Math.random() * fittingTypes.length);
-      const type = fittingTypes[typeIndex];
-      const typeCode = typeCodes[typeIndex];
+      const fittingType = fittingTypes[Math.floor(Math.random() * fittingTypes.length)];
+      const type = fittingType.name;
+      const typeCode = fittingType.code;
       const status = statuses[Math.floor(Math.random() * statuses.length)];
       const vendor = vendors[Math.floor(Math.random() * vendors.length)];
       const location = locations[Math.floor(Math.random() * locations.length)];
@@ -91,7 +141,7 @@ class InventoryService {
         lastInspected: this.getRandomInspectionDate(),
         qualityGrade: this.getRandomGrade(),
         warrantyPeriod: '24 months',
-        specifications: qrService.getSpecifications(typeCode),
+        specifications: fittingTypeRegistry.getSpecifications(typeCode),
         inspectionHistory: this.getMockInspectionHistory(),
       });
     }
@@ -99,6 +149,10 @@ class InventoryService {
     return inventory;
   }
 
+  matchesCanonicalCode(item, codes) {
+    return codes.includes(qrCodec.canonicalize(item.qrCode));
+  }
+
   getRandomDate() {
     const year = 2024;
     const month = String(Math.floor(Math.random() * 12) + 1).padStart(2, '0');
@@ -129,13 +183,7 @@ class InventoryService {
   }
 
   getUnitPrice(typeCode) {
-    const prices = {
-      RC: 45.50,
-      LN: 32.25,
-      RP: 28.75,
-      SL: 1450.00,
-    };
-    return prices[typeCode] || 0;
+    return fittingTypeRegistry.getUnitPrice(typeCode);
   }
 
   getMockInspectionHistory() {
@@ -193,7 +241,7 @@ class InventoryService {
 
   async getInventoryStats() {
     try {
-      const inventory = await this.getMockInventoryData();
+      const inventory = await this.loadInventory();
       
       const stats = {
         totalItems: inventory.length,
@@ -236,22 +284,22 @@ class InventoryService {
   }
 
   getLowStockItems(inventory) {
-    // Define minimum stock levels by type
-    const minLevels = {
-      'Elastic Rail Clip': 1000,
-      'Liner': 500,
-      'Rail Pad': 750,
-      'Sleeper': 100,
-    };
-    
     return inventory.filter(item => {
-      const minLevel = minLevels[item.type] || 500;
+      const minLevel = fittingTypeRegistry.getMinimumStock(item.typeCode) || 500;
       return item.quantity < minLevel;
     });
   }
 
   async updateItemStatus(qrCode, newStatus, remarks) {
     try {
+      const access = await accessControlService.authorize('canManageInventory', {
+        action: 'updateItemStatus',
+        target: qrCode,
+      });
+      if (!access.allowed) {
+        return { success: false, error: access.error, denied: true };
+      }
+
       // In a real app, this would update the backend
       console.log(`Updating ${qrCode} status to ${newStatus}:`, remarks);
       
@@ -265,6 +313,91 @@ class InventoryService {
     }
   }
 
+  async receiveItems(items, options = {}) {
+    try {
+      const access = await accessControlService.authorize('canReceiveStock', {
+        action: 'receiveItems',
+        target: options.batchId,
+      });
+      if (!access.allowed) {
+        return { success: false, error: access.error, denied: true };
+      }
+
+      if (!options.location) {
+        return { success: false, error: 'Receiving location is required' };
+      }
+
+      const receipt = {
+        id: `RCPT-${Date.now()}`,
+        receivedAt: new Date().toISOString(),
+        location: options.location,
+        receivedBy: options.userId || null,
+        batchId: options.batchId || null,
+        items: items.map(item => ({
+          qrCode: item.qrCode,
+          typeCode: item.typeCode,
+          lotNumber: item.lotNumber,
+          vendorCode: item.vendorCode,
+          serialNumber: item.serialNumber,
+        })),
+      };
+
+      const receipts = await this.getReceipts();
+      receipts.push(receipt);
+      await secureStorageService.setItem(this.receiptsKey, JSON.stringify(receipts));
+
+      return { success: true, receipt };
+    } catch (error) {
+      console.error('Receive items error:', error);
+      return { success: false, error: 'Failed to record receipt' };
+    }
+  }
+
+  // Links a consignment reconciliation report to a receipt so discrepancies
+  // stay with the goods they were found on
+  async attachReconciliation(receiptId, report) {
+    try {
+      const access = await accessControlService.authorize('canReconcile', {
+        action: 'attachReconciliation',
+        target: receiptId,
+      });
+      if (!access.allowed) {
+        return { success: false, error: access.error, denied: true };
+      }
+
+      const receipts = await this.getReceipts();
+      const receipt = receipts.find(item => item.id === receiptId);
+
+      if (!receipt) {
+        return { success: false, error: 'Receipt not found' };
+      }
+
+      receipt.reconciliation = {
+        reportId: report.id,
+        challanNumber: report.challan.challanNumber,
+        status: report.summary.status,
+        summary: report.summary,
+        attachedAt: new Date().toISOString(),
+      };
+      await secureStorageService.setItem(this.receiptsKey, JSON.stringify(receipts));
+
+      return { success: true, receipt };
+    } catch (error) {
+      console.error('Attach reconciliation error:', error);
+      return { success: false, error: 'Failed to attach reconciliation report' };
+    }
+  }
+
+  async getReceipts() {
+    try {
+      const data = await secureStorageService.getItem(this.receiptsKey);
+      return data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error('Get receipts error:', error);
+      return [];
+    }
+  }
+
   async exportInventoryData(format = 'csv', filters = {}) {
     try {
       const inventory = await this.getInventory(filters);
@@ -320,9 +453,15 @@ class InventoryService {
 
   async searchInventory(query, filters = {}) {
     try {
-      const inventory = await this.getMockInventoryData();
+      const inventory = await this.loadInventory();
+      const canonical = qrCodec.canonicalize(query);
+      const chain = canonical ? await tagAliasService.getChain(canonical) : [];
       
       let results = inventory.filter(item => {
+        if (canonical) {
+          return this.matchesCanonicalCode(item, chain);
+        }
+
         const searchFields = [
           item.qrCode,
           item.type,
@@ -356,7 +495,7 @@ class InventoryService {
 
   async getInventoryAlerts() {
     try {
-      const inventory = await this.getMockInventoryData();
+      const inventory = await this.loadInventory();
       const alerts = [];
       
       // Low stock alerts
@@ -0,0 +1,268 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import QRCode from 'qrcode';
+import RNFS from 'react-native-fs';
+import {qrCodec} from './QRCodec';
+import {fittingTypeRegistry} from './FittingTypeRegistry';
+import {accessControlService} from './AccessControlService';
+import {secureStorageService} from './SecureStorageService';
+
+// Common A4 sticker sheet layouts, all measurements in millimetres
+const SHEET_LAYOUTS = {
+  'A4-3x8': {
+    name: 'A4 - 24 labels (70 x 37 mm)',
+    pageWidth: 210,
+    pageHeight: 297,
+    columns: 3,
+    rows: 8,
+    labelWidth: 70,
+    labelHeight: 37.125,
+    marginTop: 0,
+    marginLeft: 0,
+    gapX: 0,
+    gapY: 0,
+  },
+  'A4-2x7': {
+    name: 'A4 - 14 labels (99.1 x 38.1 mm)',
+    pageWidth: 210,
+    pageHeight: 297,
+    columns: 2,
+    rows: 7,
+    labelWidth: 99.1,
+    labelHeight: 38.1,
+    marginTop: 15.15,
+    marginLeft: 4.65,
+    gapX: 2.5,
+    gapY: 0,
+  },
+};
+
+const MAX_SERIAL = 99999;
+const LABEL_PADDING = 2;
+const CAPTION_HEIGHT = 7;
+
+class LabelService {
+  constructor() {
+    this.reservationsKey = 'label_serial_reservations';
+    // Serialises reservations so a double tap can never hand out a range twice
+    this.reservationQueue = Promise.resolve();
+  }
+
+  getSheetLayouts() {
+    return SHEET_LAYOUTS;
+  }
+
+  async generateLotLabels(lotData, options = {}) {
+    try {
+      const access = await accessControlService.authorize('canIssueLabels', {
+        action: 'generateLotLabels',
+        target: lotData.lotNumber,
+      });
+      if (!access.allowed) {
+        return {success: false, error: access.error, denied: true};
+      }
+
+      const {typeCode, lotNumber, manufactureDate, vendorCode, quantity} = lotData;
+      const count = parseInt(quantity, 10);
+
+      if (!typeCode || !lotNumber || !manufactureDate || !vendorCode) {
+        return {success: false, error: 'Type, lot, date and vendor are required'};
+      }
+
+      if (!count || count < 1) {
+        return {success: false, error: 'Quantity must be at least 1'};
+      }
+
+      // Validate the lot fields with a sample tag before reserving anything
+      const sample = qrCodec.decode(qrCodec.encode({
+        typeCode,
+        lotNumber,
+        manufactureDate,
+        vendorCode,
+        serialNumber: '00001',
+      }));
+      if (!sample.valid) {
+        return {success: false, error: sample.errors[0].message, errors: sample.errors};
+      }
+
+      const reservation = await this.reserveSerials(sample.fields, count, options.reservedBy);
+      if (!reservation.success) {
+        return reservation;
+      }
+
+      const labels = [];
+      for (let serial = reservation.from; serial <= reservation.to; serial++) {
+        const serialNumber = String(serial).padStart(5, '0');
+        const qrCode = qrCodec.encode({...sample.fields, serialNumber});
+
+        labels.push({
+          qrCode,
+          serialNumber,
+          caption: [
+            qrCode,
+            `${fittingTypeRegistry.getName(sample.fields.typeCode)} | Lot ${sample.fields.lotNumber} | S/N ${serialNumber}`,
+          ],
+        });
+      }
+
+      return {
+        success: true,
+        labels,
+        range: {from: reservation.from, to: reservation.to},
+      };
+    } catch (error) {
+      console.error('Label generation error:', error);
+      return {success: false, error: 'Failed to generate labels'};
+    }
+  }
+
+  reserveSerials(fields, count, reservedBy = null) {
+    const reservation = this.reservationQueue.then(() =>
+      this.performReservation(fields, count, reservedBy),
+    );
+    this.reservationQueue = reservation.catch(() => null);
+    return reservation;
+  }
+
+  async performReservation(fields, count, reservedBy) {
+    const reservations = await this.getReservations();
+    const key = this.getReservationKey(fields);
+    const entry = reservations[key] || {nextSerial: 1, ranges: []};
+
+    const from = entry.nextSerial;
+    const to = from + count - 1;
+
+    if (to > MAX_SERIAL) {
+      return {
+        success: false,
+        error: `Only ${Math.max(0, MAX_SERIAL - from + 1)} serials remain for this lot`,
+      };
+    }
+
+    entry.ranges.push({
+      from,
+      to,
+      count,
+      reservedAt: new Date().toISOString(),
+      reservedBy,
+    });
+    entry.nextSerial = to + 1;
+    reservations[key] = entry;
+
+    await AsyncStorage.setItem(this.reservationsKey, JSON.stringify(reservations));
+
+    return {success: true, from, to};
+  }
+
+  async getReservations() {
+    try {
+      const data = await AsyncStorage.getItem(this.reservationsKey);
+      return data ? JSON.parse(data) : {};
+    } catch (error) {
+      console.error('Get serial reservations error:', error);
+      return {};
+    }
+  }
+
+  async getReservedRanges(fields) {
+    const reservations = await this.getReservations();
+    const entry = reservations[this.getReservationKey(fields)];
+    return entry ? entry.ranges : [];
+  }
+
+  getReservationKey(fields) {
+    return `${fields.typeCode}|${fields.lotNumber}|${fields.vendorCode}`;
+  }
+
+  buildSheets(labels, layoutId = 'A4-3x8') {
+    const layout = SHEET_LAYOUTS[layoutId] || SHEET_LAYOUTS['A4-3x8'];
+    const perSheet = layout.columns * layout.rows;
+    const sheets = [];
+
+    for (let start = 0; start < labels.length; start += perSheet) {
+      const pageLabels = labels.slice(start, start + perSheet);
+      const labelMarkup = pageLabels.map((label, index) => {
+        const column = index % layout.columns;
+        const row = Math.floor(index / layout.columns);
+        const x = layout.marginLeft + column * (layout.labelWidth + layout.gapX);
+        const y = layout.marginTop + row * (layout.labelHeight + layout.gapY);
+        return this.renderLabel(label, x, y, layout);
+      });
+
+      sheets.push([
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.pageWidth}mm" height="${layout.pageHeight}mm" viewBox="0 0 ${layout.pageWidth} ${layout.pageHeight}">`,
+        `<rect width="${layout.pageWidth}" height="${layout.pageHeight}" fill="#FFFFFF"/>`,
+        ...labelMarkup,
+        '</svg>',
+      ].join('\n'));
+    }
+
+    return sheets;
+  }
+
+  renderLabel(label, x, y, layout) {
+    const qrSize = Math.min(
+      layout.labelWidth - LABEL_PADDING * 2,
+      layout.labelHeight - LABEL_PADDING * 2 - CAPTION_HEIGHT,
+    );
+    const qrX = x + (layout.labelWidth - qrSize) / 2;
+    const qrY = y + LABEL_PADDING;
+    const textX = x + layout.labelWidth / 2;
+    const textY = qrY + qrSize + 2.8;
+
+    return [
+      `<g>`,
+      this.renderQRCode(label.qrCode, qrX, qrY, qrSize),
+      `<text x="${textX}" y="${textY}" font-family="monospace" font-size="2.2" text-anchor="middle">${this.escapeXml(label.caption[0])}</text>`,
+      `<text x="${textX}" y="${textY + 2.8}" font-family="sans-serif" font-size="2" text-anchor="middle">${this.escapeXml(label.caption[1])}</text>`,
+      `</g>`,
+    ].join('');
+  }
+
+  // Draws the QR matrix as a single path, one unit square per dark module
+  renderQRCode(text, x, y, size) {
+    const qr = QRCode.create(text, {errorCorrectionLevel: 'M'});
+    const moduleCount = qr.modules.size;
+    const quietZone = 2;
+    const scale = size / (moduleCount + quietZone * 2);
+    const commands = [];
+
+    for (let row = 0; row < moduleCount; row++) {
+      for (let column = 0; column < moduleCount; column++) {
+        if (qr.modules.get(row, column)) {
+          commands.push(`M${column + quietZone} ${row + quietZone}h1v1h-1z`);
+        }
+      }
+    }
+
+    return `<path transform="translate(${x} ${y}) scale(${scale})" d="${commands.join('')}" fill="#000000"/>`;
+  }
+
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  async saveSheets(sheets, lotData) {
+    try {
+      const baseName = `labels_${lotData.typeCode}_${lotData.lotNumber}_${Date.now()}`;
+      const directory = await secureStorageService.getUserDirectory();
+      const paths = [];
+
+      for (let i = 0; i < sheets.length; i++) {
+        const path = `${directory}/${baseName}_p${i + 1}.svg`;
+        await RNFS.writeFile(path, sheets[i], 'utf8');
+        paths.push(path);
+      }
+
+      return {success: true, paths};
+    } catch (error) {
+      console.error('Save label sheets error:', error);
+      return {success: false, error: 'Failed to save label sheets'};
+    }
+  }
+}
+
+export const labelService = new LabelService();
@@ -0,0 +1,253 @@
+import {PermissionsAndroid, Platform} from 'react-native';
+import Geolocation from 'react-native-geolocation-service';
+import chainageTables from '../data/chainageTables.json';
+import {authService} from './AuthService';
+
+// A fix is only trusted for chainage when it is this accurate and this fresh
+const GOOD_FIX_ACCURACY_M = 20;
+const MAX_FIX_AGE_MS = 30 * 1000;
+// Fixes further than this from the surveyed alignment are not on the section
+const MAX_TRACK_OFFSET_M = 150;
+const FIX_TIMEOUT_MS = 15 * 1000;
+const EARTH_RADIUS_M = 6371000;
+// Geolocation error code for a missing location permission
+const PERMISSION_DENIED = 1;
+
+export const LOCATION_FLAGS = {
+  NO_PERMISSION: 'NO_PERMISSION',
+  NO_FIX: 'NO_FIX',
+  LOW_ACCURACY: 'LOW_ACCURACY',
+  STALE_FIX: 'STALE_FIX',
+  OFF_SECTION: 'OFF_SECTION',
+};
+
+class LocationService {
+  constructor() {
+    this.permissionGranted = false;
+    this.lastFix = null;
+  }
+
+  // Only a grant is remembered: after a refusal the user may allow location
+  // in Settings, so the next stamp asks again. Once a choice is final the
+  // platform answers without showing a dialog.
+  async requestPermission() {
+    if (this.permissionGranted) {
+      return true;
+    }
+
+    try {
+      if (Platform.OS === 'ios') {
+        const status = await Geolocation.requestAuthorization('whenInUse');
+        this.permissionGranted = status === 'granted';
+      } else {
+        const status = await PermissionsAndroid.request(
+          PermissionsAndroid.PERMISSIONS.ACCESS_FINE_LOCATION,
+        );
+        this.permissionGranted = status === PermissionsAndroid.RESULTS.GRANTED;
+      }
+    } catch (error) {
+      console.error('Location permission error:', error);
+      this.permissionGranted = false;
+    }
+
+    return this.permissionGranted;
+  }
+
+  getCurrentFix(options = {}) {
+    return new Promise(resolve => {
+      Geolocation.getCurrentPosition(
+        position => {
+          this.lastFix = {
+            latitude: position.coords.latitude,
+            longitude: position.coords.longitude,
+            accuracy: position.coords.accuracy,
+            altitude: position.coords.altitude,
+            fixTime: new Date(position.timestamp).toISOString(),
+          };
+          resolve(this.lastFix);
+        },
+        error => {
+          console.warn('Location fix error:', error.code, error.message);
+          // Permission withdrawn in Settings since it was granted
+          if (error.code === PERMISSION_DENIED) {
+            this.permissionGranted = false;
+          }
+          resolve(null);
+        },
+        {
+          enableHighAccuracy: true,
+          timeout: options.timeout || FIX_TIMEOUT_MS,
+          maximumAge: options.maximumAge !== undefined ? options.maximumAge : 10000,
+        },
+      );
+    });
+  }
+
+  // Location stamp attached to scans, inspections and movements. Records
+  // without a trustworthy fix are still stamped, but flagged for review.
+  async getStamp(options = {}) {
+    const capturedAt = new Date().toISOString();
+    const hasPermission = await this.requestPermission();
+
+    if (!hasPermission) {
+      return this.buildStamp(null, null, capturedAt, [LOCATION_FLAGS.NO_PERMISSION]);
+    }
+
+    const fix = await this.getCurrentFix(options);
+    if (!fix) {
+      return this.buildStamp(null, null, capturedAt, [LOCATION_FLAGS.NO_FIX]);
+    }
+
+    const sectionId = options.sectionId || await this.getUserSectionId();
+    return this.stampFromFix(fix, capturedAt, sectionId);
+  }
+
+  // Stamp from the most recent fix, without waiting for the GPS. Null when
+  // there has been no fix yet; an old fix is flagged as stale.
+  getLastStamp(options = {}) {
+    if (!this.lastFix) {
+      return null;
+    }
+    return this.stampFromFix(this.lastFix, new Date().toISOString(), options.sectionId || null);
+  }
+
+  stampFromFix(fix, capturedAt, sectionId) {
+    const flags = [];
+    if (fix.accuracy == null || fix.accuracy > GOOD_FIX_ACCURACY_M) {
+      flags.push(LOCATION_FLAGS.LOW_ACCURACY);
+    }
+    if (Date.now() - new Date(fix.fixTime).getTime() > MAX_FIX_AGE_MS) {
+      flags.push(LOCATION_FLAGS.STALE_FIX);
+    }
+
+    const chainage = this.lookupChainage(fix.latitude, fix.longitude, sectionId);
+    if (!chainage) {
+      flags.push(LOCATION_FLAGS.OFF_SECTION);
+    }
+
+    return this.buildStamp(fix, chainage, capturedAt, flags);
+  }
+
+  buildStamp(fix, chainage, capturedAt, flags) {
+    return {
+      latitude: fix ? fix.latitude : null,
+      longitude: fix ? fix.longitude : null,
+      accuracy: fix ? fix.accuracy : null,
+      altitude: fix ? fix.altitude : null,
+      fixTime: fix ? fix.fixTime : null,
+      capturedAt,
+      sectionId: chainage ? chainage.sectionId : null,
+      km: chainage ? chainage.km : null,
+      chainage: chainage ? chainage.chainage : null,
+      offsetFromTrack: chainage ? chainage.offset : null,
+      flags,
+      flagged: flags.length > 0,
+    };
+  }
+
+  async getUserSectionId() {
+    const user = await authService.getCurrentUser();
+    return user && user.section ? user.section : null;
+  }
+
+  getSections() {
+    return Object.entries(chainageTables.sections).map(([id, section]) => ({
+      id,
+      name: section.name,
+      division: section.division,
+    }));
+  }
+
+  // Projects the fix onto the surveyed alignment and interpolates chainage
+  // between the two nearest survey points. Without a user section every
+  // section is tried and the closest one wins.
+  lookupChainage(latitude, longitude, sectionId = null) {
+    const sectionIds = sectionId && chainageTables.sections[sectionId]
+      ? [sectionId]
+      : Object.keys(chainageTables.sections);
+
+    let best = null;
+    sectionIds.forEach(id => {
+      const points = chainageTables.sections[id].points;
+      for (let i = 0; i < points.length - 1; i++) {
+        const match = this.projectOntoSegment(latitude, longitude, points[i], points[i + 1]);
+        if (!best || match.offset < best.offset) {
+          best = {...match, sectionId: id};
+        }
+      }
+    });
+
+    if (!best || best.offset > MAX_TRACK_OFFSET_M) {
+      return null;
+    }
+
+    const chainage = Math.round(best.chainage);
+    return {
+      sectionId: best.sectionId,
+      chainage,
+      km: this.formatKm(chainage),
+      offset: Math.round(best.offset),
+    };
+  }
+
+  projectOntoSegment(latitude, longitude, start, end) {
+    // Local equirectangular projection in metres, centred on the segment start
+    const toXY = point => {
+      const x = this.toRadians(point.longitude - start.longitude) *
+        Math.cos(this.toRadians(start.latitude)) * EARTH_RADIUS_M;
+      const y = this.toRadians(point.latitude - start.latitude) * EARTH_RADIUS_M;
+      return {x, y};
+    };
+
+    const p = toXY({latitude, longitude});
+    const b = toXY(end);
+    const lengthSquared = b.x * b.x + b.y * b.y;
+    const t = lengthSquared === 0
+      ? 0
+      : Math.max(0, Math.min(1, (p.x * b.x + p.y * b.y) / lengthSquared));
+
+    const dx = p.x - t * b.x;
+    const dy = p.y - t * b.y;
+
+    return {
+      chainage: start.chainage + t * (end.chainage - start.chainage),
+      offset: Math.sqrt(dx * dx + dy * dy),
+    };
+  }
+
+  // Chainage in metres as written on track records, e.g. 12400 -> "12/400"
+  formatKm(chainage) {
+    const km = Math.floor(chainage / 1000);
+    const metres = String(chainage % 1000).padStart(3, '0');
+    return `${km}/${metres}`;
+  }
+
+  describeStamp(stamp) {
+    if (!stamp) {
+      return null;
+    }
+    if (stamp.km) {
+      return `${stamp.sectionId} Km ${stamp.km}`;
+    }
+    if (stamp.latitude != null) {
+      return `${stamp.latitude.toFixed(5)}, ${stamp.longitude.toFixed(5)}`;
+    }
+    return null;
+  }
+
+  // Great-circle distance between two stamps or fixes
+  distanceMeters(from, to) {
+    const dLat = this.toRadians(to.latitude - from.latitude);
+    const dLon = this.toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(this.toRadians(from.latitude)) * Math.cos(this.toRadians(to.latitude)) *
+      Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+  }
+
+  toRadians(degrees) {
+    return degrees * Math.PI / 180;
+  }
+}
+
+export const locationService = new LocationService();
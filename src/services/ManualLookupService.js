@@ -0,0 +1,163 @@
+import {qrCodec} from './QRCodec';
+import {qrService} from './QRService';
+import {inventoryService} from './InventoryService';
+import {trackingService} from './TrackingService';
+import {tagAliasService} from './TagAliasService';
+
+// Characters the user could not make out can be typed as ? or *
+const WILDCARDS = ['?', '*'];
+
+// How much an exactly readable segment adds to a candidate's score. Type,
+// lot and vendor narrow the search far more than a stray matching digit.
+const SEGMENT_WEIGHTS = {
+  typeCode: 0.15,
+  lotNumber: 0.3,
+  vendorCode: 0.25,
+  serialNumber: 0.2,
+};
+
+const MIN_INPUT_LENGTH = 3;
+
+class ManualLookupService {
+  // Every tag this device knows about: local inventory, receipts and any
+  // fitting that appears in tracking history
+  async getCandidatePool() {
+    const pool = new Map();
+
+    const add = (code, source, details = {}) => {
+      const canonical = qrCodec.canonicalize(code);
+      if (!canonical) {
+        return;
+      }
+
+      const candidate = pool.get(canonical) || {
+        qrCode: canonical,
+        fields: qrCodec.decode(canonical).fields,
+        sources: [],
+        location: null,
+        lastSeen: null,
+      };
+
+      if (!candidate.sources.includes(source)) {
+        candidate.sources.push(source);
+      }
+      if (details.location && !candidate.location) {
+        candidate.location = details.location;
+      }
+      if (details.timestamp && (!candidate.lastSeen || details.timestamp > candidate.lastSeen)) {
+        candidate.lastSeen = details.timestamp;
+      }
+      pool.set(canonical, candidate);
+    };
+
+    const inventory = await inventoryService.getInventory();
+    inventory.forEach(item => add(item.qrCode, 'inventory', {location: item.location}));
+
+    const receipts = await inventoryService.getReceipts();
+    receipts.forEach(receipt => receipt.items.forEach(item =>
+      add(item.qrCode, 'receipt', {location: receipt.location, timestamp: receipt.receivedAt}),
+    ));
+
+    const history = await trackingService.getAllTrackingEntries();
+    history.forEach(entry => add(entry.fittingId, 'history', {
+      location: entry.location || entry.toLocation,
+      timestamp: entry.timestamp,
+    }));
+
+    return Array.from(pool.values());
+  }
+
+  normalizeInput(text) {
+    return String(text || '').toUpperCase().replace(/\s+/g, '');
+  }
+
+  async search(text, options = {}) {
+    try {
+      const input = this.normalizeInput(text);
+      const readable = input.replace(/[?*-]/g, '');
+
+      if (readable.length < MIN_INPUT_LENGTH) {
+        return {success: false, error: `Enter at least ${MIN_INPUT_LENGTH} readable characters`};
+      }
+
+      const pool = await this.getCandidatePool();
+      const maxDistance = Math.max(2, Math.floor(input.length * 0.4));
+
+      const candidates = pool
+        .map(candidate => this.scoreCandidate(input, candidate))
+        .filter(candidate => candidate.distance <= maxDistance || candidate.matchedSegments.length >= 2)
+        .sort((a, b) => b.score - a.score || a.distance - b.distance)
+        .slice(0, options.limit || 10);
+
+      return {success: true, input, candidates, searched: pool.length};
+    } catch (error) {
+      console.error('Manual lookup error:', error);
+      return {success: false, error: 'Lookup failed'};
+    }
+  }
+
+  scoreCandidate(input, candidate) {
+    const distance = this.fragmentDistance(input, candidate.qrCode);
+
+    // Segments the user typed that exactly match one of the tag's fields
+    const typedSegments = input.split('-').filter(segment => segment && !/[?*]/.test(segment));
+    const matchedSegments = Object.keys(SEGMENT_WEIGHTS).filter(field =>
+      typedSegments.includes(candidate.fields[field]),
+    );
+
+    const similarity = Math.max(0, 1 - distance / input.length);
+    const bonus = matchedSegments.reduce((total, field) => total + SEGMENT_WEIGHTS[field], 0);
+
+    return {
+      ...candidate,
+      distance,
+      matchedSegments,
+      score: Math.round((similarity + bonus) * 1000) / 1000,
+    };
+  }
+
+  // Edit distance between the typed text and the closest stretch of the
+  // code, since a torn tag usually leaves only part of it readable
+  fragmentDistance(input, code) {
+    let previous = new Array(code.length + 1).fill(0);
+
+    for (let i = 1; i <= input.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= code.length; j++) {
+        const same = input[i - 1] === code[j - 1] || WILDCARDS.includes(input[i - 1]);
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (same ? 0 : 1),
+        );
+      }
+      previous = current;
+    }
+
+    return Math.min(...previous);
+  }
+
+  // Confirms the user's choice, records how the tag was identified and
+  // returns the same fitting data a camera scan would. A retired sticker
+  // resolves to the tag the fitting carries now.
+  async confirmCandidate(candidate, enteredText, userId) {
+    const current = await tagAliasService.resolve(candidate.qrCode);
+    const parsed = await qrService.parseQRCode(current);
+    if (!parsed.success) {
+      return parsed;
+    }
+
+    await trackingService.trackManualIdentification({
+      fittingId: current,
+      enteredText: this.normalizeInput(enteredText),
+      distance: candidate.distance,
+      matchedSegments: candidate.matchedSegments,
+      location: candidate.location,
+      userId,
+    });
+
+    return parsed;
+  }
+}
+
+export const manualLookupService = new ManualLookupService();
@@ -0,0 +1,207 @@
+import {httpClient} from './HttpClient';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import bundledMasterData from '../data/masterData.json';
+import {fittingTypeRegistry} from './FittingTypeRegistry';
+import {qrCodec} from './QRCodec';
+import {environmentService} from './EnvironmentService';
+
+// Sections of the master data that delta pulls can update. In a delta each
+// section maps a code to its new record, or to null when it was withdrawn.
+const SECTIONS = ['vendors', 'types', 'gtins', 'issuers'];
+
+class MasterDataService {
+  constructor() {
+    this.baseURL = `${environmentService.getEndpoint('udm')}/master-data`; // UDM Portal API
+    this.storageKey = 'master_data';
+    this.data = null;
+    this.loading = null;
+  }
+
+  // Loads the stored snapshot, seeding it from the bundled file on first run
+  // or when the app ships a newer bundle than the one on the device
+  async load() {
+    if (this.data) {
+      return this.data;
+    }
+
+    if (!this.loading) {
+      this.loading = this.readSnapshot().finally(() => {
+        this.loading = null;
+      });
+    }
+
+    return this.loading;
+  }
+
+  async readSnapshot() {
+    let stored = null;
+    try {
+      const data = await AsyncStorage.getItem(this.storageKey);
+      stored = data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error('Master data load error:', error);
+    }
+
+    if (stored && stored.version >= bundledMasterData.version) {
+      this.data = stored;
+      qrCodec.setGtinMap(stored.gtins);
+      qrCodec.setIssuers(stored.issuers);
+      return this.data;
+    }
+
+    await this.saveSnapshot({
+      ...bundledMasterData,
+      source: 'bundle',
+      updatedAt: new Date().toISOString(),
+    });
+    return this.data;
+  }
+
+  async saveSnapshot(snapshot) {
+    this.data = snapshot;
+    // GS1 labels identify type and vendor by GTIN
+    qrCodec.setGtinMap(snapshot.gtins);
+    // Public keys of the servers that sign versioned tags
+    qrCodec.setIssuers(snapshot.issuers);
+    try {
+      await AsyncStorage.setItem(this.storageKey, JSON.stringify(snapshot));
+    } catch (error) {
+      console.error('Master data save error:', error);
+    }
+  }
+
+  async getVersion() {
+    const data = await this.load();
+    return data.version;
+  }
+
+  async getStatus() {
+    const data = await this.load();
+    return {
+      version: data.version,
+      publishedAt: data.publishedAt,
+      updatedAt: data.updatedAt,
+      source: data.source,
+      vendorCount: Object.keys(data.vendors).length,
+      typeCount: Object.keys(data.types).length,
+    };
+  }
+
+  async getVendor(code) {
+    const data = await this.load();
+    return data.vendors[code] || null;
+  }
+
+  async getVendorName(code) {
+    const vendor = await this.getVendor(code);
+    return vendor ? vendor.name : null;
+  }
+
+  async getTypeData(typeCode) {
+    const data = await this.load();
+    return data.types[typeCode] || null;
+  }
+
+  // Types added to the registry after the last master-data release fall back
+  // to the registry's reference values
+  async getSpecifications(typeCode) {
+    const typeData = await this.getTypeData(typeCode);
+    return typeData
+      ? {...typeData.specifications}
+      : fittingTypeRegistry.getSpecifications(typeCode);
+  }
+
+  async getUnitPrice(typeCode) {
+    const typeData = await this.getTypeData(typeCode);
+    return typeData ? typeData.unitPrice : fittingTypeRegistry.getUnitPrice(typeCode);
+  }
+
+  async getWarrantyMonths(typeCode) {
+    const typeData = await this.getTypeData(typeCode);
+    return typeData && typeData.warrantyMonths ? typeData.warrantyMonths : null;
+  }
+
+  async pullDelta() {
+    try {
+      const current = await this.load();
+
+      const response = await httpClient.get(`${this.baseURL}/delta`, {
+        params: {since: current.version},
+      });
+      const delta = response.data;
+
+      if (!delta || delta.version <= current.version) {
+        return {success: true, updated: false, version: current.version};
+      }
+
+      // A delta built against another version cannot be applied safely
+      if (delta.baseVersion !== current.version) {
+        return await this.pullSnapshot();
+      }
+
+      const next = this.applyDelta(current, delta);
+      await this.saveSnapshot(next);
+
+      return {
+        success: true,
+        updated: true,
+        version: next.version,
+        changes: SECTIONS.reduce(
+          (count, section) => count + Object.keys(delta[section] || {}).length,
+          0,
+        ),
+      };
+    } catch (error) {
+      console.warn('Master data delta error:', error);
+      return {success: false, error: 'Master data update failed'};
+    }
+  }
+
+  async pullSnapshot() {
+    const response = await httpClient.get(this.baseURL);
+    const snapshot = response.data;
+
+    if (!snapshot || !SECTIONS.every(section => snapshot[section])) {
+      return {success: false, error: 'Master data snapshot is incomplete'};
+    }
+
+    await this.saveSnapshot({
+      version: snapshot.version,
+      publishedAt: snapshot.publishedAt,
+      vendors: snapshot.vendors,
+      types: snapshot.types,
+      gtins: snapshot.gtins,
+      issuers: snapshot.issuers,
+      source: 'server',
+      updatedAt: new Date().toISOString(),
+    });
+
+    return {success: true, updated: true, version: snapshot.version, fullReload: true};
+  }
+
+  applyDelta(current, delta) {
+    const next = {
+      ...current,
+      version: delta.version,
+      publishedAt: delta.publishedAt || current.publishedAt,
+      source: 'server',
+      updatedAt: new Date().toISOString(),
+    };
+
+    SECTIONS.forEach(section => {
+      const records = {...current[section]};
+      Object.entries(delta[section] || {}).forEach(([code, record]) => {
+        if (record === null) {
+          delete records[code];
+        } else {
+          records[code] = {...records[code], ...record};
+        }
+      });
+      next[section] = records;
+    });
+
+    return next;
+  }
+}
+
+export const masterDataService = new MasterDataService();
@@ -0,0 +1,341 @@
+import EncryptedStorage from 'react-native-encrypted-storage';
+import {pbkdf2Sha256Async} from '../utils/hash';
+import {generateKey} from '../utils/cipher';
+import {decodeToken, isOfflineToken, isTokenExpired} from '../utils/token';
+import {authService} from './AuthService';
+import {httpClient} from './HttpClient';
+import {secureStorageService} from './SecureStorageService';
+
+// How long after the last online sign-in this device may sign the user in
+// without the server
+const OFFLINE_GRACE_DAYS = 7;
+// An offline session lasts one shift at most
+const OFFLINE_SESSION_HOURS = 12;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MINUTES = 15;
+// A PIN has few enough values that each guess has to be made expensive.
+// Verifiers made with fewer iterations are upgraded at the next unlock.
+const PBKDF2_ITERATIONS = 100000;
+const PIN_PATTERN = /^\d{4,6}$/;
+
+// Sign-in for inspectors starting a shift without signal. A user who has
+// signed in online on this device gets a salted password verifier, and
+// optionally a PIN, kept in the keystore. Either unlocks an offline session
+// within the grace period; the session is re-checked with the server as soon
+// as it can be reached, using the last token the server issued as proof.
+class OfflineAuthService {
+  constructor() {
+    this.storageKey = 'offline_credentials';
+  }
+
+  async getRecords() {
+    try {
+      const data = await EncryptedStorage.getItem(this.storageKey);
+      return data ? JSON.parse(data) : {};
+    } catch (error) {
+      console.error('Offline credentials load error:', error);
+      return {};
+    }
+  }
+
+  async saveRecords(records) {
+    await EncryptedStorage.setItem(this.storageKey, JSON.stringify(records));
+  }
+
+  deriveVerifier(secret, salt, iterations) {
+    return pbkdf2Sha256Async(secret, salt, iterations);
+  }
+
+  // Called after every successful online sign-in; restarts the grace period
+  async enroll(employeeId, password, user, token) {
+    try {
+      const salt = generateKey();
+      const passwordVerifier = await this.deriveVerifier(password, salt, PBKDF2_ITERATIONS);
+      const records = await this.getRecords();
+      const existing = records[employeeId] || {};
+
+      records[employeeId] = {
+        ...existing,
+        employeeId,
+        user,
+        salt,
+        iterations: PBKDF2_ITERATIONS,
+        passwordVerifier,
+        // Sent back when an offline session is re-checked. Demo tokens are
+        // never registered with the server; without a new token the last
+        // one stays.
+        serverToken: token && token.includes('.') ? token : existing.serverToken || null,
+        lastOnlineAt: new Date().toISOString(),
+        failedAttempts: 0,
+        lockedUntil: null,
+      };
+      await this.saveRecords(records);
+
+      return {success: true};
+    } catch (error) {
+      console.error('Offline enrol error:', error);
+      return {success: false, error: 'Unable to save offline sign-in'};
+    }
+  }
+
+  // After a password change or reset the old password must stop working
+  // offline too
+  async updatePassword(employeeId, password) {
+    const salt = generateKey();
+    const passwordVerifier = await this.deriveVerifier(password, salt, PBKDF2_ITERATIONS);
+    const records = await this.getRecords();
+    const record = records[employeeId];
+    if (!record) {
+      return {success: true};
+    }
+
+    record.salt = salt;
+    record.iterations = PBKDF2_ITERATIONS;
+    record.passwordVerifier = passwordVerifier;
+    record.lastOnlineAt = new Date().toISOString();
+    await this.saveRecords(records);
+
+    return {success: true};
+  }
+
+  async setPin(employeeId, pin) {
+    if (!PIN_PATTERN.test(pin)) {
+      return {success: false, error: 'PIN must be 4 to 6 digits'};
+    }
+
+    const pinSalt = generateKey();
+    const pinVerifier = await this.deriveVerifier(pin, pinSalt, PBKDF2_ITERATIONS);
+    const records = await this.getRecords();
+    const record = records[employeeId];
+    if (!record) {
+      return {success: false, error: 'Sign in online before setting a PIN'};
+    }
+
+    record.pinSalt = pinSalt;
+    record.pinIterations = PBKDF2_ITERATIONS;
+    record.pinVerifier = pinVerifier;
+    await this.saveRecords(records);
+
+    return {success: true};
+  }
+
+  async getStatus(employeeId) {
+    const records = await this.getRecords();
+    const record = records[employeeId];
+    if (!record) {
+      return {enrolled: false, hasPin: false};
+    }
+
+    const graceExpiresAt = this.getGraceExpiry(record);
+    return {
+      enrolled: true,
+      hasPin: !!record.pinVerifier,
+      lockedUntil: this.isLocked(record) ? record.lockedUntil : null,
+      graceExpiresAt: graceExpiresAt.toISOString(),
+      expired: graceExpiresAt <= new Date(),
+    };
+  }
+
+  getGraceExpiry(record) {
+    return new Date(new Date(record.lastOnlineAt).getTime() + OFFLINE_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  isLocked(record) {
+    return !!record.lockedUntil && new Date(record.lockedUntil) > new Date();
+  }
+
+  // Verifies the password or PIN against the stored verifier and, if it
+  // matches, returns a device-issued token and the cached profile
+  async unlock(employeeId, secret, method = 'password') {
+    const result = await this.verify(employeeId, secret, method);
+    await authService.audit(result.success ? 'login' : 'login_failed', {
+      userId: employeeId,
+      role: result.user ? result.user.role || null : null,
+      details: result.success
+        ? {method: `offline_${method}`}
+        : {method: `offline_${method}`, reason: result.error, locked: !!result.locked},
+    });
+    return result;
+  }
+
+  async verify(employeeId, secret, method) {
+    try {
+      const records = await this.getRecords();
+      const record = records[employeeId];
+
+      if (!record) {
+        return {
+          success: false,
+          error: 'This employee has not signed in on this device before. Connect to the network to sign in.',
+        };
+      }
+
+      if (this.isLocked(record)) {
+        const minutes = Math.ceil((new Date(record.lockedUntil) - new Date()) / 60000);
+        return {
+          success: false,
+          locked: true,
+          error: `Too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+        };
+      }
+
+      const graceExpiresAt = this.getGraceExpiry(record);
+      if (graceExpiresAt <= new Date()) {
+        return {
+          success: false,
+          error: `Offline sign-in is only allowed within ${OFFLINE_GRACE_DAYS} days of signing in online. Connect to the network to continue.`,
+        };
+      }
+
+      if (method === 'pin' && !record.pinVerifier) {
+        return {success: false, error: 'No PIN has been set up for this employee'};
+      }
+
+      const fields = method === 'pin'
+        ? {salt: 'pinSalt', iterations: 'pinIterations', verifier: 'pinVerifier'}
+        : {salt: 'salt', iterations: 'iterations', verifier: 'passwordVerifier'};
+      // PINs set before pinIterations was recorded used the password's count
+      const iterations = record[fields.iterations] || record.iterations;
+      const verifier = await this.deriveVerifier(secret, record[fields.salt], iterations);
+      const expected = record[fields.verifier];
+
+      if (verifier !== expected) {
+        record.failedAttempts = (record.failedAttempts || 0) + 1;
+        const remaining = MAX_FAILED_ATTEMPTS - record.failedAttempts;
+        if (remaining <= 0) {
+          record.failedAttempts = 0;
+          record.lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000).toISOString();
+        }
+        await this.saveRecords(records);
+
+        return {
+          success: false,
+          locked: remaining <= 0,
+          error: remaining <= 0
+            ? `Too many failed attempts. Offline sign-in is locked for ${LOCKOUT_MINUTES} minutes.`
+            : `Incorrect ${method === 'pin' ? 'PIN' : 'password'}. ${remaining} attempt${remaining === 1 ? '' : 's'} left.`,
+        };
+      }
+
+      record.failedAttempts = 0;
+      record.lockedUntil = null;
+      if (iterations < PBKDF2_ITERATIONS) {
+        record[fields.salt] = generateKey();
+        record[fields.iterations] = PBKDF2_ITERATIONS;
+        record[fields.verifier] = await this.deriveVerifier(secret, record[fields.salt], PBKDF2_ITERATIONS);
+      }
+      await this.saveRecords(records);
+
+      const now = Date.now();
+      const expiresAt = Math.min(now + OFFLINE_SESSION_HOURS * 60 * 60 * 1000, graceExpiresAt.getTime());
+      const token = btoa(JSON.stringify({
+        employeeId,
+        role: record.user.role,
+        offline: true,
+        iat: Math.floor(now / 1000),
+        exp: Math.floor(expiresAt / 1000),
+      }));
+
+      return {
+        success: true,
+        offline: true,
+        token,
+        user: {...record.user, authMode: 'offline'},
+        expiresAt: new Date(expiresAt).toISOString(),
+      };
+    } catch (error) {
+      console.error('Offline unlock error:', error);
+      return {success: false, error: 'Offline sign-in failed'};
+    }
+  }
+
+  // Run whenever the network may be back. The device-issued session proves
+  // nothing to the server, so the request carries the last token the server
+  // issued to this user on this device; the server checks its signature
+  // (not its expiry) before it either swaps the offline session for a real
+  // token or reports that the account or device was disabled while offline,
+  // in which case the user is logged out.
+  async recheck() {
+    const token = await secureStorageService.getItem('authToken');
+    if (!isOfflineToken(token)) {
+      return {status: 'online'};
+    }
+
+    const user = await authService.getCurrentUser();
+    const payload = decodeToken(token);
+    const records = await this.getRecords();
+    const proof = records[payload.employeeId] ? records[payload.employeeId].serverToken : null;
+
+    let response;
+    try {
+      if (!proof) {
+        // Enrolled before tokens were kept: only a password sign-in online
+        // can confirm this user
+        throw new Error('No server token to re-check with');
+      }
+
+      response = await httpClient.post(`${authService.baseURL}/offline-recheck`, {
+        employeeId: payload.employeeId,
+        deviceId: await authService.getDeviceId(),
+        offlineSince: new Date(payload.iat * 1000).toISOString(),
+      }, {
+        skipAuth: true,
+        headers: {
+          'Authorization': `Bearer ${proof}`,
+        },
+        timeout: 5000,
+      });
+    } catch (error) {
+      if (error.response && error.response.status === 403) {
+        return this.revoke(payload.employeeId);
+      }
+
+      // Still out of coverage. The shift's work stays on the device, so an
+      // expired offline session only locks the app until the next unlock.
+      if (isTokenExpired(token)) {
+        await secureStorageService.removeItem('authToken');
+        httpClient.notifySessionExpired();
+        return {status: 'expired'};
+      }
+      return {status: 'offline'};
+    }
+
+    if (!response.data.active) {
+      return this.revoke(payload.employeeId);
+    }
+    // Only a server token for the user who unlocked may replace the session
+    const issued = response.data.token ? decodeToken(response.data.token) : null;
+    if (!issued || !response.data.token.includes('.') || issued.employeeId !== payload.employeeId) {
+      return {status: 'offline'};
+    }
+
+    await authService.saveSession(response.data.token, {
+      ...user,
+      ...response.data.user,
+      authMode: 'online',
+    });
+
+    const record = records[payload.employeeId];
+    if (record) {
+      record.user = {...record.user, ...response.data.user};
+      record.serverToken = response.data.token;
+      record.lastOnlineAt = new Date().toISOString();
+      await this.saveRecords(records);
+    }
+
+    return {status: 'restored'};
+  }
+
+  // The account may not be used on this device any more: forget its offline
+  // sign-in and log out
+  async revoke(employeeId) {
+    await authService.audit('offline_access_revoked', {userId: employeeId});
+    const records = await this.getRecords();
+    delete records[employeeId];
+    await this.saveRecords(records);
+    await httpClient.expireSession();
+    return {status: 'revoked'};
+  }
+}
+
+export const offlineAuthService = new OfflineAuthService();
@@ -0,0 +1,536 @@
+import {ed25519} from '@noble/curves/ed25519';
+import {utf8Bytes} from '../utils/hash';
+import {fittingTypeRegistry} from './FittingTypeRegistry';
+
+// Field-level error codes returned by the codec
+export const QR_ERROR_CODES = {
+  EMPTY: 'EMPTY',
+  MALFORMED: 'MALFORMED',
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  INVALID_TYPE: 'INVALID_TYPE',
+  INVALID_LOT: 'INVALID_LOT',
+  INVALID_DATE: 'INVALID_DATE',
+  INVALID_VENDOR: 'INVALID_VENDOR',
+  INVALID_SERIAL: 'INVALID_SERIAL',
+  CHECK_DIGIT_MISMATCH: 'CHECK_DIGIT_MISMATCH',
+  UNKNOWN_ISSUER: 'UNKNOWN_ISSUER',
+  SIGNATURE_INVALID: 'SIGNATURE_INVALID',
+  INVALID_GTIN: 'INVALID_GTIN',
+  UNKNOWN_GTIN: 'UNKNOWN_GTIN',
+};
+
+const V2_PREFIX = 'IRQR';
+const V2_SEPARATOR = '|';
+const SUPPORTED_VERSIONS = [2];
+const CHECK_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+// Ed25519 signature as hex
+const SIGNATURE_PATTERN = /^[0-9A-F]{128}$/;
+const PUBLIC_KEY_PATTERN = /^[0-9a-fA-F]{64}$/;
+
+// GS1 Application Identifiers that can appear on vendor labels. Fixed-length
+// AIs have `length`; variable-length ones end at a GS (FNC1) or the payload end.
+const GS1_AIS = {
+  '00': {length: 18},
+  '01': {length: 14},
+  '02': {length: 14},
+  '10': {maxLength: 20},
+  '11': {length: 6},
+  '13': {length: 6},
+  '15': {length: 6},
+  '17': {length: 6},
+  '21': {maxLength: 20},
+  '30': {maxLength: 8},
+  '37': {maxLength: 8},
+  '240': {maxLength: 30},
+  '241': {maxLength: 30},
+};
+const GS1_REQUIRED_AIS = {
+  '01': 'gtin',
+  '10': 'lotNumber',
+  '11': 'manufactureDate',
+  '21': 'serialNumber',
+};
+const GS = '\x1D';
+// Symbology identifiers sent by scanners for GS1 DataMatrix, GS1 QR and PDF417
+const GS1_SYMBOLOGY_PREFIX = /^\](d2|Q3|L[0-2])/;
+
+class QRCodec {
+  constructor() {
+    // Issuer -> Ed25519 public key. Versioned tags are signed by the issuing
+    // server; the app only holds public keys, so it can check a tag but
+    // never make one. Kept in sync with the master-data store.
+    this.issuerKeys = new Map();
+    // GTIN -> {typeCode, vendorCode}, kept in sync with the master-data store
+    this.gtinMap = new Map();
+  }
+
+  setGtinMap(gtins) {
+    this.gtinMap = new Map(Object.entries(gtins || {}));
+  }
+
+  setIssuers(issuers) {
+    this.issuerKeys = new Map();
+    Object.entries(issuers || {}).forEach(([issuerId, issuer]) => {
+      this.registerIssuer(issuerId, issuer.publicKey);
+    });
+  }
+
+  registerIssuer(issuerId, publicKey) {
+    if (!PUBLIC_KEY_PATTERN.test(publicKey || '')) {
+      console.warn(`Ignoring issuer ${issuerId}: public key must be 32 bytes of hex`);
+      return;
+    }
+    this.issuerKeys.set(issuerId.toUpperCase(), publicKey.toLowerCase());
+  }
+
+  decode(rawData) {
+    const raw = typeof rawData === 'string' ? rawData.trim() : '';
+
+    if (!raw) {
+      return this.buildResult(rawData, null, {}, [
+        this.error('qrCode', QR_ERROR_CODES.EMPTY, 'QR code is empty'),
+      ]);
+    }
+
+    if (raw.toUpperCase().startsWith(V2_PREFIX)) {
+      return this.decodeVersioned(raw);
+    }
+
+    if (this.isGS1(raw)) {
+      return this.decodeGS1(raw);
+    }
+
+    return this.decodeLegacy(raw);
+  }
+
+  // Legacy format: TYPE-LOT-DATE-VENDOR-SERIAL
+  // The lot number may itself contain hyphens, so the fixed-width fields are
+  // taken from both ends and everything in between belongs to the lot.
+  decodeLegacy(raw) {
+    const parts = raw.toUpperCase().split('-');
+
+    if (parts.length < 5) {
+      return this.buildResult(raw, 'legacy', {}, [
+        this.error('qrCode', QR_ERROR_CODES.MALFORMED, 'Expected TYPE-LOT-DATE-VENDOR-SERIAL'),
+      ]);
+    }
+
+    const fields = {
+      typeCode: parts[0],
+      lotNumber: parts.slice(1, parts.length - 3).join('-'),
+      manufactureDate: parts[parts.length - 3],
+      vendorCode: parts[parts.length - 2],
+      serialNumber: parts[parts.length - 1],
+    };
+
+    return this.buildResult(raw, 'legacy', fields, this.validateFields(fields));
+  }
+
+  // Versioned format: IRQR<version>|ISSUER|TYPE|LOT|DATE|VENDOR|SERIAL|CHECK|SIGNATURE
+  decodeVersioned(raw) {
+    const parts = raw.split(V2_SEPARATOR);
+    const version = parseInt(parts[0].substr(V2_PREFIX.length), 10);
+
+    if (!SUPPORTED_VERSIONS.includes(version)) {
+      return this.buildResult(raw, 'versioned', {}, [
+        this.error('version', QR_ERROR_CODES.UNSUPPORTED_VERSION, `Unsupported QR version: ${parts[0]}`),
+      ]);
+    }
+
+    if (parts.length !== 9) {
+      return this.buildResult(raw, 'versioned', {}, [
+        this.error('qrCode', QR_ERROR_CODES.MALFORMED, 'Versioned QR code must have 9 fields'),
+      ], version);
+    }
+
+    const [, issuerId, typeCode, lotNumber, manufactureDate, vendorCode, serialNumber, checkDigit, signature] =
+      parts.map(part => part.trim().toUpperCase());
+
+    const fields = {
+      issuerId,
+      typeCode,
+      lotNumber,
+      manufactureDate,
+      vendorCode,
+      serialNumber,
+    };
+
+    const errors = this.validateFields(fields);
+
+    // Check digit catches transcription errors before the signature is checked
+    const expectedCheck = this.computeCheckDigit(this.checkDigitPayload(fields));
+    if (checkDigit !== expectedCheck) {
+      errors.push(this.error('checkDigit', QR_ERROR_CODES.CHECK_DIGIT_MISMATCH, 'Check digit does not match'));
+    }
+
+    const issuerKey = this.issuerKeys.get(issuerId);
+    if (!issuerKey) {
+      errors.push(this.error('issuerId', QR_ERROR_CODES.UNKNOWN_ISSUER, `Unknown tag issuer: ${issuerId}`));
+    } else if (!this.verifySignature(issuerKey, version, fields, signature)) {
+      errors.push(this.error('signature', QR_ERROR_CODES.SIGNATURE_INVALID, 'Issuer signature is invalid'));
+    }
+
+    return this.buildResult(raw, 'versioned', fields, errors, version);
+  }
+
+  isGS1(raw) {
+    return GS1_SYMBOLOGY_PREFIX.test(raw) || /^\(01\)/.test(raw) || /^01\d{14}/.test(raw);
+  }
+
+  // GS1 element string, either raw (FNC1 as GS) or in the bracketed
+  // human-readable form, e.g. (01)08901234000017(10)LOT7(11)240115(21)00042
+  decodeGS1(raw) {
+    const payload = raw.replace(GS1_SYMBOLOGY_PREFIX, '');
+    const elements = payload.startsWith('(')
+      ? this.parseBracketedGS1(payload)
+      : this.parseRawGS1(payload);
+
+    if (elements.error) {
+      return this.buildResult(raw, 'gs1', {}, [
+        this.error('qrCode', QR_ERROR_CODES.MALFORMED, elements.error),
+      ], null);
+    }
+
+    const missing = Object.keys(GS1_REQUIRED_AIS).filter(ai => !elements.values[ai]);
+    if (missing.length > 0) {
+      return this.buildResult(raw, 'gs1', {}, [
+        this.error('qrCode', QR_ERROR_CODES.MALFORMED, `GS1 label is missing AI ${missing.map(ai => `(${ai})`).join(', ')}`),
+      ], null);
+    }
+
+    const gtin = elements.values['01'];
+    const errors = [];
+    const product = this.gtinMap.get(gtin);
+
+    if (!this.isValidGtin(gtin)) {
+      errors.push(this.error('gtin', QR_ERROR_CODES.INVALID_GTIN, 'GTIN check digit is invalid'));
+    } else if (!product) {
+      errors.push(this.error('gtin', QR_ERROR_CODES.UNKNOWN_GTIN, `GTIN ${gtin} is not linked to a fitting type and vendor`));
+    }
+
+    const fields = {
+      gtin,
+      typeCode: product ? product.typeCode : '',
+      lotNumber: elements.values['10'].toUpperCase(),
+      manufactureDate: this.expandGS1Date(elements.values['11']),
+      vendorCode: product ? product.vendorCode : '',
+      serialNumber: this.normalizeGS1Serial(elements.values['21']),
+    };
+
+    // Only report field problems once the GTIN resolves to a product
+    if (errors.length === 0) {
+      errors.push(...this.validateFields(fields));
+    }
+
+    return this.buildResult(raw, 'gs1', fields, errors, null);
+  }
+
+  parseRawGS1(payload) {
+    const values = {};
+    let position = 0;
+
+    while (position < payload.length) {
+      if (payload[position] === GS) {
+        position++;
+        continue;
+      }
+
+      const ai = [2, 3]
+        .map(length => payload.substr(position, length))
+        .find(candidate => GS1_AIS[candidate]);
+      if (!ai) {
+        return {error: `Unsupported GS1 AI at position ${position + 1}`};
+      }
+
+      const spec = GS1_AIS[ai];
+      position += ai.length;
+
+      let value;
+      if (spec.length) {
+        value = payload.substr(position, spec.length);
+        position += spec.length;
+      } else {
+        const end = payload.indexOf(GS, position);
+        value = payload.substring(position, end === -1 ? payload.length : end);
+        position = end === -1 ? payload.length : end + 1;
+      }
+
+      const problem = this.checkGS1Value(ai, value);
+      if (problem) {
+        return {error: problem};
+      }
+      values[ai] = value;
+    }
+
+    return {values};
+  }
+
+  parseBracketedGS1(payload) {
+    const values = {};
+    const pattern = /\((\d{2,4})\)([^(]*)/g;
+    let consumed = 0;
+    let match;
+
+    while ((match = pattern.exec(payload)) !== null) {
+      const [, ai, value] = match;
+      if (!GS1_AIS[ai]) {
+        return {error: `Unsupported GS1 AI (${ai})`};
+      }
+
+      const problem = this.checkGS1Value(ai, value.trim());
+      if (problem) {
+        return {error: problem};
+      }
+      values[ai] = value.trim();
+      consumed += match[0].length;
+    }
+
+    if (consumed !== payload.length) {
+      return {error: 'GS1 label could not be read'};
+    }
+
+    return {values};
+  }
+
+  checkGS1Value(ai, value) {
+    const spec = GS1_AIS[ai];
+    if (spec.length && value.length !== spec.length) {
+      return `GS1 AI (${ai}) must be ${spec.length} characters`;
+    }
+    if (!spec.length && (value.length === 0 || value.length > spec.maxLength)) {
+      return `GS1 AI (${ai}) must be 1 to ${spec.maxLength} characters`;
+    }
+    return null;
+  }
+
+  // GS1 mod-10 check digit over the first 13 digits
+  isValidGtin(gtin) {
+    if (!/^\d{14}$/.test(gtin)) {
+      return false;
+    }
+
+    const sum = gtin
+      .slice(0, 13)
+      .split('')
+      .reduce((total, digit, index) => total + parseInt(digit, 10) * (index % 2 === 0 ? 3 : 1), 0);
+
+    return (10 - (sum % 10)) % 10 === parseInt(gtin[13], 10);
+  }
+
+  // YYMMDD -> YYYYMMDD using the GS1 century rule; day 00 means the last day
+  // of the month
+  expandGS1Date(value) {
+    if (!/^\d{6}$/.test(value)) {
+      return value;
+    }
+
+    const currentYear = new Date().getFullYear();
+    const currentCentury = Math.floor(currentYear / 100) * 100;
+    const yy = parseInt(value.substr(0, 2), 10);
+    const difference = yy - (currentYear % 100);
+
+    let year = currentCentury + yy;
+    if (difference >= 51) {
+      year -= 100;
+    } else if (difference <= -50) {
+      year += 100;
+    }
+
+    const month = value.substr(2, 2);
+    let day = value.substr(4, 2);
+    if (day === '00') {
+      day = String(new Date(year, parseInt(month, 10), 0).getDate()).padStart(2, '0');
+    }
+
+    return `${year}${month}${day}`;
+  }
+
+  // Vendor serials are often zero-padded to a longer width; they map onto a
+  // tag serial when the significant digits fit
+  normalizeGS1Serial(value) {
+    if (/^\d+$/.test(value)) {
+      const significant = value.replace(/^0+/, '') || '0';
+      if (significant.length <= 5) {
+        return significant.padStart(5, '0');
+      }
+    }
+    return value;
+  }
+
+  validateFields(fields) {
+    const errors = [];
+
+    if (!fittingTypeRegistry.isValidCode(fields.typeCode)) {
+      errors.push(this.error('typeCode', QR_ERROR_CODES.INVALID_TYPE, `Invalid fitting type: ${fields.typeCode}`));
+    }
+
+    if (!/^[A-Z0-9]+(-[A-Z0-9]+)*$/.test(fields.lotNumber) || fields.lotNumber.length > 20) {
+      errors.push(this.error('lotNumber', QR_ERROR_CODES.INVALID_LOT, 'Invalid lot number'));
+    }
+
+    if (!this.isValidDate(fields.manufactureDate)) {
+      errors.push(this.error('manufactureDate', QR_ERROR_CODES.INVALID_DATE, 'Manufacture date must be a valid YYYYMMDD date'));
+    }
+
+    if (!/^VND\d{3}$/.test(fields.vendorCode)) {
+      errors.push(this.error('vendorCode', QR_ERROR_CODES.INVALID_VENDOR, 'Vendor code must be in format VND001'));
+    }
+
+    if (!/^\d{5}$/.test(fields.serialNumber)) {
+      errors.push(this.error('serialNumber', QR_ERROR_CODES.INVALID_SERIAL, 'Serial number must be 5 digits'));
+    }
+
+    return errors;
+  }
+
+  isValidDate(dateStr) {
+    if (!/^\d{8}$/.test(dateStr)) {
+      return false;
+    }
+
+    const year = parseInt(dateStr.substr(0, 4), 10);
+    const month = parseInt(dateStr.substr(4, 2), 10);
+    const day = parseInt(dateStr.substr(6, 2), 10);
+    const date = new Date(year, month - 1, day);
+
+    return (
+      date.getFullYear() === year &&
+      date.getMonth() === month - 1 &&
+      date.getDate() === day &&
+      date <= new Date()
+    );
+  }
+
+  // Versioned tags need the issuer's signature, which only the server that
+  // reserved the serials can provide
+  encode(fields, options = {}) {
+    const {version = 1, issuerId = 'IRHQ', signature} = options;
+    const normalized = {
+      typeCode: fields.typeCode.toUpperCase(),
+      lotNumber: fields.lotNumber.toUpperCase(),
+      manufactureDate: fields.manufactureDate,
+      vendorCode: fields.vendorCode.toUpperCase(),
+      serialNumber: fields.serialNumber,
+    };
+
+    if (version === 1) {
+      return this.toLegacyString(normalized);
+    }
+
+    if (!signature) {
+      throw new Error('Versioned tags must carry the issuer signature');
+    }
+
+    const withIssuer = {...normalized, issuerId: issuerId.toUpperCase()};
+    return [
+      `${V2_PREFIX}${version}`,
+      withIssuer.issuerId,
+      normalized.typeCode,
+      normalized.lotNumber,
+      normalized.manufactureDate,
+      normalized.vendorCode,
+      normalized.serialNumber,
+      this.computeCheckDigit(this.checkDigitPayload(normalized)),
+      signature.toUpperCase(),
+    ].join(V2_SEPARATOR);
+  }
+
+  toLegacyString(fields) {
+    return [
+      fields.typeCode,
+      fields.lotNumber,
+      fields.manufactureDate,
+      fields.vendorCode,
+      fields.serialNumber,
+    ].join('-');
+  }
+
+  // Canonical form used to compare tags across formats (the legacy string)
+  canonicalize(rawData) {
+    const decoded = this.decode(rawData);
+    return decoded.valid ? decoded.canonical : null;
+  }
+
+  isValid(rawData) {
+    return this.decode(rawData).valid;
+  }
+
+  checkDigitPayload(fields) {
+    return `${fields.typeCode}${fields.lotNumber}${fields.manufactureDate}${fields.vendorCode}${fields.serialNumber}`
+      .replace(/[^A-Z0-9]/g, '');
+  }
+
+  // ISO 7064 MOD 37,36 check character over the alphanumeric payload
+  computeCheckDigit(payload) {
+    const modulus = CHECK_ALPHABET.length;
+    let product = modulus;
+
+    for (const char of payload) {
+      const value = CHECK_ALPHABET.indexOf(char);
+      let sum = (product + value) % modulus;
+      if (sum === 0) {
+        sum = modulus;
+      }
+      product = (sum * 2) % (modulus + 1);
+    }
+
+    return CHECK_ALPHABET[(modulus + 1 - product) % modulus];
+  }
+
+  // The bytes the issuer signs
+  signedPayload(version, fields) {
+    return Uint8Array.from(utf8Bytes([
+      version,
+      fields.issuerId,
+      fields.typeCode,
+      fields.lotNumber,
+      fields.manufactureDate,
+      fields.vendorCode,
+      fields.serialNumber,
+    ].join(V2_SEPARATOR)));
+  }
+
+  verifySignature(publicKey, version, fields, signature) {
+    if (!SIGNATURE_PATTERN.test(signature)) {
+      return false;
+    }
+
+    try {
+      return ed25519.verify(
+        hexToBytes(signature),
+        this.signedPayload(version, fields),
+        hexToBytes(publicKey),
+      );
+    } catch (error) {
+      // A key or signature that is not a valid curve point
+      return false;
+    }
+  }
+
+  buildResult(raw, format, fields, errors, version = format === 'legacy' ? 1 : null) {
+    const valid = errors.length === 0;
+    return {
+      valid,
+      raw,
+      format,
+      version,
+      fields,
+      canonical: valid ? this.toLegacyString(fields) : null,
+      errors,
+    };
+  }
+
+  error(field, code, message) {
+    return {field, code, message};
+  }
+}
+
+function hexToBytes(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+export const qrCodec = new QRCodec();
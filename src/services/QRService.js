@@ -1,42 +1,59 @@
-import axios from 'axios';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import {httpClient} from './HttpClient';
+import {qrCodec} from './QRCodec';
+import {fittingTypeRegistry} from './FittingTypeRegistry';
+import {masterDataService} from './MasterDataService';
+import {inspectionService} from './InspectionService';
+import {tagAliasService} from './TagAliasService';
+import {environmentService} from './EnvironmentService';
 
 class QRService {
   constructor() {
-    this.baseURL = 'https://api.ireps.gov.in/v1'; // UDM Portal API
-    this.tmsBaseURL = 'https://api.irecept.gov.in/v1'; // TMS Portal API
+    this.baseURL = environmentService.getEndpoint('udm'); // UDM Portal API
+    this.tmsBaseURL = environmentService.getEndpoint('tms'); // TMS Portal API
   }
 
   async parseQRCode(qrData) {
     try {
-      // Parse QR code format: TYPE-LOT-DATE-VENDOR-SERIAL
-      const parts = qrData.split('-');
-      
-      if (parts.length < 5) {
-        return {success: false, error: 'Invalid QR code format'};
-      }
+      // GS1 labels need the GTIN table from master data to resolve
+      await masterDataService.load();
+
+      const decoded = qrCodec.decode(qrData);
 
-      const [type, lot, date, vendor, serial] = parts;
-      
-      // Validate fitting type
-      const validTypes = ['RC', 'LN', 'RP', 'SL']; // Rail Clip, Liner, Rail Pad, Sleeper
-      if (!validTypes.includes(type)) {
-        return {success: false, error: 'Invalid fitting type'};
+      if (!decoded.valid) {
+        return {
+          success: false,
+          error: decoded.errors[0].message,
+          errors: decoded.errors,
+        };
       }
 
-      // Fetch detailed information from UDM portal
-      const fittingDetails = await this.getFittingDetails(qrData);
+      const {typeCode, lotNumber, manufactureDate, vendorCode, serialNumber, issuerId, gtin} = decoded.fields;
+
+      // A re-tagged fitting keeps the supply date of its original sticker
+      const lineage = await tagAliasService.getLineage(decoded.canonical);
+
+      // Fetch detailed information from UDM portal using the canonical code
+      const fittingDetails = await this.getFittingDetails(decoded, lineage);
 
       return {
         success: true,
         data: {
-          qrCode: qrData,
-          type: this.getFittingTypeName(type),
-          typeCode: type,
-          lotNumber: lot,
-          manufactureDate: date,
-          vendorCode: vendor,
-          serialNumber: serial,
+          qrCode: decoded.canonical,
+          rawCode: decoded.raw,
+          tagFormat: decoded.format,
+          tagVersion: decoded.version,
+          issuerId: issuerId || null,
+          gtin: gtin || null,
+          type: this.getFittingTypeName(typeCode),
+          typeCode,
+          lotNumber,
+          manufactureDate,
+          vendorCode,
+          serialNumber,
+          originalCode: lineage.original,
+          replacedBy: lineage.current !== decoded.canonical ? lineage.current : null,
+          tagChain: lineage.chain,
+          retagHistory: lineage.aliases,
           ...fittingDetails,
         },
       };
@@ -47,128 +64,73 @@ class QRService {
   }
 
   getFittingTypeName(code) {
-    const types = {
-      RC: 'Elastic Rail Clip',
-      LN: 'Liner',
-      RP: 'Rail Pad',
-      SL: 'Sleeper',
-    };
-    return types[code] || 'Unknown';
+    return fittingTypeRegistry.getName(code);
   }
 
-  async getFittingDetails(qrCode) {
+  async getFittingDetails(decoded, lineage) {
     try {
-      const token = await AsyncStorage.getItem('authToken');
-      
-      const response = await axios.get(`${this.baseURL}/fittings/${qrCode}`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-      });
+      const response = await httpClient.get(`${this.baseURL}/fittings/${decoded.canonical}`);
 
-      return response.data;
+      return {...response.data, dataSource: 'online'};
     } catch (error) {
       console.warn('UDM API error:', error);
-      // Return mock data for offline/demo mode
-      return this.getMockFittingDetails(qrCode);
+      return this.buildOfflineFittingDetails(decoded, lineage);
     }
   }
 
-  getMockFittingDetails(qrCode) {
-    const [type, lot, date, vendor] = qrCode.split('-');
-    
+  // Built only from the master-data store and inspections recorded on this
+  // device. Anything those sources do not know (stock location, quantity,
+  // status) is left null rather than guessed.
+  async buildOfflineFittingDetails(decoded, lineage = null) {
+    const {typeCode, vendorCode} = decoded.fields;
+    // The current tag stands in for an original that no longer decodes, for
+    // example because its issuer key was withdrawn
+    const original = lineage ? qrCodec.decode(lineage.original) : null;
+    const {manufactureDate} = original && original.valid
+      ? original.fields
+      : decoded.fields;
+
+    const [vendorName, specifications, unitPrice, warrantyMonths, masterDataVersion, inspectionHistory] =
+      await Promise.all([
+        this.getVendorName(vendorCode),
+        this.getSpecifications(typeCode),
+        this.getUnitPrice(typeCode),
+        masterDataService.getWarrantyMonths(typeCode),
+        masterDataService.getVersion(),
+        inspectionService.getHistorySummary(decoded.canonical),
+      ]);
+
+    const latest = inspectionHistory[0] || null;
+
     return {
-      vendorName: this.getVendorName(vendor),
-      specifications: this.getSpecifications(type),
-      warrantyPeriod: '24 months',
-      supplyDate: this.formatDate(date),
-      inspectionHistory: this.getMockInspectionHistory(),
-      qualityGrade: 'A',
-      location: 'Warehouse-A-Block-3',
-      quantity: Math.floor(Math.random() * 1000) + 100,
-      unitPrice: this.getUnitPrice(type),
-      totalValue: 0, // Will be calculated
-      status: 'Good',
-      lastInspected: '20/09/2025',
-      id: Date.now().toString(),
+      id: decoded.canonical,
+      dataSource: 'offline',
+      masterDataVersion,
+      vendorName,
+      specifications,
+      warrantyPeriod: warrantyMonths ? `${warrantyMonths} months` : null,
+      supplyDate: this.formatDate(manufactureDate),
+      inspectionHistory,
+      qualityGrade: latest ? latest.grade : null,
+      location: null,
+      quantity: null,
+      unitPrice,
+      totalValue: null,
+      status: null,
+      lastInspected: latest ? latest.date : null,
     };
   }
 
-  getVendorName(code) {
-    const vendors = {
-      'VND001': 'Bharat Steel Industries',
-      'VND002': 'Railway Track Components Ltd',
-      'VND003': 'Indian Rail Fittings Corp',
-      'VND004': 'Steel Authority of India',
-      'VND005': 'Tata Steel Railway Division',
-    };
-    return vendors[code] || `Vendor ${code}`;
+  async getVendorName(code) {
+    return masterDataService.getVendorName(code);
   }
 
-  getSpecifications(type) {
-    const specs = {
-      RC: {
-        material: 'Spring Steel',
-        grade: 'Grade 60',
-        tensileStrength: '1800-2000 MPa',
-        hardness: '52-58 HRC',
-        coating: 'Zinc Plated',
-      },
-      LN: {
-        material: 'Cast Iron',
-        grade: 'Grade 250',
-        dimensions: '165x135x13 mm',
-        weight: '0.8 kg',
-        finish: 'Shot Blasted',
-      },
-      RP: {
-        material: 'EPDM Rubber',
-        hardness: '70±5 Shore A',
-        dimensions: '165x135x6 mm',
-        density: '1.4 g/cm³',
-        temperature: '-40°C to +70°C',
-      },
-      SL: {
-        material: 'Concrete',
-        grade: 'M40',
-        dimensions: '2600x240x200 mm',
-        weight: '280 kg',
-        reinforcement: 'PSC',
-      },
-    };
-    return specs[type] || {};
+  async getSpecifications(type) {
+    return masterDataService.getSpecifications(type);
   }
 
-  getUnitPrice(type) {
-    const prices = {
-      RC: 45.50,
-      LN: 32.25,
-      RP: 28.75,
-      SL: 1450.00,
-    };
-    return prices[type] || 0;
-  }
-
-  getMockInspectionHistory() {
-    return [
-      {
-        date: '2024-09-20',
-        type: 'Manufacturing Quality Check',
-        inspector: 'QC Team A',
-        result: 'Passed',
-        grade: 'A',
-        remarks: 'All parameters within specification',
-      },
-      {
-        date: '2024-09-21',
-        type: 'Pre-dispatch Inspection',
-        inspector: 'QA Inspector',
-        result: 'Passed',
-        grade: 'A',
-        remarks: 'Ready for dispatch',
-      },
-    ];
+  async getUnitPrice(type) {
+    return masterDataService.getUnitPrice(type);
   }
 
   formatDate(dateStr) {
@@ -184,18 +146,11 @@ class QRService {
 
   async syncWithTMS(fittingData) {
     try {
-      const token = await AsyncStorage.getItem('authToken');
-      
-      const response = await axios.post(`${this.tmsBaseURL}/track-fittings/sync`, {
+      const response = await httpClient.post(`${this.tmsBaseURL}/track-fittings/sync`, {
         qrCode: fittingData.qrCode,
         scanLocation: fittingData.location,
         scanTime: new Date().toISOString(),
         inspectionData: fittingData.inspectionData,
-      }, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
       });
 
       return response.data;
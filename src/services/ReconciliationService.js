@@ -0,0 +1,440 @@
+import DocumentPicker from 'react-native-document-picker';
+import RNFS from 'react-native-fs';
+import {qrCodec} from './QRCodec';
+import {fittingTypeRegistry} from './FittingTypeRegistry';
+import {reportsService} from './ReportsService';
+import {httpClient} from './HttpClient';
+import {accessControlService} from './AccessControlService';
+import {environmentService} from './EnvironmentService';
+
+// Accepted column names in challan files, normalised to lower case without
+// spaces or punctuation
+const COLUMN_ALIASES = {
+  qrcode: 'qrCode',
+  tag: 'qrCode',
+  typecode: 'typeCode',
+  type: 'typeCode',
+  lotnumber: 'lotNumber',
+  lot: 'lotNumber',
+  lotno: 'lotNumber',
+  batch: 'lotNumber',
+  vendorcode: 'vendorCode',
+  vendor: 'vendorCode',
+  quantity: 'quantity',
+  qty: 'quantity',
+  serialfrom: 'serialFrom',
+  serialto: 'serialTo',
+};
+
+export const RECONCILIATION_CATEGORIES = {
+  MATCHED: 'matched',
+  SHORTAGE: 'shortage',
+  EXCESS: 'excess',
+  MISMATCHED_LOT: 'mismatched_lot',
+};
+
+class ReconciliationService {
+  constructor() {
+    this.baseURL = `${environmentService.getEndpoint('udm')}/consignments`; // UDM Portal API
+  }
+
+  async pickChallanFile() {
+    try {
+      const file = await DocumentPicker.pickSingle({
+        type: [
+          DocumentPicker.types.csv,
+          DocumentPicker.types.json,
+          DocumentPicker.types.plainText,
+        ],
+        copyTo: 'cachesDirectory',
+      });
+      const content = await RNFS.readFile(
+        decodeURIComponent((file.fileCopyUri || file.uri).replace('file://', '')),
+        'utf8',
+      );
+      return this.parseChallan(content, file.name);
+    } catch (error) {
+      if (DocumentPicker.isCancel(error)) {
+        return {success: false, cancelled: true};
+      }
+      console.error('Challan import error:', error);
+      return {success: false, error: 'Unable to read the challan file'};
+    }
+  }
+
+  async fetchConsignment(consignmentId) {
+    try {
+      const response = await httpClient.get(`${this.baseURL}/${encodeURIComponent(consignmentId)}`);
+
+      return this.buildChallan(response.data, 'udm', consignmentId);
+    } catch (error) {
+      console.warn('UDM consignment error:', error);
+      return {success: false, error: 'Consignment record could not be fetched from UDM'};
+    }
+  }
+
+  parseChallan(content, fileName = 'challan') {
+    const text = String(content || '').trim();
+    if (!text) {
+      return {success: false, error: 'Challan file is empty'};
+    }
+
+    const isJson = /\.json$/i.test(fileName) || text.startsWith('{') || text.startsWith('[');
+    if (isJson) {
+      try {
+        const parsed = JSON.parse(text);
+        const record = Array.isArray(parsed) ? {lines: parsed} : parsed;
+        return this.buildChallan(record, 'file', fileName.replace(/\.[^.]+$/, ''));
+      } catch (error) {
+        return {success: false, error: 'Challan JSON could not be read'};
+      }
+    }
+
+    const rows = this.parseCSV(text);
+    if (rows.length < 2) {
+      return {success: false, error: 'Challan CSV needs a header row and at least one line'};
+    }
+
+    const headers = rows[0].map(header => COLUMN_ALIASES[header.toLowerCase().replace(/[^a-z]/g, '')] || null);
+    const lines = rows.slice(1).map(row => {
+      const line = {};
+      headers.forEach((field, index) => {
+        if (field && row[index] !== undefined && row[index] !== '') {
+          line[field] = row[index];
+        }
+      });
+      return line;
+    });
+
+    return this.buildChallan({lines}, 'file', fileName.replace(/\.[^.]+$/, ''));
+  }
+
+  parseCSV(text) {
+    const rows = [];
+    text.split(/\r?\n/).forEach(line => {
+      if (!line.trim()) {
+        return;
+      }
+
+      const fields = [];
+      let current = '';
+      let quoted = false;
+
+      for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"' && quoted && line[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = !quoted;
+        } else if (char === ',' && !quoted) {
+          fields.push(current.trim());
+          current = '';
+        } else {
+          current += char;
+        }
+      }
+      fields.push(current.trim());
+      rows.push(fields);
+    });
+    return rows;
+  }
+
+  // Challan lines either list individual tags or give a quantity per lot;
+  // both are grouped by lot so they reconcile the same way
+  buildChallan(record, source, fallbackNumber) {
+    const vendorCode = record.vendorCode ? String(record.vendorCode).toUpperCase() : null;
+    const lots = new Map();
+    const errors = [];
+
+    (record.lines || []).forEach((line, index) => {
+      const normalized = this.normalizeLine(line, vendorCode);
+      if (normalized.error) {
+        errors.push({row: index + 1, message: normalized.error});
+        return;
+      }
+
+      const key = this.getLotKey(normalized);
+      const lot = lots.get(key) || {
+        typeCode: normalized.typeCode,
+        lotNumber: normalized.lotNumber,
+        vendorCode: normalized.vendorCode,
+        quantity: 0,
+        serialFrom: normalized.serialFrom,
+        serialTo: normalized.serialTo,
+        qrCodes: [],
+      };
+
+      lot.quantity += normalized.quantity;
+      if (normalized.qrCode) {
+        lot.qrCodes.push(normalized.qrCode);
+      }
+      lots.set(key, lot);
+    });
+
+    if (lots.size === 0) {
+      return {
+        success: false,
+        error: errors.length > 0 ? `Row ${errors[0].row}: ${errors[0].message}` : 'Challan has no lines',
+        errors,
+      };
+    }
+
+    return {
+      success: true,
+      challan: {
+        challanNumber: record.challanNumber || record.consignmentId || fallbackNumber,
+        poNumber: record.poNumber || null,
+        vendorCode,
+        source,
+        lots: Array.from(lots.values()),
+      },
+      errors,
+    };
+  }
+
+  normalizeLine(line, defaultVendor) {
+    if (line.qrCode) {
+      const decoded = qrCodec.decode(String(line.qrCode));
+      if (!decoded.valid) {
+        return {error: `Invalid tag ${line.qrCode}: ${decoded.errors[0].message}`};
+      }
+      return {
+        ...decoded.fields,
+        qrCode: decoded.canonical,
+        quantity: 1,
+        serialFrom: null,
+        serialTo: null,
+      };
+    }
+
+    const typeValue = String(line.typeCode || '').trim();
+    const typeEntry = fittingTypeRegistry.get(typeValue.toUpperCase()) || fittingTypeRegistry.getByName(typeValue);
+    if (!typeEntry) {
+      return {error: `Unknown fitting type: ${typeValue || '(blank)'}`};
+    }
+
+    if (!line.lotNumber) {
+      return {error: 'Lot number is required'};
+    }
+
+    const quantity = parseInt(line.quantity, 10);
+    if (!quantity || quantity < 1) {
+      return {error: 'Quantity must be at least 1'};
+    }
+
+    return {
+      typeCode: typeEntry.code,
+      lotNumber: String(line.lotNumber).trim().toUpperCase(),
+      vendorCode: line.vendorCode ? String(line.vendorCode).toUpperCase() : defaultVendor,
+      quantity,
+      serialFrom: line.serialFrom ? parseInt(line.serialFrom, 10) : null,
+      serialTo: line.serialTo ? parseInt(line.serialTo, 10) : null,
+      qrCode: null,
+    };
+  }
+
+  getLotKey(item) {
+    return `${item.typeCode}|${item.lotNumber}|${item.vendorCode || '*'}`;
+  }
+
+  findExpectedLot(lots, item) {
+    return lots.find(lot =>
+      lot.typeCode === item.typeCode &&
+      lot.lotNumber === item.lotNumber &&
+      (!lot.vendorCode || lot.vendorCode === item.vendorCode),
+    );
+  }
+
+  // Compares the challan against scanned fittings and caches the result as a
+  // report so it can be exported through ReportsService
+  async reconcile(challan, scannedItems) {
+    try {
+      const access = await accessControlService.authorize('canReconcile', {
+        action: 'reconcile',
+        target: challan.challanNumber,
+      });
+      if (!access.allowed) {
+        return {success: false, error: access.error, denied: true};
+      }
+
+      const scanned = new Map();
+      scannedItems.forEach(item => {
+        const canonical = qrCodec.canonicalize(item.qrCode);
+        if (canonical && !scanned.has(canonical)) {
+          scanned.set(canonical, {...item, qrCode: canonical});
+        }
+      });
+
+      const scannedByLot = new Map(challan.lots.map(lot => [lot, []]));
+      const unexpected = [];
+
+      scanned.forEach(item => {
+        const lot = this.findExpectedLot(challan.lots, item);
+        if (lot) {
+          scannedByLot.get(lot).push(item);
+        } else {
+          unexpected.push(item);
+        }
+      });
+
+      const rows = [];
+      challan.lots.forEach(lot => rows.push(...this.reconcileLot(lot, scannedByLot.get(lot))));
+      unexpected.forEach(item => rows.push(this.classifyUnexpected(challan, item)));
+
+      const count = category => rows
+        .filter(row => row.category === category)
+        .reduce((total, row) => total + Math.abs(row.difference), 0);
+
+      const summary = {
+        expected: challan.lots.reduce((total, lot) => total + lot.quantity, 0),
+        scanned: scanned.size,
+        matched: rows
+          .filter(row => row.category === RECONCILIATION_CATEGORIES.MATCHED)
+          .reduce((total, row) => total + row.scanned, 0),
+        shortage: count(RECONCILIATION_CATEGORIES.SHORTAGE),
+        excess: count(RECONCILIATION_CATEGORIES.EXCESS),
+        mismatchedLot: count(RECONCILIATION_CATEGORIES.MISMATCHED_LOT),
+      };
+      summary.status = summary.shortage + summary.excess + summary.mismatchedLot === 0
+        ? 'clean'
+        : 'discrepancies';
+
+      const report = {
+        id: reportsService.generateReportId(),
+        type: 'reconciliation',
+        title: `Consignment Reconciliation - ${challan.challanNumber}`,
+        generatedAt: new Date().toISOString(),
+        challan: {
+          challanNumber: challan.challanNumber,
+          poNumber: challan.poNumber,
+          vendorCode: challan.vendorCode,
+          source: challan.source,
+        },
+        summary,
+        data: rows,
+        totalRecords: rows.length,
+      };
+
+      await reportsService.cacheReport(report);
+      return {success: true, report};
+    } catch (error) {
+      console.error('Reconciliation error:', error);
+      return {success: false, error: 'Reconciliation failed'};
+    }
+  }
+
+  reconcileLot(lot, items) {
+    const rows = [];
+    const inRange = [];
+
+    // Serials outside the range printed on the challan do not belong to it
+    items.forEach(item => {
+      const serial = parseInt(item.serialNumber, 10);
+      const outside = (lot.serialFrom && serial < lot.serialFrom) || (lot.serialTo && serial > lot.serialTo);
+      if (outside) {
+        rows.push(this.buildRow(RECONCILIATION_CATEGORIES.EXCESS, lot, {
+          qrCode: item.qrCode,
+          scanned: 1,
+          difference: 1,
+          note: `Serial outside challan range ${lot.serialFrom || ''}-${lot.serialTo || ''}`,
+        }));
+      } else {
+        inRange.push(item);
+      }
+    });
+
+    if (lot.qrCodes.length > 0) {
+      const expectedTags = new Set(lot.qrCodes);
+      const scannedTags = new Set(inRange.map(item => item.qrCode));
+      const matched = inRange.filter(item => expectedTags.has(item.qrCode));
+
+      rows.push(this.buildRow(RECONCILIATION_CATEGORIES.MATCHED, lot, {
+        expected: lot.quantity,
+        scanned: matched.length,
+      }));
+      lot.qrCodes
+        .filter(qrCode => !scannedTags.has(qrCode))
+        .forEach(qrCode => rows.push(this.buildRow(RECONCILIATION_CATEGORIES.SHORTAGE, lot, {
+          qrCode,
+          expected: 1,
+          difference: -1,
+          note: 'Tag listed on challan was not scanned',
+        })));
+      inRange
+        .filter(item => !expectedTags.has(item.qrCode))
+        .forEach(item => rows.push(this.buildRow(RECONCILIATION_CATEGORIES.EXCESS, lot, {
+          qrCode: item.qrCode,
+          scanned: 1,
+          difference: 1,
+          note: 'Tag not listed on challan',
+        })));
+      return rows;
+    }
+
+    const matched = Math.min(inRange.length, lot.quantity);
+    rows.push(this.buildRow(RECONCILIATION_CATEGORIES.MATCHED, lot, {
+      expected: lot.quantity,
+      scanned: matched,
+    }));
+
+    if (inRange.length < lot.quantity) {
+      rows.push(this.buildRow(RECONCILIATION_CATEGORIES.SHORTAGE, lot, {
+        expected: lot.quantity,
+        scanned: inRange.length,
+        difference: inRange.length - lot.quantity,
+        note: `${lot.quantity - inRange.length} fewer than challan quantity`,
+      }));
+    } else if (inRange.length > lot.quantity) {
+      inRange.slice(lot.quantity).forEach(item => rows.push(this.buildRow(RECONCILIATION_CATEGORIES.EXCESS, lot, {
+        qrCode: item.qrCode,
+        scanned: 1,
+        difference: 1,
+        note: 'More fittings scanned than challan quantity',
+      })));
+    }
+
+    return rows;
+  }
+
+  classifyUnexpected(challan, item) {
+    const sameType = challan.lots.filter(lot =>
+      lot.typeCode === item.typeCode &&
+      (!lot.vendorCode || lot.vendorCode === item.vendorCode),
+    );
+
+    if (sameType.length > 0) {
+      return this.buildRow(RECONCILIATION_CATEGORIES.MISMATCHED_LOT, item, {
+        qrCode: item.qrCode,
+        scanned: 1,
+        difference: 1,
+        note: `Lot ${item.lotNumber} not on challan (expected ${sameType.map(lot => lot.lotNumber).join(', ')})`,
+      });
+    }
+
+    return this.buildRow(RECONCILIATION_CATEGORIES.EXCESS, item, {
+      qrCode: item.qrCode,
+      scanned: 1,
+      difference: 1,
+      note: challan.vendorCode && challan.vendorCode !== item.vendorCode
+        ? `Vendor ${item.vendorCode} does not match challan vendor ${challan.vendorCode}`
+        : `${fittingTypeRegistry.getName(item.typeCode)} not on challan`,
+    });
+  }
+
+  buildRow(category, source, values) {
+    return {
+      category,
+      typeCode: source.typeCode,
+      lotNumber: source.lotNumber,
+      vendorCode: source.vendorCode || '',
+      qrCode: values.qrCode || '',
+      expected: values.expected || 0,
+      scanned: values.scanned || 0,
+      difference: values.difference || 0,
+      note: values.note || '',
+    };
+  }
+}
+
+export const reconciliationService = new ReconciliationService();
@@ -1,13 +1,17 @@
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { dashboardService } from './DashboardService';
 import { inventoryService } from './InventoryService';
 import { trackingService } from './TrackingService';
 import { aiService } from './AIService';
+import { accessControlService } from './AccessControlService';
+import { secureStorageService } from './SecureStorageService';
 
 class ReportsService {
   constructor() {
     this.reportCache = new Map();
     this.reportTemplates = this.initializeReportTemplates();
+
+    // Reports are cached per user
+    secureStorageService.onProfileChange(() => this.reportCache.clear());
   }
 
   initializeReportTemplates() {
@@ -36,10 +40,18 @@ class ReportsService {
         fields: ['fittingId', 'maintenanceType', 'scheduledDate', 'completedDate', 'cost'],
         charts: ['maintenanceSchedule', 'costAnalysis', 'delayAnalysis'],
       },
+      reconciliation: {
+        name: 'Consignment Reconciliation',
+        description: 'Scanned deliveries checked against the challan or PO',
+        fields: ['category', 'typeCode', 'lotNumber', 'vendorCode', 'qrCode', 'expected', 'scanned', 'difference', 'note'],
+        charts: [],
+      },
     };
   }
 
   async generateInventoryReport(filters = {}) {
+    await this.requireReportAccess('generateInventoryReport');
+
     try {
       const inventoryData = await inventoryService.getAllItems();
       
@@ -91,6 +103,8 @@ class ReportsService {
   }
 
   async generateInspectionReport(filters = {}) {
+    await this.requireReportAccess('generateInspectionReport');
+
     try {
       // Get inspection data from tracking service
       const trackingData = await trackingService.getAllTrackingEntries();
@@ -144,6 +158,8 @@ class ReportsService {
   }
 
   async generatePerformanceReport(filters = {}) {
+    await this.requireReportAccess('generatePerformanceReport');
+
     try {
       const [dashboardData, activityStats, aiInsights] = await Promise.all([
         dashboardService.getDashboardData(),
@@ -201,6 +217,8 @@ class ReportsService {
   }
 
   async generateCustomReport(config) {
+    await this.requireReportAccess('generateCustomReport');
+
     try {
       const { title, dataSource, fields, filters, charts } = config;
       
@@ -483,8 +501,27 @@ class ReportsService {
     return filtered;
   }
 
+  // The generators return the report and throw when it cannot be built, so
+  // a refusal is thrown too, marked as a denial
+  async requireReportAccess(action) {
+    const access = await accessControlService.authorize('canGenerateReports', {action});
+    if (!access.allowed) {
+      const error = new Error(access.error);
+      error.denied = true;
+      throw error;
+    }
+  }
+
   async exportReport(reportId, format = 'json') {
     try {
+      const access = await accessControlService.authorize('canExportData', {
+        action: 'exportReport',
+        target: reportId,
+      });
+      if (!access.allowed) {
+        return { success: false, error: access.error, denied: true };
+      }
+
       const report = await this.getCachedReport(reportId);
       if (!report) {
         throw new Error('Report not found');
@@ -552,7 +589,7 @@ class ReportsService {
     try {
       this.reportCache.set(report.id, report);
       const key = `report_${report.id}`;
-      await AsyncStorage.setItem(key, JSON.stringify(report));
+      await secureStorageService.setItem(key, JSON.stringify(report));
     } catch (error) {
       console.error('Cache report error:', error);
     }
@@ -565,9 +602,9 @@ class ReportsService {
         return this.reportCache.get(reportId);
       }
 
-      // Check AsyncStorage
+      // Check the user's storage
       const key = `report_${reportId}`;
-      const reportData = await AsyncStorage.getItem(key);
+      const reportData = await secureStorageService.getItem(key);
       if (reportData) {
         const report = JSON.parse(reportData);
         this.reportCache.set(reportId, report);
@@ -583,13 +620,13 @@ class ReportsService {
 
   async getReportHistory() {
     try {
-      const keys = await AsyncStorage.getAllKeys();
+      const keys = await secureStorageService.getAllKeys();
       const reportKeys = keys.filter(key => key.startsWith('report_'));
       
       const reports = [];
       for (const key of reportKeys) {
         try {
-          const reportData = await AsyncStorage.getItem(key);
+          const reportData = await secureStorageService.getItem(key);
           if (reportData) {
             const report = JSON.parse(reportData);
             reports.push({
@@ -618,7 +655,7 @@ class ReportsService {
     try {
       this.reportCache.delete(reportId);
       const key = `report_${reportId}`;
-      await AsyncStorage.removeItem(key);
+      await secureStorageService.removeItem(key);
       return { success: true };
     } catch (error) {
       console.error('Delete report error:', error);
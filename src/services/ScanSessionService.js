@@ -0,0 +1,284 @@
+import {Platform} from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {authService} from './AuthService';
+import {locationService} from './LocationService';
+import {secureStorageService} from './SecureStorageService';
+
+export const SCAN_OUTCOMES = ['decoded', 'invalid', 'duplicate', 'error'];
+export const SCAN_SOURCES = ['camera', 'batch', 'import', 'manual'];
+
+// A session left open longer than a shift is closed and a new one started
+const MAX_SESSION_HOURS = 12;
+
+// Session summaries belong to the device, so a supervisor signing in sees
+// every shift's coverage and logout does not remove them. The scans behind
+// each session, and which session is open, stay in the operator's profile.
+class ScanSessionService {
+  constructor() {
+    this.sessionsKey = 'scan_sessions';
+    this.activeKey = 'active_scan_session';
+    // Scans arrive faster than storage writes in batch mode, so writes are
+    // chained to keep session counts from overwriting each other
+    this.writeQueue = Promise.resolve();
+  }
+
+  async getSessions() {
+    try {
+      const data = await AsyncStorage.getItem(this.sessionsKey);
+      return data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error('Scan sessions load error:', error);
+      return [];
+    }
+  }
+
+  async saveSessions(sessions) {
+    await AsyncStorage.setItem(this.sessionsKey, JSON.stringify(sessions));
+  }
+
+  async getActiveSession() {
+    const activeId = await secureStorageService.getItem(this.activeKey);
+    if (!activeId) {
+      return null;
+    }
+    const sessions = await this.getSessions();
+    return sessions.find(session => session.id === activeId && !session.endedAt) || null;
+  }
+
+  async startSession(options = {}) {
+    return this.enqueue(() => this.openSession(options));
+  }
+
+  async openSession(options = {}) {
+    const active = await this.getActiveSession();
+    if (active) {
+      await this.closeSession(active.id);
+    }
+
+    const user = await authService.getCurrentUser();
+    const session = {
+      id: `SES-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`,
+      operatorId: user ? user.employeeId : null,
+      operatorName: user ? user.name : null,
+      sectionId: options.sectionId || await locationService.getUserSectionId(),
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      device: {
+        platform: Platform.OS,
+        version: String(Platform.Version),
+      },
+      scanCount: 0,
+      outcomes: {decoded: 0, invalid: 0, duplicate: 0, error: 0},
+      sources: {},
+      uniqueFittings: 0,
+      totalDecodeMs: 0,
+      chainageFrom: null,
+      chainageTo: null,
+      lastScanAt: null,
+    };
+
+    const sessions = await this.getSessions();
+    sessions.push(session);
+    await this.saveSessions(sessions);
+    await secureStorageService.setItem(this.activeKey, session.id);
+
+    return session;
+  }
+
+  async endSession() {
+    return this.enqueue(async () => {
+      const active = await this.getActiveSession();
+      return active ? this.closeSession(active.id) : null;
+    });
+  }
+
+  async closeSession(sessionId) {
+    const sessions = await this.getSessions();
+    const session = sessions.find(item => item.id === sessionId);
+    if (session && !session.endedAt) {
+      session.endedAt = session.lastScanAt && this.isExpired(session)
+        ? session.lastScanAt
+        : new Date().toISOString();
+      await this.saveSessions(sessions);
+    }
+    await secureStorageService.removeItem(this.activeKey);
+    return session || null;
+  }
+
+  isExpired(session) {
+    return Date.now() - new Date(session.startedAt).getTime() > MAX_SESSION_HOURS * 60 * 60 * 1000;
+  }
+
+  // The session a new scan belongs to. One is opened on the first scan, and
+  // again when the shift has run out or another operator has logged in.
+  async resolveSession() {
+    const active = await this.getActiveSession();
+    const user = await authService.getCurrentUser();
+    const operatorId = user ? user.employeeId : null;
+
+    if (active && !this.isExpired(active) && active.operatorId === operatorId) {
+      return active;
+    }
+    return this.openSession();
+  }
+
+  async recordScan(scan) {
+    return this.enqueue(async () => {
+      const session = await this.resolveSession();
+      const record = {
+        id: `SCAN-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`,
+        sessionId: session.id,
+        operatorId: session.operatorId,
+        fittingId: scan.fittingId || null,
+        rawCode: scan.rawCode || null,
+        outcome: SCAN_OUTCOMES.includes(scan.outcome) ? scan.outcome : 'error',
+        source: scan.source || 'camera',
+        decodeMs: scan.decodeMs !== undefined ? Math.round(scan.decodeMs) : null,
+        error: scan.error || null,
+        chainage: scan.geo ? scan.geo.chainage : null,
+        timestamp: new Date().toISOString(),
+      };
+
+      const scans = await this.getSessionScans(session.id);
+      scans.push(record);
+      await secureStorageService.setItem(`scan_session_${session.id}`, JSON.stringify(scans));
+
+      const sessions = await this.getSessions();
+      const stored = sessions.find(item => item.id === session.id);
+      stored.scanCount++;
+      stored.outcomes[record.outcome]++;
+      stored.sources[record.source] = (stored.sources[record.source] || 0) + 1;
+      stored.totalDecodeMs += record.decodeMs || 0;
+      stored.uniqueFittings = new Set(scans.filter(item => item.fittingId).map(item => item.fittingId)).size;
+      stored.lastScanAt = record.timestamp;
+      if (record.chainage !== null) {
+        stored.chainageFrom = stored.chainageFrom === null ? record.chainage : Math.min(stored.chainageFrom, record.chainage);
+        stored.chainageTo = stored.chainageTo === null ? record.chainage : Math.max(stored.chainageTo, record.chainage);
+      }
+      await this.saveSessions(sessions);
+
+      return record;
+    });
+  }
+
+  // A fix that arrived after the scan was logged replaces the one it was
+  // logged with, and widens the session's chainage coverage
+  async updateScanLocation(sessionId, scanId, geo) {
+    return this.enqueue(async () => {
+      const scans = await this.getSessionScans(sessionId);
+      const record = scans.find(item => item.id === scanId);
+      if (!record) {
+        return null;
+      }
+
+      record.chainage = geo ? geo.chainage : null;
+      await secureStorageService.setItem(`scan_session_${sessionId}`, JSON.stringify(scans));
+
+      const sessions = await this.getSessions();
+      const stored = sessions.find(item => item.id === sessionId);
+      if (stored && record.chainage !== null) {
+        stored.chainageFrom = stored.chainageFrom === null ? record.chainage : Math.min(stored.chainageFrom, record.chainage);
+        stored.chainageTo = stored.chainageTo === null ? record.chainage : Math.max(stored.chainageTo, record.chainage);
+        await this.saveSessions(sessions);
+      }
+
+      return record;
+    });
+  }
+
+  async getSessionScans(sessionId) {
+    try {
+      const data = await secureStorageService.getItem(`scan_session_${sessionId}`);
+      return data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error('Session scans load error:', error);
+      return [];
+    }
+  }
+
+  // Session summaries, newest first, for supervisors reviewing shift coverage
+  async listSessions(filters = {}) {
+    const sessions = await this.getSessions();
+    return sessions
+      .filter(session => !filters.operatorId || session.operatorId === filters.operatorId)
+      .filter(session => !filters.sectionId || session.sectionId === filters.sectionId)
+      .filter(session => !filters.from || new Date(session.startedAt) >= new Date(filters.from))
+      .filter(session => !filters.to || new Date(session.startedAt) <= new Date(filters.to))
+      .map(session => this.summarize(session))
+      .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+  }
+
+  summarize(session) {
+    const end = session.endedAt ? new Date(session.endedAt) : new Date();
+    const decodeCount = session.scanCount - session.outcomes.duplicate;
+    return {
+      ...session,
+      active: !session.endedAt,
+      durationMinutes: Math.round((end - new Date(session.startedAt)) / 60000),
+      averageDecodeMs: decodeCount > 0 ? Math.round(session.totalDecodeMs / decodeCount) : null,
+      coverage: session.chainageFrom !== null
+        ? `${locationService.formatKm(session.chainageFrom)} - ${locationService.formatKm(session.chainageTo)}`
+        : null,
+    };
+  }
+
+  async exportSessions(format = 'csv', filters = {}) {
+    try {
+      const sessions = await this.listSessions(filters);
+
+      if (format === 'json') {
+        return {
+          success: true,
+          data: JSON.stringify(sessions, null, 2),
+          filename: `scan_sessions_${Date.now()}.json`,
+          processed: sessions.length,
+        };
+      }
+
+      const headers = [
+        'Session', 'Operator', 'Operator Name', 'Section', 'Started', 'Ended', 'Duration (min)',
+        'Device', 'Scans', 'Decoded', 'Invalid', 'Duplicates', 'Unique Fittings',
+        'Avg Decode (ms)', 'Coverage',
+      ];
+      const rows = sessions.map(session => [
+        session.id,
+        session.operatorId || '',
+        session.operatorName || '',
+        session.sectionId || '',
+        session.startedAt,
+        session.endedAt || '',
+        session.durationMinutes,
+        `${session.device.platform} ${session.device.version}`,
+        session.scanCount,
+        session.outcomes.decoded,
+        session.outcomes.invalid,
+        session.outcomes.duplicate,
+        session.uniqueFittings,
+        session.averageDecodeMs === null ? '' : session.averageDecodeMs,
+        session.coverage || '',
+      ]);
+
+      const csvContent = [headers, ...rows]
+        .map(row => row.map(field => `"${String(field).replace(/"/g, '""')}"`).join(','))
+        .join('\n');
+
+      return {
+        success: true,
+        data: csvContent,
+        filename: `scan_sessions_${Date.now()}.csv`,
+        processed: rows.length,
+      };
+    } catch (error) {
+      console.error('Scan session export error:', error);
+      return {success: false, error: 'Failed to export scan sessions'};
+    }
+  }
+
+  enqueue(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+}
+
+export const scanSessionService = new ScanSessionService();
@@ -0,0 +1,451 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import EncryptedStorage from 'react-native-encrypted-storage';
+import RNFS from 'react-native-fs';
+import {encrypt, decrypt, generateKey} from '../utils/cipher';
+
+// Stores that belong to one user: credentials, local records, pending sync
+// queues and per-user caches. Each tracking entry, scan session log and
+// cached report lives under its own prefixed key. Everything else in
+// AsyncStorage (reference data, the serial and alias registries, tag sightings
+// and alerts, scan session summaries, the device id) is shared by everyone
+// who uses the tablet.
+const PROFILE_KEYS = [
+  'authToken',
+  'userProfile',
+  'localInspections',
+  'inspectionReports',
+  'offline_inspections',
+  'offline_scans',
+  'dashboard_data',
+  'inventory_data',
+  'inventory_receipts',
+  'active_scan_session',
+];
+const PROFILE_PREFIXES = ['tracking_', 'scan_session_', 'report_'];
+// What logout removed before profiles existed. Anything else a signed-out
+// user left behind, such as unsynced inspections and movements, was kept.
+const LEGACY_LOGOUT_KEYS = ['authToken', 'userProfile', 'dashboard_data', 'inventory_data'];
+// Holds legacy data that had no signed-in owner until the next sign-in
+const UNCLAIMED_PROFILE = '_unclaimed';
+
+const SECURE_PREFIX = 'secure:';
+const KEYRING_KEY = 'secure_storage_keyring';
+const PROFILES_KEY = 'device_profiles';
+const ACTIVE_PROFILE_KEY = 'active_profile';
+const MIGRATION_KEY = 'secure_storage_version';
+const MIGRATION_VERSION = '2';
+const KEY_ROTATION_DAYS = 30;
+
+// Encrypted key-value store with the same calls as AsyncStorage, partitioned
+// by user. Each user on a shared tablet has a profile with its own data key,
+// held in the platform keystore (Keychain on iOS, EncryptedSharedPreferences
+// on Android); the sealed values are kept in AsyncStorage, which has room
+// for the larger inspection and tracking stores. Reads and writes go to the
+// active profile, so one user's records can be neither read nor removed
+// while another is signed in. Every value records the key it was sealed
+// with, so a rotation that is cut short leaves data readable.
+class SecureStorageService {
+  constructor() {
+    this.profileId = null;
+    this.keyrings = new Map();
+    this.profileListeners = new Set();
+    // Rotation rewrites every value, so writes are chained to keep a value
+    // saved mid-rotation from being sealed with a key about to be dropped
+    this.writeQueue = Promise.resolve();
+  }
+
+  async initialize() {
+    try {
+      this.profileId = await AsyncStorage.getItem(ACTIVE_PROFILE_KEY);
+      await this.migrate();
+      if (this.profileId) {
+        await this.rotateIfDue(this.profileId);
+      }
+    } catch (error) {
+      console.error('Secure storage init error:', error);
+    }
+  }
+
+  getActiveProfileId() {
+    return this.profileId;
+  }
+
+  // Called when a user signs in; switching is only a change of partition
+  async setActiveProfile(user) {
+    const profileId = user.employeeId;
+    const changed = profileId !== this.profileId;
+
+    await AsyncStorage.setItem(ACTIVE_PROFILE_KEY, profileId);
+    this.profileId = profileId;
+
+    const profiles = await this.listProfiles();
+    await AsyncStorage.setItem(PROFILES_KEY, JSON.stringify([
+      {
+        employeeId: profileId,
+        name: user.name || null,
+        designation: user.designation || null,
+        lastActiveAt: new Date().toISOString(),
+      },
+      ...profiles.filter(profile => profile.employeeId !== profileId),
+    ]));
+
+    await this.claimUnclaimedData(profileId);
+    await this.rotateIfDue(profileId);
+    if (changed) {
+      this.notifyProfileChange();
+    }
+  }
+
+  // Switch user: the profile's data stays on the device for its next sign-in
+  async deactivateProfile() {
+    await AsyncStorage.removeItem(ACTIVE_PROFILE_KEY);
+    this.profileId = null;
+    this.notifyProfileChange();
+  }
+
+  // Users with data on this device, most recently active first
+  async listProfiles() {
+    const data = await AsyncStorage.getItem(PROFILES_KEY);
+    return data ? JSON.parse(data) : [];
+  }
+
+  onProfileChange(listener) {
+    this.profileListeners.add(listener);
+    return () => this.profileListeners.delete(listener);
+  }
+
+  notifyProfileChange() {
+    this.profileListeners.forEach(listener => listener(this.profileId));
+  }
+
+  async getItem(key) {
+    return this.profileId ? this.read(this.profileId, key) : null;
+  }
+
+  async setItem(key, value) {
+    // The profile is fixed when the write is requested, not when it runs, so
+    // a write still queued during a user switch lands with its owner
+    const profileId = this.requireProfile();
+    return this.enqueue(() => this.seal(profileId, key, value));
+  }
+
+  async removeItem(key) {
+    const profileId = this.requireProfile();
+    return this.enqueue(() => AsyncStorage.removeItem(this.storageKey(profileId, key)));
+  }
+
+  async multiRemove(keys) {
+    const profileId = this.requireProfile();
+    return this.enqueue(() => AsyncStorage.multiRemove(keys.map(key => this.storageKey(profileId, key))));
+  }
+
+  async getAllKeys() {
+    return this.profileId ? this.getProfileKeys(this.profileId) : [];
+  }
+
+  // Exported and printed files are kept per profile too
+  async getUserDirectory() {
+    const path = `${RNFS.DocumentDirectoryPath}/${this.requireProfile()}`;
+    await RNFS.mkdir(path);
+    return path;
+  }
+
+  requireProfile() {
+    if (!this.profileId) {
+      throw new Error('No user is signed in');
+    }
+    return this.profileId;
+  }
+
+  storageKey(profileId, key) {
+    return `${SECURE_PREFIX}${profileId}:${key}`;
+  }
+
+  async getProfileKeys(profileId) {
+    const prefix = `${SECURE_PREFIX}${profileId}:`;
+    const keys = await AsyncStorage.getAllKeys();
+    return keys
+      .filter(key => key.startsWith(prefix))
+      .map(key => key.substr(prefix.length));
+  }
+
+  async read(profileId, key) {
+    const stored = await AsyncStorage.getItem(this.storageKey(profileId, key));
+    if (stored === null) {
+      return null;
+    }
+
+    const separator = stored.indexOf('.');
+    const keyring = await this.getKeyring(profileId);
+    const dataKey = keyring.keys[stored.substr(0, separator)];
+    const value = dataKey ? decrypt(dataKey, stored.substr(separator + 1)) : null;
+
+    if (value === null) {
+      console.error('Secure storage: unable to decrypt', key);
+    }
+    return value;
+  }
+
+  async seal(profileId, key, value) {
+    const keyring = await this.getKeyring(profileId);
+    const sealed = encrypt(keyring.keys[keyring.currentKeyId], String(value));
+    await AsyncStorage.setItem(this.storageKey(profileId, key), `${keyring.currentKeyId}.${sealed}`);
+  }
+
+  async getKeyring(profileId) {
+    if (this.keyrings.has(profileId)) {
+      return this.keyrings.get(profileId);
+    }
+
+    const stored = await EncryptedStorage.getItem(`${KEYRING_KEY}:${profileId}`);
+    if (stored) {
+      this.keyrings.set(profileId, JSON.parse(stored));
+    } else {
+      const keyId = this.generateKeyId();
+      await this.saveKeyring(profileId, {
+        currentKeyId: keyId,
+        keys: {[keyId]: generateKey()},
+        rotatedAt: new Date().toISOString(),
+      });
+    }
+    return this.keyrings.get(profileId);
+  }
+
+  async saveKeyring(profileId, keyring) {
+    await EncryptedStorage.setItem(`${KEYRING_KEY}:${profileId}`, JSON.stringify(keyring));
+    this.keyrings.set(profileId, keyring);
+  }
+
+  generateKeyId() {
+    return `K${Date.now().toString(36)}`;
+  }
+
+  async rotateIfDue(profileId) {
+    const keyring = await this.getKeyring(profileId);
+    const ageDays = (Date.now() - new Date(keyring.rotatedAt).getTime()) / (24 * 60 * 60 * 1000);
+    if (ageDays > KEY_ROTATION_DAYS) {
+      await this.rotateKey(profileId);
+    }
+  }
+
+  // Seals every value of the profile with a fresh key, then drops the old
+  // keys. The new key is saved before anything is rewritten so no value is
+  // ever unreadable.
+  async rotateKey(profileId = this.profileId) {
+    return this.enqueue(async () => {
+      try {
+        const keyring = await this.getKeyring(profileId);
+        const keyId = this.generateKeyId();
+        await this.saveKeyring(profileId, {
+          currentKeyId: keyId,
+          keys: {...keyring.keys, [keyId]: generateKey()},
+          rotatedAt: new Date().toISOString(),
+        });
+
+        const keys = await this.getProfileKeys(profileId);
+        let rotated = 0;
+        for (const key of keys) {
+          const value = await this.read(profileId, key);
+          if (value !== null) {
+            await this.seal(profileId, key, value);
+            rotated++;
+          }
+        }
+
+        const rotatedKeyring = this.keyrings.get(profileId);
+        await this.saveKeyring(profileId, {...rotatedKeyring, keys: {[keyId]: rotatedKeyring.keys[keyId]}});
+        return {success: true, rotated};
+      } catch (error) {
+        console.error('Key rotation error:', error);
+        return {success: false, error: 'Key rotation failed'};
+      }
+    });
+  }
+
+  // Moves data written by earlier versions into the profile of the user who
+  // was signed in: plaintext stores (before encryption) and the single
+  // shared encrypted store (before profiles). With nobody signed in there is
+  // no owner yet: what the old logout removed is dropped, and the rest is
+  // sealed in a holding profile that the next user to sign in takes over.
+  async migrate() {
+    const version = await AsyncStorage.getItem(MIGRATION_KEY);
+    if (version === MIGRATION_VERSION) {
+      return {migrated: 0};
+    }
+
+    const allKeys = await AsyncStorage.getAllKeys();
+    const legacy = [];
+
+    for (const key of allKeys.filter(item => this.isProfileKey(item))) {
+      legacy.push({storedAs: key, key, value: await AsyncStorage.getItem(key)});
+    }
+
+    const sharedKeyring = await EncryptedStorage.getItem(KEYRING_KEY);
+    if (sharedKeyring) {
+      const {keys} = JSON.parse(sharedKeyring);
+      for (const storedAs of allKeys.filter(item => this.isSharedSecureKey(item))) {
+        const stored = await AsyncStorage.getItem(storedAs);
+        const separator = stored.indexOf('.');
+        const dataKey = keys[stored.substr(0, separator)];
+        legacy.push({
+          storedAs,
+          key: storedAs.substr(SECURE_PREFIX.length),
+          value: dataKey ? decrypt(dataKey, stored.substr(separator + 1)) : null,
+        });
+      }
+    }
+
+    const profile = legacy.find(item => item.key === 'userProfile' && item.value);
+    const owner = profile ? JSON.parse(profile.value) : null;
+
+    const kept = owner
+      ? legacy
+      : legacy.filter(item => !LEGACY_LOGOUT_KEYS.includes(item.key));
+    for (const item of kept.filter(entry => entry.value !== null)) {
+      await this.seal(owner ? owner.employeeId : UNCLAIMED_PROFILE, item.key, item.value);
+    }
+    await AsyncStorage.multiRemove(legacy.map(item => item.storedAs));
+    await EncryptedStorage.removeItem(KEYRING_KEY);
+
+    if (owner) {
+      await this.setActiveProfile(owner);
+    }
+    await AsyncStorage.setItem(MIGRATION_KEY, MIGRATION_VERSION);
+    return {migrated: legacy.length};
+  }
+
+  // Hands data kept from a signed-out upgrade to the user signing in. Their
+  // own values win over legacy ones with the same key.
+  async claimUnclaimedData(profileId) {
+    const keys = await this.getProfileKeys(UNCLAIMED_PROFILE);
+    if (keys.length === 0) {
+      return {claimed: 0};
+    }
+
+    return this.enqueue(async () => {
+      const existing = await this.getProfileKeys(profileId);
+      let claimed = 0;
+      for (const key of keys.filter(item => !existing.includes(item))) {
+        const value = await this.read(UNCLAIMED_PROFILE, key);
+        if (value !== null) {
+          await this.seal(profileId, key, value);
+          claimed++;
+        }
+      }
+
+      await AsyncStorage.multiRemove(keys.map(key => this.storageKey(UNCLAIMED_PROFILE, key)));
+      await EncryptedStorage.removeItem(`${KEYRING_KEY}:${UNCLAIMED_PROFILE}`);
+      this.keyrings.delete(UNCLAIMED_PROFILE);
+      return {claimed};
+    });
+  }
+
+  isProfileKey(key) {
+    return PROFILE_KEYS.includes(key) ||
+      PROFILE_PREFIXES.some(prefix => key.startsWith(prefix));
+  }
+
+  // Values from before profiles carry no profile segment in their key
+  isSharedSecureKey(key) {
+    return key.startsWith(SECURE_PREFIX) && !key.substr(SECURE_PREFIX.length).includes(':');
+  }
+
+  // Logout: removes the signed-in user's encrypted values, data key and
+  // files. Other users' profiles and the shared device state are untouched.
+  async clearUserData() {
+    const profileId = this.profileId;
+    if (!profileId) {
+      return {success: true};
+    }
+
+    const result = await this.enqueue(async () => {
+      const failures = [];
+
+      try {
+        const keys = await this.getProfileKeys(profileId);
+        await AsyncStorage.multiRemove(keys.map(key => this.storageKey(profileId, key)));
+        const profiles = await this.listProfiles();
+        await AsyncStorage.setItem(PROFILES_KEY, JSON.stringify(
+          profiles.filter(profile => profile.employeeId !== profileId),
+        ));
+      } catch (error) {
+        failures.push('storage');
+        console.error('Clear storage error:', error);
+      }
+
+      // Without the data key any encrypted value left behind is unreadable
+      try {
+        await EncryptedStorage.removeItem(`${KEYRING_KEY}:${profileId}`);
+      } catch (error) {
+        failures.push('keystore');
+        console.error('Clear keystore error:', error);
+      }
+      this.keyrings.delete(profileId);
+
+      try {
+        const path = `${RNFS.DocumentDirectoryPath}/${profileId}`;
+        if (await RNFS.exists(path)) {
+          await RNFS.unlink(path);
+        }
+      } catch (error) {
+        failures.push('files');
+        console.error('Clear files error:', error);
+      }
+
+      return failures;
+    });
+
+    await this.deactivateProfile();
+    return result.length === 0
+      ? {success: true}
+      : {success: false, error: `Could not clear ${result.join(', ')}`};
+  }
+
+  // Remote wipe: every profile, the shared device state and all files
+  async wipeDevice() {
+    const failures = await this.enqueue(async () => {
+      const failed = [];
+
+      try {
+        await AsyncStorage.clear();
+      } catch (error) {
+        failed.push('storage');
+        console.error('Clear storage error:', error);
+      }
+
+      try {
+        await EncryptedStorage.clear();
+      } catch (error) {
+        failed.push('keystore');
+        console.error('Clear keystore error:', error);
+      }
+      this.keyrings.clear();
+
+      try {
+        const files = await RNFS.readDir(RNFS.DocumentDirectoryPath);
+        for (const file of files) {
+          await RNFS.unlink(file.path);
+        }
+      } catch (error) {
+        failed.push('files');
+        console.error('Clear files error:', error);
+      }
+
+      return failed;
+    });
+
+    this.profileId = null;
+    this.notifyProfileChange();
+    return failures.length === 0
+      ? {success: true}
+      : {success: false, error: `Could not clear ${failures.join(', ')}`};
+  }
+
+  enqueue(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+}
+
+export const secureStorageService = new SecureStorageService();
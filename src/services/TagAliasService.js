@@ -0,0 +1,132 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {qrCodec} from './QRCodec';
+
+export const RETAG_REASONS = ['damaged', 'faded', 'missing', 'unreadable', 'wrongly_issued'];
+
+// Each record maps a retired tag to the sticker that replaced it. A fitting
+// re-tagged more than once forms a chain: original -> ... -> current.
+class TagAliasService {
+  constructor() {
+    this.storageKey = 'tag_aliases';
+    this.aliases = null;
+  }
+
+  async getAliases() {
+    if (this.aliases) {
+      return this.aliases;
+    }
+
+    try {
+      const data = await AsyncStorage.getItem(this.storageKey);
+      this.aliases = data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error('Tag alias load error:', error);
+      this.aliases = [];
+    }
+    return this.aliases;
+  }
+
+  async addAlias({oldCode, newCode, reason, userId, notes}) {
+    try {
+      const oldCanonical = qrCodec.canonicalize(oldCode);
+      const newCanonical = qrCodec.canonicalize(newCode);
+
+      if (!oldCanonical) {
+        return {success: false, error: 'Old tag is not a valid fitting code'};
+      }
+      if (!newCanonical) {
+        return {success: false, error: 'New tag is not a valid fitting code'};
+      }
+      if (oldCanonical === newCanonical) {
+        return {success: false, error: 'New tag is the same as the old tag'};
+      }
+      if (!RETAG_REASONS.includes(reason)) {
+        return {success: false, error: 'Select a reason for re-tagging'};
+      }
+
+      const oldFields = qrCodec.decode(oldCanonical).fields;
+      const newFields = qrCodec.decode(newCanonical).fields;
+      if (oldFields.typeCode !== newFields.typeCode) {
+        return {success: false, error: 'New tag is for a different fitting type'};
+      }
+
+      const aliases = await this.getAliases();
+      if (aliases.some(alias => alias.oldCode === oldCanonical)) {
+        return {success: false, error: 'Old tag has already been replaced'};
+      }
+      // A sticker can only ever stand for one fitting
+      if (aliases.some(alias => alias.oldCode === newCanonical || alias.newCode === newCanonical)) {
+        return {success: false, error: 'New tag is already part of another fitting\'s history'};
+      }
+
+      const alias = {
+        id: `ALIAS-${Date.now()}`,
+        oldCode: oldCanonical,
+        newCode: newCanonical,
+        reason,
+        notes: notes || '',
+        userId: userId || null,
+        retaggedAt: new Date().toISOString(),
+      };
+
+      aliases.push(alias);
+      await AsyncStorage.setItem(this.storageKey, JSON.stringify(aliases));
+
+      return {success: true, alias};
+    } catch (error) {
+      console.error('Add tag alias error:', error);
+      return {success: false, error: 'Failed to save re-tag'};
+    }
+  }
+
+  // The tag currently fixed to the fitting that `code` belongs to
+  async resolve(code) {
+    const lineage = await this.getLineage(code);
+    return lineage.current;
+  }
+
+  // Every code the fitting has carried, oldest first
+  async getChain(code) {
+    const lineage = await this.getLineage(code);
+    return lineage.chain;
+  }
+
+  async getLineage(code) {
+    const canonical = qrCodec.canonicalize(code) || code;
+    const aliases = await this.getAliases();
+
+    const byOld = new Map(aliases.map(alias => [alias.oldCode, alias]));
+    const byNew = new Map(aliases.map(alias => [alias.newCode, alias]));
+
+    const chain = [canonical];
+    const records = [];
+    const seen = new Set(chain);
+
+    let cursor = canonical;
+    while (byNew.has(cursor) && !seen.has(byNew.get(cursor).oldCode)) {
+      const alias = byNew.get(cursor);
+      chain.unshift(alias.oldCode);
+      records.unshift(alias);
+      seen.add(alias.oldCode);
+      cursor = alias.oldCode;
+    }
+
+    cursor = canonical;
+    while (byOld.has(cursor) && !seen.has(byOld.get(cursor).newCode)) {
+      const alias = byOld.get(cursor);
+      chain.push(alias.newCode);
+      records.push(alias);
+      seen.add(alias.newCode);
+      cursor = alias.newCode;
+    }
+
+    return {
+      original: chain[0],
+      current: chain[chain.length - 1],
+      chain,
+      aliases: records,
+    };
+  }
+}
+
+export const tagAliasService = new TagAliasService();
@@ -0,0 +1,143 @@
+// Where a specification gives only a nominal size, readings within this
+// percentage of it are in tolerance
+const DEFAULT_TOLERANCE_PERCENT = 2;
+// Readings inside the limits but this close to one of them (as a share of
+// the whole band) are marginal
+const MARGINAL_FRACTION = 0.1;
+
+const STATUS_ORDER = ['within', 'marginal', 'outside'];
+
+const round = value => Math.round(value * 100) / 100;
+
+const NUMBER = '(\\d+(?:\\.\\d+)?)';
+const RANGE_PATTERN = new RegExp(`^${NUMBER}\\s*-\\s*${NUMBER}$`);
+const PLUS_MINUS_PATTERN = new RegExp(`^${NUMBER}\\s*±\\s*${NUMBER}$`);
+const NOMINAL_PATTERN = new RegExp(`^${NUMBER}$`);
+// "165x135x13 mm", "52-58 HRC", "70±5 Shore A": numbers first, unit after
+const SPEC_PATTERN = /^([\d.\s±x-]*\d)\s*(.*)$/;
+
+// Checks inspection readings against the nominal values and tolerances in
+// a fitting type's specifications. Template fields name the specification
+// they are measured against with `spec` (and `specIndex` for one part of a
+// "LxWxH" value).
+class ToleranceService {
+  // Limits for one part of a specification value, or null when the value
+  // is not a plain measurement
+  parseSpecValue(text, index = 0) {
+    const match = typeof text === 'string' ? text.trim().match(SPEC_PATTERN) : null;
+    if (!match) {
+      return null;
+    }
+
+    const part = match[1].split(/\s*x\s*/)[index];
+    if (!part) {
+      return null;
+    }
+
+    const unit = match[2].trim() || null;
+    let found = part.match(RANGE_PATTERN);
+    if (found) {
+      const min = parseFloat(found[1]);
+      const max = parseFloat(found[2]);
+      return {nominal: round((min + max) / 2), min, max, unit};
+    }
+
+    found = part.match(PLUS_MINUS_PATTERN);
+    if (found) {
+      const nominal = parseFloat(found[1]);
+      const tolerance = parseFloat(found[2]);
+      return {nominal, min: round(nominal - tolerance), max: round(nominal + tolerance), unit};
+    }
+
+    found = part.match(NOMINAL_PATTERN);
+    if (found) {
+      const nominal = parseFloat(found[1]);
+      const tolerance = nominal * DEFAULT_TOLERANCE_PERCENT / 100;
+      return {nominal, min: round(nominal - tolerance), max: round(nominal + tolerance), unit};
+    }
+
+    return null;
+  }
+
+  getLimits(field, specifications = {}) {
+    if (!field.spec || !specifications[field.spec]) {
+      return null;
+    }
+
+    const limits = this.parseSpecValue(specifications[field.spec], field.specIndex || 0);
+    // A reading in one unit says nothing about a limit in another
+    if (!limits || (field.unit && limits.unit && field.unit !== limits.unit)) {
+      return null;
+    }
+    return limits;
+  }
+
+  classify(value, limits) {
+    if (value < limits.min || value > limits.max) {
+      return 'outside';
+    }
+
+    const margin = (limits.max - limits.min) * MARGINAL_FRACTION;
+    if (value - limits.min < margin || limits.max - value < margin) {
+      return 'marginal';
+    }
+    return 'within';
+  }
+
+  // Result for one reading, or null when it is blank or has no limits
+  evaluate(field, value, specifications) {
+    const limits = this.getLimits(field, specifications);
+    if (!limits || value === undefined || value === null || String(value).trim() === '') {
+      return null;
+    }
+
+    const reading = Number(value);
+    if (isNaN(reading)) {
+      return null;
+    }
+
+    return {
+      ...limits,
+      value: reading,
+      deviation: round(reading - limits.nominal),
+      status: this.classify(reading, limits),
+    };
+  }
+
+  worstStatus(statuses) {
+    return statuses.reduce((worst, status) => (
+      !worst || STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(worst) ? status : worst
+    ), null);
+  }
+
+  // Every reading on the form that has limits, keyed "section.field", and
+  // the worst status among them (null when nothing has been measured)
+  evaluateForm(data, template, specifications) {
+    const results = {};
+    template.sections.forEach(section => {
+      const values = data[section.dataKey] || {};
+      section.fields
+        .filter(field => field.type === 'number')
+        .forEach(field => {
+          const result = this.evaluate(field, values[field.key], specifications);
+          if (result) {
+            results[`${section.id}.${field.key}`] = result;
+          }
+        });
+    });
+
+    return {
+      status: this.worstStatus(Object.values(results).map(result => result.status)),
+      results,
+    };
+  }
+
+  describe(result) {
+    const sign = result.deviation > 0 ? '+' : '';
+    const unit = result.unit ? ` ${result.unit}` : '';
+    return `${sign}${result.deviation}${unit} from nominal ${result.nominal}${unit} ` +
+      `(limits ${result.min} to ${result.max})`;
+  }
+}
+
+export const toleranceService = new ToleranceService();
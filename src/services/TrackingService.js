@@ -1,9 +1,97 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import {locationService} from './LocationService';
+import {tagAliasService} from './TagAliasService';
+import {scanSessionService} from './ScanSessionService';
+import {accessControlService} from './AccessControlService';
+import {secureStorageService} from './SecureStorageService';
+
+// Tag integrity checks compare the scans of everyone who uses this device,
+// so what they need from each entry is also kept outside the user profiles
+const SIGHTINGS_KEY = 'tag_sightings';
+const MAX_SIGHTINGS = 5000;
 
 class TrackingService {
   constructor() {
     this.trackingCache = new Map();
     this.syncQueue = [];
+    this.syncQueueLoad = null;
+    // Scans, inspections and bulk actions record entries concurrently, so
+    // every read-modify-write of the stored lists is chained to keep one
+    // from overwriting another
+    this.writeQueue = Promise.resolve();
+
+    // The cache and pending queue belong to whoever is signed in; the
+    // next user's are loaded from their own storage
+    secureStorageService.onProfileChange(() => {
+      this.trackingCache.clear();
+      this.syncQueue = [];
+      this.syncQueueLoad = null;
+    });
+  }
+
+  // Records a scan against the operator's scan session and, when the code
+  // decoded to a fitting, in that fitting's tracking history
+  async logScanActivity(fittingData, details = {}) {
+    try {
+      const access = await accessControlService.authorize('canScan', {
+        action: 'logScanActivity',
+        target: fittingData ? fittingData.qrCode : details.rawCode,
+      });
+      if (!access.allowed) {
+        return {success: false, error: access.error, denied: true};
+      }
+
+      const source = details.source || 'camera';
+      const outcome = details.outcome || (fittingData ? 'decoded' : 'invalid');
+      // Codes read from saved photos or documents were not seen on the track
+      const needsFix = outcome === 'decoded' && source !== 'import';
+      // The scanner never waits on the GPS: the scan is logged with the last
+      // known fix and a fresh one is attached when it arrives
+      const geo = needsFix ? locationService.getLastStamp() : null;
+
+      const scan = await scanSessionService.recordScan({
+        fittingId: fittingData ? fittingData.qrCode : null,
+        rawCode: details.rawCode || (fittingData ? fittingData.rawCode : null),
+        outcome,
+        source,
+        decodeMs: details.decodeMs,
+        error: details.error,
+        geo,
+      });
+
+      let trackingEntry = null;
+      if (fittingData && scan.outcome === 'decoded') {
+        trackingEntry = await this.trackScan({
+          id: scan.id,
+          sessionId: scan.sessionId,
+          fittingId: fittingData.qrCode,
+          location: fittingData.location,
+          userId: details.userId || scan.operatorId,
+          type: source === 'import' ? 'import' : 'qr_code',
+          geo,
+        });
+      }
+
+      if (needsFix) {
+        this.attachFreshFix(scan, trackingEntry);
+      }
+
+      return {success: true, scan, trackingEntry};
+    } catch (error) {
+      console.error('Log scan activity error:', error);
+      return {success: false, error: 'Failed to log scan'};
+    }
+  }
+
+  attachFreshFix(scan, trackingEntry) {
+    locationService.getStamp()
+      .then(async geo => {
+        await scanSessionService.updateScanLocation(scan.sessionId, scan.id, geo);
+        if (trackingEntry) {
+          await this.updateTrackingEntry(trackingEntry.id, {geo});
+        }
+      })
+      .catch(error => console.error('Attach scan fix error:', error));
   }
 
   async trackScan(scanData) {
@@ -11,9 +99,11 @@ class TrackingService {
       const trackingEntry = {
         id: this.generateTrackingId(),
         scanId: scanData.id,
+        sessionId: scanData.sessionId || null,
         fittingId: scanData.fittingId,
         timestamp: new Date().toISOString(),
         location: scanData.location || null,
+        geo: scanData.geo !== undefined ? scanData.geo : await locationService.getStamp(),
         userId: scanData.userId,
         status: 'scanned',
         metadata: {
@@ -30,7 +120,7 @@ class TrackingService {
       await this.storeTrackingEntry(trackingEntry);
 
       // Add to sync queue
-      this.syncQueue.push(trackingEntry);
+      await this.queueForSync(trackingEntry);
 
       return trackingEntry;
     } catch (error) {
@@ -47,6 +137,7 @@ class TrackingService {
         fittingId: inspectionData.fittingId,
         timestamp: new Date().toISOString(),
         location: inspectionData.location || null,
+        geo: inspectionData.geo || await locationService.getStamp(),
         userId: inspectionData.inspector,
         status: 'inspected',
         condition: inspectionData.condition,
@@ -65,7 +156,7 @@ class TrackingService {
       await this.storeTrackingEntry(trackingEntry);
 
       // Add to sync queue
-      this.syncQueue.push(trackingEntry);
+      await this.queueForSync(trackingEntry);
 
       return trackingEntry;
     } catch (error) {
@@ -82,6 +173,7 @@ class TrackingService {
         timestamp: new Date().toISOString(),
         fromLocation: movementData.from,
         toLocation: movementData.to,
+        geo: movementData.geo || await locationService.getStamp(),
         userId: movementData.userId,
         status: 'moved',
         reason: movementData.reason || 'relocation',
@@ -99,7 +191,7 @@ class TrackingService {
       await this.storeTrackingEntry(trackingEntry);
 
       // Add to sync queue
-      this.syncQueue.push(trackingEntry);
+      await this.queueForSync(trackingEntry);
 
       return trackingEntry;
     } catch (error) {
@@ -108,11 +200,99 @@ class TrackingService {
     }
   }
 
+  // A tag that could not be scanned and was identified from its readable
+  // characters instead. The typed text is kept so the match can be audited.
+  async trackManualIdentification(identificationData) {
+    try {
+      const trackingEntry = {
+        id: this.generateTrackingId(),
+        fittingId: identificationData.fittingId,
+        timestamp: new Date().toISOString(),
+        location: identificationData.location || null,
+        geo: identificationData.geo || await locationService.getStamp(),
+        userId: identificationData.userId,
+        status: 'manually_identified',
+        metadata: {
+          scanType: 'manual',
+          enteredText: identificationData.enteredText,
+          distance: identificationData.distance,
+          matchedSegments: identificationData.matchedSegments || [],
+          deviceInfo: await this.getDeviceInfo(),
+        },
+      };
+
+      // Store in cache
+      this.trackingCache.set(trackingEntry.id, trackingEntry);
+
+      // Store locally
+      await this.storeTrackingEntry(trackingEntry);
+
+      // Add to sync queue
+      await this.queueForSync(trackingEntry);
+
+      return trackingEntry;
+    } catch (error) {
+      console.error('Tracking manual identification error:', error);
+      return null;
+    }
+  }
+
+  // Saves the old -> new tag mapping and records the re-tag itself in the
+  // fitting's history
+  async trackRetag(retagData) {
+    try {
+      const access = await accessControlService.authorize('canRetag', {
+        action: 'trackRetag',
+        target: retagData.oldCode,
+      });
+      if (!access.allowed) {
+        return {success: false, error: access.error, denied: true};
+      }
+
+      const result = await tagAliasService.addAlias(retagData);
+      if (!result.success) {
+        return result;
+      }
+
+      const trackingEntry = {
+        id: this.generateTrackingId(),
+        fittingId: result.alias.newCode,
+        timestamp: result.alias.retaggedAt,
+        location: retagData.location || null,
+        geo: retagData.geo || await locationService.getStamp(),
+        userId: retagData.userId,
+        status: 'retagged',
+        reason: result.alias.reason,
+        metadata: {
+          previousCode: result.alias.oldCode,
+          aliasId: result.alias.id,
+          notes: result.alias.notes,
+        },
+      };
+
+      // Store in cache
+      this.trackingCache.set(trackingEntry.id, trackingEntry);
+
+      // Store locally
+      await this.storeTrackingEntry(trackingEntry);
+
+      // Add to sync queue
+      await this.queueForSync(trackingEntry);
+
+      return {success: true, alias: result.alias, entry: trackingEntry};
+    } catch (error) {
+      console.error('Tracking retag error:', error);
+      return {success: false, error: 'Failed to record re-tag'};
+    }
+  }
+
+  // History covers every tag the fitting has carried, not just the one given
   async getTrackingHistory(fittingId, limit = 50) {
     try {
+      const chain = await tagAliasService.getChain(fittingId);
       const allEntries = await this.getAllTrackingEntries();
       return allEntries
-        .filter(entry => entry.fittingId === fittingId)
+        .filter(entry => chain.includes(entry.fittingId))
         .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
         .slice(0, limit);
     } catch (error) {
@@ -162,6 +342,7 @@ class TrackingService {
         scans: filteredEntries.filter(e => e.status === 'scanned').length,
         inspections: filteredEntries.filter(e => e.status === 'inspected').length,
         movements: filteredEntries.filter(e => e.status === 'moved').length,
+        manualIdentifications: filteredEntries.filter(e => e.status === 'manually_identified').length,
         timeframe,
         period: {
           start: startDate.toISOString(),
@@ -175,6 +356,7 @@ class TrackingService {
         scans: 0,
         inspections: 0,
         movements: 0,
+        manualIdentifications: 0,
         timeframe,
       };
     }
@@ -182,18 +364,50 @@ class TrackingService {
 
   async storeTrackingEntry(entry) {
     try {
-      const key = `tracking_${entry.id}`;
-      await AsyncStorage.setItem(key, JSON.stringify(entry));
-      
-      // Also add to master list
-      const masterList = await this.getMasterTrackingList();
-      masterList.push(entry.id);
-      await AsyncStorage.setItem('tracking_master_list', JSON.stringify(masterList));
+      await this.enqueue(async () => {
+        const key = `tracking_${entry.id}`;
+        await secureStorageService.setItem(key, JSON.stringify(entry));
+        await this.saveSighting(entry);
+
+        // Also add to master list
+        const masterList = await this.getMasterTrackingList();
+        if (!masterList.includes(entry.id)) {
+          masterList.push(entry.id);
+          await secureStorageService.setItem('tracking_master_list', JSON.stringify(masterList));
+        }
+      });
     } catch (error) {
       console.error('Store tracking entry error:', error);
     }
   }
 
+  // Changes a stored entry, and its copy in the sync queue if it has not
+  // been sent yet
+  async updateTrackingEntry(entryId, changes) {
+    try {
+      return await this.enqueue(async () => {
+        const entryData = await secureStorageService.getItem(`tracking_${entryId}`);
+        if (!entryData) {
+          return null;
+        }
+
+        const entry = {...JSON.parse(entryData), ...changes};
+        await secureStorageService.setItem(`tracking_${entryId}`, JSON.stringify(entry));
+        await this.saveSighting(entry);
+        this.trackingCache.set(entryId, entry);
+
+        const queue = await this.getSyncQueue();
+        if (queue.some(item => item.id === entryId)) {
+          await this.saveSyncQueue(queue.map(item => (item.id === entryId ? entry : item)));
+        }
+        return entry;
+      });
+    } catch (error) {
+      console.error('Update tracking entry error:', error);
+      return null;
+    }
+  }
+
   async getAllTrackingEntries() {
     try {
       const masterList = await this.getMasterTrackingList();
@@ -201,7 +415,7 @@ class TrackingService {
 
       for (const entryId of masterList) {
         try {
-          const entryData = await AsyncStorage.getItem(`tracking_${entryId}`);
+          const entryData = await secureStorageService.getItem(`tracking_${entryId}`);
           if (entryData) {
             entries.push(JSON.parse(entryData));
           }
@@ -217,9 +431,41 @@ class TrackingService {
     }
   }
 
+  // Every user's sightings on this device, in the order they were recorded
+  async getSightings() {
+    const data = await AsyncStorage.getItem(SIGHTINGS_KEY);
+    return data ? JSON.parse(data) : [];
+  }
+
+  // Called from the write queue, with the entry's own write
+  async saveSighting(entry) {
+    if (!entry.fittingId) {
+      return;
+    }
+
+    const sighting = {
+      id: entry.id,
+      fittingId: entry.fittingId,
+      timestamp: entry.timestamp,
+      status: entry.status,
+      reason: entry.reason || null,
+      toLocation: entry.toLocation || null,
+      geo: entry.geo || null,
+      userId: entry.userId || null,
+    };
+    const sightings = await this.getSightings();
+    const index = sightings.findIndex(item => item.id === entry.id);
+    if (index >= 0) {
+      sightings[index] = sighting;
+    } else {
+      sightings.push(sighting);
+    }
+    await AsyncStorage.setItem(SIGHTINGS_KEY, JSON.stringify(sightings.slice(-MAX_SIGHTINGS)));
+  }
+
   async getMasterTrackingList() {
     try {
-      const listData = await AsyncStorage.getItem('tracking_master_list');
+      const listData = await secureStorageService.getItem('tracking_master_list');
       return listData ? JSON.parse(listData) : [];
     } catch (error) {
       console.error('Get master tracking list error:', error);
@@ -227,16 +473,48 @@ class TrackingService {
     }
   }
 
+  // The queue is kept in the user's storage so unsynced entries survive a
+  // restart or another user signing in on the same device
+  async getSyncQueue() {
+    if (!this.syncQueueLoad) {
+      this.syncQueueLoad = secureStorageService.getItem('tracking_sync_queue')
+        .then(data => {
+          this.syncQueue = data ? JSON.parse(data) : [];
+          return this.syncQueue;
+        })
+        .catch(error => {
+          console.error('Load sync queue error:', error);
+          this.syncQueueLoad = null;
+          return [];
+        });
+    }
+    return this.syncQueueLoad;
+  }
+
+  async saveSyncQueue(queue) {
+    this.syncQueue = queue;
+    this.syncQueueLoad = Promise.resolve(queue);
+    await secureStorageService.setItem('tracking_sync_queue', JSON.stringify(queue));
+  }
+
+  async queueForSync(entry) {
+    return this.enqueue(async () => {
+      const queue = await this.getSyncQueue();
+      await this.saveSyncQueue([...queue, entry]);
+    });
+  }
+
   async syncPendingEntries() {
     try {
-      if (this.syncQueue.length === 0) {
+      const syncQueue = await this.getSyncQueue();
+      if (syncQueue.length === 0) {
         return { success: true, synced: 0 };
       }
 
       let syncedCount = 0;
       const failedEntries = [];
 
-      for (const entry of this.syncQueue) {
+      for (const entry of syncQueue) {
         try {
           // In a real implementation, this would sync with the server
           await this.simulateServerSync(entry);
@@ -247,8 +525,13 @@ class TrackingService {
         }
       }
 
-      // Update sync queue to only contain failed entries
-      this.syncQueue = failedEntries;
+      // Update sync queue to only contain failed entries and any queued
+      // while this sync was running
+      const attempted = new Set(syncQueue.map(entry => entry.id));
+      await this.enqueue(async () => {
+        const queuedSince = (await this.getSyncQueue()).filter(entry => !attempted.has(entry.id));
+        await this.saveSyncQueue([...failedEntries, ...queuedSince]);
+      });
 
       return {
         success: true,
@@ -279,19 +562,21 @@ class TrackingService {
 
   async clearTrackingData() {
     try {
-      const masterList = await this.getMasterTrackingList();
-      
-      // Remove all tracking entries
-      for (const entryId of masterList) {
-        await AsyncStorage.removeItem(`tracking_${entryId}`);
-      }
+      await this.enqueue(async () => {
+        const masterList = await this.getMasterTrackingList();
 
-      // Clear master list
-      await AsyncStorage.removeItem('tracking_master_list');
+        // Remove all tracking entries
+        for (const entryId of masterList) {
+          await secureStorageService.removeItem(`tracking_${entryId}`);
+        }
 
-      // Clear cache and sync queue
-      this.trackingCache.clear();
-      this.syncQueue = [];
+        // Clear master list
+        await secureStorageService.removeItem('tracking_master_list');
+
+        // Clear cache and sync queue
+        this.trackingCache.clear();
+        await this.saveSyncQueue([]);
+      });
 
       return { success: true };
     } catch (error) {
@@ -300,6 +585,12 @@ class TrackingService {
     }
   }
 
+  enqueue(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
   generateTrackingId() {
     const timestamp = Date.now();
     const random = Math.random().toString(36).substr(2, 9);
@@ -0,0 +1,193 @@
+jest.mock('../HttpClient', () => ({httpClient: {post: jest.fn()}}));
+jest.mock('../LocationService', () => ({
+  locationService: {describeStamp: jest.fn(() => 'Unknown location')},
+}));
+jest.mock('../TrackingService', () => ({
+  trackingService: {trackInspection: jest.fn(() => Promise.resolve())},
+}));
+jest.mock('../TagAliasService', () => ({tagAliasService: {}}));
+jest.mock('../AccessControlService', () => ({
+  accessControlService: {authorize: jest.fn(() => Promise.resolve({allowed: true}))},
+}));
+jest.mock('../SecureStorageService', () => {
+  const store = new Map();
+  return {
+    secureStorageService: {
+      store,
+      getItem: jest.fn(key => Promise.resolve(store.has(key) ? store.get(key) : null)),
+      setItem: jest.fn((key, value) => Promise.resolve(store.set(key, value))),
+    },
+  };
+});
+jest.mock('../MasterDataService', () => ({
+  masterDataService: {getSpecifications: jest.fn(() => Promise.resolve({}))},
+}));
+jest.mock('../EnvironmentService', () => ({
+  environmentService: {getEndpoint: () => 'https://udm.test'},
+}));
+
+import {inspectionService} from '../InspectionService';
+import {httpClient} from '../HttpClient';
+import {secureStorageService} from '../SecureStorageService';
+
+const RC_TAG = 'RC-LOT1-20240101-VND001-00123';
+
+const inspection = (overrides = {}) => ({
+  qrCode: RC_TAG,
+  inspectorName: 'A. Kumar',
+  inspectionType: 'routine',
+  visualCheck: {cracks: false, corrosion: false, deformation: false, surfaceDamage: false},
+  dimensionalCheck: {length: '74', width: '20', height: '', tolerance: 'within'},
+  ...overrides,
+});
+
+const validate = overrides => inspectionService.validateInspectionData(inspection(overrides));
+
+describe('InspectionService.validateInspectionData', () => {
+  it('accepts a complete routine inspection', () => {
+    const result = validate();
+
+    expect(result.errors).toEqual([]);
+    expect(result.valid).toBe(true);
+    expect(result.template.sections.map(section => section.id)).toEqual(['visual', 'dimensional']);
+  });
+
+  it('requires the tag, inspector and inspection type', () => {
+    const result = validate({qrCode: '', inspectorName: '', inspectionType: ''});
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(expect.arrayContaining([
+      'QR Code is required',
+      'Inspector name is required',
+      'Inspection type is required',
+    ]));
+  });
+
+  it('rejects unknown inspection types and unreadable tags', () => {
+    const result = validate({inspectionType: 'annual', qrCode: 'RC-LOT1-20240101-V1-00123'});
+
+    expect(result.errors).toContain('Unknown inspection type: annual');
+    expect(result.errors).toContain('Vendor code must be in format VND001');
+  });
+
+  it('refuses a fitting type that does not match the tag', () => {
+    const result = validate({fittingType: 'LN'});
+    expect(result.errors).toContain('QR code is for Elastic Rail Clip, but Liner was selected');
+  });
+
+  it('only asks for the crack length once cracks are reported', () => {
+    expect(validate().fieldErrors['visual.crackLength']).toBeUndefined();
+
+    const cracked = validate({visualCheck: {cracks: true}});
+    expect(cracked.fieldErrors['visual.crackLength']).toBe('Required');
+    expect(cracked.errors).toContain('Longest crack: Required');
+
+    expect(validate({visualCheck: {cracks: true, crackLength: '12'}}).valid).toBe(true);
+  });
+
+  it('checks readings against the field range', () => {
+    const result = validate({dimensionalCheck: {length: '20000', width: 'wide'}});
+
+    expect(result.fieldErrors['dimensional.length']).toBe('Must be between 0 and 10000 mm');
+    expect(result.fieldErrors['dimensional.width']).toBe('Enter a number');
+  });
+
+  it('asks for deviation details when a reading is not within tolerance', () => {
+    const result = validate({dimensionalCheck: {length: '74', tolerance: 'marginal'}});
+    expect(result.fieldErrors['dimensional.deviationNotes']).toBe('Required');
+  });
+
+  it('makes the inspection type\'s required fields mandatory', () => {
+    const result = validate({
+      inspectionType: 'detailed',
+      dimensionalCheck: {},
+      materialCheck: {tensileStrength: 'pass', chemicalComposition: 'pass'},
+      functionalCheck: {fitment: 'good', performance: 'satisfactory'},
+    });
+
+    expect(result.template.sections.map(section => section.id))
+      .toEqual(['visual', 'dimensional', 'material', 'functional']);
+    expect(Object.keys(result.fieldErrors).sort()).toEqual([
+      'dimensional.length',
+      'dimensional.width',
+      'material.hardness',
+    ]);
+  });
+
+  it('uses the limits the fitting type sets for a shared field', () => {
+    const detailed = {
+      inspectionType: 'detailed',
+      materialCheck: {hardness: '30', tensileStrength: 'pass', chemicalComposition: 'pass'},
+      functionalCheck: {fitment: 'good', performance: 'satisfactory'},
+    };
+
+    expect(validate(detailed).fieldErrors['material.hardness']).toBe('Must be between 40 and 65 HRC');
+    expect(validate({...detailed, qrCode: 'RP-LOT1-20240101-VND001-00123'}).fieldErrors['material.hardness'])
+      .toBe('Must be between 40 and 95 Shore A');
+  });
+
+  it('only accepts the listed options for a choice', () => {
+    const result = validate({
+      inspectionType: 'emergency',
+      functionalCheck: {fitment: 'loose', performance: 'satisfactory'},
+    });
+
+    expect(result.fieldErrors['functional.fitment']).toBe('Choose one of the options');
+  });
+});
+
+describe('InspectionService.assessRiskLevel', () => {
+  const risk = tolerance => inspectionService.assessRiskLevel({
+    visualCheck: {cracks: false, corrosion: false},
+    dimensionalCheck: {tolerance},
+    materialCheck: {tensileStrength: 'pass'},
+  });
+
+  it('rates a marginal reading medium and only one outside the limits high', () => {
+    expect(risk('within')).toBe('Low');
+    expect(risk('marginal')).toBe('Medium');
+    expect(risk('outside')).toBe('High');
+  });
+});
+
+describe('InspectionService local store', () => {
+  const stored = () => JSON.parse(secureStorageService.store.get('localInspections'));
+
+  beforeEach(() => {
+    secureStorageService.store.clear();
+    httpClient.post.mockReset();
+  });
+
+  it('marks an inspection one of the portals accepted as synced', async () => {
+    jest.spyOn(inspectionService, 'generateInspectionReport').mockResolvedValue('RPT-1');
+    httpClient.post
+      .mockResolvedValueOnce({data: {}})
+      .mockRejectedValueOnce(new Error('TMS unavailable'));
+
+    const result = await inspectionService.submitInspection(inspection({geo: {flagged: false}}));
+
+    expect(result.success).toBe(true);
+    expect(stored()[0].synced).toBe(true);
+  });
+
+  it('keeps an inspection saved while a sync is running', async () => {
+    await inspectionService.storeInspectionLocally({inspectionId: 'INS-1', synced: false});
+    let respond;
+    httpClient.post.mockImplementation(() => new Promise(resolve => {
+      respond = resolve;
+    }));
+
+    const sync = inspectionService.syncPendingInspections();
+    await inspectionService.storeInspectionLocally({inspectionId: 'INS-2', synced: false});
+    respond({data: {}});
+    await new Promise(resolve => setTimeout(resolve, 0));
+    respond({data: {}});
+    const result = await sync;
+
+    expect(result.synced).toBe(1);
+    expect(stored()).toEqual([
+      {inspectionId: 'INS-1', synced: true},
+      {inspectionId: 'INS-2', synced: false},
+    ]);
+  });
+});
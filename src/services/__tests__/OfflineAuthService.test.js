@@ -0,0 +1,188 @@
+jest.mock('react-native-encrypted-storage', () => {
+  const store = new Map();
+  return {
+    store,
+    getItem: jest.fn(key => Promise.resolve(store.has(key) ? store.get(key) : null)),
+    setItem: jest.fn((key, value) => Promise.resolve(store.set(key, value))),
+  };
+});
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: length => require('crypto').randomBytes(length),
+}));
+jest.mock('../AuthService', () => ({
+  authService: {
+    baseURL: 'https://auth.test',
+    audit: jest.fn(() => Promise.resolve()),
+    getCurrentUser: jest.fn(() => Promise.resolve({employeeId: 'IR000001'})),
+    getDeviceId: jest.fn(() => Promise.resolve('device_1')),
+    saveSession: jest.fn(() => Promise.resolve()),
+  },
+}));
+jest.mock('../HttpClient', () => ({
+  httpClient: {
+    post: jest.fn(),
+    expireSession: jest.fn(() => Promise.resolve()),
+    notifySessionExpired: jest.fn(),
+  },
+}));
+jest.mock('../SecureStorageService', () => ({
+  secureStorageService: {
+    getItem: jest.fn(),
+    removeItem: jest.fn(() => Promise.resolve()),
+  },
+}));
+
+import EncryptedStorage from 'react-native-encrypted-storage';
+import {offlineAuthService} from '../OfflineAuthService';
+import {authService} from '../AuthService';
+import {httpClient} from '../HttpClient';
+import {secureStorageService} from '../SecureStorageService';
+
+const EMPLOYEE_ID = 'IR000001';
+const USER = {employeeId: EMPLOYEE_ID, name: 'Inspector', role: 'inspector'};
+
+const jwt = payload => `e30.${btoa(JSON.stringify(payload))}.sig`;
+
+describe('OfflineAuthService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    EncryptedStorage.store.clear();
+    // The real derivation is covered in hash.test.js; here it only needs to
+    // be repeatable
+    jest.spyOn(offlineAuthService, 'deriveVerifier')
+      .mockImplementation((secret, salt, iterations) => Promise.resolve(`${secret}:${salt}:${iterations}`));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('lockout', () => {
+    beforeEach(async () => {
+      await offlineAuthService.enroll(EMPLOYEE_ID, 'correct-password', USER, jwt({employeeId: EMPLOYEE_ID}));
+    });
+
+    it('counts down the attempts left after each wrong password', async () => {
+      const first = await offlineAuthService.verify(EMPLOYEE_ID, 'wrong', 'password');
+      const second = await offlineAuthService.verify(EMPLOYEE_ID, 'wrong', 'password');
+
+      expect(first.error).toMatch('4 attempts left');
+      expect(second.error).toMatch('3 attempts left');
+      expect(second.locked).toBe(false);
+    });
+
+    it('locks after five wrong passwords, even for the right one', async () => {
+      let result;
+      for (let i = 0; i < 5; i++) {
+        result = await offlineAuthService.verify(EMPLOYEE_ID, 'wrong', 'password');
+      }
+      expect(result.locked).toBe(true);
+
+      const status = await offlineAuthService.getStatus(EMPLOYEE_ID);
+      expect(status.lockedUntil).not.toBeNull();
+
+      const retry = await offlineAuthService.verify(EMPLOYEE_ID, 'correct-password', 'password');
+      expect(retry.success).toBe(false);
+      expect(retry.locked).toBe(true);
+    });
+
+    it('allows sign-in again once the lockout has passed', async () => {
+      jest.useFakeTimers({now: new Date('2026-01-01T08:00:00Z')});
+      for (let i = 0; i < 5; i++) {
+        await offlineAuthService.verify(EMPLOYEE_ID, 'wrong', 'password');
+      }
+
+      jest.setSystemTime(new Date('2026-01-01T08:16:00Z'));
+      const result = await offlineAuthService.verify(EMPLOYEE_ID, 'correct-password', 'password');
+      expect(result.success).toBe(true);
+    });
+
+    it('resets the count after a successful sign-in', async () => {
+      for (let i = 0; i < 4; i++) {
+        await offlineAuthService.verify(EMPLOYEE_ID, 'wrong', 'password');
+      }
+      await offlineAuthService.verify(EMPLOYEE_ID, 'correct-password', 'password');
+
+      const result = await offlineAuthService.verify(EMPLOYEE_ID, 'wrong', 'password');
+      expect(result.error).toMatch('4 attempts left');
+    });
+
+    it('refuses sign-in once the grace period has run out', async () => {
+      jest.useFakeTimers({now: Date.now() + 8 * 24 * 60 * 60 * 1000});
+      const result = await offlineAuthService.verify(EMPLOYEE_ID, 'correct-password', 'password');
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch('within 7 days');
+    });
+  });
+
+  it('upgrades a verifier made with fewer iterations at the next unlock', async () => {
+    await offlineAuthService.enroll(EMPLOYEE_ID, 'correct-password', USER, null);
+    const records = JSON.parse(EncryptedStorage.store.get('offline_credentials'));
+    records[EMPLOYEE_ID].iterations = 2000;
+    records[EMPLOYEE_ID].passwordVerifier = `correct-password:${records[EMPLOYEE_ID].salt}:2000`;
+    EncryptedStorage.store.set('offline_credentials', JSON.stringify(records));
+
+    const result = await offlineAuthService.verify(EMPLOYEE_ID, 'correct-password', 'password');
+    expect(result.success).toBe(true);
+
+    const upgraded = JSON.parse(EncryptedStorage.store.get('offline_credentials'))[EMPLOYEE_ID];
+    expect(upgraded.iterations).toBe(100000);
+    expect(upgraded.passwordVerifier).toBe(`correct-password:${upgraded.salt}:100000`);
+  });
+
+  describe('recheck', () => {
+    const serverToken = jwt({employeeId: EMPLOYEE_ID, exp: 1});
+
+    const unlockOffline = async () => {
+      const unlocked = await offlineAuthService.verify(EMPLOYEE_ID, 'correct-password', 'password');
+      secureStorageService.getItem.mockResolvedValue(unlocked.token);
+    };
+
+    it('proves the session with the last server token', async () => {
+      await offlineAuthService.enroll(EMPLOYEE_ID, 'correct-password', USER, serverToken);
+      await unlockOffline();
+      const renewed = jwt({employeeId: EMPLOYEE_ID, exp: 9999999999});
+      httpClient.post.mockResolvedValue({data: {active: true, token: renewed, user: {}}});
+
+      const result = await offlineAuthService.recheck();
+
+      expect(result.status).toBe('restored');
+      expect(httpClient.post.mock.calls[0][2].headers.Authorization).toBe(`Bearer ${serverToken}`);
+      expect(authService.saveSession).toHaveBeenCalledWith(renewed, expect.objectContaining({authMode: 'online'}));
+    });
+
+    it('does not ask the server without a token to prove the session', async () => {
+      await offlineAuthService.enroll(EMPLOYEE_ID, 'correct-password', USER, null);
+      await unlockOffline();
+
+      const result = await offlineAuthService.recheck();
+
+      expect(result.status).toBe('offline');
+      expect(httpClient.post).not.toHaveBeenCalled();
+    });
+
+    it('keeps the last server token when signed in again without a new one', async () => {
+      await offlineAuthService.enroll(EMPLOYEE_ID, 'correct-password', USER, serverToken);
+      await offlineAuthService.enroll(EMPLOYEE_ID, 'correct-password', USER, undefined);
+      await unlockOffline();
+      httpClient.post.mockResolvedValue({data: {active: false}});
+
+      await offlineAuthService.recheck();
+
+      expect(httpClient.post.mock.calls[0][2].headers.Authorization).toBe(`Bearer ${serverToken}`);
+    });
+
+    it('ignores a token issued for someone else', async () => {
+      await offlineAuthService.enroll(EMPLOYEE_ID, 'correct-password', USER, serverToken);
+      await unlockOffline();
+      httpClient.post.mockResolvedValue({
+        data: {active: true, token: jwt({employeeId: 'IR999999'}), user: {}},
+      });
+
+      const result = await offlineAuthService.recheck();
+
+      expect(result.status).toBe('offline');
+      expect(authService.saveSession).not.toHaveBeenCalled();
+    });
+  });
+});
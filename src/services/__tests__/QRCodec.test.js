@@ -0,0 +1,189 @@
+import {ed25519} from '@noble/curves/ed25519';
+import {qrCodec, QR_ERROR_CODES} from '../QRCodec';
+import {bytesToHex, utf8Bytes} from '../../utils/hash';
+
+const FIELDS = {
+  typeCode: 'RC',
+  lotNumber: 'LOT1',
+  manufactureDate: '20240101',
+  vendorCode: 'VND001',
+  serialNumber: '00123',
+};
+const ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+const codes = result => result.errors.map(error => error.code);
+
+describe('QRCodec', () => {
+  describe('legacy tags', () => {
+    it('decodes TYPE-LOT-DATE-VENDOR-SERIAL', () => {
+      const result = qrCodec.decode('rc-lot1-20240101-vnd001-00123');
+
+      expect(result.valid).toBe(true);
+      expect(result.version).toBe(1);
+      expect(result.fields).toEqual(FIELDS);
+      expect(result.canonical).toBe('RC-LOT1-20240101-VND001-00123');
+    });
+
+    it('keeps hyphens that belong to the lot number', () => {
+      const result = qrCodec.decode('RC-LOT-7-A-20240101-VND001-00123');
+      expect(result.fields.lotNumber).toBe('LOT-7-A');
+      expect(result.valid).toBe(true);
+    });
+
+    it('reports every field that is wrong', () => {
+      const result = qrCodec.decode('XX-LOT1-20241301-V1-123');
+      expect(codes(result)).toEqual([
+        QR_ERROR_CODES.INVALID_TYPE,
+        QR_ERROR_CODES.INVALID_DATE,
+        QR_ERROR_CODES.INVALID_VENDOR,
+        QR_ERROR_CODES.INVALID_SERIAL,
+      ]);
+    });
+
+    it('rejects empty and short codes', () => {
+      expect(codes(qrCodec.decode('  '))).toEqual([QR_ERROR_CODES.EMPTY]);
+      expect(codes(qrCodec.decode('RC-LOT1-00123'))).toEqual([QR_ERROR_CODES.MALFORMED]);
+    });
+
+    it('rejects manufacture dates in the future', () => {
+      const next = new Date();
+      next.setFullYear(next.getFullYear() + 1);
+      const date = `${next.getFullYear()}0101`;
+      expect(codes(qrCodec.decode(`RC-LOT1-${date}-VND001-00123`))).toEqual([QR_ERROR_CODES.INVALID_DATE]);
+    });
+  });
+
+  describe('check character', () => {
+    const payload = qrCodec.checkDigitPayload(FIELDS);
+    const check = qrCodec.computeCheckDigit(payload);
+
+    it('is one character of the alphabet', () => {
+      expect(ALPHABET).toContain(check);
+    });
+
+    it('changes when any single character is mistyped', () => {
+      for (let i = 0; i < payload.length; i++) {
+        for (const char of ALPHABET) {
+          if (char !== payload[i]) {
+            const mistyped = payload.substr(0, i) + char + payload.substr(i + 1);
+            expect(qrCodec.computeCheckDigit(mistyped)).not.toBe(check);
+          }
+        }
+      }
+    });
+
+    it('changes when neighbouring characters are swapped', () => {
+      for (let i = 0; i < payload.length - 1; i++) {
+        if (payload[i] !== payload[i + 1]) {
+          const swapped = payload.substr(0, i) + payload[i + 1] + payload[i] + payload.substr(i + 2);
+          expect(qrCodec.computeCheckDigit(swapped)).not.toBe(check);
+        }
+      }
+    });
+  });
+
+  describe('versioned tags', () => {
+    const privateKey = ed25519.utils.randomPrivateKey();
+    const otherKey = ed25519.utils.randomPrivateKey();
+
+    const signWith = (key, fields, issuerId = 'IRTEST') => bytesToHex(Array.from(ed25519.sign(
+      Uint8Array.from(utf8Bytes([2, issuerId, fields.typeCode, fields.lotNumber, fields.manufactureDate,
+        fields.vendorCode, fields.serialNumber].join('|'))),
+      key,
+    )));
+
+    const issue = (fields = FIELDS, key = privateKey) =>
+      qrCodec.encode(fields, {version: 2, issuerId: 'IRTEST', signature: signWith(key, fields)});
+
+    beforeEach(() => {
+      qrCodec.setIssuers({IRTEST: {publicKey: bytesToHex(Array.from(ed25519.getPublicKey(privateKey)))}});
+    });
+
+    it('accepts a tag signed by a known issuer', () => {
+      const result = qrCodec.decode(issue());
+
+      expect(result.valid).toBe(true);
+      expect(result.version).toBe(2);
+      expect(result.canonical).toBe('RC-LOT1-20240101-VND001-00123');
+    });
+
+    it('rejects a tag signed with another key', () => {
+      expect(codes(qrCodec.decode(issue(FIELDS, otherKey)))).toEqual([QR_ERROR_CODES.SIGNATURE_INVALID]);
+    });
+
+    it('rejects a tag whose fields were changed after signing', () => {
+      const parts = issue().split('|');
+      parts[6] = '00124';
+      parts[7] = qrCodec.computeCheckDigit(qrCodec.checkDigitPayload({...FIELDS, serialNumber: '00124'}));
+
+      expect(codes(qrCodec.decode(parts.join('|')))).toEqual([QR_ERROR_CODES.SIGNATURE_INVALID]);
+    });
+
+    it('reports a wrong check character', () => {
+      const parts = issue().split('|');
+      parts[7] = parts[7] === 'A' ? 'B' : 'A';
+      expect(codes(qrCodec.decode(parts.join('|')))).toContain(QR_ERROR_CODES.CHECK_DIGIT_MISMATCH);
+    });
+
+    it('rejects tags from issuers it has no key for', () => {
+      const tag = issue();
+      qrCodec.setIssuers({});
+      expect(codes(qrCodec.decode(tag))).toEqual([QR_ERROR_CODES.UNKNOWN_ISSUER]);
+    });
+
+    it('rejects unsupported versions and malformed tags', () => {
+      expect(codes(qrCodec.decode('IRQR3|IRTEST|RC'))).toEqual([QR_ERROR_CODES.UNSUPPORTED_VERSION]);
+      expect(codes(qrCodec.decode('IRQR2|IRTEST|RC'))).toEqual([QR_ERROR_CODES.MALFORMED]);
+    });
+
+    it('cannot make a versioned tag without the issuer signature', () => {
+      expect(() => qrCodec.encode(FIELDS, {version: 2})).toThrow('issuer signature');
+    });
+  });
+
+  describe('GS1 labels', () => {
+    const GS = '\x1D';
+
+    beforeEach(() => {
+      qrCodec.setGtinMap({'08901234000014': {typeCode: 'RC', vendorCode: 'VND001'}});
+    });
+
+    it('reads the bracketed human-readable form', () => {
+      const result = qrCodec.decode('(01)08901234000014(10)lot1(11)240101(21)123');
+
+      expect(result.valid).toBe(true);
+      expect(result.format).toBe('gs1');
+      expect(result.fields).toEqual({gtin: '08901234000014', ...FIELDS});
+      expect(result.canonical).toBe('RC-LOT1-20240101-VND001-00123');
+    });
+
+    it('reads raw element strings with FNC1 separators and a symbology prefix', () => {
+      const result = qrCodec.decode(`]d20108901234000014112401011727010110LOT1${GS}21000000123`);
+
+      expect(result.valid).toBe(true);
+      expect(result.fields.serialNumber).toBe('00123');
+    });
+
+    it('gives the last day of the month for day 00', () => {
+      expect(qrCodec.expandGS1Date('240200')).toBe('20240229');
+    });
+
+    it('checks the GTIN check digit before looking it up', () => {
+      expect(codes(qrCodec.decode('(01)08901234000015(10)LOT1(11)240101(21)123')))
+        .toEqual([QR_ERROR_CODES.INVALID_GTIN]);
+      expect(codes(qrCodec.decode('(01)08901234000021(10)LOT1(11)240101(21)123')))
+        .toEqual([QR_ERROR_CODES.UNKNOWN_GTIN]);
+    });
+
+    it('names the required AIs a label is missing', () => {
+      const result = qrCodec.decode('(01)08901234000014(10)LOT1');
+      expect(result.errors[0].message).toBe('GS1 label is missing AI (11), (21)');
+    });
+
+    it('rejects AIs it does not support and values of the wrong length', () => {
+      expect(qrCodec.decode('(01)08901234000014(99)X').errors[0].message).toBe('Unsupported GS1 AI (99)');
+      expect(qrCodec.decode('(01)0890123400001(10)LOT1').errors[0].message)
+        .toBe('GS1 AI (01) must be 14 characters');
+    });
+  });
+});
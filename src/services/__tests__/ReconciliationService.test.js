@@ -0,0 +1,152 @@
+jest.mock('react-native-document-picker', () => ({}));
+jest.mock('react-native-fs', () => ({}));
+jest.mock('../ReportsService', () => ({
+  reportsService: {
+    generateReportId: jest.fn(() => 'RPT-1'),
+    cacheReport: jest.fn(() => Promise.resolve()),
+  },
+}));
+jest.mock('../HttpClient', () => ({httpClient: {}}));
+jest.mock('../AccessControlService', () => ({
+  accessControlService: {authorize: jest.fn(() => Promise.resolve({allowed: true}))},
+}));
+jest.mock('../EnvironmentService', () => ({
+  environmentService: {getEndpoint: () => 'https://udm.test'},
+}));
+
+import {reconciliationService, RECONCILIATION_CATEGORIES} from '../ReconciliationService';
+import {qrCodec} from '../QRCodec';
+
+const {MATCHED, SHORTAGE, EXCESS, MISMATCHED_LOT} = RECONCILIATION_CATEGORIES;
+
+const tag = (serial, lot = 'LOT1', type = 'RC', vendor = 'VND001') =>
+  `${type}-${lot}-20240101-${vendor}-${String(serial).padStart(5, '0')}`;
+const scan = qrCode => ({...qrCodec.decode(qrCode).fields, qrCode});
+
+const challanFrom = csv => {
+  const result = reconciliationService.parseChallan(csv, 'CH-1.csv');
+  expect(result.success).toBe(true);
+  return result.challan;
+};
+
+const reconcile = async (challan, codes) => {
+  const result = await reconciliationService.reconcile(challan, codes.map(scan));
+  expect(result.success).toBe(true);
+  return result.report;
+};
+
+const rowsIn = (report, category) => report.data.filter(row => row.category === category);
+
+describe('ReconciliationService', () => {
+  describe('parseChallan', () => {
+    it('reads quantity lines under any accepted column names', () => {
+      const challan = challanFrom('Type,Lot No,Vendor,Qty\nRC,lot1,vnd001,3\nElastic Rail Clip,LOT2,VND001,2');
+
+      expect(challan.challanNumber).toBe('CH-1');
+      expect(challan.lots).toEqual([
+        expect.objectContaining({typeCode: 'RC', lotNumber: 'LOT1', vendorCode: 'VND001', quantity: 3}),
+        expect.objectContaining({typeCode: 'RC', lotNumber: 'LOT2', vendorCode: 'VND001', quantity: 2}),
+      ]);
+    });
+
+    it('groups tag lines by lot and reports rows it could not read', () => {
+      const result = reconciliationService.parseChallan(
+        `QR Code\n${tag(1)}\n${tag(2)}\nnot-a-tag`,
+        'tags.csv',
+      );
+
+      expect(result.challan.lots).toHaveLength(1);
+      expect(result.challan.lots[0].quantity).toBe(2);
+      expect(result.challan.lots[0].qrCodes).toEqual([tag(1), tag(2)]);
+      expect(result.errors).toEqual([expect.objectContaining({row: 3})]);
+    });
+
+    it('reads JSON consignment records', () => {
+      const result = reconciliationService.parseChallan(JSON.stringify({
+        challanNumber: 'CH-9',
+        vendorCode: 'vnd001',
+        lines: [{typeCode: 'RC', lotNumber: 'LOT1', quantity: 1}],
+      }), 'consignment.json');
+
+      expect(result.challan.challanNumber).toBe('CH-9');
+      expect(result.challan.lots[0].vendorCode).toBe('VND001');
+    });
+
+    it('fails when no line can be used', () => {
+      const result = reconciliationService.parseChallan('Type,Lot,Qty\nXX,LOT1,3', 'bad.csv');
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Row 1: Unknown fitting type: XX');
+    });
+  });
+
+  describe('reconcile', () => {
+    it('matches a consignment that arrived complete', async () => {
+      const report = await reconcile(challanFrom('Type,Lot,Vendor,Qty\nRC,LOT1,VND001,2'), [tag(1), tag(2)]);
+
+      expect(report.summary).toEqual(expect.objectContaining({
+        expected: 2, scanned: 2, matched: 2, shortage: 0, excess: 0, mismatchedLot: 0, status: 'clean',
+      }));
+    });
+
+    it('counts the same tag scanned twice once', async () => {
+      const report = await reconcile(challanFrom('Type,Lot,Qty\nRC,LOT1,2'), [tag(1), tag(1).toLowerCase(), tag(2)]);
+      expect(report.summary.scanned).toBe(2);
+      expect(report.summary.status).toBe('clean');
+    });
+
+    it('reports a shortage against the challan quantity', async () => {
+      const report = await reconcile(challanFrom('Type,Lot,Qty\nRC,LOT1,5'), [tag(1), tag(2)]);
+
+      expect(report.summary.shortage).toBe(3);
+      expect(rowsIn(report, SHORTAGE)).toEqual([expect.objectContaining({expected: 5, scanned: 2, difference: -3})]);
+    });
+
+    it('reports each fitting scanned beyond the challan quantity as excess', async () => {
+      const report = await reconcile(challanFrom('Type,Lot,Qty\nRC,LOT1,1'), [tag(1), tag(2), tag(3)]);
+
+      expect(report.summary.matched).toBe(1);
+      expect(report.summary.excess).toBe(2);
+      expect(rowsIn(report, EXCESS)).toHaveLength(2);
+    });
+
+    it('names the missing and extra tags when the challan lists them', async () => {
+      const challan = challanFrom(`QR Code\n${tag(1)}\n${tag(2)}`);
+      const report = await reconcile(challan, [tag(1), tag(3)]);
+
+      expect(rowsIn(report, MATCHED)[0].scanned).toBe(1);
+      expect(rowsIn(report, SHORTAGE).map(row => row.qrCode)).toEqual([tag(2)]);
+      expect(rowsIn(report, EXCESS).map(row => row.qrCode)).toEqual([tag(3)]);
+    });
+
+    it('treats serials outside the challan range as excess', async () => {
+      const challan = challanFrom('Type,Lot,Qty,Serial From,Serial To\nRC,LOT1,2,1,2');
+      const report = await reconcile(challan, [tag(1), tag(2), tag(9)]);
+
+      expect(report.summary.matched).toBe(2);
+      expect(rowsIn(report, EXCESS)).toEqual([
+        expect.objectContaining({qrCode: tag(9), note: 'Serial outside challan range 1-2'}),
+      ]);
+    });
+
+    it('flags fittings of a listed type from a lot not on the challan', async () => {
+      const report = await reconcile(challanFrom('Type,Lot,Vendor,Qty\nRC,LOT1,VND001,1'), [tag(1), tag(1, 'LOT7')]);
+
+      expect(report.summary.mismatchedLot).toBe(1);
+      expect(rowsIn(report, MISMATCHED_LOT)[0].note).toBe('Lot LOT7 not on challan (expected LOT1)');
+    });
+
+    it('reports fittings of another type or vendor as excess', async () => {
+      const challan = challanFrom(JSON.stringify({
+        vendorCode: 'VND001',
+        lines: [{typeCode: 'RC', lotNumber: 'LOT1', quantity: 1}],
+      }));
+      const report = await reconcile(challan, [tag(1), tag(1, 'LOT1', 'RC', 'VND002'), tag(1, 'LOT1', 'LN')]);
+
+      expect(rowsIn(report, EXCESS).map(row => row.note)).toEqual([
+        'Vendor VND002 does not match challan vendor VND001',
+        'Liner not on challan',
+      ]);
+      expect(report.summary.status).toBe('discrepancies');
+    });
+  });
+});
@@ -0,0 +1,67 @@
+jest.mock('react-native', () => ({Platform: {OS: 'android', Version: 33}}));
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+jest.mock('../SecureStorageService', () => {
+  const store = new Map();
+  return {
+    secureStorageService: {
+      store,
+      getItem: jest.fn(key => Promise.resolve(store.has(key) ? store.get(key) : null)),
+      setItem: jest.fn((key, value) => Promise.resolve(store.set(key, value))),
+      removeItem: jest.fn(key => Promise.resolve(store.delete(key))),
+    },
+  };
+});
+jest.mock('../AuthService', () => ({
+  authService: {getCurrentUser: jest.fn()},
+}));
+jest.mock('../LocationService', () => ({
+  locationService: {
+    getUserSectionId: jest.fn(() => Promise.resolve('DLI-01')),
+    formatKm: chainage => `${chainage / 1000} km`,
+  },
+}));
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {scanSessionService} from '../ScanSessionService';
+import {secureStorageService} from '../SecureStorageService';
+import {authService} from '../AuthService';
+
+const signInAs = employeeId => {
+  // Each user has their own profile store
+  secureStorageService.store.clear();
+  authService.getCurrentUser.mockResolvedValue({employeeId, name: employeeId});
+};
+
+describe('ScanSessionService', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+  });
+
+  it('lists every operator\'s sessions to whoever signs in next', async () => {
+    signInAs('IR000001');
+    await scanSessionService.recordScan({fittingId: 'A', outcome: 'decoded', geo: {chainage: 1200}});
+    await scanSessionService.endSession();
+
+    signInAs('IR000002');
+    const sessions = await scanSessionService.listSessions();
+
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0]).toEqual(expect.objectContaining({
+      operatorId: 'IR000001',
+      scanCount: 1,
+      active: false,
+      coverage: '1.2 km - 1.2 km',
+    }));
+  });
+
+  it('opens a new session when another operator scans', async () => {
+    signInAs('IR000001');
+    const first = await scanSessionService.recordScan({fittingId: 'A', outcome: 'decoded'});
+    signInAs('IR000002');
+    const second = await scanSessionService.recordScan({fittingId: 'A', outcome: 'decoded'});
+
+    expect(second.sessionId).not.toBe(first.sessionId);
+    expect(await scanSessionService.listSessions({operatorId: 'IR000002'})).toHaveLength(1);
+  });
+});
@@ -0,0 +1,89 @@
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+jest.mock('react-native-encrypted-storage', () => {
+  const keystore = new Map();
+  return {
+    keystore,
+    getItem: jest.fn(key => Promise.resolve(keystore.has(key) ? keystore.get(key) : null)),
+    setItem: jest.fn((key, value) => Promise.resolve(keystore.set(key, value))),
+    removeItem: jest.fn(key => Promise.resolve(keystore.delete(key))),
+  };
+});
+jest.mock('react-native-fs', () => ({}));
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: length => require('crypto').randomBytes(length),
+}));
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import EncryptedStorage from 'react-native-encrypted-storage';
+import {secureStorageService} from '../SecureStorageService';
+
+const INSPECTIONS = JSON.stringify([{id: 'INS-1', qrCode: 'RC-LOT1-20240101-VND001-00123', synced: false}]);
+
+describe('SecureStorageService', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    EncryptedStorage.keystore.clear();
+    secureStorageService.keyrings.clear();
+    secureStorageService.profileId = null;
+  });
+
+  describe('migrate', () => {
+    it('moves plaintext stores into the profile of the signed-in user', async () => {
+      await AsyncStorage.multiSet([
+        ['userProfile', JSON.stringify({employeeId: 'IR000001', name: 'A. Kumar'})],
+        ['localInspections', INSPECTIONS],
+      ]);
+
+      await secureStorageService.migrate();
+
+      expect(secureStorageService.getActiveProfileId()).toBe('IR000001');
+      expect(await secureStorageService.getItem('localInspections')).toBe(INSPECTIONS);
+      expect(await AsyncStorage.getItem('localInspections')).toBeNull();
+    });
+
+    it('keeps unsynced work left by a signed-out user for the next sign-in', async () => {
+      await AsyncStorage.multiSet([
+        ['localInspections', INSPECTIONS],
+        ['tracking_sync_queue', '[{"id":"TRK-1"}]'],
+        ['dashboard_data', '{"total":3}'],
+      ]);
+
+      await secureStorageService.migrate();
+
+      expect(secureStorageService.getActiveProfileId()).toBeNull();
+      expect(await AsyncStorage.getItem('localInspections')).toBeNull();
+      expect(await AsyncStorage.getItem('tracking_sync_queue')).toBeNull();
+
+      await secureStorageService.setActiveProfile({employeeId: 'IR000002', name: 'B. Singh'});
+
+      expect(await secureStorageService.getItem('localInspections')).toBe(INSPECTIONS);
+      expect(await secureStorageService.getItem('tracking_sync_queue')).toBe('[{"id":"TRK-1"}]');
+      // The old logout removed the dashboard cache, so there is nothing to keep
+      expect(await secureStorageService.getItem('dashboard_data')).toBeNull();
+    });
+
+    it('hands the kept data to the first user who signs in only', async () => {
+      await AsyncStorage.setItem('localInspections', INSPECTIONS);
+      await secureStorageService.migrate();
+
+      await secureStorageService.setActiveProfile({employeeId: 'IR000002'});
+      await secureStorageService.setItem('localInspections', '[]');
+      await secureStorageService.setActiveProfile({employeeId: 'IR000003'});
+
+      expect(await secureStorageService.getItem('localInspections')).toBeNull();
+      await secureStorageService.setActiveProfile({employeeId: 'IR000002'});
+      expect(await secureStorageService.getItem('localInspections')).toBe('[]');
+    });
+  });
+
+  it('runs removals after the writes queued before them', async () => {
+    await secureStorageService.setActiveProfile({employeeId: 'IR000001'});
+
+    const write = secureStorageService.setItem('active_scan_session', 'SES-1');
+    const remove = secureStorageService.removeItem('active_scan_session');
+    await Promise.all([write, remove]);
+
+    expect(await secureStorageService.getItem('active_scan_session')).toBeNull();
+  });
+});
@@ -0,0 +1,103 @@
+import {toleranceService} from '../ToleranceService';
+
+describe('ToleranceService', () => {
+  describe('classify', () => {
+    const limits = {min: 50, max: 60};
+
+    it('puts readings well inside the limits within tolerance', () => {
+      expect(toleranceService.classify(55, limits)).toBe('within');
+      expect(toleranceService.classify(51, limits)).toBe('within');
+      expect(toleranceService.classify(59, limits)).toBe('within');
+    });
+
+    it('marks readings in the last tenth of the band as marginal', () => {
+      expect(toleranceService.classify(50, limits)).toBe('marginal');
+      expect(toleranceService.classify(50.9, limits)).toBe('marginal');
+      expect(toleranceService.classify(59.5, limits)).toBe('marginal');
+      expect(toleranceService.classify(60, limits)).toBe('marginal');
+    });
+
+    it('puts readings past either limit outside tolerance', () => {
+      expect(toleranceService.classify(49.99, limits)).toBe('outside');
+      expect(toleranceService.classify(60.01, limits)).toBe('outside');
+    });
+  });
+
+  describe('parseSpecValue', () => {
+    it('reads ranges, plus-minus values and nominal sizes', () => {
+      expect(toleranceService.parseSpecValue('52-58 HRC'))
+        .toEqual({nominal: 55, min: 52, max: 58, unit: 'HRC'});
+      expect(toleranceService.parseSpecValue('70±5 Shore A'))
+        .toEqual({nominal: 70, min: 65, max: 75, unit: 'Shore A'});
+      // A nominal size allows 2% either way
+      expect(toleranceService.parseSpecValue('165x135x13 mm', 1))
+        .toEqual({nominal: 135, min: 132.3, max: 137.7, unit: 'mm'});
+    });
+
+    it('returns null for values that are not measurements', () => {
+      expect(toleranceService.parseSpecValue('Spring Steel')).toBeNull();
+      expect(toleranceService.parseSpecValue('165x135 mm', 2)).toBeNull();
+      expect(toleranceService.parseSpecValue(undefined)).toBeNull();
+    });
+  });
+
+  describe('evaluate', () => {
+    const hardness = {key: 'hardness', type: 'number', unit: 'HRC', spec: 'hardness'};
+    const specifications = {hardness: '52-58 HRC'};
+
+    it('reports the deviation from nominal and a status', () => {
+      expect(toleranceService.evaluate(hardness, '57.9', specifications)).toEqual({
+        nominal: 55, min: 52, max: 58, unit: 'HRC', value: 57.9, deviation: 2.9, status: 'marginal',
+      });
+    });
+
+    it('skips blank readings and fields without usable limits', () => {
+      expect(toleranceService.evaluate(hardness, '', specifications)).toBeNull();
+      expect(toleranceService.evaluate(hardness, 'n/a', specifications)).toBeNull();
+      expect(toleranceService.evaluate(hardness, '55', {})).toBeNull();
+      // A Shore A limit says nothing about a reading in HRC
+      expect(toleranceService.evaluate(hardness, '55', {hardness: '70±5 Shore A'})).toBeNull();
+    });
+  });
+
+  describe('evaluateForm', () => {
+    const template = {
+      sections: [{
+        id: 'dimensional',
+        dataKey: 'dimensionalCheck',
+        fields: [
+          {key: 'length', type: 'number', unit: 'mm', spec: 'dimensions', specIndex: 0},
+          {key: 'width', type: 'number', unit: 'mm', spec: 'dimensions', specIndex: 1},
+          {key: 'tolerance', type: 'choice', computed: true},
+        ],
+      }],
+    };
+    const specifications = {dimensions: '100x50 mm'};
+
+    it('takes the worst status of all readings', () => {
+      const result = toleranceService.evaluateForm(
+        {dimensionalCheck: {length: '100', width: '52'}},
+        template,
+        specifications,
+      );
+
+      expect(Object.keys(result.results)).toEqual(['dimensional.length', 'dimensional.width']);
+      expect(result.results['dimensional.length'].status).toBe('within');
+      expect(result.results['dimensional.width'].status).toBe('outside');
+      expect(result.status).toBe('outside');
+    });
+
+    it('has no status until something is measured', () => {
+      expect(toleranceService.evaluateForm({}, template, specifications)).toEqual({status: null, results: {}});
+    });
+  });
+
+  it('describes a result for the inspector', () => {
+    const result = toleranceService.evaluate(
+      {key: 'length', type: 'number', unit: 'mm', spec: 'length'},
+      '101.5',
+      {length: '100 mm'},
+    );
+    expect(toleranceService.describe(result)).toBe('+1.5 mm from nominal 100 mm (limits 98 to 102)');
+  });
+});
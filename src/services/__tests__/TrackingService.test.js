@@ -0,0 +1,135 @@
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+jest.mock('../SecureStorageService', () => {
+  const store = new Map();
+  // Storage calls resolve out of order, as they do on a busy device
+  const later = value => new Promise(resolve => setTimeout(() => resolve(value), Math.random() * 5));
+  return {
+    secureStorageService: {
+      store,
+      getItem: jest.fn(key => later(store.has(key) ? store.get(key) : null)),
+      setItem: jest.fn((key, value) => later(store.set(key, value))),
+      removeItem: jest.fn(key => later(store.delete(key))),
+      onProfileChange: jest.fn(),
+    },
+  };
+});
+jest.mock('../LocationService', () => ({
+  locationService: {
+    getStamp: jest.fn(() => Promise.resolve({flagged: false, chainage: 1200})),
+    getLastStamp: jest.fn(() => null),
+  },
+}));
+jest.mock('../ScanSessionService', () => ({
+  scanSessionService: {
+    recordScan: jest.fn(scan => Promise.resolve({
+      ...scan,
+      id: `SCAN-${Math.random()}`,
+      sessionId: 'SES-1',
+      operatorId: 'IR000001',
+      outcome: scan.outcome,
+    })),
+    updateScanLocation: jest.fn(() => Promise.resolve()),
+  },
+}));
+jest.mock('../TagAliasService', () => ({tagAliasService: {}}));
+jest.mock('../AccessControlService', () => ({
+  accessControlService: {authorize: jest.fn(() => Promise.resolve({allowed: true}))},
+}));
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {trackingService} from '../TrackingService';
+import {secureStorageService} from '../SecureStorageService';
+import {locationService} from '../LocationService';
+import {scanSessionService} from '../ScanSessionService';
+import {accessControlService} from '../AccessControlService';
+
+describe('TrackingService', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+    secureStorageService.store.clear();
+    trackingService.syncQueue = [];
+    trackingService.syncQueueLoad = null;
+  });
+
+  it('keeps every entry when many are recorded at once', async () => {
+    await Promise.all(
+      Array.from({length: 20}, (_, i) => trackingService.trackMovement({
+        fittingId: `RC-LOT1-20240101-VND001-${String(i).padStart(5, '0')}`,
+        from: 'Store',
+        to: 'Site',
+        geo: {flagged: false},
+      })),
+    );
+
+    const masterList = JSON.parse(secureStorageService.store.get('tracking_master_list'));
+    const queue = JSON.parse(secureStorageService.store.get('tracking_sync_queue'));
+    expect(masterList).toHaveLength(20);
+    expect(queue).toHaveLength(20);
+  });
+
+  it('keeps entries queued while a sync is running', async () => {
+    jest.spyOn(trackingService, 'simulateServerSync').mockImplementation(() => new Promise(resolve => setTimeout(resolve, 5)));
+    await trackingService.trackMovement({fittingId: 'A', geo: {}});
+
+    const sync = trackingService.syncPendingEntries();
+    await trackingService.trackMovement({fittingId: 'B', geo: {}});
+    const result = await sync;
+
+    expect(result.synced).toBe(1);
+    const queue = JSON.parse(secureStorageService.store.get('tracking_sync_queue'));
+    expect(queue.map(entry => entry.fittingId)).toEqual(['B']);
+  });
+
+  it('logs a scan without waiting for the GPS and attaches the fix later', async () => {
+    let resolveFix;
+    locationService.getStamp.mockImplementationOnce(() => new Promise(resolve => { resolveFix = resolve; }));
+    locationService.getLastStamp.mockReturnValueOnce({flagged: true, chainage: null});
+
+    const result = await trackingService.logScanActivity({qrCode: 'A'});
+    expect(result.success).toBe(true);
+    expect(result.trackingEntry.geo).toEqual({flagged: true, chainage: null});
+
+    const fresh = {flagged: false, chainage: 1250};
+    resolveFix(fresh);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(scanSessionService.updateScanLocation).toHaveBeenCalledWith('SES-1', result.scan.id, fresh);
+    const stored = JSON.parse(secureStorageService.store.get(`tracking_${result.trackingEntry.id}`));
+    expect(stored.geo).toEqual(fresh);
+    const queue = JSON.parse(secureStorageService.store.get('tracking_sync_queue'));
+    expect(queue[0].geo).toEqual(fresh);
+  });
+
+  it('keeps every user\'s sightings on the device when the profile changes', async () => {
+    await trackingService.trackMovement({fittingId: 'A', to: 'Site 1', reason: 'installation', geo: {}});
+    secureStorageService.store.clear();
+    await trackingService.trackMovement({fittingId: 'A', to: 'Site 2', reason: 'installation', geo: {}});
+
+    const sightings = await trackingService.getSightings();
+    expect(sightings.map(sighting => sighting.toLocation)).toEqual(['Site 1', 'Site 2']);
+  });
+
+  it('updates the sighting when a scan\'s fix arrives', async () => {
+    let resolveFix;
+    locationService.getStamp.mockImplementationOnce(() => new Promise(resolve => { resolveFix = resolve; }));
+
+    const result = await trackingService.logScanActivity({qrCode: 'A'});
+    const fresh = {flagged: false, latitude: 28.6, longitude: 77.2};
+    resolveFix(fresh);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const [sighting] = await trackingService.getSightings();
+    expect(sighting).toEqual(expect.objectContaining({id: result.trackingEntry.id, geo: fresh}));
+  });
+
+  it('does not log scans for a role without scanning', async () => {
+    accessControlService.authorize.mockResolvedValueOnce({allowed: false, error: 'Not permitted'});
+
+    const result = await trackingService.logScanActivity({qrCode: 'A'});
+
+    expect(result).toEqual({success: false, error: 'Not permitted', denied: true});
+    expect(scanSessionService.recordScan).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,44 @@
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: length => require('crypto').randomBytes(length),
+}));
+
+import {createDecipheriv} from 'crypto';
+import {encrypt, decrypt, generateKey} from '../cipher';
+
+describe('cipher', () => {
+  const key = generateKey();
+
+  it('makes 256-bit keys', () => {
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(generateKey()).not.toBe(key);
+  });
+
+  it('opens what it sealed, including non-ASCII text', () => {
+    const text = JSON.stringify({remarks: 'दरार मिली — crack 3 mm', emoji: '🚆', empty: ''});
+    expect(decrypt(key, encrypt(key, text))).toBe(text);
+    expect(decrypt(key, encrypt(key, ''))).toBe('');
+  });
+
+  it('uses a fresh nonce for every value', () => {
+    expect(encrypt(key, 'same')).not.toBe(encrypt(key, 'same'));
+  });
+
+  it('is standard AES-256-GCM', () => {
+    const sealed = Buffer.from(encrypt(key, 'RC-LOT1-20240101-VND001-00123'), 'base64');
+    const decipher = createDecipheriv('aes-256-gcm', Buffer.from(key, 'hex'), sealed.subarray(0, 12));
+    decipher.setAuthTag(sealed.subarray(sealed.length - 16));
+    const opened = Buffer.concat([decipher.update(sealed.subarray(12, sealed.length - 16)), decipher.final()]);
+    expect(opened.toString('utf8')).toBe('RC-LOT1-20240101-VND001-00123');
+  });
+
+  it('refuses values sealed with another key', () => {
+    expect(decrypt(generateKey(), encrypt(key, 'secret'))).toBeNull();
+  });
+
+  it('refuses values that were altered', () => {
+    const sealed = Buffer.from(encrypt(key, 'secret'), 'base64');
+    sealed[sealed.length - 1] ^= 1;
+    expect(decrypt(key, sealed.toString('base64'))).toBeNull();
+    expect(decrypt(key, 'AAAA')).toBeNull();
+  });
+});
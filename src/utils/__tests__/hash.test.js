@@ -0,0 +1,52 @@
+import {createHash, createHmac} from 'crypto';
+import {sha256, hmacSha256, pbkdf2Sha256, pbkdf2Sha256Async} from '../hash';
+
+describe('sha256', () => {
+  it('matches the FIPS 180-2 test vectors', () => {
+    expect(sha256('')).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+    expect(sha256('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    expect(sha256('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq'))
+      .toBe('248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1');
+  });
+
+  it('hashes text as UTF-8', () => {
+    const text = 'Rail pad ₹45 — 🚆';
+    expect(sha256(text)).toBe(createHash('sha256').update(text, 'utf8').digest('hex'));
+  });
+});
+
+describe('hmacSha256', () => {
+  it('matches the RFC 4231 test vectors', () => {
+    expect(hmacSha256('Jefe', 'what do ya want for nothing?'))
+      .toBe('5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843');
+    // Keys longer than a block are hashed first
+    expect(hmacSha256(new Array(131).fill(0xaa), 'Test Using Larger Than Block-Size Key - Hash Key First'))
+      .toBe('60e431591ee0b67f0d8a26aacbf5b77f8e0bc6213728c5140546040f0ee37f54');
+  });
+
+  it('agrees with Node for UTF-8 keys and messages', () => {
+    const key = 'कुंजी';
+    const message = 'IRQR2|IRHQ|RC|LOT1|20240101|VND001|00123';
+    expect(hmacSha256(key, message)).toBe(createHmac('sha256', key).update(message).digest('hex'));
+  });
+});
+
+describe('pbkdf2Sha256', () => {
+  it('matches the published test vectors', () => {
+    expect(pbkdf2Sha256('password', 'salt', 1))
+      .toBe('120fb6cffcf8b32c43e7225256c4f837a86548c92ccc35480805987cb70be17b');
+    expect(pbkdf2Sha256('password', 'salt', 2))
+      .toBe('ae4d0c95af6b46d32d0adff928f06dd02a303f8ef3c251dfd6e2d85a95474c43');
+    expect(pbkdf2Sha256('passwd', 'salt', 1, 64)).toBe(
+      '55ac046e56e3089fec1691c22544b605f94185216dde0465e68b9d57c20dacbc' +
+      '49ca9cccf179b645991664b39d77ef317c71b845b1e30bd509112041d3a19783',
+    );
+  });
+
+  it('gives the same verifier from the async version', async () => {
+    await expect(pbkdf2Sha256Async('password', 'salt', 4096))
+      .resolves.toBe('c5e478d59288c841aa530db6845c4c8d962893a001ce4e11a4963873aa98134a');
+    await expect(pbkdf2Sha256Async('1234', 'a1b2c3', 50))
+      .resolves.toBe(pbkdf2Sha256('1234', 'a1b2c3', 50));
+  });
+});
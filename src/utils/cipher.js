@@ -0,0 +1,95 @@
+// Authenticated encryption for data kept on the device: AES-256-GCM from
+// the audited @noble/ciphers library, with nonces from the platform's
+// secure random generator.
+import {gcm} from '@noble/ciphers/aes';
+import {getRandomBytes} from 'expo-crypto';
+import {utf8Bytes, bytesToHex} from './hash';
+
+const KEY_LENGTH = 32;
+const NONCE_LENGTH = 12;
+const TAG_LENGTH = 16;
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+export function generateKey() {
+  return bytesToHex(Array.from(getRandomBytes(KEY_LENGTH)));
+}
+
+export function encrypt(keyHex, plaintext) {
+  const nonce = Uint8Array.from(getRandomBytes(NONCE_LENGTH));
+  const sealed = gcm(hexToBytes(keyHex), nonce).encrypt(Uint8Array.from(utf8Bytes(plaintext)));
+  return toBase64(Array.from(nonce).concat(Array.from(sealed)));
+}
+
+// Returns null when the data was not sealed with this key or was altered
+export function decrypt(keyHex, sealed) {
+  const bytes = fromBase64(sealed);
+  if (bytes.length < NONCE_LENGTH + TAG_LENGTH) {
+    return null;
+  }
+
+  try {
+    const nonce = Uint8Array.from(bytes.slice(0, NONCE_LENGTH));
+    const opened = gcm(hexToBytes(keyHex), nonce).decrypt(Uint8Array.from(bytes.slice(NONCE_LENGTH)));
+    return utf8Decode(Array.from(opened));
+  } catch (error) {
+    // The GCM tag did not match
+    return null;
+  }
+}
+
+function hexToBytes(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+function utf8Decode(bytes) {
+  let result = '';
+  for (let i = 0; i < bytes.length; i++) {
+    const byte = bytes[i];
+    let code;
+    if (byte < 0x80) {
+      code = byte;
+    } else if (byte < 0xe0) {
+      code = ((byte & 0x1f) << 6) | (bytes[++i] & 0x3f);
+    } else if (byte < 0xf0) {
+      code = ((byte & 0x0f) << 12) | ((bytes[++i] & 0x3f) << 6) | (bytes[++i] & 0x3f);
+    } else {
+      code = ((byte & 0x07) << 18) | ((bytes[++i] & 0x3f) << 12) | ((bytes[++i] & 0x3f) << 6) | (bytes[++i] & 0x3f);
+    }
+    result += String.fromCodePoint(code);
+  }
+  return result;
+}
+
+function toBase64(bytes) {
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    result += BASE64[(chunk >> 18) & 0x3f] + BASE64[(chunk >> 12) & 0x3f];
+    result += i + 1 < bytes.length ? BASE64[(chunk >> 6) & 0x3f] : '=';
+    result += i + 2 < bytes.length ? BASE64[chunk & 0x3f] : '=';
+  }
+  return result;
+}
+
+function fromBase64(text) {
+  const clean = text.replace(/=+$/, '');
+  const bytes = [];
+  for (let i = 0; i < clean.length; i += 4) {
+    const chunk = [0, 1, 2, 3].reduce(
+      (value, j) => (value << 6) | (i + j < clean.length ? BASE64.indexOf(clean[i + j]) : 0),
+      0,
+    );
+    bytes.push((chunk >> 16) & 0xff);
+    if (i + 2 < clean.length) {
+      bytes.push((chunk >> 8) & 0xff);
+    }
+    if (i + 3 < clean.length) {
+      bytes.push(chunk & 0xff);
+    }
+  }
+  return bytes;
+}
@@ -0,0 +1,188 @@
+// Minimal SHA-256 / HMAC-SHA256 implementation.
+// React Native has no built-in crypto module, so ID card checks and other
+// integrity checks are computed in plain JavaScript. Password verifiers,
+// which need far more iterations, use the audited @noble/hashes build.
+import {pbkdf2Async} from '@noble/hashes/pbkdf2';
+import {sha256 as nobleSha256} from '@noble/hashes/sha2';
+
+const K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+];
+
+export function utf8Bytes(str) {
+  const bytes = [];
+  for (let i = 0; i < str.length; i++) {
+    let code = str.charCodeAt(i);
+
+    // Combine surrogate pairs into a single code point
+    if (code >= 0xd800 && code <= 0xdbff && i + 1 < str.length) {
+      const next = str.charCodeAt(i + 1);
+      if (next >= 0xdc00 && next <= 0xdfff) {
+        code = 0x10000 + ((code - 0xd800) << 10) + (next - 0xdc00);
+        i++;
+      }
+    }
+
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    } else {
+      bytes.push(
+        0xf0 | (code >> 18),
+        0x80 | ((code >> 12) & 0x3f),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f),
+      );
+    }
+  }
+  return bytes;
+}
+
+export function bytesToHex(bytes) {
+  return bytes.map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function toBytes(input) {
+  return typeof input === 'string' ? utf8Bytes(input) : Array.from(input);
+}
+
+export function sha256Bytes(input) {
+  const message = toBytes(input);
+  const bitLength = message.length * 8;
+
+  // Padding: 0x80, zeros, then the 64-bit message length
+  message.push(0x80);
+  while (message.length % 64 !== 56) {
+    message.push(0);
+  }
+  for (let i = 7; i >= 0; i--) {
+    message.push(i >= 4 ? 0 : (bitLength >>> (i * 8)) & 0xff);
+  }
+
+  const h = [
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+    0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+  ];
+  const w = new Array(64);
+
+  for (let offset = 0; offset < message.length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      w[i] = (message[j] << 24) | (message[j + 1] << 16) | (message[j + 2] << 8) | message[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+
+    let [a, b, c, d, e, f, g, hh] = h;
+    for (let i = 0; i < 64; i++) {
+      const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (hh + S1 + ch + K[i] + w[i]) | 0;
+      const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (S0 + maj) | 0;
+      hh = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+
+    h[0] = (h[0] + a) | 0;
+    h[1] = (h[1] + b) | 0;
+    h[2] = (h[2] + c) | 0;
+    h[3] = (h[3] + d) | 0;
+    h[4] = (h[4] + e) | 0;
+    h[5] = (h[5] + f) | 0;
+    h[6] = (h[6] + g) | 0;
+    h[7] = (h[7] + hh) | 0;
+  }
+
+  const digest = [];
+  h.forEach(word => {
+    digest.push((word >>> 24) & 0xff, (word >>> 16) & 0xff, (word >>> 8) & 0xff, word & 0xff);
+  });
+  return digest;
+}
+
+export function sha256(input) {
+  return bytesToHex(sha256Bytes(input));
+}
+
+export function hmacSha256Bytes(key, message) {
+  let keyBytes = toBytes(key);
+  if (keyBytes.length > 64) {
+    keyBytes = sha256Bytes(keyBytes);
+  }
+  while (keyBytes.length < 64) {
+    keyBytes.push(0);
+  }
+
+  const inner = keyBytes.map(b => b ^ 0x36).concat(toBytes(message));
+  const outer = keyBytes.map(b => b ^ 0x5c).concat(sha256Bytes(inner));
+  return sha256Bytes(outer);
+}
+
+export function hmacSha256(key, message) {
+  return bytesToHex(hmacSha256Bytes(key, message));
+}
+
+// PBKDF2-HMAC-SHA256, for turning passwords and PINs into verifiers that
+// are slow to brute-force
+export function pbkdf2Sha256Bytes(password, salt, iterations, length = 32) {
+  const passwordBytes = toBytes(password);
+  const saltBytes = toBytes(salt);
+  const output = [];
+
+  for (let block = 1; output.length < length; block++) {
+    let u = hmacSha256Bytes(passwordBytes, saltBytes.concat([
+      (block >>> 24) & 0xff, (block >>> 16) & 0xff, (block >>> 8) & 0xff, block & 0xff,
+    ]));
+    const t = u.slice();
+    for (let i = 1; i < iterations; i++) {
+      u = hmacSha256Bytes(passwordBytes, u);
+      for (let j = 0; j < t.length; j++) {
+        t[j] ^= u[j];
+      }
+    }
+    output.push(...t);
+  }
+
+  return output.slice(0, length);
+}
+
+export function pbkdf2Sha256(password, salt, iterations, length = 32) {
+  return bytesToHex(pbkdf2Sha256Bytes(password, salt, iterations, length));
+}
+
+// Same result as pbkdf2Sha256, but yields to the UI while it runs, so it
+// can be used with password-grade iteration counts
+export async function pbkdf2Sha256Async(password, salt, iterations, length = 32) {
+  const key = await pbkdf2Async(
+    nobleSha256,
+    Uint8Array.from(toBytes(password)),
+    Uint8Array.from(toBytes(salt)),
+    {c: iterations, dkLen: length, asyncTick: 20},
+  );
+  return bytesToHex(Array.from(key));
+}
+
+function rotr(value, bits) {
+  return (value >>> bits) | (value << (32 - bits));
+}
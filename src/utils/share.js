@@ -0,0 +1,14 @@
+import Share from 'react-native-share';
+
+// Opens the share sheet for exported files. Resolves true once the user has
+// shared or saved them and false when they closed the sheet instead, which
+// is not an error. Any other failure is logged and also resolves false.
+export async function shareFiles(options) {
+  try {
+    const result = await Share.open({...options, failOnCancel: false});
+    return !!result && result.success !== false && !result.dismissedAction;
+  } catch (error) {
+    console.error('Share error:', error);
+    return false;
+  }
+}
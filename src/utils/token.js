@@ -0,0 +1,34 @@
+// Auth tokens are either a JWT or, for the demo and offline logins,
+// base64-encoded JSON. All carry the standard `exp` claim in seconds.
+
+export function decodeToken(token) {
+  try {
+    if (!token) {
+      return null;
+    }
+    const part = token.includes('.') ? token.split('.')[1] : token;
+    // JWT segments are base64url without padding
+    const base64 = part.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+    return JSON.parse(atob(padded));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Expiry as a millisecond timestamp, or null when the token has none
+export function getTokenExpiry(token) {
+  const payload = decodeToken(token);
+  return payload && payload.exp ? payload.exp * 1000 : null;
+}
+
+export function isTokenExpired(token, marginMs = 0) {
+  const expiry = getTokenExpiry(token);
+  return expiry === null || expiry - marginMs <= Date.now();
+}
+
+// Issued on the device by an offline unlock; the server does not accept it
+export function isOfflineToken(token) {
+  const payload = token && !token.includes('.') ? decodeToken(token) : null;
+  return !!(payload && payload.offline);
+}